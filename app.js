@@ -4,8 +4,31 @@ import PerformanceTracker from './js/core/PerformanceTracker.js';
 import ErrorTracker from './js/core/ErrorTracker.js';
 import DataConsumptionTracker from './js/core/DataConsumptionTracker.js';
 import MetricsDataManager from './js/core/MetricsDataManager.js';
+import LoadTestManager from './js/core/LoadTestManager.js';
+import ConformanceValidator from './js/core/ConformanceValidator.js';
+import LiveLatencyMonitor from './js/core/LiveLatencyMonitor.js';
+import LLHLSTracker from './js/core/LLHLSTracker.js';
+import SessionHistoryStore from './js/core/SessionHistoryStore.js';
+import SessionRecorder from './js/core/SessionRecorder.js';
+import MetricsSyncQueue from './js/core/MetricsSyncQueue.js';
+import BeaconReporter from './js/core/BeaconReporter.js';
+import OTelTraceExporter from './js/core/OTelTraceExporter.js';
+import CMCDManager from './js/core/CMCDManager.js';
+import NetworkRequestLog from './js/core/NetworkRequestLog.js';
+import NetworkThrottler from './js/core/NetworkThrottler.js';
+import FaultInjector from './js/core/FaultInjector.js';
+import RecoveryPolicy from './js/core/RecoveryPolicy.js';
+import ABRController from './js/core/ABRController.js';
+import LadderSweepTest from './js/core/LadderSweepTest.js';
+import QoEMonitor from './js/core/QoEMonitor.js';
+import SessionReplayAnalyzer from './js/core/SessionReplayAnalyzer.js';
 import UIManager from './js/ui/UIManager.js';
 import ProfessionalDashboard from './js/ui/ProfessionalDashboard.js';
+import PlaylistInspector from './js/ui/PlaylistInspector.js';
+import SessionHistoryView from './js/ui/SessionHistoryView.js';
+import SessionComparisonView from './js/ui/SessionComparisonView.js';
+import NetworkWaterfallView from './js/ui/NetworkWaterfallView.js';
+import BitrateTimelineView from './js/ui/BitrateTimelineView.js';
 import {
     integrateTrackingComponents,
     handleVideoEventError,
@@ -34,7 +57,29 @@ const appState = {
     metricsDataManager: null,
     performanceMonitor: null,
     memoryCleanupInterval: null,
-    professionalDashboard: null
+    professionalDashboard: null,
+    loadTestManager: null,
+    playlistInspector: null,
+    conformanceValidator: null,
+    liveLatencyMonitor: null,
+    llhlsTracker: null,
+    sessionRecorder: null,
+    sessionHistoryView: null,
+    sessionComparisonView: null,
+    metricsSyncQueue: null,
+    beaconReporter: null,
+    otelTraceExporter: null,
+    cmcdManager: null,
+    networkRequestLog: null,
+    networkWaterfallView: null,
+    networkThrottler: null,
+    faultInjector: null,
+    recoveryPolicy: null,
+    abrController: null,
+    ladderSweepTest: null,
+    bitrateTimelineView: null,
+    qoeMonitor: null,
+    sessionReplayAnalyzer: null
 };
 
 const updateQueue = [];
@@ -59,6 +104,28 @@ let metricsDataManager = null;
 let performanceMonitor = null;
 let memoryCleanupInterval = null;
 let professionalDashboard = null;
+let loadTestManager = null;
+let playlistInspector = null;
+let conformanceValidator = null;
+let liveLatencyMonitor = null;
+let llhlsTracker = null;
+let sessionRecorder = null;
+let sessionHistoryView = null;
+let sessionComparisonView = null;
+let metricsSyncQueue = null;
+let beaconReporter = null;
+let otelTraceExporter = null;
+let cmcdManager = null;
+let networkRequestLog = null;
+let networkWaterfallView = null;
+let networkThrottler = null;
+let faultInjector = null;
+let recoveryPolicy = null;
+let abrController = null;
+let ladderSweepTest = null;
+let bitrateTimelineView = null;
+let qoeMonitor = null;
+let sessionReplayAnalyzer = null;
 
 function setAppState(key, value) {
     if (!(key in appState)) {
@@ -114,6 +181,72 @@ function setAppState(key, value) {
         case 'professionalDashboard':
             professionalDashboard = value;
             break;
+        case 'loadTestManager':
+            loadTestManager = value;
+            break;
+        case 'playlistInspector':
+            playlistInspector = value;
+            break;
+        case 'conformanceValidator':
+            conformanceValidator = value;
+            break;
+        case 'liveLatencyMonitor':
+            liveLatencyMonitor = value;
+            break;
+        case 'llhlsTracker':
+            llhlsTracker = value;
+            break;
+        case 'sessionRecorder':
+            sessionRecorder = value;
+            break;
+        case 'sessionHistoryView':
+            sessionHistoryView = value;
+            break;
+        case 'sessionComparisonView':
+            sessionComparisonView = value;
+            break;
+        case 'metricsSyncQueue':
+            metricsSyncQueue = value;
+            break;
+        case 'beaconReporter':
+            beaconReporter = value;
+            break;
+        case 'otelTraceExporter':
+            otelTraceExporter = value;
+            break;
+        case 'cmcdManager':
+            cmcdManager = value;
+            break;
+        case 'networkRequestLog':
+            networkRequestLog = value;
+            break;
+        case 'networkWaterfallView':
+            networkWaterfallView = value;
+            break;
+        case 'networkThrottler':
+            networkThrottler = value;
+            break;
+        case 'faultInjector':
+            faultInjector = value;
+            break;
+        case 'recoveryPolicy':
+            recoveryPolicy = value;
+            break;
+        case 'abrController':
+            abrController = value;
+            break;
+        case 'ladderSweepTest':
+            ladderSweepTest = value;
+            break;
+        case 'bitrateTimelineView':
+            bitrateTimelineView = value;
+            break;
+        case 'qoeMonitor':
+            qoeMonitor = value;
+            break;
+        case 'sessionReplayAnalyzer':
+            sessionReplayAnalyzer = value;
+            break;
         default:
             break;
     }
@@ -190,6 +323,9 @@ document.addEventListener('DOMContentLoaded', function () {
         memoryManager.addEventListener(document, 'togglePlayPause', handleTogglePlayPause);
         memoryManager.addEventListener(document, 'stopVideo', handleStopVideo);
         memoryManager.addEventListener(document, 'reloadStream', handleReloadStream);
+        memoryManager.addEventListener(document, 'selectRendition', (event) => selectRendition(event.detail.value));
+        memoryManager.addEventListener(document, 'selectAudioTrack', (event) => selectAudioTrack(event.detail.value));
+        memoryManager.addEventListener(document, 'selectSubtitleTrack', (event) => selectSubtitleTrack(event.detail.value));
 
 
 
@@ -202,12 +338,31 @@ document.addEventListener('DOMContentLoaded', function () {
         initializeErrorTracker();
         initializeDataConsumptionTracker();
         initializeMetricsDataManager();
+        initializeMetricsSyncQueue();
         initializeHLSPlayer();
+        initializeBeaconReporter();
+        initializeOTelTraceExporter();
+        initializeCMCDManager();
+        initializeNetworkRequestLog();
+        initializeNetworkThrottler();
+        initializeFaultInjector();
+        initializeRecoveryPolicy();
+        initializeABRController();
+        initializeLadderSweepTest();
+        initializeBitrateTimelineView();
+        initializeQoEMonitor();
         initializeUserAnalytics();
         initializeDashboard();
 
         // Initialize professional dashboard first
         initializeProfessionalDashboard();
+        initializeLoadTestManager();
+        initializePlaylistInspector();
+        initializeConformanceValidator();
+        initializeLiveLatencyMonitor();
+        initializeLLHLSTracker();
+        initializeSessionHistory();
+        initializeSessionReplay();
 
         // Integrate all components after initialization
         setTimeout(() => {
@@ -231,6 +386,7 @@ document.addEventListener('DOMContentLoaded', function () {
         // Create segment panel after dashboard is initialized
         if (performanceTracker) {
             performanceTracker.createSegmentPanel();
+            performanceTracker.createPlaylistPanel();
         }
 
         initializePerformanceMonitoring();
@@ -255,6 +411,64 @@ document.addEventListener('DOMContentLoaded', function () {
 window.addEventListener('beforeunload', function () {
     try {
         memoryManager.cleanup();
+        // Save the last snapshot while the trackers are still alive
+        if (sessionRecorder) {
+            sessionRecorder.cleanup();
+            setAppState('sessionRecorder', null);
+        }
+        // Send the session_end beacon before the player is torn down
+        if (beaconReporter) {
+            beaconReporter.cleanup();
+            setAppState('beaconReporter', null);
+        }
+        if (otelTraceExporter) {
+            otelTraceExporter.cleanup();
+            setAppState('otelTraceExporter', null);
+        }
+        if (cmcdManager) {
+            cmcdManager.cleanup();
+            setAppState('cmcdManager', null);
+        }
+        if (sessionReplayAnalyzer) {
+            sessionReplayAnalyzer.cleanup();
+            setAppState('sessionReplayAnalyzer', null);
+        }
+        if (networkWaterfallView) {
+            networkWaterfallView.cleanup();
+            setAppState('networkWaterfallView', null);
+        }
+        if (networkRequestLog) {
+            networkRequestLog.cleanup();
+            setAppState('networkRequestLog', null);
+        }
+        if (networkThrottler) {
+            networkThrottler.cleanup();
+            setAppState('networkThrottler', null);
+        }
+        if (faultInjector) {
+            faultInjector.cleanup();
+            setAppState('faultInjector', null);
+        }
+        if (recoveryPolicy) {
+            recoveryPolicy.cleanup();
+            setAppState('recoveryPolicy', null);
+        }
+        if (abrController) {
+            abrController.cleanup();
+            setAppState('abrController', null);
+        }
+        if (ladderSweepTest) {
+            ladderSweepTest.cleanup();
+            setAppState('ladderSweepTest', null);
+        }
+        if (bitrateTimelineView) {
+            bitrateTimelineView.cleanup();
+            setAppState('bitrateTimelineView', null);
+        }
+        if (qoeMonitor) {
+            qoeMonitor.cleanup();
+            setAppState('qoeMonitor', null);
+        }
         if (hlsPlayer) {
             hlsPlayer.destroy();
             setAppState('hlsPlayer', null);
@@ -280,6 +494,38 @@ window.addEventListener('beforeunload', function () {
             professionalDashboard.cleanup();
             setAppState('professionalDashboard', null);
         }
+        if (loadTestManager) {
+            loadTestManager.cleanup();
+            setAppState('loadTestManager', null);
+        }
+        if (playlistInspector) {
+            playlistInspector.cleanup();
+            setAppState('playlistInspector', null);
+        }
+        if (conformanceValidator) {
+            conformanceValidator.cleanup();
+            setAppState('conformanceValidator', null);
+        }
+        if (liveLatencyMonitor) {
+            liveLatencyMonitor.cleanup();
+            setAppState('liveLatencyMonitor', null);
+        }
+        if (llhlsTracker) {
+            llhlsTracker.cleanup();
+            setAppState('llhlsTracker', null);
+        }
+        if (sessionHistoryView) {
+            sessionHistoryView.cleanup();
+            setAppState('sessionHistoryView', null);
+        }
+        if (sessionComparisonView) {
+            sessionComparisonView.cleanup();
+            setAppState('sessionComparisonView', null);
+        }
+        if (metricsSyncQueue) {
+            metricsSyncQueue.cleanup();
+            setAppState('metricsSyncQueue', null);
+        }
     } catch (error) {
         console.warn('Error during cleanup:', error);
     }
@@ -426,7 +672,10 @@ function initializeMetricsDataManager() {
                     performanceTracker: performanceTracker,
 
                     errorTracker: errorTracker,
-                    dataConsumptionTracker: dataConsumptionTracker
+                    dataConsumptionTracker: dataConsumptionTracker,
+                    liveLatencyMonitor: liveLatencyMonitor,
+                    llhlsTracker: llhlsTracker,
+                    qoeMonitor: qoeMonitor
                 });
 
                 // Start real-time aggregation
@@ -552,6 +801,343 @@ function initializeMetricsDataManager() {
     }
 }
 
+/**
+ * Initialize the offline queue for failed metric transmissions (retried by sw.js via Background Sync)
+ */
+function initializeMetricsSyncQueue() {
+    try {
+        setAppState('metricsSyncQueue', new MetricsSyncQueue({
+            onStatusChange: (status) => updateSyncQueueDisplay(status)
+        }));
+
+        if (!metricsSyncQueue.isSupported()) {
+            console.warn('IndexedDB not available - failed transmissions will not be retried');
+            return;
+        }
+
+        if (metricsDataManager) {
+            metricsDataManager.setSyncQueue(metricsSyncQueue);
+        }
+        metricsSyncQueue.start();
+
+        // Debug helpers
+        window.getSyncQueueStatus = function () {
+            return metricsSyncQueue.getStatus();
+        };
+
+        console.log('Metrics sync queue initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize metrics sync queue:', error);
+    }
+}
+
+/**
+ * Initialize automatic beacon reporting (heartbeats + playback event beacons)
+ */
+function initializeBeaconReporter() {
+    try {
+        setAppState('beaconReporter', new BeaconReporter(metricsDataManager, {
+            onStatusChange: (status) => updateBeaconDisplay(status)
+        }));
+        beaconReporter.setVideoElement(videoElement);
+
+        // Debug helpers
+        window.startBeacons = function (endpoint, intervalSeconds = 30) {
+            beaconReporter.start(endpoint, { heartbeat_interval_ms: intervalSeconds * 1000 });
+            return beaconReporter.getStatus();
+        };
+        window.stopBeacons = function () {
+            beaconReporter.stop();
+            return beaconReporter.getStatus();
+        };
+
+        console.log('Beacon reporter initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize beacon reporter:', error);
+    }
+}
+
+/**
+ * Initialize OpenTelemetry trace export (one trace per playback session)
+ */
+function initializeOTelTraceExporter() {
+    try {
+        setAppState('otelTraceExporter', new OTelTraceExporter(memoryManager, metricsDataManager));
+        otelTraceExporter.setVideoElement(videoElement);
+
+        setTimeout(() => {
+            otelTraceExporter.createTracingPanel();
+        }, 1500);
+
+        console.log('OpenTelemetry trace exporter initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize OpenTelemetry trace exporter:', error);
+    }
+}
+
+/**
+ * Initialize CMCD (CTA-5004) request tagging
+ */
+function initializeCMCDManager() {
+    try {
+        setAppState('cmcdManager', new CMCDManager(memoryManager, {
+            performanceTracker,
+            dataConsumptionTracker,
+            metricsDataManager
+        }));
+
+        setTimeout(() => {
+            cmcdManager.createCMCDPanel();
+        }, 1500);
+
+        // Debug helper
+        window.setCMCDMode = function (mode, contentId) {
+            cmcdManager.configure(contentId !== undefined ? { mode, content_id: contentId } : { mode });
+            return cmcdManager.getStatus();
+        };
+
+        console.log('CMCD manager initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize CMCD manager:', error);
+    }
+}
+
+/**
+ * Initialize the per-request network log and its waterfall panel
+ */
+function initializeNetworkRequestLog() {
+    try {
+        setAppState('networkRequestLog', new NetworkRequestLog({
+            metricsDataManager,
+            onChange: () => {
+                if (networkWaterfallView) networkWaterfallView.scheduleRender();
+            }
+        }));
+        setAppState('networkWaterfallView', new NetworkWaterfallView(memoryManager, networkRequestLog));
+
+        setTimeout(() => {
+            networkWaterfallView.createWaterfallPanel();
+        }, 1500);
+
+        // Debug helpers
+        window.getNetworkRequests = function (filter = {}) {
+            return networkRequestLog.getEntries(filter);
+        };
+        window.exportHAR = function () {
+            return networkRequestLog.toHAR();
+        };
+
+        console.log('Network request log initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize network request log:', error);
+    }
+}
+
+/**
+ * Initialize network condition emulation (throttling profiles and packet loss)
+ */
+function initializeNetworkThrottler() {
+    try {
+        setAppState('networkThrottler', new NetworkThrottler(memoryManager, { metricsDataManager }));
+
+        setTimeout(() => {
+            networkThrottler.createThrottlePanel((message) => showGlobalError(message));
+        }, 1500);
+
+        // Debug helpers
+        window.setNetworkProfile = function (profile, options = {}) {
+            networkThrottler.configure({ profile, ...options });
+            return networkThrottler.getActiveProfile();
+        };
+        window.loadBandwidthTrace = function (text, name) {
+            return networkThrottler.loadTrace(text, name);
+        };
+
+        console.log('Network throttler initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize network throttler:', error);
+    }
+}
+
+/**
+ * Initialize fault injection for error-path testing
+ */
+function initializeFaultInjector() {
+    try {
+        setAppState('faultInjector', new FaultInjector(memoryManager, { errorTracker }));
+
+        setTimeout(() => {
+            faultInjector.createFaultPanel((message) => showGlobalError(message));
+        }, 1500);
+
+        // Debug helpers
+        window.injectFault = function (options) {
+            return faultInjector.addFault(options);
+        };
+        window.clearFaults = function () {
+            faultInjector.clearFaults();
+        };
+        window.getFaultReport = function () {
+            return faultInjector.getReport();
+        };
+
+        console.log('Fault injector initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize fault injector:', error);
+    }
+}
+
+/**
+ * Initialize the recovery policy used by handleHLSError
+ */
+function initializeRecoveryPolicy() {
+    try {
+        setAppState('recoveryPolicy', new RecoveryPolicy({ memoryManager, errorTracker }));
+
+        setTimeout(() => {
+            recoveryPolicy.createRecoveryPanel();
+        }, 1500);
+
+        // Debug helpers
+        window.configureRecovery = function (config) {
+            recoveryPolicy.configure(config);
+            return recoveryPolicy.getStatus();
+        };
+        window.getRecoveryStatus = function () {
+            return recoveryPolicy.getStatus();
+        };
+
+        console.log('Recovery policy initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize recovery policy:', error);
+    }
+}
+
+/**
+ * Initialize the pluggable ABR controller
+ */
+function initializeABRController() {
+    try {
+        setAppState('abrController', new ABRController(memoryManager));
+
+        // Switch timeline entries carry the decision behind each level change
+        if (performanceTracker) {
+            performanceTracker.setSwitchReasonProvider((level) => abrController ? abrController.getSwitchReason(level) : null);
+        }
+
+        setTimeout(() => {
+            abrController.createAbrPanel((message) => showGlobalError(message));
+        }, 1500);
+
+        // Debug helpers
+        window.setABRAlgorithm = function (algorithm, config = {}) {
+            abrController.configure({ ...config, algorithm });
+            return abrController.getStatus();
+        };
+        window.getABRDecisions = function () {
+            return { decisions: abrController.getDecisions(), switches: abrController.getSwitches() };
+        };
+
+        console.log('ABR controller initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize ABR controller:', error);
+    }
+}
+
+/**
+ * Initialize the rendition ladder sweep test
+ */
+function initializeLadderSweepTest() {
+    try {
+        setAppState('ladderSweepTest', new LadderSweepTest(memoryManager, {
+            performanceTracker,
+            // Each locked level is a forced rendition for the session labels
+            onSelectionChange: () => recordTrackSelection()
+        }));
+
+        const getLevels = () => streamAnalytics ? streamAnalytics.metrics.quality.availableLevels : null;
+        setTimeout(() => {
+            ladderSweepTest.createSweepPanel(getLevels, (message) => showGlobalError(message));
+        }, 1500);
+
+        // Debug helpers
+        window.startLadderSweep = function (dwellSeconds) {
+            ladderSweepTest.start({ dwell_s: dwellSeconds, levels: getLevels() });
+        };
+        window.getLadderSweepReport = function () {
+            return ladderSweepTest.getReport();
+        };
+
+        console.log('Ladder sweep test initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize ladder sweep test:', error);
+    }
+}
+
+/**
+ * Initialize the bitrate switch timeline panel
+ */
+function initializeBitrateTimelineView() {
+    try {
+        setAppState('bitrateTimelineView', new BitrateTimelineView(memoryManager, performanceTracker));
+
+        setTimeout(() => {
+            bitrateTimelineView.createTimelinePanel();
+        }, 1500);
+
+        // Debug helper
+        window.getBitrateSwitchStats = function () {
+            return bitrateTimelineView.getStatistics();
+        };
+
+        console.log('Bitrate timeline view initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize bitrate timeline view:', error);
+    }
+}
+
+/**
+ * Initialize the QoE model monitor (live MOS gauge in the professional dashboard)
+ */
+function initializeQoEMonitor() {
+    try {
+        setAppState('qoeMonitor', new QoEMonitor(memoryManager, {
+            performanceTracker,
+            onUpdate: (qoe) => {
+                if (professionalDashboard && professionalDashboard.isInitialized) {
+                    professionalDashboard.updateQoEGauge(qoe);
+                }
+            }
+        }));
+
+        // Debug helpers
+        window.getQoE = function () {
+            return qoeMonitor.getQoEMetrics();
+        };
+        window.setQoEDisplay = function (width, height) {
+            qoeMonitor.configure({ display_width: width || null, display_height: height || null });
+        };
+
+        console.log('QoE monitor initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize QoE monitor:', error);
+    }
+}
+
+/**
+ * hls.js loader with the request wrappers that are enabled (fault injection innermost, then throttling
+ * so the rest see emulated timings, then CMCD tagging, request log outside so it records the URL and
+ * headers as sent)
+ */
+function createHLSLoader() {
+    let loader = Hls.DefaultConfig.loader;
+    if (faultInjector) loader = faultInjector.createLoader(loader);
+    if (networkThrottler) loader = networkThrottler.createLoader(loader);
+    if (cmcdManager) loader = cmcdManager.createLoader(loader);
+    if (networkRequestLog) loader = networkRequestLog.createLoader(loader);
+    return loader;
+}
+
 /**
  * Initialize Professional Dashboard
  */
@@ -579,6 +1165,248 @@ function initializeProfessionalDashboard() {
     }
 }
 
+/**
+ * Initialize Playlist Inspector
+ */
+function initializePlaylistInspector() {
+    try {
+        setAppState('playlistInspector', new PlaylistInspector());
+        playlistInspector.createInspectorPanel();
+
+        console.log('Playlist inspector initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize playlist inspector:', error);
+    }
+}
+
+/**
+ * Get the stream URL from the input, throwing if it does not pass validateHLSUrl
+ */
+function getValidatedStreamUrl() {
+    const streamUrlInput = document.getElementById('streamUrl');
+    const url = streamUrlInput ? streamUrlInput.value.trim() : '';
+    const validation = validateHLSUrl(url);
+    if (!validation.isValid) {
+        throw new Error(validation.error || 'Invalid stream URL');
+    }
+    return url;
+}
+
+/**
+ * Initialize Load Test Manager (multi-player fleet testing)
+ */
+function initializeLoadTestManager() {
+    try {
+        setAppState('loadTestManager', new LoadTestManager(memoryManager, { networkThrottler }));
+
+        // Create the panel after the export panel so it sits at the end of the dashboard
+        setTimeout(() => {
+            loadTestManager.createLoadTestPanel(getValidatedStreamUrl, (message) => showGlobalError(message));
+        }, 1500);
+
+        // Debug helpers
+        window.startLoadTest = function (url, config = {}) {
+            loadTestManager.start(url || document.getElementById('streamUrl')?.value, config);
+        };
+        window.stopLoadTest = function () {
+            loadTestManager.stop();
+        };
+        window.getFleetMetrics = function () {
+            return loadTestManager.getFleetMetrics();
+        };
+
+        console.log('Load test manager initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize load test manager:', error);
+        showGlobalError('Failed to initialize load testing. Multi-player mode will not be available.');
+    }
+}
+
+/**
+ * Initialize spec conformance validator (RFC 8216 / Apple authoring rules)
+ */
+function initializeConformanceValidator() {
+    try {
+        setAppState('conformanceValidator', new ConformanceValidator(memoryManager, { metricsDataManager }));
+
+        setTimeout(() => {
+            conformanceValidator.createValidatorPanel(getValidatedStreamUrl, (message) => showGlobalError(message));
+        }, 1500);
+
+        // Debug helpers
+        window.validateStreamConformance = function (url) {
+            return conformanceValidator.validate(url || getValidatedStreamUrl());
+        };
+
+        console.log('Conformance validator initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize conformance validator:', error);
+    }
+}
+
+/**
+ * Initialize live latency / drift monitor
+ */
+function initializeLiveLatencyMonitor() {
+    try {
+        setAppState('liveLatencyMonitor', new LiveLatencyMonitor(memoryManager, {
+            onAlert: (message, type) => showGlobalMessage(message, type)
+        }));
+        liveLatencyMonitor.setVideoElement(videoElement);
+
+        setTimeout(() => {
+            liveLatencyMonitor.createLatencyPanel();
+        }, 1500);
+
+        console.log('Live latency monitor initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize live latency monitor:', error);
+    }
+}
+
+/**
+ * Initialize LL-HLS diagnostics
+ */
+function initializeLLHLSTracker() {
+    try {
+        setAppState('llhlsTracker', new LLHLSTracker());
+
+        setTimeout(() => {
+            llhlsTracker.createLLHLSPanel();
+        }, 1500);
+
+        console.log('LL-HLS tracker initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize LL-HLS tracker:', error);
+    }
+}
+
+/**
+ * Initialize IndexedDB session history (recorder, History panel and session comparison)
+ */
+function initializeSessionHistory() {
+    try {
+        const store = new SessionHistoryStore();
+
+        setAppState('sessionRecorder', new SessionRecorder(store, metricsDataManager, {
+            onRecorded: () => {
+                if (sessionHistoryView && !sessionHistoryView.isReadOnly) {
+                    sessionHistoryView.refresh();
+                }
+                if (sessionComparisonView) {
+                    sessionComparisonView.refreshSessions();
+                }
+            }
+        }));
+
+        setAppState('sessionHistoryView', new SessionHistoryView(memoryManager, {
+            store,
+            onEnterReadOnly: () => {
+                resetStreamState();
+                setDashboardTrackersHeadless(true);
+            },
+            onExitReadOnly: () => {
+                setDashboardTrackersHeadless(false);
+            },
+            onError: (message) => showGlobalError(message)
+        }));
+
+        setAppState('sessionComparisonView', new SessionComparisonView(memoryManager, {
+            store,
+            metricsDataManager,
+            chartManager,
+            onError: (message) => showGlobalError(message)
+        }));
+
+        setTimeout(() => {
+            sessionHistoryView.createHistoryPanel();
+            sessionComparisonView.createComparisonPanel();
+        }, 1500);
+
+        // Debug helpers
+        window.listRecordedSessions = function () {
+            return store.listSessions();
+        };
+        window.openRecordedSession = function (sessionId) {
+            return sessionHistoryView.openSession(sessionId);
+        };
+        window.compareRecordedSessions = function (baselineId, candidateId) {
+            return sessionComparisonView.compare(baselineId, candidateId);
+        };
+
+        console.log('Session history initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize session history:', error);
+    }
+}
+
+/**
+ * Initialize offline replay of captured request logs (HAR / saved request log)
+ */
+function initializeSessionReplay() {
+    try {
+        setAppState('sessionReplayAnalyzer', new SessionReplayAnalyzer(memoryManager, {
+            performanceTracker,
+            dataConsumptionTracker,
+            metricsDataManager,
+            conformanceValidator,
+            requestLog: networkRequestLog,
+            onBeforeReplay: () => {
+                // A replay takes over the live panels like a newly loaded stream
+                if (sessionHistoryView) {
+                    sessionHistoryView.exitReadOnly();
+                }
+                resetStreamState();
+            },
+            onError: (message) => showGlobalError(message)
+        }));
+
+        setTimeout(() => {
+            sessionReplayAnalyzer.createReplayPanel();
+        }, 1500);
+
+        // Debug helper
+        window.replayRequestLog = function (text, name = 'console') {
+            return sessionReplayAnalyzer.replay(networkRequestLog.parseImport(text), name);
+        };
+
+        console.log('Session replay initialized successfully');
+    } catch (error) {
+        console.error('Failed to initialize session replay:', error);
+    }
+}
+
+/**
+ * Stop (or resume) the live trackers writing to the dashboard panels while a recorded session is shown
+ */
+function setDashboardTrackersHeadless(headless) {
+    try {
+        [performanceTracker, errorTracker, dataConsumptionTracker].forEach(tracker => {
+            if (tracker) tracker.headless = headless;
+        });
+
+        if (headless) return;
+
+        // Repaint the panels with the live (reset) values
+        if (performanceTracker) {
+            performanceTracker.updateStartupDisplay();
+            performanceTracker.updateRebufferDisplay();
+            performanceTracker.updateFrameDisplay();
+            performanceTracker.updateFPSDisplay();
+            performanceTracker.updateSegmentDisplay();
+            performanceTracker.updatePlaylistDisplay();
+        }
+        if (errorTracker && typeof errorTracker.updateErrorDisplay === 'function') {
+            errorTracker.updateErrorDisplay();
+        }
+        if (dataConsumptionTracker && typeof dataConsumptionTracker.updateDataDisplay === 'function') {
+            dataConsumptionTracker.updateDataDisplay();
+        }
+    } catch (error) {
+        console.error('Error switching dashboard trackers mode:', error);
+    }
+}
+
 /**
  * Initialize HLS Player Component with comprehensive error handling and integration
  */
@@ -1183,15 +2011,59 @@ function createMetricsExportPanel() {
                         <span class="info-item__label">Last Update:</span>
                         <span class="info-item__value" id="lastUpdateValue">-</span>
                     </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Queued Payloads:</span>
+                        <span class="info-item__value" id="syncQueuePendingValue">0</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Failed Payloads:</span>
+                        <span class="info-item__value" id="syncQueueFailedValue">0</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Next Retry:</span>
+                        <span class="info-item__value" id="syncQueueNextRetryValue">-</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Beacons:</span>
+                        <span class="info-item__value" id="beaconStatusValue">Off</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Beacons Sent:</span>
+                        <span class="info-item__value" id="beaconSentValue">0</span>
+                    </div>
                 </div>
                 <div class="export-controls x-export">
                     <div class="x-export__grid">
                         <button id="exportJsonBtn" class="export-btn">Export JSON</button>
                         <button id="exportCsvBtn"  class="export-btn">Export CSV</button>
                         <button id="exportXmlBtn"  class="export-btn">Export XML</button>
+                        <button id="exportOpenMetricsBtn" class="export-btn">Export OpenMetrics</button>
                         <button id="createReportBtn" class="export-btn export-btn--primary">Summary Report</button>
                     </div>
                 </div>
+                <div class="load-test-config">
+                    <div class="input-group">
+                        <label class="input-group__label" for="serverEndpoint">Server Endpoint</label>
+                        <input type="url" id="serverEndpoint" class="input-group__input" placeholder="https://collector.example.com/metrics">
+                    </div>
+                    <div class="input-group">
+                        <label class="input-group__label" for="beaconInterval">Heartbeat (s)</label>
+                        <input type="number" id="beaconInterval" class="input-group__input" min="5" max="3600" value="30">
+                    </div>
+                    <div class="input-group">
+                        <label class="input-group__label" for="pushgatewayUrl">Pushgateway URL</label>
+                        <input type="url" id="pushgatewayUrl" class="input-group__input" placeholder="http://localhost:9091">
+                    </div>
+                </div>
+                <div class="export-controls x-export">
+                    <div class="x-export__grid">
+                        <button id="transmitToServerBtn" class="export-btn export-btn--primary">Transmit to Server</button>
+                        <button id="syncQueueRetryBtn" class="export-btn">Retry Queued</button>
+                        <button id="syncQueueClearBtn" class="export-btn">Clear Failed</button>
+                        <button id="beaconToggleBtn" class="export-btn">Start Beacons</button>
+                        <button id="pushOpenMetricsBtn" class="export-btn">Push to Gateway</button>
+                    </div>
+                </div>
                 </div>
             </div>
         `;
@@ -1278,6 +2150,15 @@ function setupExportPanelEventListeners() {
             }, 'Export XML');
         });
 
+        // Export OpenMetrics button
+        document.getElementById('exportOpenMetricsBtn')?.addEventListener('click', (e) => {
+            handleExportClick(e.target, async () => {
+                if (metricsDataManager) {
+                    metricsDataManager.downloadMetricsFile('openmetrics');
+                }
+            }, 'Export OpenMetrics');
+        });
+
         // Server JSON export (if exists)
         document.getElementById('exportServerJsonBtn')?.addEventListener('click', (e) => {
             handleExportClick(e.target, async () => {
@@ -1341,8 +2222,12 @@ Error Percentage: ${snapshot.errors?.error_percentage?.toFixed(2) || 0}%
                     button.textContent = 'Transmitting...';
                     button.disabled = true;
 
-                    await metricsDataManager.transmitToServer(endpoint);
-                    alert('Metrics successfully transmitted to server!');
+                    const result = await metricsDataManager.transmitToServer(endpoint);
+                    if (result && result.queued) {
+                        showGlobalMessage(`Server unreachable (${result.error}). Metrics queued and will be retried in the background.`, 'warning');
+                    } else {
+                        alert('Metrics successfully transmitted to server!');
+                    }
                 } catch (error) {
                     console.error('Transmission error:', error);
                     alert('Failed to transmit metrics: ' + error.message);
@@ -1354,6 +2239,61 @@ Error Percentage: ${snapshot.errors?.error_percentage?.toFixed(2) || 0}%
             }
         });
 
+        document.getElementById('syncQueueRetryBtn')?.addEventListener('click', async () => {
+            if (!metricsSyncQueue) return;
+            if (await metricsSyncQueue.hasBackgroundSync()) {
+                await metricsSyncQueue.requestSync();
+            } else {
+                const result = await metricsSyncQueue.flush(true);
+                showGlobalMessage(`Retried queued metrics: ${result.sent} sent, ${result.failed} still pending`, result.failed > 0 ? 'warning' : 'success');
+            }
+        });
+
+        document.getElementById('syncQueueClearBtn')?.addEventListener('click', () => {
+            if (metricsSyncQueue) {
+                metricsSyncQueue.clearFailed();
+            }
+        });
+
+        document.getElementById('pushOpenMetricsBtn')?.addEventListener('click', async () => {
+            const gatewayUrl = document.getElementById('pushgatewayUrl')?.value;
+            if (!gatewayUrl) {
+                alert('Please enter a Pushgateway URL');
+                return;
+            }
+
+            if (metricsDataManager) {
+                try {
+                    await metricsDataManager.pushOpenMetrics(gatewayUrl);
+                    showGlobalMessage('Metrics pushed to Pushgateway', 'success');
+                } catch (error) {
+                    alert('Failed to push metrics: ' + error.message);
+                }
+            }
+        });
+
+        document.getElementById('beaconToggleBtn')?.addEventListener('click', () => {
+            if (!beaconReporter) return;
+
+            if (beaconReporter.isRunning) {
+                beaconReporter.stop();
+                return;
+            }
+
+            const endpoint = document.getElementById('serverEndpoint')?.value;
+            if (!endpoint) {
+                alert('Please enter a server endpoint URL');
+                return;
+            }
+
+            const intervalSeconds = parseInt(document.getElementById('beaconInterval')?.value, 10) || 30;
+            try {
+                beaconReporter.start(endpoint, { heartbeat_interval_ms: intervalSeconds * 1000 });
+            } catch (error) {
+                alert('Failed to start beacons: ' + error.message);
+            }
+        });
+
         console.log('Export panel event listeners set up');
     } catch (error) {
         console.error('Error setting up export panel event listeners:', error);
@@ -1378,20 +2318,91 @@ function updateExportPanelInfo() {
             sessionIdElement.title = snapshot.session.session_id;
         }
 
-        if (dataStatusElement) {
-            const hasData = snapshot.session?.session_duration > 0;
-            dataStatusElement.textContent = hasData ? 'Active' : 'Ready';
-            dataStatusElement.className = hasData ? 'info-item__value bitrate-high' : 'info-item__value';
+        if (dataStatusElement) {
+            const hasData = snapshot.session?.session_duration > 0;
+            dataStatusElement.textContent = hasData ? 'Active' : 'Ready';
+            dataStatusElement.className = hasData ? 'info-item__value bitrate-high' : 'info-item__value';
+        }
+
+        if (lastUpdateElement) {
+            lastUpdateElement.textContent = new Date().toLocaleTimeString();
+        }
+
+        if (metricsSyncQueue) {
+            metricsSyncQueue.notifyStatus();
+        }
+
+        // Update every 10 seconds
+        setTimeout(updateExportPanelInfo, 10000);
+    } catch (error) {
+        console.error('Error updating export panel info:', error);
+    }
+}
+
+/**
+ * Update the offline queue status in the export panel
+ * @param {Object} status - Status from MetricsSyncQueue.getStatus()
+ */
+function updateSyncQueueDisplay(status) {
+    try {
+        const pendingElement = document.getElementById('syncQueuePendingValue');
+        const failedElement = document.getElementById('syncQueueFailedValue');
+        const nextRetryElement = document.getElementById('syncQueueNextRetryValue');
+
+        if (pendingElement) {
+            pendingElement.textContent = status.pending_count.toString();
+            pendingElement.className = status.pending_count > 0 ? 'info-item__value error-medium' : 'info-item__value';
+            pendingElement.title = status.last_error ? `Last error: ${status.last_error}` : '';
+        }
+
+        if (failedElement) {
+            failedElement.textContent = status.failed_count.toString();
+            failedElement.className = status.failed_count > 0 ? 'info-item__value error-high' : 'info-item__value';
+        }
+
+        if (nextRetryElement) {
+            if (status.next_attempt_at) {
+                nextRetryElement.textContent = new Date(status.next_attempt_at).toLocaleTimeString();
+                nextRetryElement.title = status.background_sync ? 'Retried by the service worker (Background Sync)' : 'Retried while this page is open';
+            } else {
+                nextRetryElement.textContent = '-';
+                nextRetryElement.title = '';
+            }
+        }
+    } catch (error) {
+        console.error('Error updating sync queue display:', error);
+    }
+}
+
+/**
+ * Update the beacon mode status in the export panel
+ * @param {Object} status - Status from BeaconReporter.getStatus()
+ */
+function updateBeaconDisplay(status) {
+    try {
+        const statusElement = document.getElementById('beaconStatusValue');
+        const sentElement = document.getElementById('beaconSentValue');
+        const toggleButton = document.getElementById('beaconToggleBtn');
+
+        if (statusElement) {
+            statusElement.textContent = status.is_running ? `Every ${Math.round(status.heartbeat_interval_ms / 1000)}s` : 'Off';
+            statusElement.className = status.is_running ? 'info-item__value bitrate-high' : 'info-item__value';
+            statusElement.title = status.last_beacon_type
+                ? `Last beacon: ${status.last_beacon_type} at ${new Date(status.last_beacon_time).toLocaleTimeString()}`
+                : '';
         }
 
-        if (lastUpdateElement) {
-            lastUpdateElement.textContent = new Date().toLocaleTimeString();
+        if (sentElement) {
+            sentElement.textContent = status.sent_count.toString();
+            sentElement.title = `${status.queued_count} queued, ${status.failed_count} failed`;
         }
 
-        // Update every 10 seconds
-        setTimeout(updateExportPanelInfo, 10000);
+        if (toggleButton) {
+            toggleButton.textContent = status.is_running ? 'Stop Beacons' : 'Start Beacons';
+            toggleButton.classList.toggle('export-btn--primary', status.is_running);
+        }
     } catch (error) {
-        console.error('Error updating export panel info:', error);
+        console.error('Error updating beacon display:', error);
     }
 }
 
@@ -1996,6 +3007,11 @@ function loadHLSStream(url) {
     }, 30000); // 30 second timeout
 
     try {
+        // Close the previous beacon session while its metrics are still available
+        if (beaconReporter) {
+            beaconReporter.endSession('stream_change');
+        }
+
         // Destroy existing HLS instance and reset live state
         if (hlsPlayer) {
             try {
@@ -2009,12 +3025,27 @@ function loadHLSStream(url) {
         // Reset live stream state
         resetLiveStreamState();
 
+        // Leave history view and start a new recorded session
+        if (sessionHistoryView) {
+            sessionHistoryView.exitReadOnly();
+        }
+        if (sessionRecorder) {
+            sessionRecorder.stop();
+        }
+        if (metricsDataManager) {
+            metricsDataManager.startNewSession();
+        }
+        if (sessionRecorder) {
+            sessionRecorder.start();
+        }
+
         // Reset startup metrics for new stream
         if (performanceTracker) {
             performanceTracker.resetStartupMetrics();
             performanceTracker.resetRebufferMetrics();
             performanceTracker.resetFrameMetrics();
             performanceTracker.resetBitrateAndBufferMetrics();
+            performanceTracker.resetPlaylistMetrics();
         }
 
         if (Hls.isSupported() && window.Hls) {
@@ -2037,7 +3068,14 @@ function loadHLSStream(url) {
                     liveMaxLatencyDurationCount: Infinity,
                     liveDurationInfinity: false,
                     liveBackBufferLength: Infinity,
-                    maxLiveSyncPlaybackRate: 1
+                    maxLiveSyncPlaybackRate: 1,
+                    loader: createHLSLoader(),
+                    ...(abrController ? { abrController: abrController.createAbrController(Hls.DefaultConfig.abrController) } : {}),
+                    xhrSetup: (xhr, url) => {
+                        if (otelTraceExporter) {
+                            otelTraceExporter.injectTraceContext(xhr, url);
+                        }
+                    }
                 });
                 setAppState('hlsPlayer', hlsInstance);
 
@@ -2088,6 +3126,123 @@ function loadHLSStream(url) {
                     // Continue without data consumption tracking
                 }
 
+                // Connect playlist inspector to HLS instance
+                try {
+                    if (playlistInspector) {
+                        playlistInspector.setHLSInstance(hlsPlayer);
+                    }
+                } catch (inspectorError) {
+                    console.warn('Failed to initialize playlist inspector:', inspectorError);
+                }
+
+                // Connect live latency monitor to HLS instance
+                try {
+                    if (liveLatencyMonitor) {
+                        liveLatencyMonitor.setHLSInstance(hlsPlayer);
+                    }
+                } catch (latencyError) {
+                    console.warn('Failed to initialize live latency monitoring:', latencyError);
+                }
+
+                // Connect LL-HLS diagnostics to HLS instance
+                try {
+                    if (llhlsTracker) {
+                        llhlsTracker.setHLSInstance(hlsPlayer);
+                    }
+                } catch (llhlsError) {
+                    console.warn('Failed to initialize LL-HLS diagnostics:', llhlsError);
+                }
+
+                // Connect trace exporter to HLS instance (starts a new trace)
+                try {
+                    if (otelTraceExporter) {
+                        otelTraceExporter.setHLSInstance(hlsPlayer);
+                    }
+                } catch (otelError) {
+                    console.warn('Failed to initialize trace export:', otelError);
+                }
+
+                // Connect request log to HLS instance (new stream = new log)
+                try {
+                    if (networkRequestLog) {
+                        networkRequestLog.setHLSInstance(hlsPlayer);
+                    }
+                } catch (requestLogError) {
+                    console.warn('Failed to initialize request logging:', requestLogError);
+                }
+
+                // Connect recovery policy to HLS instance (new stream = fresh retry budget)
+                try {
+                    if (recoveryPolicy) {
+                        recoveryPolicy.setHLSInstance(hlsPlayer, url);
+                    }
+                } catch (recoveryError) {
+                    console.warn('Failed to initialize recovery policy:', recoveryError);
+                }
+
+                // Connect ABR controller to HLS instance (new stream = new decision log)
+                try {
+                    if (abrController) {
+                        abrController.setHLSInstance(hlsPlayer);
+                    }
+                } catch (abrError) {
+                    console.warn('Failed to initialize ABR decision logging:', abrError);
+                }
+
+                // Connect ladder sweep to HLS instance (a running sweep is aborted)
+                try {
+                    if (ladderSweepTest) {
+                        ladderSweepTest.setHLSInstance(hlsPlayer, videoElement);
+                    }
+                } catch (sweepError) {
+                    console.warn('Failed to initialize ladder sweep:', sweepError);
+                }
+
+                // Start the bitrate switch timeline (PerformanceTracker records the switches)
+                try {
+                    if (bitrateTimelineView) {
+                        bitrateTimelineView.start();
+                    }
+                } catch (timelineError) {
+                    console.warn('Failed to start bitrate timeline:', timelineError);
+                }
+
+                // Connect QoE monitor to HLS instance (new stream = new session MOS)
+                try {
+                    if (qoeMonitor) {
+                        qoeMonitor.setHLSInstance(hlsPlayer, videoElement);
+                    }
+                } catch (qoeError) {
+                    console.warn('Failed to initialize QoE monitor:', qoeError);
+                }
+
+                // Connect fault injection to HLS instance (armed faults count from the first request)
+                try {
+                    if (faultInjector) {
+                        faultInjector.setHLSInstance(hlsPlayer);
+                    }
+                } catch (faultError) {
+                    console.warn('Failed to initialize fault injection:', faultError);
+                }
+
+                // Connect CMCD tagging to HLS instance (ladder bitrates, live/VOD)
+                try {
+                    if (cmcdManager) {
+                        cmcdManager.setHLSInstance(hlsPlayer);
+                    }
+                } catch (cmcdError) {
+                    console.warn('Failed to initialize CMCD tagging:', cmcdError);
+                }
+
+                // Connect beacon reporter to HLS instance (starts a new beacon session)
+                try {
+                    if (beaconReporter) {
+                        beaconReporter.setHLSInstance(hlsPlayer);
+                    }
+                } catch (beaconError) {
+                    console.warn('Failed to initialize beacon reporting:', beaconError);
+                }
+
                 // Set up error handling
                 hlsPlayer.on(Hls.Events.ERROR, handleHLSError);
 
@@ -2272,6 +3427,16 @@ function loadHLSStream(url) {
                     }
                 });
 
+                // Keep the quality / audio / subtitle menu in sync with hls.js
+                [
+                    Hls.Events.MANIFEST_PARSED,
+                    Hls.Events.LEVEL_SWITCHED,
+                    Hls.Events.AUDIO_TRACKS_UPDATED,
+                    Hls.Events.AUDIO_TRACK_SWITCHED,
+                    Hls.Events.SUBTITLE_TRACKS_UPDATED,
+                    Hls.Events.SUBTITLE_TRACK_SWITCH
+                ].forEach(eventName => hlsPlayer.on(eventName, refreshTrackMenu));
+
                 // Add additional event listeners for better error handling
                 hlsPlayer.on(Hls.Events.MEDIA_DETACHED, function () {
                     console.log('Media detached from HLS.js');
@@ -2392,70 +3557,53 @@ function loadHLSStream(url) {
 }
 
 /**
- * Handle HLS.js errors with comprehensive error recovery
+ * User-facing message for an hls.js error
  */
-function handleHLSError(event, data) {
-    try {
-        console.error('HLS Error:', data);
+function getHLSErrorMessage(data) {
+    switch (data.type) {
+        case Hls.ErrorTypes.NETWORK_ERROR:
+            switch (data.details) {
+                case Hls.ErrorDetails.MANIFEST_LOAD_ERROR:
+                    return 'Failed to load stream manifest. Please check the URL and your internet connection.';
+                case Hls.ErrorDetails.MANIFEST_LOAD_TIMEOUT:
+                    return 'Stream manifest loading timed out. Please check your connection and try again.';
+                case Hls.ErrorDetails.FRAG_LOAD_ERROR:
+                    return 'Failed to load video segments. Connection may be unstable.';
+                case Hls.ErrorDetails.FRAG_LOAD_TIMEOUT:
+                    return 'Video segment loading timed out.';
+                default:
+                    return 'Network error: Unable to load the stream. Please check your connection and the stream URL.';
+            }
 
-        let errorMessage = 'Stream playback error';
-        let canRecover = false;
-        let recoveryAction = null;
+        case Hls.ErrorTypes.MEDIA_ERROR:
+            switch (data.details) {
+                case Hls.ErrorDetails.BUFFER_STALLED_ERROR:
+                    return 'Video buffer stalled.';
+                case Hls.ErrorDetails.BUFFER_FULL_ERROR:
+                    return 'Video buffer is full.';
+                default:
+                    return 'Media error: There was a problem with the video format or codec.';
+            }
 
-        switch (data.type) {
-            case Hls.ErrorTypes.NETWORK_ERROR:
-                switch (data.details) {
-                    case Hls.ErrorDetails.MANIFEST_LOAD_ERROR:
-                        errorMessage = 'Failed to load stream manifest. Please check the URL and your internet connection.';
-                        break;
-                    case Hls.ErrorDetails.MANIFEST_LOAD_TIMEOUT:
-                        errorMessage = 'Stream manifest loading timed out. Please check your connection and try again.';
-                        break;
-                    case Hls.ErrorDetails.FRAG_LOAD_ERROR:
-                        errorMessage = 'Failed to load video segments. Connection may be unstable.';
-                        canRecover = true;
-                        recoveryAction = () => hlsPlayer && hlsPlayer.startLoad();
-                        break;
-                    case Hls.ErrorDetails.FRAG_LOAD_TIMEOUT:
-                        errorMessage = 'Video segment loading timed out. Attempting to recover...';
-                        canRecover = true;
-                        recoveryAction = () => hlsPlayer && hlsPlayer.startLoad();
-                        break;
-                    default:
-                        errorMessage = 'Network error: Unable to load the stream. Please check your connection and the stream URL.';
-                }
-                break;
+        case Hls.ErrorTypes.MUX_ERROR:
+            return 'Stream format error: The video stream format is not supported or corrupted.';
 
-            case Hls.ErrorTypes.MEDIA_ERROR:
-                switch (data.details) {
-                    case Hls.ErrorDetails.BUFFER_STALLED_ERROR:
-                        errorMessage = 'Video buffer stalled. Attempting to recover...';
-                        canRecover = true;
-                        recoveryAction = () => hlsPlayer && hlsPlayer.recoverMediaError();
-                        break;
-                    case Hls.ErrorDetails.BUFFER_FULL_ERROR:
-                        errorMessage = 'Video buffer is full. Attempting to recover...';
-                        canRecover = true;
-                        recoveryAction = () => hlsPlayer && hlsPlayer.recoverMediaError();
-                        break;
-                    default:
-                        errorMessage = 'Media error: There was a problem with the video format or codec.';
-                        canRecover = true;
-                        recoveryAction = () => hlsPlayer && hlsPlayer.recoverMediaError();
-                }
-                break;
+        case Hls.ErrorTypes.OTHER_ERROR:
+            return 'Unknown error occurred during playback. Please try refreshing the page.';
 
-            case Hls.ErrorTypes.MUX_ERROR:
-                errorMessage = 'Stream format error: The video stream format is not supported or corrupted.';
-                break;
+        default:
+            return 'Unexpected error occurred during stream playback.';
+    }
+}
 
-            case Hls.ErrorTypes.OTHER_ERROR:
-                errorMessage = 'Unknown error occurred during playback. Please try refreshing the page.';
-                break;
+/**
+ * Handle HLS.js errors; recovery is decided by the RecoveryPolicy
+ */
+function handleHLSError(event, data) {
+    try {
+        console.error('HLS Error:', data);
 
-            default:
-                errorMessage = 'Unexpected error occurred during stream playback.';
-        }
+        const errorMessage = getHLSErrorMessage(data);
 
         // Update error statistics if analytics is available
         if (streamAnalytics && streamAnalytics.metrics) {
@@ -2481,28 +3629,21 @@ function handleHLSError(event, data) {
             }
         }
 
-        if (data.fatal) {
-            // Fatal error - show error and reset
+        const attempt = recoveryPolicy ? recoveryPolicy.handleError(data) : null;
+
+        if (data.fatal && (!attempt || attempt.action === 'give_up')) {
+            // Recovery exhausted - show error and reset
             showError(errorMessage);
             showLoading(false);
             updateConnectionStatus('error');
             resetStreamState();
             showGlobalError('Stream playback failed. Please try a different stream or refresh the page.');
+        } else if (attempt) {
+            showGlobalMessage(`${errorMessage} ${recoveryPolicy.describeAttempt(attempt)}...`, 'warning', 3000);
         } else {
-            // Non-fatal error - try to recover
+            // Non-fatal error - hls.js retries on its own
             console.warn('Non-fatal HLS error:', errorMessage);
-
-            if (canRecover && recoveryAction) {
-                try {
-                    showGlobalMessage('Attempting to recover from playback error...', 'warning', 3000);
-                    recoveryAction();
-                } catch (recoveryError) {
-                    console.error('Recovery attempt failed:', recoveryError);
-                    showError('Failed to recover from playback error: ' + errorMessage);
-                }
-            } else {
-                showGlobalMessage(errorMessage, 'warning', 5000);
-            }
+            showGlobalMessage(errorMessage, 'warning', 5000);
         }
 
     } catch (error) {
@@ -2761,6 +3902,31 @@ function disableStreamInput() {
  */
 function resetStreamState() {
     try {
+        if (sessionRecorder) {
+            sessionRecorder.stop();
+        }
+        if (beaconReporter) {
+            beaconReporter.endSession('stream_reset');
+        }
+        if (otelTraceExporter) {
+            otelTraceExporter.endSession();
+        }
+        if (recoveryPolicy) {
+            recoveryPolicy.setHLSInstance(null);
+        }
+        if (abrController) {
+            abrController.setHLSInstance(null);
+        }
+        if (ladderSweepTest) {
+            ladderSweepTest.setHLSInstance(null);
+        }
+        if (bitrateTimelineView) {
+            bitrateTimelineView.stop();
+        }
+        if (qoeMonitor) {
+            qoeMonitor.setHLSInstance(null);
+        }
+
         if (hlsPlayer) {
             try {
                 hlsPlayer.destroy();
@@ -2769,6 +3935,7 @@ function resetStreamState() {
             }
         }
         setAppState('hlsPlayer', null);
+        refreshTrackMenu();
 
         if (streamAnalytics) {
             try {
@@ -2788,6 +3955,19 @@ function resetStreamState() {
             performanceTracker.resetRebufferMetrics();
             performanceTracker.resetFrameMetrics();
             performanceTracker.resetBitrateAndBufferMetrics();
+            performanceTracker.resetPlaylistMetrics();
+        }
+
+        if (playlistInspector) {
+            playlistInspector.reset();
+        }
+
+        if (liveLatencyMonitor) {
+            liveLatencyMonitor.reset();
+        }
+
+        if (llhlsTracker) {
+            llhlsTracker.reset();
         }
 
         if (videoElement) {
@@ -3400,6 +4580,127 @@ function stopLiveStatusMonitoring() {
     }
 }
 
+/**
+ * Menu label for an hls.js level: resolution, bitrate and codecs
+ */
+function describeLevel(level, index) {
+    const resolution = level.height ? `${level.height}p` : `Level ${index + 1}`;
+    const codecs = [level.videoCodec, level.audioCodec].filter(Boolean).join(', ') || (level.attrs && level.attrs.CODECS) || '';
+    return [resolution, `${Math.round((level.bitrate || 0) / 1000)} kbps`, codecs].filter(Boolean).join(' · ');
+}
+
+/**
+ * Menu label for an hls.js audio or subtitle track
+ */
+function describeTrack(track, index) {
+    const name = track.name || `Track ${index + 1}`;
+    return track.lang && track.lang !== name ? `${name} (${track.lang})` : name;
+}
+
+/**
+ * Levels and tracks of the current stream for the player quality / audio / subtitle menu
+ */
+function getTrackMenuState() {
+    if (!hlsPlayer || !hlsPlayer.levels || hlsPlayer.levels.length === 0) return null;
+
+    const playingLevel = hlsPlayer.levels[hlsPlayer.currentLevel];
+    return {
+        levels: hlsPlayer.levels.map((level, index) => ({ index, label: describeLevel(level, index) })),
+        level: hlsPlayer.autoLevelEnabled ? -1 : hlsPlayer.manualLevel,
+        autoLabel: playingLevel && playingLevel.height ? `Auto (${playingLevel.height}p)` : 'Auto',
+        audioTracks: (hlsPlayer.audioTracks || []).map((track, index) => ({ id: index, label: describeTrack(track, index) })),
+        audioTrack: hlsPlayer.audioTrack,
+        subtitleTracks: (hlsPlayer.subtitleTracks || []).map((track, index) => ({ id: index, label: describeTrack(track, index) })),
+        subtitleTrack: hlsPlayer.subtitleTrack
+    };
+}
+
+function refreshTrackMenu() {
+    if (uiManager) {
+        uiManager.updateTrackMenu(getTrackMenuState());
+    }
+}
+
+/**
+ * Record the current selection in StreamAnalytics and MetricsDataManager, so runs with a
+ * forced rendition are labelled as such in exports
+ */
+function recordTrackSelection() {
+    if (!hlsPlayer) return;
+
+    const manual = !hlsPlayer.autoLevelEnabled;
+    const levelIndex = manual ? hlsPlayer.manualLevel : null;
+    const audioTrack = (hlsPlayer.audioTracks || [])[hlsPlayer.audioTrack];
+    const subtitleTrack = (hlsPlayer.subtitleTracks || [])[hlsPlayer.subtitleTrack];
+    const selection = {
+        level_mode: manual ? 'manual' : 'auto',
+        level: levelIndex,
+        level_label: manual && hlsPlayer.levels[levelIndex] ? describeLevel(hlsPlayer.levels[levelIndex], levelIndex) : null,
+        audio_track: audioTrack ? describeTrack(audioTrack, hlsPlayer.audioTrack) : null,
+        subtitle_track: subtitleTrack ? describeTrack(subtitleTrack, hlsPlayer.subtitleTrack) : null
+    };
+
+    if (streamAnalytics) {
+        streamAnalytics.setTrackSelection(selection);
+    }
+    if (metricsDataManager) {
+        metricsDataManager.setTrackSelection(selection);
+    }
+    refreshTrackMenu();
+}
+
+/**
+ * Force a rendition from the player quality menu
+ * @param {number} level - Index in hlsPlayer.levels, -1 for Auto
+ */
+function selectRendition(level) {
+    try {
+        if (!hlsPlayer || !(level < hlsPlayer.levels.length)) return;
+
+        hlsPlayer.currentLevel = level;
+        recordTrackSelection();
+        if (uiManager) {
+            uiManager.announceToScreenReader(level >= 0
+                ? `Quality locked to ${describeLevel(hlsPlayer.levels[level], level)}`
+                : 'Quality set to Auto');
+        }
+    } catch (error) {
+        console.error('Error selecting rendition:', error);
+        showGlobalError('Failed to change quality: ' + error.message);
+    }
+}
+
+/**
+ * @param {number} index - Index in hlsPlayer.audioTracks
+ */
+function selectAudioTrack(index) {
+    try {
+        if (!hlsPlayer || !hlsPlayer.audioTracks[index]) return;
+
+        hlsPlayer.audioTrack = index;
+        recordTrackSelection();
+    } catch (error) {
+        console.error('Error selecting audio track:', error);
+        showGlobalError('Failed to change audio track: ' + error.message);
+    }
+}
+
+/**
+ * @param {number} index - Index in hlsPlayer.subtitleTracks, -1 to turn subtitles off
+ */
+function selectSubtitleTrack(index) {
+    try {
+        if (!hlsPlayer) return;
+
+        hlsPlayer.subtitleTrack = index;
+        hlsPlayer.subtitleDisplay = index >= 0;
+        recordTrackSelection();
+    } catch (error) {
+        console.error('Error selecting subtitle track:', error);
+        showGlobalError('Failed to change subtitles: ' + error.message);
+    }
+}
+
 /**
  * Reset live stream state
  */
@@ -3452,6 +4753,9 @@ class StreamAnalytics {
                 availableLevels: [],
                 currentLevel: -1,
                 autoLevelEnabled: true,
+                manualLevel: null,
+                audioTrack: null,
+                subtitleTrack: null,
                 levelSwitches: 0
             }
         };
@@ -3642,6 +4946,16 @@ class StreamAnalytics {
         this.updateUI();
     }
 
+    /**
+     * Record the rendition / audio / subtitle selection made in the player controls
+     */
+    setTrackSelection(selection) {
+        this.metrics.quality.autoLevelEnabled = selection.level_mode !== 'manual';
+        this.metrics.quality.manualLevel = selection.level_mode === 'manual' ? selection.level : null;
+        this.metrics.quality.audioTrack = selection.audio_track;
+        this.metrics.quality.subtitleTrack = selection.subtitle_track;
+    }
+
     /**
      * Handle fragment loaded event
      */
@@ -3943,6 +5257,9 @@ class StreamAnalytics {
                 availableLevels: [],
                 currentLevel: -1,
                 autoLevelEnabled: true,
+                manualLevel: null,
+                audioTrack: null,
+                subtitleTrack: null,
                 levelSwitches: 0
             }
         };
@@ -5729,6 +7046,110 @@ class ChartManager {
         });
     }
 
+    /**
+     * Create (or replace) a chart overlaying the same metric from several sessions
+     * @param {string} canvasId - Canvas element ID
+     * @param {string} yLabel - Y axis title, including the unit
+     * @param {Array} series - [{ label, points: [{ x: elapsedSeconds, y }] }]
+     */
+    createComparisonChart(canvasId, yLabel, series) {
+        if (typeof Chart === 'undefined') {
+            console.warn('Chart.js is not loaded. Comparison chart will not be available.');
+            return;
+        }
+
+        const canvas = document.getElementById(canvasId);
+        if (!canvas) {
+            console.warn(`Comparison chart canvas ${canvasId} not found`);
+            return;
+        }
+
+        if (this.charts[canvasId]) {
+            this.charts[canvasId].destroy();
+        }
+
+        const colors = ['37, 99, 235', '245, 158, 11', '16, 185, 129', '239, 68, 68'];
+
+        this.charts[canvasId] = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: series.map((s, index) => ({
+                    label: s.label,
+                    data: s.points,
+                    borderColor: `rgb(${colors[index % colors.length]})`,
+                    backgroundColor: `rgba(${colors[index % colors.length]}, 0.1)`,
+                    borderWidth: 2,
+                    fill: false,
+                    tension: 0.4,
+                    pointRadius: 2,
+                    pointHoverRadius: 4
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'nearest'
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            color: '#f8fafc',
+                            font: {
+                                size: 12,
+                                weight: '500'
+                            },
+                            usePointStyle: true,
+                            pointStyle: 'circle'
+                        }
+                    },
+                    tooltip: {
+                        backgroundColor: 'rgba(15, 23, 42, 0.9)',
+                        titleColor: '#f8fafc',
+                        bodyColor: '#cbd5e1',
+                        borderColor: '#334155',
+                        borderWidth: 1,
+                        cornerRadius: 8
+                    }
+                },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        title: {
+                            display: true,
+                            text: 'Session Time (s)',
+                            color: '#94a3b8'
+                        },
+                        ticks: {
+                            color: '#64748b'
+                        },
+                        grid: {
+                            color: 'rgba(51, 65, 85, 0.3)'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: yLabel,
+                            color: '#94a3b8'
+                        },
+                        ticks: {
+                            color: '#64748b'
+                        },
+                        grid: {
+                            color: 'rgba(51, 65, 85, 0.3)'
+                        },
+                        beginAtZero: true
+                    }
+                }
+            }
+        });
+    }
+
     /**
      * Update network chart with new data
      */
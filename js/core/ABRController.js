@@ -0,0 +1,628 @@
+import HtmlEscaper from './HtmlEscaper.js';
+
+/**
+ * ABRController - Pluggable rendition selection. createAbrController() extends the hls.js AbrController
+ * so nextAutoLevel comes from the selected algorithm: the hls.js default, throughput-based, buffer-based
+ * (BOLA) or a hybrid of the two. Every decision is logged with its inputs (bandwidth estimate, buffer
+ * level, current level), the chosen level and the reason, and each LEVEL_SWITCHED is linked to the
+ * decision that caused it.
+ */
+export default class ABRController {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+
+        this.config = {
+            algorithm: 'default',
+            safety_factor: 0.85, // share of the bandwidth estimate the throughput rule may spend
+            bola_min_buffer_s: 10,
+            bola_buffer_per_level_s: 2,
+            hybrid_bola_enter_s: 10, // hybrid switches to BOLA above this buffer level...
+            hybrid_bola_exit_s: 6, // ...and back to throughput below this one
+            max_decisions: 500
+        };
+
+        this.algorithms = new Map();
+        this.registerAlgorithm('default', 'hls.js default', inputs => ({
+            level: inputs.default_level,
+            reason: 'hls.js EWMA bandwidth and buffer rules'
+        }));
+        this.registerAlgorithm('throughput', 'Throughput', inputs => this.chooseThroughput(inputs));
+        this.registerAlgorithm('buffer', 'Buffer (BOLA)', inputs => this.chooseBuffer(inputs));
+        this.registerAlgorithm('hybrid', 'Hybrid', inputs => this.chooseHybrid(inputs));
+
+        if (options.config) {
+            this.configure(options.config);
+        }
+
+        this.hlsInstance = null;
+        this.hlsHandlers = null;
+        this.decisions = [];
+        this.switches = [];
+        this.evaluations = 0;
+        this.lastInputs = null;
+        this.hybridMode = 'throughput';
+        this.nextDecisionId = 1;
+        this.renderTimeout = null;
+
+        console.log('ABRController initialized');
+    }
+
+    /**
+     * Attach to a new HLS instance (new stream = new decision log)
+     */
+    setHLSInstance(hlsInstance) {
+        try {
+            this.removeHLSListeners();
+            this.hlsInstance = hlsInstance;
+            this.decisions = [];
+            this.switches = [];
+            this.evaluations = 0;
+            this.lastInputs = null;
+            this.hybridMode = 'throughput';
+            this.updateAbrDisplay();
+            if (!hlsInstance || typeof hlsInstance.on !== 'function' || !window.Hls) return;
+
+            this.hlsHandlers = {
+                levelSwitched: (event, data) => this.recordSwitch(data.level)
+            };
+            hlsInstance.on(Hls.Events.LEVEL_SWITCHED, this.hlsHandlers.levelSwitched);
+        } catch (error) {
+            console.error('Error setting HLS instance for ABR controller:', error);
+        }
+    }
+
+    /**
+     * Update the configuration
+     * @param {Object} config - Any of the config keys; algorithm must be registered
+     */
+    configure(config = {}) {
+        if (config.algorithm !== undefined && !this.algorithms.has(config.algorithm)) {
+            throw new Error(`Unknown ABR algorithm: ${config.algorithm}`);
+        }
+        if (config.safety_factor !== undefined) {
+            const factor = Number(config.safety_factor);
+            if (!(factor > 0 && factor <= 1)) {
+                throw new Error('Safety factor must be between 0 and 1');
+            }
+            config = { ...config, safety_factor: factor };
+        }
+
+        const algorithmChanged = config.algorithm !== undefined && config.algorithm !== this.config.algorithm;
+        Object.assign(this.config, config);
+        if (algorithmChanged) {
+            this.hybridMode = 'throughput';
+            console.log(`ABR algorithm: ${this.config.algorithm}`);
+        }
+        this.updateAbrDisplay();
+    }
+
+    /**
+     * Add a selectable algorithm
+     * @param {string} id - Algorithm id, used in config.algorithm
+     * @param {string} label - Name shown in the panel
+     * @param {Function} choose - (inputs, controller) => { level, reason }; inputs.levels lists the
+     *   renditions the algorithm may pick from, sorted by bitrate
+     */
+    registerAlgorithm(id, label, choose) {
+        if (typeof choose !== 'function') {
+            throw new Error('ABR algorithm needs a choose function');
+        }
+        this.algorithms.set(id, { id, label, choose });
+        this.renderAlgorithmOptions();
+    }
+
+    /**
+     * hls.js abrController class that delegates nextAutoLevel to the selected algorithm
+     * @param {Function} BaseAbrController - Usually Hls.DefaultConfig.abrController
+     */
+    createAbrController(BaseAbrController) {
+        const controller = this;
+
+        return class PluggableAbrController extends BaseAbrController {
+            get nextAutoLevel() {
+                const defaultLevel = super.nextAutoLevel;
+                return controller.decide(this.hls, defaultLevel);
+            }
+
+            set nextAutoLevel(level) {
+                super.nextAutoLevel = level;
+            }
+        };
+    }
+
+    /**
+     * Pick the next level and log the decision
+     * @param {Object} hls - hls.js instance asking for a level
+     * @param {number} defaultLevel - Level the hls.js default rules would pick
+     */
+    decide(hls, defaultLevel) {
+        try {
+            const inputs = this.getInputs(hls, defaultLevel);
+            if (!inputs) return defaultLevel;
+
+            const algorithm = this.algorithms.get(this.config.algorithm) || this.algorithms.get('default');
+            let result;
+            try {
+                result = algorithm.choose(inputs, this);
+            } catch (error) {
+                console.error(`Error running ABR algorithm ${algorithm.id}:`, error);
+            }
+
+            let level = result && typeof result === 'object' ? result.level : result;
+            let reason = result && result.reason ? result.reason : '';
+            if (!inputs.levels.some(item => item.index === level)) {
+                level = defaultLevel;
+                reason = `${algorithm.label} gave no usable level, hls.js default used`;
+            }
+
+            this.evaluations++;
+            this.lastInputs = inputs;
+            this.recordDecision(algorithm.id, inputs, level, reason);
+            return level;
+        } catch (error) {
+            console.error('Error deciding ABR level:', error);
+            return defaultLevel;
+        }
+    }
+
+    /**
+     * Decision inputs from the hls.js instance
+     * @returns {Object|null} null before the levels are known
+     */
+    getInputs(hls, defaultLevel) {
+        const levels = hls && hls.levels ? hls.levels : [];
+        if (levels.length === 0) return null;
+
+        const lastIndex = levels.length - 1;
+        const minLevel = Math.max(0, hls.minAutoLevel || 0);
+        const maxLevel = hls.maxAutoLevel >= 0 ? Math.min(hls.maxAutoLevel, lastIndex) : lastIndex;
+        const eligible = levels
+            .map((level, index) => ({ index, bitrate: level.bitrate || level.maxBitrate || 0, height: level.height || 0 }))
+            .filter(level => level.index >= minLevel && level.index <= maxLevel)
+            .sort((a, b) => a.bitrate - b.bitrate);
+        if (eligible.length === 0) return null;
+
+        const estimate = hls.bandwidthEstimate;
+        const config = hls.config || {};
+
+        return {
+            bandwidth_bps: estimate > 0 ? estimate : (config.abrEwmaDefaultEstimate || 0),
+            buffer_s: this.getBufferLevel(hls.media),
+            buffer_target_s: config.maxBufferLength || 30,
+            current_level: hls.loadLevel,
+            default_level: defaultLevel,
+            levels: eligible
+        };
+    }
+
+    /**
+     * Seconds buffered ahead of the playhead
+     */
+    getBufferLevel(media) {
+        if (!media || !media.buffered) return 0;
+
+        const position = media.currentTime;
+        for (let i = 0; i < media.buffered.length; i++) {
+            if (position >= media.buffered.start(i) - 0.1 && position <= media.buffered.end(i)) {
+                return Math.max(0, media.buffered.end(i) - position);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Highest rendition that fits in the discounted bandwidth estimate
+     */
+    chooseThroughput(inputs) {
+        const budget = inputs.bandwidth_bps * this.config.safety_factor;
+        const fitting = inputs.levels.filter(level => level.bitrate <= budget);
+        const chosen = fitting.length ? fitting[fitting.length - 1] : inputs.levels[0];
+        const estimate = `${this.formatBitrate(inputs.bandwidth_bps)} × ${this.config.safety_factor}`;
+
+        return {
+            level: chosen.index,
+            reason: fitting.length
+                ? `${estimate} = ${this.formatBitrate(budget)} fits ${this.formatBitrate(chosen.bitrate)}`
+                : `${estimate} = ${this.formatBitrate(budget)} fits no rendition, lowest used`
+        };
+    }
+
+    /**
+     * BOLA: maximise (V·(utility + γp) − buffer) / bitrate, with log utilities and the dash.js
+     * parameter choice (γp and V from the minimum buffer and the buffer target)
+     */
+    chooseBuffer(inputs) {
+        const levels = inputs.levels;
+        if (levels.length === 1) {
+            return { level: levels[0].index, reason: 'BOLA: single rendition' };
+        }
+
+        const minBuffer = this.config.bola_min_buffer_s;
+        const bufferTarget = Math.max(inputs.buffer_target_s, minBuffer + this.config.bola_buffer_per_level_s * levels.length);
+        const lowest = Math.max(1, levels[0].bitrate);
+        const utilities = levels.map(level => Math.log(Math.max(1, level.bitrate) / lowest) + 1);
+        const gp = (utilities[utilities.length - 1] - 1) / (bufferTarget / minBuffer - 1);
+        const vp = minBuffer / gp;
+
+        let best = 0;
+        let bestScore = -Infinity;
+        levels.forEach((level, i) => {
+            const score = (vp * (utilities[i] + gp) - inputs.buffer_s) / Math.max(1, level.bitrate);
+            if (score >= bestScore) {
+                best = i;
+                bestScore = score;
+            }
+        });
+
+        return {
+            level: levels[best].index,
+            reason: `BOLA: buffer ${inputs.buffer_s.toFixed(1)} s of ${bufferTarget} s target scores ${this.formatBitrate(levels[best].bitrate)} highest`
+        };
+    }
+
+    /**
+     * Throughput rule while the buffer is low, BOLA once it is healthy (with hysteresis so the
+     * mode does not flap around one buffer level)
+     */
+    chooseHybrid(inputs) {
+        if (this.hybridMode === 'throughput' && inputs.buffer_s >= this.config.hybrid_bola_enter_s) {
+            this.hybridMode = 'bola';
+        } else if (this.hybridMode === 'bola' && inputs.buffer_s < this.config.hybrid_bola_exit_s) {
+            this.hybridMode = 'throughput';
+        }
+
+        const result = this.hybridMode === 'bola' ? this.chooseBuffer(inputs) : this.chooseThroughput(inputs);
+        return {
+            level: result.level,
+            reason: this.hybridMode === 'bola'
+                ? `Hybrid (buffer healthy) → ${result.reason}`
+                : `Hybrid (buffer low) → throughput: ${result.reason}`
+        };
+    }
+
+    /**
+     * Log a decision. hls.js asks for a level on almost every tick, so evaluations that keep the
+     * algorithm and chosen level update the last entry (latest inputs and reason) instead of adding one.
+     */
+    recordDecision(algorithm, inputs, level, reason) {
+        const last = this.decisions[this.decisions.length - 1];
+        if (last && last.algorithm === algorithm && last.chosen_level === level) {
+            Object.assign(last, {
+                updated_at: Date.now(),
+                evaluations: last.evaluations + 1,
+                bandwidth_bps: Math.round(inputs.bandwidth_bps),
+                buffer_s: Number(inputs.buffer_s.toFixed(2)),
+                current_level: inputs.current_level,
+                default_level: inputs.default_level,
+                reason
+            });
+            this.scheduleRender();
+            return last;
+        }
+
+        const chosen = inputs.levels.find(item => item.index === level);
+        const now = Date.now();
+        const decision = {
+            id: this.nextDecisionId++,
+            timestamp: now,
+            updated_at: now,
+            evaluations: 1,
+            algorithm,
+            bandwidth_bps: Math.round(inputs.bandwidth_bps),
+            buffer_s: Number(inputs.buffer_s.toFixed(2)),
+            current_level: inputs.current_level,
+            chosen_level: level,
+            chosen_bitrate: chosen ? chosen.bitrate : 0,
+            default_level: inputs.default_level,
+            reason
+        };
+
+        this.decisions.push(decision);
+        if (this.decisions.length > this.config.max_decisions) {
+            this.decisions.shift();
+        }
+
+        console.log(`ABR ${algorithm}: level ${inputs.current_level} → ${level} (${reason})`);
+        this.scheduleRender();
+        return decision;
+    }
+
+    /**
+     * Redraw the panel at most twice a second while decisions are coming in
+     */
+    scheduleRender() {
+        if (this.renderTimeout) return;
+
+        this.renderTimeout = setTimeout(() => {
+            this.renderTimeout = null;
+            this.updateAbrDisplay();
+        }, 500);
+    }
+
+    /**
+     * Latest decision that chose this level, or null
+     */
+    findDecisionForLevel(level) {
+        return [...this.decisions].reverse().find(item => item.chosen_level === level) || null;
+    }
+
+    /**
+     * Reason behind a switch to this level, for timelines kept outside the controller
+     */
+    getSwitchReason(level) {
+        if (this.hlsInstance && !this.hlsInstance.autoLevelEnabled) return 'Manual selection';
+        const decision = this.findDecisionForLevel(level);
+        return decision ? `${decision.algorithm}: ${decision.reason}` : 'No ABR decision (manual selection or capping)';
+    }
+
+    /**
+     * Link a LEVEL_SWITCHED to the latest decision for that level
+     */
+    recordSwitch(level) {
+        const previous = this.switches.length ? this.switches[this.switches.length - 1].to_level : null;
+        const decision = this.findDecisionForLevel(level);
+
+        this.switches.push({
+            timestamp: Date.now(),
+            from_level: previous,
+            to_level: level,
+            decision_id: decision ? decision.id : null,
+            algorithm: decision ? decision.algorithm : null,
+            reason: decision ? decision.reason : 'No ABR decision (manual selection or capping)'
+        });
+        if (this.switches.length > this.config.max_decisions) {
+            this.switches.shift();
+        }
+        this.updateAbrDisplay();
+    }
+
+    getDecisions() {
+        return this.decisions.map(decision => ({ ...decision }));
+    }
+
+    getSwitches() {
+        return this.switches.map(item => ({ ...item }));
+    }
+
+    getStatus() {
+        const upSwitches = this.switches.filter(item => item.from_level !== null && item.to_level > item.from_level).length;
+        const downSwitches = this.switches.filter(item => item.from_level !== null && item.to_level < item.from_level).length;
+
+        return {
+            algorithm: this.config.algorithm,
+            config: { ...this.config },
+            algorithms: Array.from(this.algorithms.values()).map(({ id, label }) => ({ id, label })),
+            hybrid_mode: this.config.algorithm === 'hybrid' ? this.hybridMode : null,
+            evaluations: this.evaluations,
+            decision_count: this.decisions.length,
+            switch_count: this.switches.length,
+            up_switches: upSwitches,
+            down_switches: downSwitches,
+            last_decision: this.decisions.length ? { ...this.decisions[this.decisions.length - 1] } : null
+        };
+    }
+
+    /**
+     * Decision log and switches as a JSON string
+     */
+    exportDecisions() {
+        return JSON.stringify({
+            exported_at: new Date().toISOString(),
+            status: this.getStatus(),
+            decisions: this.getDecisions(),
+            switches: this.getSwitches()
+        }, null, 2);
+    }
+
+    /**
+     * Download the decision log as a JSON file
+     */
+    downloadDecisions() {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const blob = new Blob([this.exportDecisions()], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `abr-decisions-${timestamp}.json`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+        } catch (error) {
+            console.error('Error downloading ABR decisions:', error);
+        }
+    }
+
+    formatBitrate(bps) {
+        return bps >= 1000000 ? `${(bps / 1000000).toFixed(2)} Mbps` : `${Math.round(bps / 1000)} kbps`;
+    }
+
+    formatLevel(level) {
+        if (!(level >= 0)) return '-';
+        const hls = this.hlsInstance;
+        const info = hls && hls.levels ? hls.levels[level] : null;
+        return info && info.height ? `${info.height}p` : `level ${level}`;
+    }
+
+    renderAlgorithmOptions() {
+        const select = typeof document !== 'undefined' ? document.getElementById('abrAlgorithmSelect') : null;
+        if (!select) return;
+
+        select.innerHTML = Array.from(this.algorithms.values())
+            .map(({ id, label }) => `<option value="${HtmlEscaper.escape(id)}">${HtmlEscaper.escape(label)}</option>`)
+            .join('');
+        select.value = this.config.algorithm;
+    }
+
+    /**
+     * Update the ABR panel values and decision list
+     */
+    updateAbrDisplay() {
+        try {
+            const list = document.getElementById('abrDecisionList');
+            if (!list) return;
+
+            const status = this.getStatus();
+            const inputs = this.lastInputs;
+            const last = status.last_decision;
+
+            document.getElementById('abrModeValue').textContent = status.hybrid_mode
+                ? `Hybrid (${status.hybrid_mode === 'bola' ? 'BOLA' : 'throughput'})`
+                : (this.algorithms.get(status.algorithm) || {}).label || status.algorithm;
+            document.getElementById('abrBandwidthValue').textContent = inputs ? this.formatBitrate(inputs.bandwidth_bps) : '-';
+            document.getElementById('abrBufferValue').textContent = inputs ? `${inputs.buffer_s.toFixed(1)} s` : '-';
+            document.getElementById('abrChosenValue').textContent = last
+                ? `${this.formatLevel(last.chosen_level)} (${this.formatBitrate(last.chosen_bitrate)})`
+                : '-';
+            document.getElementById('abrSwitchCountValue').textContent =
+                `${status.switch_count} (↑${status.up_switches} ↓${status.down_switches})`;
+
+            if (this.decisions.length === 0) {
+                list.innerHTML = '<li class="abr-log__empty">No ABR decisions yet</li>';
+                return;
+            }
+
+            list.innerHTML = this.decisions.slice(-20).reverse().map(decision => {
+                const direction = decision.chosen_level > decision.current_level ? 'up'
+                    : (decision.chosen_level < decision.current_level ? 'down' : '');
+                const modifier = direction ? ` abr-log__item--${direction}` : '';
+                const time = new Date(decision.timestamp).toLocaleTimeString();
+
+                return `
+                    <li class="abr-log__item${modifier}">
+                        <span class="abr-log__level">${time} · ${HtmlEscaper.escape(decision.algorithm)} · ${this.formatLevel(decision.current_level)} → ${this.formatLevel(decision.chosen_level)}</span>
+                        <span>${this.formatBitrate(decision.bandwidth_bps)} · buffer ${decision.buffer_s.toFixed(1)} s · ${HtmlEscaper.escape(decision.reason)}</span>
+                    </li>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error updating ABR display:', error);
+        }
+    }
+
+    /**
+     * Create the ABR panel in the dashboard
+     * @param {Function} onError - Called with a message when the configuration is rejected
+     */
+    createAbrPanel(onError) {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid || !this.memoryManager) {
+                console.warn('Dashboard grid not found, cannot create ABR panel');
+                return;
+            }
+
+            if (document.getElementById('abrControllerPanel')) return;
+
+            const abrPanel = document.createElement('article');
+            abrPanel.className = 'card';
+            abrPanel.id = 'abrControllerPanel';
+
+            abrPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-sliders-h"></i>
+                        Adaptive Bitrate
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="abrAlgorithmSelect">Algorithm</label>
+                            <select id="abrAlgorithmSelect" class="input-group__input"></select>
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="abrSafetyInput">Throughput safety factor</label>
+                            <input type="number" id="abrSafetyInput" class="input-group__input" min="0.1" max="1" step="0.05">
+                        </div>
+                    </div>
+                    <div class="export-controls x-export">
+                        <div class="x-export__grid">
+                            <button id="abrExportBtn" class="export-btn export-btn--primary">Export Decisions</button>
+                        </div>
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Mode:</span>
+                            <span class="info-item__value" id="abrModeValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Bandwidth Estimate:</span>
+                            <span class="info-item__value" id="abrBandwidthValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Buffer:</span>
+                            <span class="info-item__value" id="abrBufferValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Chosen Level:</span>
+                            <span class="info-item__value" id="abrChosenValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Switches:</span>
+                            <span class="info-item__value" id="abrSwitchCountValue">0</span>
+                        </div>
+                    </div>
+                    <ul id="abrDecisionList" class="abr-log"></ul>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(abrPanel);
+
+            const algorithmSelect = abrPanel.querySelector('#abrAlgorithmSelect');
+            const safetyInput = abrPanel.querySelector('#abrSafetyInput');
+            this.renderAlgorithmOptions();
+            safetyInput.value = this.config.safety_factor;
+
+            this.memoryManager.addEventListener(algorithmSelect, 'change', () => {
+                try {
+                    this.configure({ algorithm: algorithmSelect.value });
+                } catch (error) {
+                    algorithmSelect.value = this.config.algorithm;
+                    if (onError) onError(error.message);
+                }
+            });
+            this.memoryManager.addEventListener(safetyInput, 'change', () => {
+                try {
+                    this.configure({ safety_factor: safetyInput.value });
+                } catch (error) {
+                    safetyInput.value = this.config.safety_factor;
+                    if (onError) onError(error.message);
+                }
+            });
+            this.memoryManager.addEventListener(abrPanel.querySelector('#abrExportBtn'), 'click', () => {
+                this.downloadDecisions();
+            });
+
+            this.updateAbrDisplay();
+            console.log('ABR panel created');
+        } catch (error) {
+            console.error('Error creating ABR panel:', error);
+        }
+    }
+
+    /**
+     * Remove HLS event listeners
+     */
+    removeHLSListeners() {
+        if (this.hlsInstance && this.hlsHandlers && typeof this.hlsInstance.off === 'function' && window.Hls) {
+            this.hlsInstance.off(Hls.Events.LEVEL_SWITCHED, this.hlsHandlers.levelSwitched);
+        }
+        this.hlsHandlers = null;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.setHLSInstance(null);
+        if (this.renderTimeout) {
+            clearTimeout(this.renderTimeout);
+            this.renderTimeout = null;
+        }
+        console.log('ABRController cleanup completed');
+    }
+}
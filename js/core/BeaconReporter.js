@@ -0,0 +1,430 @@
+/**
+ * BeaconReporter - Automatic reporting to a collector endpoint: periodic heartbeats carrying
+ * metric deltas since the previous beacon, plus event beacons (startup, rebuffer start/end,
+ * bitrate switch, fatal error, session end). Every beacon is a getServerReadyData() payload
+ * with an extra `beacon` object, so existing ingest keeps working.
+ */
+export default class BeaconReporter {
+    constructor(metricsDataManager, options = {}) {
+        this.metricsDataManager = metricsDataManager;
+        this.onStatusChange = options.onStatusChange || null;
+
+        this.config = {
+            heartbeat_interval_ms: 30000,
+            min_interval_ms: 5000
+        };
+
+        // Counters reported as deltas in heartbeats (server-ready metric keys)
+        this.deltaKeys = [
+            'rebuffer_count',
+            'rebuffer_duration',
+            'error_count',
+            'total_requests',
+            'dropped_frames',
+            'total_frames',
+            'total_segment_loaded',
+            'total_data_loaded',
+            'playlist_reload_count',
+            'stale_playlist_count',
+            'skipped_sequence_count',
+            'latency_alert_count'
+        ];
+
+        this.endpoint = null;
+        this.isRunning = false;
+        this.heartbeatInterval = null;
+        this.hlsInstance = null;
+        this.videoElement = null;
+        this.hlsHandlers = null;
+        this.videoHandlers = null;
+        this.pagehideHandler = null;
+
+        this.resetSessionState();
+        this.stats = {
+            sent_count: 0,
+            failed_count: 0,
+            queued_count: 0,
+            last_beacon_type: null,
+            last_beacon_time: null
+        };
+
+        console.log('BeaconReporter initialized');
+    }
+
+    /**
+     * Per-session state (sequence numbers, delta baseline, playback state)
+     */
+    resetSessionState() {
+        this.sessionId = null;
+        this.sequence = 0;
+        this.lastCounters = {};
+        this.lastBeaconTime = null;
+        this.hasStarted = false;
+        this.rebufferStartTime = null;
+        this.currentLevel = -1;
+        this.sessionEnded = false;
+    }
+
+    /**
+     * Start beacon mode
+     * @param {string} endpoint - Collector endpoint URL
+     * @param {Object} options - { heartbeat_interval_ms }
+     */
+    start(endpoint, options = {}) {
+        try {
+            if (!endpoint) {
+                throw new Error('Collector endpoint is required');
+            }
+
+            this.stop(false);
+
+            this.endpoint = endpoint;
+            this.sessionEnded = false;
+            if (options.heartbeat_interval_ms) {
+                this.config.heartbeat_interval_ms = Math.max(this.config.min_interval_ms, options.heartbeat_interval_ms);
+            }
+
+            this.heartbeatInterval = setInterval(() => {
+                this.sendHeartbeat();
+            }, this.config.heartbeat_interval_ms);
+
+            if (!this.pagehideHandler && typeof window !== 'undefined') {
+                this.pagehideHandler = () => this.endSession('pagehide');
+                window.addEventListener('pagehide', this.pagehideHandler);
+            }
+
+            this.isRunning = true;
+            this.notifyStatus();
+            console.log(`Beacon mode started (${this.config.heartbeat_interval_ms}ms heartbeat) -> ${endpoint}`);
+        } catch (error) {
+            console.error('Error starting beacon mode:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop beacon mode
+     * @param {boolean} sendSessionEnd - Send a session_end beacon for the current session first
+     */
+    stop(sendSessionEnd = true) {
+        try {
+            if (sendSessionEnd && this.isRunning) {
+                this.endSession('stopped');
+            }
+
+            if (this.heartbeatInterval) {
+                clearInterval(this.heartbeatInterval);
+                this.heartbeatInterval = null;
+            }
+
+            if (this.pagehideHandler) {
+                window.removeEventListener('pagehide', this.pagehideHandler);
+                this.pagehideHandler = null;
+            }
+
+            this.isRunning = false;
+            this.notifyStatus();
+        } catch (error) {
+            console.error('Error stopping beacon mode:', error);
+        }
+    }
+
+    /**
+     * Attach to a new HLS instance (a new stream = a new beacon session)
+     */
+    setHLSInstance(hlsInstance) {
+        try {
+            this.removeHLSListeners();
+            this.resetSessionState();
+
+            this.hlsInstance = hlsInstance;
+            if (!hlsInstance || typeof hlsInstance.on !== 'function' || !window.Hls) return;
+
+            this.hlsHandlers = {
+                levelSwitched: (event, data) => this.onLevelSwitched(data),
+                error: (event, data) => this.onHLSError(data)
+            };
+
+            hlsInstance.on(Hls.Events.LEVEL_SWITCHED, this.hlsHandlers.levelSwitched);
+            hlsInstance.on(Hls.Events.ERROR, this.hlsHandlers.error);
+        } catch (error) {
+            console.error('Error setting HLS instance for beacon reporter:', error);
+        }
+    }
+
+    /**
+     * Attach to the video element for startup / rebuffer events
+     */
+    setVideoElement(videoElement) {
+        try {
+            this.removeVideoListeners();
+            this.videoElement = videoElement;
+            if (!videoElement) return;
+
+            this.videoHandlers = {
+                playing: () => this.onPlaying(),
+                waiting: () => this.onWaiting()
+            };
+
+            videoElement.addEventListener('playing', this.videoHandlers.playing);
+            videoElement.addEventListener('waiting', this.videoHandlers.waiting);
+        } catch (error) {
+            console.error('Error setting video element for beacon reporter:', error);
+        }
+    }
+
+    /**
+     * First 'playing' = startup, later ones end a rebuffer
+     */
+    onPlaying() {
+        if (!this.hasStarted) {
+            this.hasStarted = true;
+            // Let PerformanceTracker record the first frame before reading startup_time
+            setTimeout(() => {
+                const snapshot = this.metricsDataManager.getMetricsSnapshot();
+                this.sendEvent('startup', { startup_time: snapshot.startup ? snapshot.startup.startup_time : null });
+            }, 0);
+            return;
+        }
+
+        if (this.rebufferStartTime !== null) {
+            const duration = Date.now() - this.rebufferStartTime;
+            this.rebufferStartTime = null;
+            this.sendEvent('rebuffer_end', { duration_ms: duration });
+        }
+    }
+
+    /**
+     * 'waiting' after startup (and not caused by seeking) starts a rebuffer
+     */
+    onWaiting() {
+        if (!this.hasStarted || this.rebufferStartTime !== null) return;
+        if (this.videoElement && this.videoElement.seeking) return;
+
+        this.rebufferStartTime = Date.now();
+        this.sendEvent('rebuffer_start', {
+            position: this.videoElement ? this.videoElement.currentTime : null
+        });
+    }
+
+    /**
+     * Bitrate switch
+     */
+    onLevelSwitched(data) {
+        const levels = this.hlsInstance && this.hlsInstance.levels ? this.hlsInstance.levels : [];
+        const from = this.currentLevel >= 0 ? levels[this.currentLevel] : null;
+        const to = levels[data.level];
+        const previousLevel = this.currentLevel;
+        this.currentLevel = data.level;
+
+        // The initial level selection is not a switch
+        if (previousLevel < 0) return;
+
+        this.sendEvent('bitrate_switch', {
+            from_level: previousLevel,
+            to_level: data.level,
+            from_bitrate: from ? from.bitrate : null,
+            to_bitrate: to ? to.bitrate : null,
+            to_resolution: to && to.width ? `${to.width}x${to.height}` : null
+        });
+    }
+
+    /**
+     * Fatal HLS error
+     */
+    onHLSError(data) {
+        if (!data || !data.fatal) return;
+
+        this.sendEvent('fatal_error', {
+            error_type: data.type,
+            error_details: data.details,
+            url: data.frag ? data.frag.url : (data.url || null)
+        });
+    }
+
+    /**
+     * Build a beacon: server-ready data plus the beacon envelope
+     * @param {string} type - 'heartbeat' | 'event' | 'session_end'
+     * @param {Object} event - { name, data } for event beacons
+     */
+    buildBeacon(type, event = null) {
+        const payload = this.metricsDataManager.getServerReadyData();
+        if (!payload || !payload.stream_url) return null;
+
+        if (payload.session_id !== this.sessionId) {
+            this.sessionId = payload.session_id;
+            this.sequence = 0;
+            this.lastCounters = {};
+            this.lastBeaconTime = null;
+            this.sessionEnded = false;
+        }
+
+        // Nothing more to report for a session that already sent session_end
+        if (this.sessionEnded) return null;
+
+        const now = Date.now();
+        const delta = {};
+        this.deltaKeys.forEach(key => {
+            const value = payload.metrics[key];
+            if (typeof value !== 'number') return;
+            delta[key] = value - (this.lastCounters[key] || 0);
+            this.lastCounters[key] = value;
+        });
+
+        payload.beacon = {
+            type,
+            sequence: ++this.sequence,
+            event: event ? event.name : null,
+            event_data: event ? event.data : null,
+            interval_ms: this.lastBeaconTime ? now - this.lastBeaconTime : null,
+            heartbeat_interval_ms: this.config.heartbeat_interval_ms,
+            delta
+        };
+        this.lastBeaconTime = now;
+
+        return payload;
+    }
+
+    /**
+     * Periodic heartbeat
+     */
+    sendHeartbeat() {
+        return this.send(this.buildBeacon('heartbeat'));
+    }
+
+    /**
+     * Event beacon
+     */
+    sendEvent(name, data = {}) {
+        if (!this.isRunning) return null;
+        return this.send(this.buildBeacon('event', { name, data }));
+    }
+
+    /**
+     * Final beacon for the current session, sent with navigator.sendBeacon so it survives page unload
+     * @param {string} reason - Why the session ended (pagehide, stopped, stream_change)
+     */
+    endSession(reason) {
+        try {
+            if (!this.isRunning || this.sessionEnded || !this.endpoint) return false;
+
+            const payload = this.buildBeacon('session_end', { name: 'session_end', data: { reason } });
+            if (!payload) return false;
+            this.sessionEnded = true;
+
+            const body = JSON.stringify(payload);
+            let delivered = false;
+            if (typeof navigator !== 'undefined' && typeof navigator.sendBeacon === 'function') {
+                // text/plain keeps the beacon a CORS-safelisted request (application/json Blobs are rejected)
+                delivered = navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }));
+            }
+
+            if (delivered) {
+                this.recordResult('session_end', 'sent');
+            } else if (this.metricsDataManager.syncQueue) {
+                // Beacon rejected (payload too large or quota) - keep it for background retry
+                this.metricsDataManager.syncQueue.enqueue(this.endpoint, body, { kind: 'single', error: 'sendBeacon rejected' });
+                this.recordResult('session_end', 'queued');
+            } else {
+                this.recordResult('session_end', 'failed');
+            }
+
+            return delivered;
+        } catch (error) {
+            console.error('Error sending session end beacon:', error);
+            return false;
+        }
+    }
+
+    /**
+     * POST a beacon (failed beacons go to the offline queue via sendPayload)
+     */
+    async send(payload) {
+        if (!payload || !this.endpoint) return null;
+
+        try {
+            const result = await this.metricsDataManager.sendPayload(this.endpoint, payload, { keepalive: true }, 'single');
+            this.recordResult(payload.beacon.type, result && result.queued ? 'queued' : 'sent');
+            return result;
+        } catch (error) {
+            console.warn(`Beacon (${payload.beacon.type}) failed:`, error.message);
+            this.recordResult(payload.beacon.type, 'failed');
+            return null;
+        }
+    }
+
+    /**
+     * Update beacon statistics
+     */
+    recordResult(type, outcome) {
+        if (outcome === 'sent') this.stats.sent_count++;
+        else if (outcome === 'queued') this.stats.queued_count++;
+        else this.stats.failed_count++;
+
+        this.stats.last_beacon_type = type;
+        this.stats.last_beacon_time = Date.now();
+        this.notifyStatus();
+    }
+
+    /**
+     * Current beacon status
+     */
+    getStatus() {
+        return {
+            is_running: this.isRunning,
+            endpoint: this.endpoint,
+            heartbeat_interval_ms: this.config.heartbeat_interval_ms,
+            session_id: this.sessionId,
+            sequence: this.sequence,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Push the current status to the listener
+     */
+    notifyStatus() {
+        if (this.onStatusChange) {
+            this.onStatusChange(this.getStatus());
+        }
+    }
+
+    /**
+     * Remove HLS event listeners
+     */
+    removeHLSListeners() {
+        if (this.hlsInstance && this.hlsHandlers && typeof this.hlsInstance.off === 'function' && window.Hls) {
+            this.hlsInstance.off(Hls.Events.LEVEL_SWITCHED, this.hlsHandlers.levelSwitched);
+            this.hlsInstance.off(Hls.Events.ERROR, this.hlsHandlers.error);
+        }
+        this.hlsHandlers = null;
+    }
+
+    /**
+     * Remove video element listeners
+     */
+    removeVideoListeners() {
+        if (this.videoElement && this.videoHandlers) {
+            this.videoElement.removeEventListener('playing', this.videoHandlers.playing);
+            this.videoElement.removeEventListener('waiting', this.videoHandlers.waiting);
+        }
+        this.videoHandlers = null;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.endSession('unload');
+            this.stop(false);
+            this.removeHLSListeners();
+            this.removeVideoListeners();
+            this.hlsInstance = null;
+            this.videoElement = null;
+            console.log('BeaconReporter cleanup completed');
+        } catch (error) {
+            console.error('Error during BeaconReporter cleanup:', error);
+        }
+    }
+}
@@ -0,0 +1,94 @@
+/**
+ * BitrateSwitchAnalyzer - Statistics over a rendition switch timeline (PerformanceTracker
+ * switch_timeline): up/down switches, time spent at each level, switches per minute, oscillations
+ * (A → B → A within a short window) and time-weighted average bitrate, plus the stability grade
+ * built on them. Used by MetricsDataManager on stored snapshots, so it must not touch browser globals.
+ */
+export default class BitrateSwitchAnalyzer {
+    constructor(options = {}) {
+        this.config = {
+            oscillation_window_ms: 30000, // A → B → A faster than this counts as one oscillation
+            oscillation_alert_count: 3,
+            stable_switches_per_minute: 0.5,
+            moderate_switches_per_minute: 2,
+            ...options
+        };
+    }
+
+    /**
+     * @param {Array} timeline - [{ timestamp, level, bitrate, direction, buffer_length, reason }], one entry
+     *   per level change, the first one with direction 'initial'
+     * @param {number} endTime - Time the last level was held until (session end or now)
+     * @returns {Object} Switch statistics, with grade 'Stable', 'Moderate' or 'Variable'
+     */
+    analyze(timeline, endTime = null) {
+        const entries = (timeline || []).slice().sort((a, b) => a.timestamp - b.timestamp);
+        const stats = {
+            switch_count: 0,
+            up_switches: 0,
+            down_switches: 0,
+            duration_s: 0,
+            switches_per_minute: 0,
+            time_weighted_avg_bitrate: null,
+            time_at_level: {},
+            oscillation_count: 0,
+            oscillations: [],
+            is_oscillating: false,
+            grade: 'Stable'
+        };
+        if (entries.length === 0) return stats;
+
+        const end = Math.max(endTime || entries[entries.length - 1].timestamp, entries[entries.length - 1].timestamp);
+        let weightedBitrate = 0;
+
+        entries.forEach((entry, i) => {
+            const until = i + 1 < entries.length ? entries[i + 1].timestamp : end;
+            const held = Math.max(0, until - entry.timestamp);
+            const slot = stats.time_at_level[entry.level] || (stats.time_at_level[entry.level] = { bitrate: entry.bitrate, seconds: 0, share: 0 });
+            slot.seconds += held / 1000;
+            weightedBitrate += entry.bitrate * held;
+
+            if (entry.direction === 'up') stats.up_switches++;
+            if (entry.direction === 'down') stats.down_switches++;
+
+            // Back to the level held two entries ago within the window
+            if (i >= 2 && entry.level === entries[i - 2].level &&
+                entry.timestamp - entries[i - 2].timestamp <= this.config.oscillation_window_ms) {
+                stats.oscillations.push({
+                    timestamp: entry.timestamp,
+                    levels: [entries[i - 2].level, entries[i - 1].level, entry.level],
+                    span_ms: entry.timestamp - entries[i - 2].timestamp
+                });
+            }
+        });
+
+        const durationMs = end - entries[0].timestamp;
+        stats.switch_count = stats.up_switches + stats.down_switches;
+        stats.duration_s = Number((durationMs / 1000).toFixed(1));
+        // At least one minute, so a short session with one switch does not read as a high rate
+        stats.switches_per_minute = Number((stats.switch_count / Math.max(1, durationMs / 60000)).toFixed(2));
+        stats.time_weighted_avg_bitrate = durationMs > 0 ? Math.round(weightedBitrate / durationMs) : entries[0].bitrate;
+        Object.values(stats.time_at_level).forEach(slot => {
+            slot.seconds = Number(slot.seconds.toFixed(1));
+            slot.share = durationMs > 0 ? Number((slot.seconds * 100000 / durationMs).toFixed(1)) : 100;
+        });
+        stats.oscillation_count = stats.oscillations.length;
+        stats.is_oscillating = stats.oscillation_count >= this.config.oscillation_alert_count;
+        stats.grade = this.grade(stats);
+
+        return stats;
+    }
+
+    /**
+     * Stability grade from switch frequency and oscillations
+     */
+    grade(stats) {
+        if (stats.is_oscillating || stats.switches_per_minute >= this.config.moderate_switches_per_minute) {
+            return 'Variable';
+        }
+        if (stats.oscillation_count > 0 || stats.switches_per_minute >= this.config.stable_switches_per_minute) {
+            return 'Moderate';
+        }
+        return 'Stable';
+    }
+}
@@ -0,0 +1,436 @@
+/**
+ * CMCDManager - Common Media Client Data (CTA-5004) emission on playlist, segment and key requests.
+ * Values come from PerformanceTracker / DataConsumptionTracker and `sid` is the MetricsDataManager
+ * session ID, so CDN logs can be joined with the player QoE data.
+ */
+export default class CMCDManager {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.performanceTracker = options.performanceTracker || null;
+        this.dataConsumptionTracker = options.dataConsumptionTracker || null;
+        this.metricsDataManager = options.metricsDataManager || null;
+
+        this.config = {
+            mode: 'off', // 'off' | 'query' | 'headers'
+            content_id: ''
+        };
+
+        // CTA-5004 header shards
+        this.headerShards = {
+            'CMCD-Object': ['br', 'd', 'ot', 'tb'],
+            'CMCD-Request': ['bl', 'dl', 'mtp', 'nor', 'nrr', 'su'],
+            'CMCD-Session': ['cid', 'pr', 'sf', 'sid', 'st', 'v'],
+            'CMCD-Status': ['bs', 'rtp']
+        };
+        // Token values are sent unquoted
+        this.tokenKeys = ['ot', 'sf', 'st'];
+
+        this.hlsInstance = null;
+        this.lastRebufferCount = 0;
+        this.stats = {
+            requests_tagged: 0,
+            last_object_type: null,
+            last_payload: null,
+            last_url: null
+        };
+
+        console.log('CMCDManager initialized');
+    }
+
+    setPerformanceTracker(performanceTracker) {
+        this.performanceTracker = performanceTracker;
+    }
+
+    setDataConsumptionTracker(dataConsumptionTracker) {
+        this.dataConsumptionTracker = dataConsumptionTracker;
+    }
+
+    setMetricsDataManager(metricsDataManager) {
+        this.metricsDataManager = metricsDataManager;
+    }
+
+    /**
+     * Attach to a new HLS instance (level bitrates and live/VOD type)
+     */
+    setHLSInstance(hlsInstance) {
+        this.hlsInstance = hlsInstance;
+        this.lastRebufferCount = 0;
+        this.stats.requests_tagged = 0;
+        this.notifyStatus();
+    }
+
+    /**
+     * Change emission mode
+     * @param {Object} options - { mode, content_id }
+     */
+    configure(options = {}) {
+        try {
+            if (options.mode !== undefined && !['off', 'query', 'headers'].includes(options.mode)) {
+                throw new Error(`Unknown CMCD mode: ${options.mode}`);
+            }
+            Object.assign(this.config, options);
+            this.notifyStatus();
+            console.log(`CMCD mode: ${this.config.mode}`);
+        } catch (error) {
+            console.error('Error configuring CMCD:', error);
+            throw error;
+        }
+    }
+
+    isEnabled() {
+        return this.config.mode !== 'off';
+    }
+
+    /**
+     * hls.js loader class that adds CMCD data to each request before handing it to BaseLoader.
+     * The result can itself be wrapped by another loader.
+     * @param {Function} BaseLoader - Loader to extend (usually Hls.DefaultConfig.loader)
+     */
+    createLoader(BaseLoader) {
+        const manager = this;
+
+        return class CMCDLoader extends BaseLoader {
+            load(context, config, callbacks) {
+                manager.applyToRequest(context);
+                super.load(context, config, callbacks);
+            }
+        };
+    }
+
+    /**
+     * Add the CMCD query parameter or headers to a loader context
+     */
+    applyToRequest(context) {
+        try {
+            if (!this.isEnabled() || !context || !context.url) return;
+
+            const data = this.buildData(context);
+            const url = this.stripCMCDParam(context.url);
+
+            if (this.config.mode === 'headers') {
+                context.url = url;
+                context.headers = { ...(context.headers || {}), ...this.toHeaders(data) };
+            } else {
+                const payload = this.serialize(data);
+                context.url = `${url}${url.includes('?') ? '&' : '?'}CMCD=${encodeURIComponent(payload)}`;
+            }
+
+            this.stats.requests_tagged++;
+            this.stats.last_object_type = data.ot;
+            this.stats.last_payload = this.serialize(data);
+            this.stats.last_url = url;
+            this.notifyStatus();
+        } catch (error) {
+            console.warn('Error adding CMCD data to request:', error);
+        }
+    }
+
+    /**
+     * CMCD key/value pairs for one request
+     */
+    buildData(context) {
+        const objectType = this.getObjectType(context);
+        const isMedia = ['av', 'a', 'v', 'i'].includes(objectType);
+        const frag = context.frag || null;
+        const data = {
+            ot: objectType,
+            sf: 'h',
+            sid: this.getSessionId(),
+            st: this.isLive() ? 'l' : 'v',
+            su: this.isStartup(),
+            bs: this.consumeBufferStarvation()
+        };
+
+        const contentId = this.getContentId();
+        if (contentId) data.cid = contentId;
+
+        const measuredThroughput = this.getMeasuredThroughput();
+        if (measuredThroughput) data.mtp = measuredThroughput;
+
+        if (isMedia) {
+            const bitrate = this.getObjectBitrate(frag);
+            const topBitrate = this.getTopBitrate();
+            const bufferLength = this.getBufferLength();
+
+            if (bitrate) data.br = bitrate;
+            if (topBitrate) data.tb = topBitrate;
+            if (bufferLength !== null) data.bl = bufferLength;
+            if (objectType !== 'i' && frag && frag.duration > 0) {
+                data.d = Math.round((context.part ? context.part.duration : frag.duration) * 1000);
+            }
+        }
+
+        return data;
+    }
+
+    /**
+     * CMCD object type of an hls.js loader context
+     */
+    getObjectType(context) {
+        if (context.keyInfo) return 'k';
+        if (['manifest', 'level', 'audioTrack', 'subtitleTrack'].includes(context.type)) {
+            return 'm';
+        }
+
+        const frag = context.frag;
+        if (!frag) return 'o';
+        if (frag.sn === 'initSegment') return 'i';
+        if (frag.type === 'audio') return 'a';
+        if (frag.type === 'subtitle') return 'c';
+        return 'av';
+    }
+
+    getSessionId() {
+        return this.metricsDataManager ? this.metricsDataManager.metrics.session.session_id : null;
+    }
+
+    /**
+     * Configured content ID, or the stream URL without its query string
+     */
+    getContentId() {
+        if (this.config.content_id) return this.config.content_id.substring(0, 128);
+
+        const streamUrl = this.metricsDataManager ? this.metricsDataManager.metrics.session.stream_url : '';
+        return streamUrl ? streamUrl.split('?')[0].substring(0, 128) : null;
+    }
+
+    isLive() {
+        const loadedLevel = this.hlsInstance && this.hlsInstance.levels && this.hlsInstance.levels.find(level => level.details);
+        if (loadedLevel) return !!loadedLevel.details.live;
+
+        return !!(this.metricsDataManager && this.metricsDataManager.metrics.session.is_live);
+    }
+
+    /**
+     * Startup is in progress until PerformanceTracker has measured the startup time
+     */
+    isStartup() {
+        if (!this.performanceTracker) return false;
+        return this.performanceTracker.getStartupMetrics().startup_time === null;
+    }
+
+    /**
+     * Buffer starvation: a rebuffer started since the previous request or is still ongoing
+     */
+    consumeBufferStarvation() {
+        if (!this.performanceTracker) return false;
+
+        const rebuffering = this.performanceTracker.getRebufferMetrics();
+        const starved = rebuffering.rebuffer_count > this.lastRebufferCount || rebuffering.current_rebuffer_start !== null;
+        this.lastRebufferCount = rebuffering.rebuffer_count;
+        return starved;
+    }
+
+    /**
+     * Buffer length in ms, rounded to 100 ms
+     */
+    getBufferLength() {
+        if (!this.performanceTracker) return null;
+
+        const bufferLength = this.performanceTracker.getBufferMetrics().buffer_length;
+        return typeof bufferLength === 'number' ? Math.round(bufferLength * 10) * 100 : null;
+    }
+
+    /**
+     * Measured throughput in kbps (rounded to 100 kbps): DataConsumptionTracker transfer rate,
+     * falling back to the PerformanceTracker bandwidth estimate
+     */
+    getMeasuredThroughput() {
+        let kbps = 0;
+
+        if (this.dataConsumptionTracker) {
+            const dataRate = this.dataConsumptionTracker.getDataMetrics().data_rate; // MB/s
+            if (dataRate > 0) kbps = (dataRate * 1024 * 1024 * 8) / 1000;
+        }
+        if (!kbps && this.performanceTracker) {
+            const bandwidth = this.performanceTracker.getBandwidthMetrics().current_bandwidth; // bps
+            if (bandwidth > 0) kbps = bandwidth / 1000;
+        }
+
+        return kbps > 0 ? Math.max(100, Math.round(kbps / 100) * 100) : null;
+    }
+
+    /**
+     * Encoded bitrate of the requested rendition in kbps
+     */
+    getObjectBitrate(frag) {
+        const levels = this.hlsInstance && this.hlsInstance.levels;
+        if (frag && frag.type === 'main' && levels && levels[frag.level] && levels[frag.level].bitrate) {
+            return Math.round(levels[frag.level].bitrate / 1000);
+        }
+
+        if (frag && frag.type !== 'main') return null;
+
+        const currentBitrate = this.performanceTracker ? this.performanceTracker.getBitrateMetrics().current_bitrate : 0;
+        return currentBitrate > 0 ? Math.round(currentBitrate / 1000) : null;
+    }
+
+    /**
+     * Highest bitrate of the ladder in kbps
+     */
+    getTopBitrate() {
+        const levels = this.hlsInstance && this.hlsInstance.levels;
+        if (!levels || levels.length === 0) return null;
+
+        const topBitrate = Math.max(...levels.map(level => level.bitrate || 0));
+        return topBitrate > 0 ? Math.round(topBitrate / 1000) : null;
+    }
+
+    /**
+     * CTA-5004 serialization: keys sorted, strings quoted, tokens bare, true booleans as the key alone
+     */
+    serialize(data, keys = Object.keys(data)) {
+        return keys
+            .filter(key => data[key] !== undefined && data[key] !== null && data[key] !== false && data[key] !== '')
+            .sort()
+            .map(key => {
+                const value = data[key];
+                if (value === true) return key;
+                if (typeof value === 'number') return `${key}=${value}`;
+                if (this.tokenKeys.includes(key)) return `${key}=${value}`;
+                return `${key}=${JSON.stringify(String(value))}`;
+            })
+            .join(',');
+    }
+
+    /**
+     * Split the data into the four CMCD request headers (empty shards are omitted)
+     */
+    toHeaders(data) {
+        const headers = {};
+
+        Object.entries(this.headerShards).forEach(([header, keys]) => {
+            const value = this.serialize(data, keys.filter(key => key in data));
+            if (value) headers[header] = value;
+        });
+
+        return headers;
+    }
+
+    /**
+     * Remove a CMCD query parameter added to an earlier attempt of the same request
+     */
+    stripCMCDParam(url) {
+        return url.replace(/([?&])CMCD=[^&#]*&?/, '$1').replace(/[?&](#|$)/, '$1');
+    }
+
+    /**
+     * Current CMCD status
+     */
+    getStatus() {
+        return {
+            mode: this.config.mode,
+            content_id: this.getContentId(),
+            session_id: this.getSessionId(),
+            ...this.stats
+        };
+    }
+
+    /**
+     * Update the CMCD panel
+     */
+    notifyStatus() {
+        try {
+            const countElement = document.getElementById('cmcdRequestCountValue');
+            if (!countElement) return;
+
+            const status = this.getStatus();
+            countElement.textContent = status.requests_tagged.toLocaleString();
+            document.getElementById('cmcdObjectTypeValue').textContent = status.last_object_type || '-';
+            document.getElementById('cmcdSessionIdValue').textContent = status.session_id || '-';
+
+            const payloadElement = document.getElementById('cmcdLastPayloadValue');
+            payloadElement.textContent = status.last_payload || (status.mode === 'off' ? 'CMCD is off' : 'Waiting for the next request...');
+            payloadElement.title = status.last_url || '';
+        } catch (error) {
+            console.error('Error updating CMCD display:', error);
+        }
+    }
+
+    /**
+     * Create the CMCD panel in the dashboard
+     */
+    createCMCDPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create CMCD panel');
+                return;
+            }
+
+            if (document.getElementById('cmcdPanel')) return;
+
+            const cmcdPanel = document.createElement('article');
+            cmcdPanel.className = 'card';
+            cmcdPanel.id = 'cmcdPanel';
+
+            cmcdPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-tags"></i>
+                        CMCD
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="cmcdModeSelect">Mode</label>
+                            <select id="cmcdModeSelect" class="input-group__input">
+                                <option value="off">Off</option>
+                                <option value="query">Query parameter</option>
+                                <option value="headers">Headers (CORS preflight)</option>
+                            </select>
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="cmcdContentIdInput">Content ID</label>
+                            <input type="text" id="cmcdContentIdInput" class="input-group__input" maxlength="128" placeholder="Stream URL">
+                        </div>
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Requests Tagged:</span>
+                            <span class="info-item__value" id="cmcdRequestCountValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Object Type:</span>
+                            <span class="info-item__value" id="cmcdObjectTypeValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Session ID:</span>
+                            <span class="info-item__value" id="cmcdSessionIdValue">-</span>
+                        </div>
+                    </div>
+                    <div class="cmcd-payload" id="cmcdLastPayloadValue">CMCD is off</div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(cmcdPanel);
+
+            const modeSelect = cmcdPanel.querySelector('#cmcdModeSelect');
+            const contentIdInput = cmcdPanel.querySelector('#cmcdContentIdInput');
+            modeSelect.value = this.config.mode;
+            contentIdInput.value = this.config.content_id;
+
+            this.memoryManager.addEventListener(modeSelect, 'change', () => {
+                this.configure({ mode: modeSelect.value });
+            });
+            this.memoryManager.addEventListener(contentIdInput, 'change', () => {
+                this.configure({ content_id: contentIdInput.value.trim() });
+            });
+
+            this.notifyStatus();
+            console.log('CMCD panel created');
+        } catch (error) {
+            console.error('Error creating CMCD panel:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.hlsInstance = null;
+        this.config.mode = 'off';
+        console.log('CMCDManager cleanup completed');
+    }
+}
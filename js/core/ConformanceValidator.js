@@ -0,0 +1,735 @@
+import PlaylistParser from './PlaylistParser.js';
+import HtmlEscaper from './HtmlEscaper.js';
+
+/**
+ * ConformanceValidator - Fetch the master/media playlists of a stream and check them
+ * against RFC 8216 and the Apple HLS authoring rules
+ */
+export default class ConformanceValidator {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.parser = new PlaylistParser();
+        this.metricsDataManager = options.metricsDataManager || null;
+
+        this.config = {
+            sample_segment_count: 3,    // số segment tải về để đo bitrate mỗi variant
+            bitrate_tolerance: 0.1,     // Apple: bitrate đo được không vượt BANDWIDTH quá 10%
+            check_live_reload: true,
+            reload_delay_ms: null       // null = chờ đúng EXT-X-TARGETDURATION
+        };
+
+        this.findings = [];
+        this.report = null;
+        this.isRunning = false;
+        this.abortController = null;
+        this.playlistsChecked = 0;
+        this.segmentsSampled = 0;
+
+        console.log('ConformanceValidator initialized');
+    }
+
+    /**
+     * Set MetricsDataManager so reports are included in exports
+     */
+    setMetricsDataManager(metricsDataManager) {
+        this.metricsDataManager = metricsDataManager;
+    }
+
+    /**
+     * Validate a stream URL (master or media playlist)
+     * @param {string} url - Playlist URL
+     * @returns {Promise<Object>} Conformance report
+     */
+    async validate(url) {
+        if (!url) {
+            throw new Error('Stream URL is required for conformance validation');
+        }
+        if (this.isRunning) {
+            throw new Error('Conformance validation is already running');
+        }
+
+        this.isRunning = true;
+        this.findings = [];
+        this.playlistsChecked = 0;
+        this.segmentsSampled = 0;
+        this.abortController = new AbortController();
+        const startTime = performance.now();
+
+        this.updateValidatorDisplay('Running...');
+        console.log(`Starting conformance validation: ${url}`);
+
+        try {
+            const playlist = await this.fetchPlaylist(url);
+
+            if (playlist.type === 'master') {
+                this.validateMaster(playlist);
+
+                // Kiểm tra các variant song song để không phải chờ reload lần lượt
+                await Promise.all(playlist.variants
+                    .filter(variant => variant.url)
+                    .map(variant => this.validateVariant(variant)));
+            } else {
+                this.validateMedia(playlist);
+                await this.validateLiveReload(playlist);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Error during conformance validation:', error);
+                this.addFinding('playlist-unreachable', 'error',
+                    `Playlist could not be loaded or parsed: ${error.message}`, url, 'RFC 8216 §4.1');
+            }
+        } finally {
+            this.isRunning = false;
+            this.abortController = null;
+        }
+
+        this.report = this.buildReport(url, performance.now() - startTime);
+
+        if (this.metricsDataManager && typeof this.metricsDataManager.setConformanceReport === 'function') {
+            this.metricsDataManager.setConformanceReport(this.report);
+        }
+
+        this.updateValidatorDisplay();
+        console.log(`Conformance validation completed: ${this.report.error_count} errors, ${this.report.warning_count} warnings`);
+
+        return this.report;
+    }
+
+    /**
+     * Validate playlists captured in a request log (HAR replay) without fetching anything
+     * @param {string} url - Stream URL of the capture
+     * @param {Array} captures - [{ url, text }] playlist responses in request order
+     * @param {Map} segmentSizes - Captured segment URL -> bytes, used for the BANDWIDTH checks
+     * @returns {Object} Conformance report
+     */
+    validateCaptured(url, captures, segmentSizes = new Map()) {
+        if (this.isRunning) {
+            throw new Error('Conformance validation is already running');
+        }
+
+        this.findings = [];
+        this.playlistsChecked = 0;
+        this.segmentsSampled = 0;
+        const startTime = performance.now();
+
+        let master = null;
+        const latestMedia = new Map();
+        const segmentsByPlaylist = new Map();
+
+        captures.forEach(capture => {
+            let playlist;
+            try {
+                playlist = this.parser.parse(capture.text, capture.url);
+            } catch (error) {
+                this.addFinding('playlist-unreachable', 'error',
+                    `Captured playlist could not be parsed: ${error.message}`, capture.url, 'RFC 8216 §4.1');
+                return;
+            }
+            this.playlistsChecked++;
+
+            if (playlist.type === 'master') {
+                if (!master) this.validateMaster(playlist);
+                master = playlist;
+                return;
+            }
+
+            // Mỗi lần reload được so với bản trước đó của cùng playlist
+            const previous = latestMedia.get(playlist.url);
+            if (previous) {
+                this.validateReload(previous, playlist);
+            } else {
+                this.validateMedia(playlist);
+            }
+            latestMedia.set(playlist.url, playlist);
+
+            const segments = segmentsByPlaylist.get(playlist.url) || new Map();
+            playlist.segments.forEach(segment => segments.set(segment.url, segment));
+            segmentsByPlaylist.set(playlist.url, segments);
+        });
+
+        if (master) {
+            master.variants
+                .filter(variant => segmentsByPlaylist.has(variant.url))
+                .forEach(variant => {
+                    const bitrates = [...segmentsByPlaylist.get(variant.url).values()]
+                        .filter(segment => !segment.gap && segment.duration > 0 && segmentSizes.has(segment.url))
+                        .map(segment => (segmentSizes.get(segment.url) * 8) / segment.duration);
+                    this.segmentsSampled += bitrates.length;
+
+                    this.checkVariantBitrate(variant, {
+                        peak_bitrate: bitrates.length > 0 ? Math.max(...bitrates) : 0,
+                        average_bitrate: bitrates.length > 0 ? bitrates.reduce((sum, value) => sum + value, 0) / bitrates.length : 0,
+                        sampled: bitrates.length
+                    });
+                });
+        }
+
+        this.report = this.buildReport(url, performance.now() - startTime);
+
+        if (this.metricsDataManager && typeof this.metricsDataManager.setConformanceReport === 'function') {
+            this.metricsDataManager.setConformanceReport(this.report);
+        }
+
+        this.updateValidatorDisplay();
+        console.log(`Captured playlists validated: ${this.report.error_count} errors, ${this.report.warning_count} warnings`);
+
+        return this.report;
+    }
+
+    /**
+     * Cancel a running validation
+     */
+    cancel() {
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * Record a finding
+     * @param {string} ruleId - Stable rule identifier
+     * @param {string} severity - 'error' | 'warning' | 'info'
+     * @param {string} message - Human readable description
+     * @param {string} playlistUrl - Playlist the finding applies to
+     * @param {string} reference - Spec section
+     */
+    addFinding(ruleId, severity, message, playlistUrl, reference) {
+        this.findings.push({
+            rule_id: ruleId,
+            severity: severity,
+            message: message,
+            playlist_url: playlistUrl || '',
+            reference: reference || ''
+        });
+    }
+
+    /**
+     * Fetch and parse a playlist
+     */
+    async fetchPlaylist(url) {
+        const response = await fetch(url, {
+            cache: 'no-store',
+            signal: this.abortController ? this.abortController.signal : undefined
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const text = await response.text();
+        this.playlistsChecked++;
+        return this.parser.parse(text, response.url || url);
+    }
+
+    /**
+     * Check master playlist rules
+     */
+    validateMaster(master) {
+        const url = master.url;
+
+        if (master.variants.length === 0) {
+            this.addFinding('master-no-variants', 'error',
+                'Master playlist does not contain any EXT-X-STREAM-INF variant', url, 'RFC 8216 §4.3.4.2');
+        }
+
+        if (!master.independent_segments) {
+            this.addFinding('master-independent-segments-missing', 'info',
+                'EXT-X-INDEPENDENT-SEGMENTS is not declared', url, 'Apple HLS Authoring Spec');
+        }
+
+        const groupIds = {
+            AUDIO: new Set(),
+            VIDEO: new Set(),
+            SUBTITLES: new Set(),
+            'CLOSED-CAPTIONS': new Set()
+        };
+        master.media.forEach(rendition => {
+            if (groupIds[rendition.type]) {
+                groupIds[rendition.type].add(rendition.group_id);
+            }
+        });
+
+        master.variants.forEach((variant, index) => {
+            const label = `Variant ${index} (${variant.uri || 'no URI'})`;
+
+            if (!variant.attributes.BANDWIDTH) {
+                this.addFinding('variant-bandwidth-missing', 'error',
+                    `${label} is missing the required BANDWIDTH attribute`, url, 'RFC 8216 §4.3.4.2');
+            }
+
+            if (!variant.codecs) {
+                this.addFinding('variant-codecs-missing', 'error',
+                    `${label} is missing the CODECS attribute`, url, 'RFC 8216 §4.3.4.2 / Apple HLS Authoring Spec');
+            }
+
+            if (variant.average_bandwidth && variant.bandwidth && variant.average_bandwidth > variant.bandwidth) {
+                this.addFinding('variant-average-bandwidth-exceeds-peak', 'error',
+                    `${label} AVERAGE-BANDWIDTH (${variant.average_bandwidth}) is higher than BANDWIDTH (${variant.bandwidth})`,
+                    url, 'RFC 8216 §4.3.4.2');
+            }
+
+            if (this.isVideoVariant(variant)) {
+                if (!variant.resolution) {
+                    this.addFinding('variant-resolution-missing', 'warning',
+                        `${label} carries video but has no RESOLUTION attribute`, url, 'RFC 8216 §4.3.4.2');
+                }
+                if (!variant.frame_rate) {
+                    this.addFinding('variant-frame-rate-missing', 'warning',
+                        `${label} carries video but has no FRAME-RATE attribute`, url, 'Apple HLS Authoring Spec');
+                }
+            }
+
+            [['AUDIO', variant.audio], ['VIDEO', variant.video], ['SUBTITLES', variant.subtitles]].forEach(([type, groupId]) => {
+                if (groupId && !groupIds[type].has(groupId)) {
+                    this.addFinding('media-group-undefined', 'error',
+                        `${label} references ${type} group "${groupId}" that has no EXT-X-MEDIA tag`, url, 'RFC 8216 §4.3.4.2');
+                }
+            });
+
+            if (variant.closed_captions && variant.closed_captions !== 'NONE' && !groupIds['CLOSED-CAPTIONS'].has(variant.closed_captions)) {
+                this.addFinding('media-group-undefined', 'error',
+                    `${label} references CLOSED-CAPTIONS group "${variant.closed_captions}" that has no EXT-X-MEDIA tag`,
+                    url, 'RFC 8216 §4.3.4.2');
+            }
+        });
+    }
+
+    /**
+     * Whether a variant carries video (by CODECS, or assumed when CODECS is absent)
+     */
+    isVideoVariant(variant) {
+        if (!variant.codecs) return !variant.audio || !!variant.resolution;
+        return /(avc1|avc3|hvc1|hev1|dvh1|dvhe|av01|vp09)/.test(variant.codecs);
+    }
+
+    /**
+     * Fetch and check a variant's media playlist, its bitrate and its live reload behaviour
+     */
+    async validateVariant(variant) {
+        let media;
+        try {
+            media = await this.fetchPlaylist(variant.url);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            this.addFinding('variant-playlist-unreachable', 'error',
+                `Media playlist could not be loaded or parsed: ${error.message}`, variant.url, 'RFC 8216 §4.3.4.2');
+            return;
+        }
+
+        this.validateMedia(media);
+
+        try {
+            const measurement = await this.measureSegmentBitrates(media);
+            this.checkVariantBitrate(variant, measurement);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            this.addFinding('segment-unreachable', 'warning',
+                `Segments could not be sampled for bitrate measurement: ${error.message}`, variant.url, 'RFC 8216 §4.3.4.2');
+        }
+
+        await this.validateLiveReload(media);
+    }
+
+    /**
+     * Check media playlist rules
+     */
+    validateMedia(media) {
+        const url = media.url;
+
+        if (media.target_duration === null || isNaN(media.target_duration)) {
+            this.addFinding('target-duration-missing', 'error',
+                'EXT-X-TARGETDURATION is required in media playlists', url, 'RFC 8216 §4.3.3.1');
+        }
+
+        if (media.segments.length === 0) {
+            this.addFinding('media-no-segments', 'error', 'Media playlist does not contain any segment', url, 'RFC 8216 §4.3.2');
+        }
+
+        if (media.playlist_type === 'VOD' && !media.end_list) {
+            this.addFinding('vod-endlist-missing', 'error',
+                'EXT-X-PLAYLIST-TYPE:VOD playlist is missing EXT-X-ENDLIST', url, 'RFC 8216 §4.3.3.5');
+        }
+
+        if (media.target_duration) {
+            const longSegments = media.segments.filter(segment => Math.round(segment.duration) > media.target_duration);
+            if (longSegments.length > 0) {
+                const longest = Math.max(...longSegments.map(segment => segment.duration));
+                this.addFinding('segment-duration-exceeds-target', 'error',
+                    `${longSegments.length} segment(s) exceed EXT-X-TARGETDURATION ${media.target_duration}s (longest ${longest.toFixed(3)}s, first at sequence ${longSegments[0].sequence})`,
+                    url, 'RFC 8216 §4.3.3.1');
+            }
+
+            if (media.is_live && media.total_duration < media.target_duration * 3) {
+                this.addFinding('live-window-too-short', 'warning',
+                    `Live playlist holds ${media.total_duration.toFixed(1)}s of media, less than three target durations`,
+                    url, 'RFC 8216 §6.2.2');
+            }
+        }
+
+        this.validateVersion(media);
+    }
+
+    /**
+     * Check EXT-X-VERSION against the features used by the playlist
+     */
+    validateVersion(media) {
+        const version = media.version || 1;
+        const requirements = [];
+
+        if (media.keys.some(key => key.iv)) {
+            requirements.push({ version: 2, feature: 'IV attribute of EXT-X-KEY' });
+        }
+        if (media.segments.some(segment => !Number.isInteger(segment.duration))) {
+            requirements.push({ version: 3, feature: 'floating-point EXTINF durations' });
+        }
+        if (media.segments.some(segment => segment.byte_range)) {
+            requirements.push({ version: 4, feature: 'EXT-X-BYTERANGE' });
+        }
+        if (media.i_frames_only) {
+            requirements.push({ version: 4, feature: 'EXT-X-I-FRAMES-ONLY' });
+        }
+        if (media.keys.some(key => key.key_format !== 'identity' || key.key_format_versions)) {
+            requirements.push({ version: 5, feature: 'KEYFORMAT/KEYFORMATVERSIONS' });
+        }
+        if (media.maps.length > 0 && !media.i_frames_only) {
+            requirements.push({ version: 6, feature: 'EXT-X-MAP without EXT-X-I-FRAMES-ONLY' });
+        }
+
+        requirements
+            .filter(requirement => version < requirement.version)
+            .forEach(requirement => {
+                this.addFinding('version-too-low', 'error',
+                    `${requirement.feature} requires EXT-X-VERSION ${requirement.version} or higher (declared ${version})`,
+                    media.url, 'RFC 8216 §7');
+            });
+    }
+
+    /**
+     * Download sample segments and measure their bitrate
+     * @returns {Promise<Object>} { peak_bitrate, average_bitrate, sampled }
+     */
+    async measureSegmentBitrates(media) {
+        const samples = media.segments
+            .filter(segment => !segment.gap && segment.duration > 0)
+            .slice(0, this.config.sample_segment_count);
+
+        const bitrates = [];
+        for (const segment of samples) {
+            const headers = {};
+            if (segment.byte_range) {
+                const end = segment.byte_range.offset + segment.byte_range.length - 1;
+                headers.Range = `bytes=${segment.byte_range.offset}-${end}`;
+            }
+
+            const response = await fetch(segment.url, {
+                headers: headers,
+                signal: this.abortController ? this.abortController.signal : undefined
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} for segment ${segment.sequence}`);
+            }
+
+            const buffer = await response.arrayBuffer();
+            bitrates.push((buffer.byteLength * 8) / segment.duration);
+            this.segmentsSampled++;
+        }
+
+        return {
+            peak_bitrate: bitrates.length > 0 ? Math.max(...bitrates) : 0,
+            average_bitrate: bitrates.length > 0 ? bitrates.reduce((sum, value) => sum + value, 0) / bitrates.length : 0,
+            sampled: bitrates.length
+        };
+    }
+
+    /**
+     * Compare measured segment bitrate with the declared BANDWIDTH / AVERAGE-BANDWIDTH
+     */
+    checkVariantBitrate(variant, measurement) {
+        if (!measurement.sampled) return;
+
+        const tolerance = 1 + this.config.bitrate_tolerance;
+        const peakKbps = Math.round(measurement.peak_bitrate / 1000);
+
+        if (variant.bandwidth && measurement.peak_bitrate > variant.bandwidth) {
+            this.addFinding('bandwidth-below-measured-bitrate',
+                measurement.peak_bitrate > variant.bandwidth * tolerance ? 'error' : 'warning',
+                `Measured segment bitrate ${peakKbps} kbps exceeds declared BANDWIDTH ${Math.round(variant.bandwidth / 1000)} kbps (${measurement.sampled} segment(s) sampled)`,
+                variant.url, 'RFC 8216 §4.3.4.2 / Apple HLS Authoring Spec');
+        }
+
+        if (variant.average_bandwidth && measurement.average_bitrate > variant.average_bandwidth * tolerance) {
+            this.addFinding('average-bandwidth-below-measured-bitrate', 'warning',
+                `Measured average bitrate ${Math.round(measurement.average_bitrate / 1000)} kbps exceeds declared AVERAGE-BANDWIDTH ${Math.round(variant.average_bandwidth / 1000)} kbps by more than ${this.config.bitrate_tolerance * 100}%`,
+                variant.url, 'Apple HLS Authoring Spec');
+        }
+    }
+
+    /**
+     * Reload a live playlist once and check that it evolves as RFC 8216 §6.2.2 requires
+     */
+    async validateLiveReload(media) {
+        if (!this.config.check_live_reload || !media.is_live || !media.target_duration) return;
+
+        const delayMs = this.config.reload_delay_ms !== null ? this.config.reload_delay_ms : media.target_duration * 1000;
+        await this.delay(delayMs);
+
+        let reloaded;
+        try {
+            reloaded = await this.fetchPlaylist(media.url);
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            this.addFinding('variant-playlist-unreachable', 'error',
+                `Live playlist reload failed: ${error.message}`, media.url, 'RFC 8216 §6.2.1');
+            return;
+        }
+
+        this.validateReload(media, reloaded);
+    }
+
+    /**
+     * Compare two consecutive versions of a media playlist
+     */
+    validateReload(previous, current) {
+        const url = current.url;
+
+        if (current.media_sequence < previous.media_sequence) {
+            this.addFinding('media-sequence-regression', 'error',
+                `EXT-X-MEDIA-SEQUENCE went backwards on reload (${previous.media_sequence} → ${current.media_sequence})`,
+                url, 'RFC 8216 §6.2.2');
+        }
+
+        if (current.discontinuity_sequence < previous.discontinuity_sequence) {
+            this.addFinding('discontinuity-sequence-regression', 'error',
+                `EXT-X-DISCONTINUITY-SEQUENCE went backwards on reload (${previous.discontinuity_sequence} → ${current.discontinuity_sequence})`,
+                url, 'RFC 8216 §6.2.2');
+        }
+
+        if (previous.end_list && !current.end_list) {
+            this.addFinding('endlist-removed', 'error',
+                'EXT-X-ENDLIST disappeared after reload', url, 'RFC 8216 §6.2.1');
+        }
+
+        // Các segment trùng sequence giữa hai lần tải phải giữ nguyên URI và discontinuity sequence
+        const previousBySequence = new Map(previous.segments.map(segment => [segment.sequence, segment]));
+        let uriChanged = 0;
+        let discontinuityChanged = 0;
+
+        current.segments.forEach(segment => {
+            const before = previousBySequence.get(segment.sequence);
+            if (!before) return;
+            if (before.uri !== segment.uri) uriChanged++;
+            if (before.discontinuity_sequence !== segment.discontinuity_sequence) discontinuityChanged++;
+        });
+
+        if (uriChanged > 0) {
+            this.addFinding('segment-sequence-reassigned', 'error',
+                `${uriChanged} media sequence number(s) point to a different segment URI after reload`,
+                url, 'RFC 8216 §6.2.1');
+        }
+
+        if (discontinuityChanged > 0) {
+            this.addFinding('discontinuity-sequence-inconsistent', 'error',
+                `${discontinuityChanged} segment(s) changed discontinuity sequence between reloads`,
+                url, 'RFC 8216 §6.2.2');
+        }
+    }
+
+    /**
+     * Wait for a delay, resolving early if the validation is cancelled
+     */
+    delay(ms) {
+        return new Promise((resolve, reject) => {
+            const signal = this.abortController ? this.abortController.signal : null;
+            const timer = setTimeout(resolve, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('Validation cancelled', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Build the report object from collected findings
+     */
+    buildReport(url, durationMs) {
+        const severityOrder = { error: 0, warning: 1, info: 2 };
+        const findings = this.findings
+            .slice()
+            .sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+        const errorCount = findings.filter(finding => finding.severity === 'error').length;
+
+        return {
+            url: url,
+            validated_at: Date.now(),
+            validation_duration: Math.round(durationMs),
+            passed: errorCount === 0,
+            error_count: errorCount,
+            warning_count: findings.filter(finding => finding.severity === 'warning').length,
+            info_count: findings.filter(finding => finding.severity === 'info').length,
+            playlists_checked: this.playlistsChecked,
+            segments_sampled: this.segmentsSampled,
+            findings: findings
+        };
+    }
+
+    /**
+     * Get the last validation report
+     */
+    getReport() {
+        return this.report ? JSON.parse(JSON.stringify(this.report)) : null;
+    }
+
+    /**
+     * Update validator panel
+     * @param {string} status - Optional status override
+     */
+    updateValidatorDisplay(status = null) {
+        try {
+            const statusElement = document.getElementById('conformanceStatusValue');
+            if (!statusElement) return;
+
+            const report = this.report;
+            const runButton = document.getElementById('conformanceRunBtn');
+            if (runButton) runButton.disabled = this.isRunning;
+
+            if (status) {
+                statusElement.textContent = status;
+                return;
+            }
+            if (!report) return;
+
+            statusElement.textContent = report.passed ? 'Passed' : 'Failed';
+            statusElement.style.color = report.passed ? 'var(--color-success)' : 'var(--color-error)';
+
+            document.getElementById('conformanceErrorsValue').textContent = report.error_count;
+            document.getElementById('conformanceWarningsValue').textContent = report.warning_count;
+            document.getElementById('conformanceInfoValue').textContent = report.info_count;
+            document.getElementById('conformancePlaylistsValue').textContent = report.playlists_checked;
+            document.getElementById('conformanceSegmentsValue').textContent = report.segments_sampled;
+
+            const list = document.getElementById('conformanceFindings');
+            if (!list) return;
+
+            if (report.findings.length === 0) {
+                list.innerHTML = '<li class="conformance-findings__empty">No findings - stream conforms to all checked rules</li>';
+                return;
+            }
+
+            list.innerHTML = report.findings.map(finding => `
+                <li class="conformance-findings__item conformance-findings__item--${finding.severity}">
+                    <span class="conformance-findings__severity">${finding.severity.toUpperCase()}</span>
+                    <code class="conformance-findings__rule">${HtmlEscaper.escape(finding.rule_id)}</code>
+                    <span class="conformance-findings__message">${HtmlEscaper.escape(finding.message)}</span>
+                    <span class="conformance-findings__meta">${HtmlEscaper.escape(finding.reference)} · ${HtmlEscaper.escape(finding.playlist_url)}</span>
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('Error updating conformance display:', error);
+        }
+    }
+
+    /**
+     * Create conformance validator panel
+     * @param {Function} getStreamUrl - Returns the URL to validate (may throw on invalid input)
+     * @param {Function} onError - Called with an error message
+     */
+    createValidatorPanel(getStreamUrl, onError = null) {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create conformance panel');
+                return;
+            }
+
+            if (document.getElementById('conformancePanel')) return;
+
+            const conformancePanel = document.createElement('article');
+            conformancePanel.className = 'card';
+            conformancePanel.id = 'conformancePanel';
+
+            conformancePanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-clipboard-check"></i>
+                        Spec Conformance
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Status:</span>
+                            <span class="info-item__value" id="conformanceStatusValue">Not run</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Errors:</span>
+                            <span class="info-item__value" id="conformanceErrorsValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Warnings:</span>
+                            <span class="info-item__value" id="conformanceWarningsValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Info:</span>
+                            <span class="info-item__value" id="conformanceInfoValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Playlists Checked:</span>
+                            <span class="info-item__value" id="conformancePlaylistsValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Segments Sampled:</span>
+                            <span class="info-item__value" id="conformanceSegmentsValue">-</span>
+                        </div>
+                    </div>
+                    <ul id="conformanceFindings" class="conformance-findings"></ul>
+                    <div class="export-controls x-export">
+                        <div class="x-export__grid">
+                            <button id="conformanceRunBtn" class="export-btn export-btn--primary">Validate Stream</button>
+                            <button id="conformanceCancelBtn" class="export-btn">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(conformancePanel);
+
+            const runBtn = conformancePanel.querySelector('#conformanceRunBtn');
+            const cancelBtn = conformancePanel.querySelector('#conformanceCancelBtn');
+
+            this.memoryManager.addEventListener(runBtn, 'click', async () => {
+                try {
+                    const url = typeof getStreamUrl === 'function' ? getStreamUrl() : null;
+                    await this.validate(url);
+                } catch (error) {
+                    console.error('Failed to run conformance validation:', error);
+                    this.updateValidatorDisplay('Not run');
+                    if (onError) onError(`Conformance validation failed: ${error.message}`);
+                }
+            });
+
+            this.memoryManager.addEventListener(cancelBtn, 'click', () => {
+                this.cancel();
+            });
+
+            console.log('Conformance panel created');
+        } catch (error) {
+            console.error('Error creating conformance panel:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.cancel();
+            this.metricsDataManager = null;
+            console.log('ConformanceValidator cleanup completed');
+        } catch (error) {
+            console.error('Error during ConformanceValidator cleanup:', error);
+        }
+    }
+}
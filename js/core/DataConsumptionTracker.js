@@ -2,7 +2,10 @@
  * DataConsumptionTracker - Track data consumption and transfer rates for HLS streams
  */
 export default class DataConsumptionTracker {
-    constructor() {
+    constructor(options = {}) {
+        // Headless instances collect metrics only and never render a panel
+        this.headless = options.headless === true;
+
         this.metrics = {
             total_data_loaded: 0, // in GB
             data_rate: 0, // MB/s
@@ -24,9 +27,12 @@ export default class DataConsumptionTracker {
 
         console.log('DataConsumptionTracker initialized');
 
-        // Create panel immediately and start basic tracking
-        setTimeout(() => {
-            this.createDataPanel();
+        // Create panel immediately and start basic tracking (cleared by cleanup() if it runs first)
+        this.startupTimeout = setTimeout(() => {
+            this.startupTimeout = null;
+            if (!this.headless) {
+                this.createDataPanel();
+            }
             this.initializeBasicTracking();
         }, 1000);
     }
@@ -604,6 +610,7 @@ export default class DataConsumptionTracker {
             data_rate: this.metrics.data_rate,
             data_efficiency: this.metrics.data_efficiency,
             bytes_loaded: this.metrics.bytes_loaded,
+            total_requests: this.getTotalRequests(),
             data_history: [...this.metrics.data_history],
             transfer_rates: [...this.metrics.transfer_rates]
         };
@@ -614,6 +621,8 @@ export default class DataConsumptionTracker {
      */
     updateDataDisplay() {
         try {
+            if (this.headless) return;
+
             // Find or create data consumption metrics panel
             let dataPanel = document.getElementById('dataConsumptionPanel');
 
@@ -865,6 +874,10 @@ export default class DataConsumptionTracker {
      */
     cleanup() {
         try {
+            if (this.startupTimeout) {
+                clearTimeout(this.startupTimeout);
+                this.startupTimeout = null;
+            }
             this.stopRealTimeUpdates();
             console.log('DataConsumptionTracker cleanup completed');
         } catch (error) {
@@ -2,7 +2,10 @@
  * ErrorTracker - Comprehensive error tracking for HLS streams
  */
 export default class ErrorTracker {
-    constructor() {
+    constructor(options = {}) {
+        // Headless instances collect metrics only and never render a panel
+        this.headless = options.headless === true;
+
         this.metrics = {
             error_count: 0,
             total_events: 0,
@@ -15,6 +18,7 @@ export default class ErrorTracker {
             },
             last_error: null,
             error_history: [],
+            recovery: this.createRecoveryMetrics(),
             session_start_time: null
         };
 
@@ -22,10 +26,14 @@ export default class ErrorTracker {
         this.dataConsumptionTracker = null;
         this.realTimeUpdateInterval = null;
         this.eventListeners = new Map();
+        // Recovery attempts awaiting their outcome by id, independent of the trimmed display history
+        this.pendingRecoveries = new Map();
 
         console.log('ErrorTracker initialized');
 
         // Create error panel immediately when dashboard is ready
+        if (this.headless) return;
+
         setTimeout(() => {
             this.createErrorPanel();
             this.updateErrorDisplay();
@@ -278,10 +286,87 @@ export default class ErrorTracker {
             error_percentage: this.metrics.error_percentage,
             error_types: { ...this.metrics.error_types },
             last_error: this.metrics.last_error ? { ...this.metrics.last_error } : null,
-            error_history: [...this.metrics.error_history]
+            error_history: [...this.metrics.error_history],
+            recovery: {
+                ...this.metrics.recovery,
+                by_action: JSON.parse(JSON.stringify(this.metrics.recovery.by_action)),
+                history: this.metrics.recovery.history.map(attempt => ({ ...attempt }))
+            }
+        };
+    }
+
+    createRecoveryMetrics() {
+        return {
+            attempts: 0,
+            succeeded: 0,
+            failed: 0,
+            gave_up: 0,
+            success_rate: 0,
+            by_action: {},
+            history: []
         };
     }
 
+    /**
+     * Record a recovery attempt made by the RecoveryPolicy
+     * @param {Object} attempt - { id, action, attempt, delay_ms, error_type, error_details, fatal, timestamp }
+     */
+    recordRecoveryAttempt(attempt) {
+        try {
+            const recovery = this.metrics.recovery;
+            recovery.attempts++;
+
+            const byAction = recovery.by_action[attempt.action] || { attempts: 0, succeeded: 0, failed: 0 };
+            byAction.attempts++;
+            recovery.by_action[attempt.action] = byAction;
+
+            const entry = { ...attempt, outcome: 'pending' };
+            this.pendingRecoveries.set(attempt.id, entry);
+            recovery.history.push(entry);
+            if (recovery.history.length > 50) {
+                recovery.history = recovery.history.slice(-50);
+            }
+        } catch (error) {
+            console.error('Error recording recovery attempt:', error);
+        }
+    }
+
+    /**
+     * Record how a recovery attempt ended
+     * @param {number} attemptId - Attempt id
+     * @param {string} outcome - 'succeeded', 'failed' or 'cancelled' (not counted in the success rate)
+     */
+    recordRecoveryOutcome(attemptId, outcome) {
+        try {
+            const recovery = this.metrics.recovery;
+            const attempt = this.pendingRecoveries.get(attemptId);
+            if (!attempt) return;
+
+            this.pendingRecoveries.delete(attemptId);
+            attempt.outcome = outcome;
+            attempt.resolved_at = Date.now();
+            if (outcome !== 'succeeded' && outcome !== 'failed') return;
+
+            recovery[outcome]++;
+            recovery.by_action[attempt.action][outcome]++;
+            recovery.success_rate = (recovery.succeeded / (recovery.succeeded + recovery.failed)) * 100;
+        } catch (error) {
+            console.error('Error recording recovery outcome:', error);
+        }
+    }
+
+    /**
+     * Record that the RecoveryPolicy ran out of recovery steps for a fatal error
+     */
+    recordRecoveryGiveUp(attempt) {
+        const recovery = this.metrics.recovery;
+        recovery.gave_up++;
+        recovery.history.push({ ...attempt });
+        if (recovery.history.length > 50) {
+            recovery.history = recovery.history.slice(-50);
+        }
+    }
+
     /**
      * Update error display in the UI
      */
@@ -290,6 +375,8 @@ export default class ErrorTracker {
             // Recalculate error percentage to get latest total requests count
             this.calculateErrorPercentage();
 
+            if (this.headless) return;
+
             // Find or create error metrics panel
             let errorPanel = document.getElementById('errorMetricsPanel');
 
@@ -500,8 +587,10 @@ export default class ErrorTracker {
                 },
                 last_error: null,
                 error_history: [],
+                recovery: this.createRecoveryMetrics(),
                 session_start_time: null
             };
+            this.pendingRecoveries.clear();
 
             this.updateErrorDisplay();
             console.log('Error metrics reset');
@@ -519,6 +608,7 @@ export default class ErrorTracker {
 
             // Clear event listeners
             this.eventListeners.clear();
+            this.pendingRecoveries.clear();
 
             console.log('ErrorTracker cleanup completed');
         } catch (error) {
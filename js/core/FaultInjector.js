@@ -0,0 +1,603 @@
+import HtmlEscaper from './HtmlEscaper.js';
+
+/**
+ * FaultInjector - Deterministic fault injection for error-path testing.
+ * A custom hls.js loader forces HTTP errors or timeouts on the Nth segment, truncates or corrupts
+ * fragment bytes, freezes live playlists or drops the decryption key. Each injection is matched
+ * with the hls.js error it caused and whether the segment loaded afterwards, and the panel shows the
+ * ErrorTracker counts next to it so recovery and error accounting can be checked.
+ */
+export default class FaultInjector {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.errorTracker = options.errorTracker || null;
+
+        this.config = {
+            max_injections: 200,
+            truncate_ratio: 0.5, // share of the fragment bytes kept
+            corrupt_ratio: 0.5, // share of the fragment bytes overwritten (middle of the payload)
+            default_timeout_ms: 10000, // when the loader config has no timeout
+            frozen_reload_delay_ms: 250 // keeps blocking reloads of a frozen playlist from spinning
+        };
+
+        // target: which requests a fault counts and applies to
+        this.faultTypes = {
+            http_error: { label: 'HTTP error', target: 'fragment' },
+            timeout: { label: 'Timeout', target: 'fragment' },
+            truncate: { label: 'Truncate fragment', target: 'fragment' },
+            corrupt: { label: 'Corrupt fragment bytes', target: 'fragment' },
+            freeze_playlist: { label: 'Freeze live playlist', target: 'playlist' },
+            drop_key: { label: 'Drop decryption key', target: 'key' }
+        };
+        this.httpStatuses = [403, 404, 410, 500, 502, 503, 504];
+
+        this.hlsInstance = null;
+        this.hlsHandlers = null;
+        this.rules = [];
+        this.injections = [];
+        this.frozenPlaylists = new Map();
+        this.nextRuleId = 1;
+
+        console.log('FaultInjector initialized');
+    }
+
+    setErrorTracker(errorTracker) {
+        this.errorTracker = errorTracker;
+    }
+
+    /**
+     * Attach to a new HLS instance (armed faults count again from the first request)
+     */
+    setHLSInstance(hlsInstance) {
+        try {
+            this.removeHLSListeners();
+            this.resetCounters();
+
+            this.hlsInstance = hlsInstance;
+            if (!hlsInstance || typeof hlsInstance.on !== 'function' || !window.Hls) return;
+
+            this.hlsHandlers = {
+                error: (event, data) => this.observeError(data),
+                fragLoaded: (event, data) => this.observeFragLoaded(data)
+            };
+
+            hlsInstance.on(Hls.Events.ERROR, this.hlsHandlers.error);
+            hlsInstance.on(Hls.Events.FRAG_LOADED, this.hlsHandlers.fragLoaded);
+        } catch (error) {
+            console.error('Error setting HLS instance for fault injection:', error);
+        }
+    }
+
+    resetCounters() {
+        this.rules.forEach(rule => {
+            rule.seen = 0;
+            rule.injected = 0;
+        });
+        this.injections = [];
+        this.frozenPlaylists.clear();
+        this.updateFaultDisplay();
+    }
+
+    /**
+     * Arm a fault
+     * @param {Object} options - { type, status, nth, count }
+     *   nth: first matching request to fault (1 = next one), count: requests to fault (0 = until cleared)
+     * @returns {Object} The armed rule
+     */
+    addFault(options = {}) {
+        const type = options.type;
+        if (!this.faultTypes[type]) {
+            throw new Error(`Unknown fault type: ${type}`);
+        }
+
+        const status = parseInt(options.status, 10) || 503;
+        if (type === 'http_error' && (status < 400 || status > 599)) {
+            throw new Error(`HTTP error status must be 4xx or 5xx: ${options.status}`);
+        }
+
+        const nth = options.nth !== undefined ? parseInt(options.nth, 10) : 1;
+        const count = options.count !== undefined ? parseInt(options.count, 10) : 1;
+        if (!(nth >= 1) || !(count >= 0)) {
+            throw new Error('Nth request must be 1 or more and count 0 or more');
+        }
+
+        const rule = {
+            id: this.nextRuleId++,
+            type,
+            status: type === 'http_error' ? status : null,
+            nth,
+            count,
+            seen: 0,
+            injected: 0
+        };
+        this.rules.push(rule);
+
+        this.updateFaultDisplay();
+        console.log(`Fault armed: ${this.describeRule(rule)}`);
+        return rule;
+    }
+
+    removeFault(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.updateFaultDisplay();
+    }
+
+    /**
+     * Disarm every fault (frozen playlists update again)
+     */
+    clearFaults() {
+        this.rules = [];
+        this.frozenPlaylists.clear();
+        this.updateFaultDisplay();
+    }
+
+    describeRule(rule) {
+        const label = rule.type === 'http_error' ? `HTTP ${rule.status}` : this.faultTypes[rule.type].label;
+        const target = this.faultTypes[rule.type].target;
+        const scope = rule.count === 0 ? 'until cleared' : `${rule.count} request${rule.count === 1 ? '' : 's'}`;
+        return `${label} from ${target} #${rule.nth}, ${scope}`;
+    }
+
+    isRuleActive(rule) {
+        return rule.count === 0 || rule.injected < rule.count;
+    }
+
+    /**
+     * Which fault target a loader context belongs to (null = never faulted)
+     */
+    getTarget(context) {
+        if (context.keyInfo) return 'key';
+
+        const frag = context.frag;
+        if (frag && !context.type) {
+            return frag.sn !== 'initSegment' && frag.type !== 'subtitle' ? 'fragment' : null;
+        }
+
+        if (context.type === 'level' || context.type === 'audioTrack' || context.type === 'subtitleTrack') {
+            return 'playlist';
+        }
+        return null;
+    }
+
+    /**
+     * Count the request against the armed faults and return the one to apply, if any
+     */
+    matchRule(context) {
+        const target = this.getTarget(context);
+        if (!target) return null;
+
+        let match = null;
+        this.rules.forEach(rule => {
+            if (this.faultTypes[rule.type].target !== target || !this.isRuleActive(rule)) return;
+
+            rule.seen++;
+            if (!match && rule.seen >= rule.nth) {
+                match = rule;
+            }
+        });
+        return match;
+    }
+
+    getPlaylistKey(url) {
+        return String(url || '').split('?')[0];
+    }
+
+    /**
+     * Log an injection so the resulting hls.js error can be matched to it
+     */
+    recordInjection(rule, context) {
+        rule.injected++;
+
+        const injection = {
+            rule_id: rule.id,
+            type: rule.type,
+            label: rule.type === 'http_error' ? `HTTP ${rule.status}` : this.faultTypes[rule.type].label,
+            url: this.getPlaylistKey(context.url),
+            // Key and fragment errors are reported against the fragment
+            frag_url: context.frag ? this.getPlaylistKey(context.frag.url) : null,
+            sn: context.frag ? context.frag.sn : null,
+            injected_at: Date.now(),
+            observed_error: null,
+            recovered: false
+        };
+
+        this.injections.push(injection);
+        if (this.injections.length > this.config.max_injections) {
+            this.injections.shift();
+        }
+
+        this.updateFaultDisplay();
+        console.log(`Fault injected: ${injection.label} on ${injection.url}`);
+        return injection;
+    }
+
+    /**
+     * Stats object for a response the injector produces without a real request
+     */
+    getSyntheticStats(loader) {
+        const stats = loader.stats || { loading: {}, parsing: {}, buffering: {}, retry: 0, loaded: 0, total: 0 };
+        stats.loading.start = stats.loading.start || performance.now();
+        return stats;
+    }
+
+    /**
+     * Truncated or corrupted copy of a fragment payload (the same fault always gives the same bytes)
+     */
+    damagePayload(rule, data) {
+        if (!(data instanceof ArrayBuffer)) return data;
+
+        if (rule.type === 'truncate') {
+            return data.slice(0, Math.floor(data.byteLength * this.config.truncate_ratio));
+        }
+
+        const copy = data.slice(0);
+        const bytes = new Uint8Array(copy);
+        const length = Math.floor(bytes.length * this.config.corrupt_ratio);
+        const start = Math.floor((bytes.length - length) / 2);
+
+        // xorshift32 seeded by the rule, so reruns corrupt the same way
+        let seed = (rule.id * 2654435761) >>> 0 || 1;
+        for (let i = start; i < start + length; i++) {
+            seed ^= seed << 13;
+            seed ^= seed >>> 17;
+            seed ^= seed << 5;
+            bytes[i] = seed & 0xff;
+        }
+        return copy;
+    }
+
+    /**
+     * hls.js loader class that applies the armed faults before/after BaseLoader.
+     * Used innermost, so throttling, CMCD and the request log see the faulted responses.
+     * @param {Function} BaseLoader - Loader to extend (usually Hls.DefaultConfig.loader)
+     */
+    createLoader(BaseLoader) {
+        const injector = this;
+
+        return class FaultInjectionLoader extends BaseLoader {
+            load(context, config, callbacks) {
+                const rule = injector.matchRule(context);
+                if (!rule) {
+                    super.load(context, config, callbacks);
+                    return;
+                }
+
+                if (rule.type === 'truncate' || rule.type === 'corrupt') {
+                    // Counted up front so concurrent loads cannot exceed the rule's count
+                    injector.recordInjection(rule, context);
+                    super.load(context, config, {
+                        ...callbacks,
+                        onSuccess: (response, stats, ctx, networkDetails) => {
+                            callbacks.onSuccess({ ...response, data: injector.damagePayload(rule, response.data) }, stats, ctx, networkDetails);
+                        }
+                    });
+                    return;
+                }
+
+                if (rule.type === 'freeze_playlist') {
+                    this.loadFrozenPlaylist(rule, context, config, callbacks);
+                    return;
+                }
+
+                // HTTP error, timeout and key drop fail without reaching the server
+                injector.recordInjection(rule, context);
+                const stats = injector.getSyntheticStats(this);
+                const fail = () => {
+                    this.faultTimer = null;
+                    stats.loading.end = performance.now();
+                    if (rule.type === 'timeout') {
+                        callbacks.onTimeout(stats, context, null);
+                    } else if (rule.type === 'drop_key') {
+                        callbacks.onError({ code: 0, text: 'Injected key drop' }, context, null, stats);
+                    } else {
+                        callbacks.onError({ code: rule.status, text: `Injected HTTP ${rule.status}` }, context, null, stats);
+                    }
+                };
+
+                const delay = rule.type === 'timeout' ? (config && config.timeout) || injector.config.default_timeout_ms : 0;
+                this.faultTimer = setTimeout(fail, delay);
+            }
+
+            /**
+             * The first reload after arming is fetched and kept; later reloads get that copy back
+             */
+            loadFrozenPlaylist(rule, context, config, callbacks) {
+                const key = injector.getPlaylistKey(context.url);
+                const frozen = injector.frozenPlaylists.get(key);
+
+                if (!frozen) {
+                    super.load(context, config, {
+                        ...callbacks,
+                        onSuccess: (response, stats, ctx, networkDetails) => {
+                            if (typeof response.data === 'string' && injector.rules.includes(rule)) {
+                                injector.frozenPlaylists.set(key, response.data);
+                            }
+                            callbacks.onSuccess(response, stats, ctx, networkDetails);
+                        }
+                    });
+                    return;
+                }
+
+                injector.recordInjection(rule, context);
+                const stats = injector.getSyntheticStats(this);
+                this.faultTimer = setTimeout(() => {
+                    this.faultTimer = null;
+                    stats.loading.first = stats.loading.end = performance.now();
+                    stats.loaded = stats.total = frozen.length;
+                    callbacks.onSuccess({ url: context.url, data: frozen, code: 200 }, stats, context, null);
+                }, injector.config.frozen_reload_delay_ms);
+            }
+
+            clearFaultTimer() {
+                if (this.faultTimer) {
+                    clearTimeout(this.faultTimer);
+                    this.faultTimer = null;
+                }
+            }
+
+            abort() {
+                this.clearFaultTimer();
+                super.abort();
+            }
+
+            destroy() {
+                this.clearFaultTimer();
+                super.destroy();
+            }
+        };
+    }
+
+    /**
+     * Match an hls.js error to the injection that caused it
+     */
+    observeError(data) {
+        try {
+            const urls = [data.frag && data.frag.url, data.context && data.context.url, data.url]
+                .filter(Boolean)
+                .map(url => this.getPlaylistKey(url));
+            if (urls.length === 0) return;
+
+            const injection = this.injections.find(item => !item.observed_error &&
+                (urls.includes(item.url) || (item.frag_url && urls.includes(item.frag_url))));
+            if (!injection) return;
+
+            injection.observed_error = {
+                type: data.type,
+                details: data.details,
+                fatal: data.fatal === true,
+                response_code: data.response ? data.response.code : null
+            };
+            this.updateFaultDisplay();
+        } catch (error) {
+            console.warn('Error matching injected fault:', error);
+        }
+    }
+
+    /**
+     * A faulted segment that loads later means hls.js recovered from the injection
+     */
+    observeFragLoaded(data) {
+        if (!data || !data.frag) return;
+
+        const url = this.getPlaylistKey(data.frag.url);
+        let changed = false;
+        this.injections.forEach(injection => {
+            if (!injection.recovered && injection.frag_url === url &&
+                ['http_error', 'timeout', 'drop_key'].includes(injection.type)) {
+                injection.recovered = true;
+                changed = true;
+            }
+        });
+        if (changed) this.updateFaultDisplay();
+    }
+
+    /**
+     * Injection results next to the ErrorTracker counts
+     */
+    getReport() {
+        const errorMetrics = this.errorTracker ? this.errorTracker.getErrorMetrics() : null;
+        const recoverable = this.injections.filter(item => ['http_error', 'timeout', 'drop_key'].includes(item.type));
+
+        return {
+            armed_faults: this.rules.map(rule => ({ ...rule, description: this.describeRule(rule) })),
+            injection_count: this.injections.length,
+            observed_error_count: this.injections.filter(item => item.observed_error).length,
+            fatal_error_count: this.injections.filter(item => item.observed_error && item.observed_error.fatal).length,
+            recovered_count: recoverable.filter(item => item.recovered).length,
+            recoverable_count: recoverable.length,
+            error_tracker: errorMetrics ? {
+                error_count: errorMetrics.error_count,
+                error_types: { ...errorMetrics.error_types }
+            } : null,
+            injections: this.injections.map(item => ({ ...item }))
+        };
+    }
+
+    /**
+     * Update the fault injection panel
+     */
+    updateFaultDisplay() {
+        try {
+            const list = document.getElementById('faultInjectionList');
+            if (!list) return;
+
+            const report = this.getReport();
+            document.getElementById('faultArmedValue').textContent = report.armed_faults.length
+                ? report.armed_faults.map(rule => rule.description).join('; ')
+                : 'None';
+            document.getElementById('faultInjectedValue').textContent = report.injection_count.toLocaleString();
+            document.getElementById('faultObservedValue').textContent =
+                `${report.observed_error_count} (${report.fatal_error_count} fatal)`;
+            document.getElementById('faultRecoveredValue').textContent =
+                `${report.recovered_count} / ${report.recoverable_count}`;
+
+            const types = report.error_tracker ? report.error_tracker.error_types : null;
+            document.getElementById('faultErrorTrackerValue').textContent = types
+                ? `network ${types.network} · media ${types.media} · mux ${types.mux} · other ${types.other}`
+                : '-';
+
+            if (report.injections.length === 0) {
+                list.innerHTML = '<li class="fault-log__empty">No faults injected</li>';
+                return;
+            }
+
+            list.innerHTML = report.injections.slice(-20).reverse().map(injection => {
+                const observed = injection.observed_error;
+                const outcome = observed
+                    ? `${observed.type} / ${observed.details}${observed.fatal ? ' (fatal)' : ''}`
+                    : 'No hls.js error observed';
+                const name = injection.url.split('/').pop() || injection.url;
+                const modifier = observed && observed.fatal ? ' fault-log__item--fatal' : (injection.recovered ? ' fault-log__item--recovered' : '');
+
+                return `
+                    <li class="fault-log__item${modifier}" title="${HtmlEscaper.escape(injection.url)}">
+                        <span class="fault-log__url">${HtmlEscaper.escape(injection.label)} · ${HtmlEscaper.escape(name)}</span>
+                        <span>${HtmlEscaper.escape(outcome)}${injection.recovered ? ' · recovered' : ''}</span>
+                    </li>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error updating fault injection display:', error);
+        }
+    }
+
+    /**
+     * Create the Fault Injection panel in the dashboard
+     * @param {Function} onError - Called with a message when a fault cannot be armed
+     */
+    createFaultPanel(onError) {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create fault injection panel');
+                return;
+            }
+
+            if (document.getElementById('faultInjectionPanel')) return;
+
+            const faultPanel = document.createElement('article');
+            faultPanel.className = 'card';
+            faultPanel.id = 'faultInjectionPanel';
+
+            const typeOptions = Object.entries(this.faultTypes)
+                .map(([type, fault]) => `<option value="${type}">${fault.label}</option>`)
+                .join('');
+            const statusOptions = this.httpStatuses
+                .map(status => `<option value="${status}"${status === 503 ? ' selected' : ''}>${status}</option>`)
+                .join('');
+
+            faultPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-bug"></i>
+                        Fault Injection
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="faultTypeSelect">Fault</label>
+                            <select id="faultTypeSelect" class="input-group__input">${typeOptions}</select>
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="faultStatusSelect">HTTP status</label>
+                            <select id="faultStatusSelect" class="input-group__input">${statusOptions}</select>
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="faultNthInput">Starting at request #</label>
+                            <input type="number" id="faultNthInput" class="input-group__input" min="1" value="1">
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="faultCountInput">Requests to fault (0 = until cleared)</label>
+                            <input type="number" id="faultCountInput" class="input-group__input" min="0" value="1">
+                        </div>
+                    </div>
+                    <div class="export-controls x-export">
+                        <div class="x-export__grid">
+                            <button id="faultArmBtn" class="export-btn export-btn--primary">Arm Fault</button>
+                            <button id="faultClearBtn" class="export-btn">Clear Faults</button>
+                        </div>
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Armed:</span>
+                            <span class="info-item__value" id="faultArmedValue">None</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Injected:</span>
+                            <span class="info-item__value" id="faultInjectedValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">hls.js Errors:</span>
+                            <span class="info-item__value" id="faultObservedValue">0 (0 fatal)</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Recovered:</span>
+                            <span class="info-item__value" id="faultRecoveredValue">0 / 0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">ErrorTracker:</span>
+                            <span class="info-item__value" id="faultErrorTrackerValue">-</span>
+                        </div>
+                    </div>
+                    <ul id="faultInjectionList" class="fault-log"></ul>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(faultPanel);
+
+            const typeSelect = faultPanel.querySelector('#faultTypeSelect');
+            const statusSelect = faultPanel.querySelector('#faultStatusSelect');
+            const nthInput = faultPanel.querySelector('#faultNthInput');
+            const countInput = faultPanel.querySelector('#faultCountInput');
+
+            this.memoryManager.addEventListener(typeSelect, 'change', () => {
+                statusSelect.disabled = typeSelect.value !== 'http_error';
+            });
+            this.memoryManager.addEventListener(faultPanel.querySelector('#faultArmBtn'), 'click', () => {
+                try {
+                    this.addFault({
+                        type: typeSelect.value,
+                        status: statusSelect.value,
+                        nth: nthInput.value,
+                        count: countInput.value
+                    });
+                } catch (error) {
+                    if (onError) onError(error.message);
+                }
+            });
+            this.memoryManager.addEventListener(faultPanel.querySelector('#faultClearBtn'), 'click', () => {
+                this.clearFaults();
+            });
+
+            statusSelect.disabled = typeSelect.value !== 'http_error';
+            this.updateFaultDisplay();
+            console.log('Fault injection panel created');
+        } catch (error) {
+            console.error('Error creating fault injection panel:', error);
+        }
+    }
+
+    /**
+     * Remove HLS event listeners
+     */
+    removeHLSListeners() {
+        if (this.hlsInstance && this.hlsHandlers && typeof this.hlsInstance.off === 'function' && window.Hls) {
+            this.hlsInstance.off(Hls.Events.ERROR, this.hlsHandlers.error);
+            this.hlsInstance.off(Hls.Events.FRAG_LOADED, this.hlsHandlers.fragLoaded);
+        }
+        this.hlsHandlers = null;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.removeHLSListeners();
+        this.hlsInstance = null;
+        this.rules = [];
+        this.injections = [];
+        this.frozenPlaylists.clear();
+        console.log('FaultInjector cleanup completed');
+    }
+}
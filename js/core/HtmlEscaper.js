@@ -0,0 +1,19 @@
+/**
+ * HtmlEscaper - Escapes untrusted text (manifest content, URLs, error messages) before it goes into
+ * panel markup. Every view building innerHTML uses it, so escaping rules live in one place.
+ */
+export default class HtmlEscaper {
+    /**
+     * @param {*} value - Value to render; null and undefined render as the '-' placeholder
+     * @returns {string} HTML-safe text
+     */
+    static escape(value) {
+        if (value === null || value === undefined) return '-';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
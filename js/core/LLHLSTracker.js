@@ -0,0 +1,481 @@
+/**
+ * LLHLSTracker - Chẩn đoán Low-Latency HLS: EXT-X-PART, preload hint,
+ * blocking playlist reload (_HLS_msn/_HLS_part), EXT-X-SERVER-CONTROL và rendition report
+ */
+export default class LLHLSTracker {
+    constructor() {
+        this.hlsInstance = null;
+        this.eventHandlers = null;
+
+        this.pendingReloads = {};   // LEVEL_LOADING có delivery directives theo level
+        this.seenParts = {};        // key `${sn}:${index}` đã thấy theo level
+        this.lastPartArrival = {};  // thời điểm part mới xuất hiện gần nhất theo level
+        this.lastPreloadHint = {};  // preload hint của lần tải trước theo level
+
+        this.metrics = this.createEmptyMetrics();
+
+        console.log('LLHLSTracker initialized');
+    }
+
+    /**
+     * Initial metrics structure
+     */
+    createEmptyMetrics() {
+        return {
+            is_low_latency: false,
+            part_target: null,
+            server_control: {
+                can_block_reload: false,
+                can_skip_until: null,
+                can_skip_dateranges: false,
+                hold_back: null,
+                part_hold_back: null
+            },
+            parts: {
+                arrival_count: 0,
+                avg_arrival_interval: 0,
+                total_arrival_interval: 0,
+                arrival_interval_count: 0,
+                loaded_count: 0,
+                avg_part_load_time: 0,
+                min_part_load_time: null,
+                max_part_load_time: 0,
+                total_part_load_time: 0,
+                load_history: []
+            },
+            preload_hints: {
+                hints_seen: 0,
+                hits: 0,
+                misses: 0,
+                hit_ratio: 0
+            },
+            blocking_reloads: {
+                count: 0,
+                avg_response_time: 0,
+                min_response_time: null,
+                max_response_time: 0,
+                total_response_time: 0,
+                unsatisfied_count: 0,   // playlist trả về chưa chứa msn/part đã yêu cầu
+                history: []
+            },
+            rendition_reports: []
+        };
+    }
+
+    /**
+     * Set HLS instance and listen for LL-HLS related events
+     */
+    setHLSInstance(hlsInstance) {
+        try {
+            this.removeHLSListeners();
+            this.reset();
+
+            this.hlsInstance = hlsInstance;
+            if (!hlsInstance || typeof hlsInstance.on !== 'function' || !window.Hls) return;
+
+            this.eventHandlers = {
+                levelLoading: (event, data) => this.onLevelLoading(data),
+                levelLoaded: (event, data) => this.onLevelLoaded(data),
+                fragLoaded: (event, data) => this.onFragLoaded(data)
+            };
+
+            hlsInstance.on(Hls.Events.LEVEL_LOADING, this.eventHandlers.levelLoading);
+            hlsInstance.on(Hls.Events.LEVEL_LOADED, this.eventHandlers.levelLoaded);
+            hlsInstance.on(Hls.Events.FRAG_LOADED, this.eventHandlers.fragLoaded);
+
+            console.log('HLS instance set for LL-HLS diagnostics');
+        } catch (error) {
+            console.error('Error setting HLS instance for LL-HLS tracker:', error);
+        }
+    }
+
+    /**
+     * Remove listeners from the previous HLS instance
+     */
+    removeHLSListeners() {
+        if (this.hlsInstance && this.eventHandlers && typeof this.hlsInstance.off === 'function') {
+            this.hlsInstance.off(Hls.Events.LEVEL_LOADING, this.eventHandlers.levelLoading);
+            this.hlsInstance.off(Hls.Events.LEVEL_LOADED, this.eventHandlers.levelLoaded);
+            this.hlsInstance.off(Hls.Events.FRAG_LOADED, this.eventHandlers.fragLoaded);
+        }
+        this.eventHandlers = null;
+    }
+
+    /**
+     * Handle LEVEL_LOADING - ghi nhận blocking reload (_HLS_msn / _HLS_part)
+     */
+    onLevelLoading(data) {
+        try {
+            const directives = data.deliveryDirectives;
+            if (directives && directives.msn !== undefined && directives.msn !== null) {
+                this.pendingReloads[data.level] = {
+                    start: performance.now(),
+                    msn: directives.msn,
+                    part: directives.part !== undefined ? directives.part : null
+                };
+            } else {
+                delete this.pendingReloads[data.level];
+            }
+        } catch (error) {
+            console.error('Error handling LL-HLS level loading:', error);
+        }
+    }
+
+    /**
+     * Handle LEVEL_LOADED - server control, parts, preload hint, rendition reports
+     */
+    onLevelLoaded(data) {
+        try {
+            const details = data.details;
+            if (!details) return;
+
+            this.updateServerControl(details);
+            this.trackBlockingReload(data.level, details);
+            this.trackPartArrivals(data.level, details);
+            this.trackPreloadHint(data.level, details);
+            this.updateRenditionReports(details);
+
+            this.updateLLHLSDisplay();
+        } catch (error) {
+            console.error('Error handling LL-HLS level loaded:', error);
+        }
+    }
+
+    /**
+     * Read EXT-X-SERVER-CONTROL / EXT-X-PART-INF values
+     */
+    updateServerControl(details) {
+        const partList = details.partList || [];
+
+        this.metrics.part_target = details.partTarget || null;
+        this.metrics.is_low_latency = !!details.partTarget || partList.length > 0;
+        this.metrics.server_control = {
+            can_block_reload: details.canBlockReload === true,
+            can_skip_until: details.canSkipUntil || null,
+            can_skip_dateranges: details.canSkipDateRanges === true,
+            hold_back: details.holdBack || null,
+            part_hold_back: details.partHoldBack || null
+        };
+    }
+
+    /**
+     * Đo thời gian phản hồi của blocking playlist reload
+     */
+    trackBlockingReload(level, details) {
+        const pending = this.pendingReloads[level];
+        if (!pending) return;
+        delete this.pendingReloads[level];
+
+        const responseTime = performance.now() - pending.start;
+        const reloads = this.metrics.blocking_reloads;
+
+        reloads.count++;
+        reloads.total_response_time += responseTime;
+        reloads.avg_response_time = reloads.total_response_time / reloads.count;
+        if (reloads.min_response_time === null || responseTime < reloads.min_response_time) {
+            reloads.min_response_time = responseTime;
+        }
+        if (responseTime > reloads.max_response_time) {
+            reloads.max_response_time = responseTime;
+        }
+
+        // Server phải giữ request tới khi có msn/part được yêu cầu
+        const partList = details.partList || [];
+        const lastPart = partList.length > 0 ? partList[partList.length - 1] : null;
+        let satisfied = details.endSN >= pending.msn;
+        if (!satisfied && pending.part !== null && lastPart) {
+            satisfied = lastPart.fragment.sn > pending.msn ||
+                (lastPart.fragment.sn === pending.msn && lastPart.index >= pending.part);
+        }
+        if (!satisfied) {
+            reloads.unsatisfied_count++;
+        }
+
+        reloads.history.push({
+            timestamp: Date.now(),
+            level: level,
+            msn: pending.msn,
+            part: pending.part,
+            response_time: responseTime,
+            satisfied: satisfied
+        });
+
+        // Giới hạn 50 lần gần nhất
+        if (reloads.history.length > 50) {
+            reloads.history = reloads.history.slice(-50);
+        }
+    }
+
+    /**
+     * Đếm part mới xuất hiện giữa các lần tải playlist
+     */
+    trackPartArrivals(level, details) {
+        const partList = details.partList || [];
+        if (partList.length === 0) return;
+
+        if (!this.seenParts[level]) {
+            // Lần đầu: chỉ ghi nhận các part hiện có, không tính là "arrival"
+            this.seenParts[level] = new Set(partList.map(part => `${part.fragment.sn}:${part.index}`));
+            this.lastPartArrival[level] = performance.now();
+            return;
+        }
+
+        const seen = this.seenParts[level];
+        const newParts = partList.filter(part => !seen.has(`${part.fragment.sn}:${part.index}`));
+        if (newParts.length === 0) return;
+
+        const now = performance.now();
+        const parts = this.metrics.parts;
+        const interval = (now - this.lastPartArrival[level]) / newParts.length;
+
+        parts.arrival_count += newParts.length;
+        parts.total_arrival_interval += interval * newParts.length;
+        parts.arrival_interval_count += newParts.length;
+        parts.avg_arrival_interval = parts.total_arrival_interval / parts.arrival_interval_count;
+
+        newParts.forEach(part => seen.add(`${part.fragment.sn}:${part.index}`));
+        this.lastPartArrival[level] = now;
+
+        // Chỉ giữ key của các part còn trong playlist
+        if (seen.size > partList.length * 4) {
+            this.seenParts[level] = new Set(partList.map(part => `${part.fragment.sn}:${part.index}`));
+        }
+    }
+
+    /**
+     * So sánh preload hint lần trước với part list hiện tại (hit = hint trở thành part thật)
+     */
+    trackPreloadHint(level, details) {
+        const hints = this.metrics.preload_hints;
+        const previousHint = this.lastPreloadHint[level];
+        const partList = details.partList || [];
+
+        if (previousHint && partList.length > 0) {
+            const hit = partList.some(part => part.relurl === previousHint.uri);
+            if (hit) {
+                hints.hits++;
+            } else {
+                hints.misses++;
+            }
+            hints.hit_ratio = hints.hits / (hints.hits + hints.misses);
+        }
+
+        const preloadHint = details.preloadHint;
+        if (preloadHint && preloadHint.TYPE === 'PART' && preloadHint.URI) {
+            hints.hints_seen++;
+            this.lastPreloadHint[level] = { uri: preloadHint.URI };
+        } else {
+            delete this.lastPreloadHint[level];
+        }
+    }
+
+    /**
+     * Update EXT-X-RENDITION-REPORT list
+     */
+    updateRenditionReports(details) {
+        const reports = details.renditionReports || [];
+        this.metrics.rendition_reports = reports.map(report => ({
+            uri: report.URI || '',
+            last_msn: report['LAST-MSN'] !== undefined ? parseInt(report['LAST-MSN'], 10) : null,
+            last_part: report['LAST-PART'] !== undefined ? parseInt(report['LAST-PART'], 10) : null
+        }));
+    }
+
+    /**
+     * Handle FRAG_LOADED - đo thời gian tải từng part
+     */
+    onFragLoaded(data) {
+        try {
+            const part = data.part;
+            if (!part || !part.stats || !part.stats.loading) return;
+
+            const loading = part.stats.loading;
+            const loadTime = loading.end - loading.start;
+            if (!(loadTime > 0)) return;
+
+            const parts = this.metrics.parts;
+            parts.loaded_count++;
+            parts.total_part_load_time += loadTime;
+            parts.avg_part_load_time = parts.total_part_load_time / parts.loaded_count;
+            if (parts.min_part_load_time === null || loadTime < parts.min_part_load_time) {
+                parts.min_part_load_time = loadTime;
+            }
+            if (loadTime > parts.max_part_load_time) {
+                parts.max_part_load_time = loadTime;
+            }
+
+            parts.load_history.push({
+                timestamp: Date.now(),
+                sn: part.fragment ? part.fragment.sn : null,
+                index: part.index,
+                duration: part.duration,
+                independent: part.independent === true,
+                load_time: loadTime
+            });
+
+            // Giới hạn 50 part gần nhất
+            if (parts.load_history.length > 50) {
+                parts.load_history = parts.load_history.slice(-50);
+            }
+
+            this.updateLLHLSDisplay();
+        } catch (error) {
+            console.error('Error tracking LL-HLS part load:', error);
+        }
+    }
+
+    /**
+     * Get LL-HLS metrics
+     */
+    getLLHLSMetrics() {
+        return JSON.parse(JSON.stringify(this.metrics));
+    }
+
+    /**
+     * Format milliseconds for display
+     */
+    formatMs(value) {
+        return value !== null && value !== undefined && value > 0 ? value.toFixed(0) + ' ms' : '-';
+    }
+
+    /**
+     * Update LL-HLS panel
+     */
+    updateLLHLSDisplay() {
+        try {
+            const llhlsPanel = document.getElementById('llhlsPanel');
+            if (!llhlsPanel) return;
+
+            const metrics = this.metrics;
+            const setText = (selector, text) => {
+                const element = llhlsPanel.querySelector(selector);
+                if (element) element.textContent = text;
+            };
+
+            setText('#llhlsStatusValue', metrics.is_low_latency ? 'Active' : 'Not detected');
+            setText('#llhlsPartTargetValue', metrics.part_target ? metrics.part_target.toFixed(3) + ' s' : '-');
+            setText('#llhlsBlockReloadValue', metrics.server_control.can_block_reload ? 'YES' : 'NO');
+            setText('#llhlsHoldBackValue', metrics.server_control.part_hold_back !== null
+                ? `${metrics.server_control.part_hold_back} s (part) / ${metrics.server_control.hold_back !== null ? metrics.server_control.hold_back + ' s' : '-'}`
+                : '-');
+            setText('#llhlsPartArrivalsValue', metrics.parts.arrival_count > 0
+                ? `${metrics.parts.arrival_count} (every ${this.formatMs(metrics.parts.avg_arrival_interval)})`
+                : '0');
+            setText('#llhlsPartLoadValue', this.formatMs(metrics.parts.avg_part_load_time));
+            setText('#llhlsPreloadHintValue', metrics.preload_hints.hits + metrics.preload_hints.misses > 0
+                ? `${(metrics.preload_hints.hit_ratio * 100).toFixed(1)}% (${metrics.preload_hints.hits}/${metrics.preload_hints.hits + metrics.preload_hints.misses})`
+                : '-');
+            setText('#llhlsBlockingReloadValue', metrics.blocking_reloads.count > 0
+                ? `${this.formatMs(metrics.blocking_reloads.avg_response_time)} avg · ${metrics.blocking_reloads.count} req`
+                : '-');
+            setText('#llhlsUnsatisfiedValue', metrics.blocking_reloads.unsatisfied_count.toString());
+            setText('#llhlsRenditionReportsValue', metrics.rendition_reports.length > 0
+                ? metrics.rendition_reports.map(report => `${report.uri} @ ${report.last_msn}.${report.last_part !== null ? report.last_part : '-'}`).join(', ')
+                : '-');
+        } catch (error) {
+            console.error('Error updating LL-HLS display:', error);
+        }
+    }
+
+    /**
+     * Create LL-HLS diagnostics panel
+     */
+    createLLHLSPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create LL-HLS panel');
+                return;
+            }
+
+            if (document.getElementById('llhlsPanel')) return;
+
+            const llhlsPanel = document.createElement('article');
+            llhlsPanel.className = 'card';
+            llhlsPanel.id = 'llhlsPanel';
+
+            llhlsPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-bolt"></i>
+                        LL-HLS Diagnostics
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">LL-HLS:</span>
+                            <span class="info-item__value" id="llhlsStatusValue">Not detected</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Part Target:</span>
+                            <span class="info-item__value" id="llhlsPartTargetValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Can Block Reload:</span>
+                            <span class="info-item__value" id="llhlsBlockReloadValue">NO</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Hold Back:</span>
+                            <span class="info-item__value" id="llhlsHoldBackValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Part Arrivals:</span>
+                            <span class="info-item__value" id="llhlsPartArrivalsValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Avg Part Load:</span>
+                            <span class="info-item__value" id="llhlsPartLoadValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Preload Hint Hits:</span>
+                            <span class="info-item__value" id="llhlsPreloadHintValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Blocking Reloads:</span>
+                            <span class="info-item__value" id="llhlsBlockingReloadValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Unsatisfied Reloads:</span>
+                            <span class="info-item__value" id="llhlsUnsatisfiedValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Rendition Reports:</span>
+                            <span class="info-item__value" id="llhlsRenditionReportsValue">-</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(llhlsPanel);
+            console.log('LL-HLS panel created');
+        } catch (error) {
+            console.error('Error creating LL-HLS panel:', error);
+        }
+    }
+
+    /**
+     * Reset state for a new stream
+     */
+    reset() {
+        this.pendingReloads = {};
+        this.seenParts = {};
+        this.lastPartArrival = {};
+        this.lastPreloadHint = {};
+        this.metrics = this.createEmptyMetrics();
+        this.updateLLHLSDisplay();
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.removeHLSListeners();
+            this.hlsInstance = null;
+            console.log('LLHLSTracker cleanup completed');
+        } catch (error) {
+            console.error('Error during LLHLSTracker cleanup:', error);
+        }
+    }
+}
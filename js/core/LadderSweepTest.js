@@ -0,0 +1,673 @@
+import HtmlEscaper from './HtmlEscaper.js';
+
+/**
+ * LadderSweepTest - Encoder QA sweep over the rendition ladder. Each level is locked in turn for a
+ * fixed window; per level it records the startup-after-switch time, dropped frames and decoded FPS
+ * (PerformanceTracker frame counters), stalls, segment load times and the measured vs declared bitrate.
+ */
+export default class LadderSweepTest {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.performanceTracker = options.performanceTracker || null;
+        this.onSelectionChange = options.onSelectionChange || null;
+
+        this.config = {
+            dwell_s: 10,
+            settle_timeout_ms: 15000 // a level that is not playing by then is recorded as timed out
+        };
+
+        this.hlsInstance = null;
+        this.videoElement = null;
+        this.hlsHandlers = null;
+        this.mediaHandlers = null;
+
+        this.isRunning = false;
+        this.queue = [];
+        this.current = null;
+        this.report = null;
+        this.previousLevel = -1;
+        this.sampleTimer = null;
+        this.settleTimer = null;
+        this.dwellTimer = null;
+        this.chart = null;
+
+        console.log('LadderSweepTest initialized');
+    }
+
+    /**
+     * Attach to a new HLS instance; a running sweep is aborted
+     * @param {Object} hlsInstance - hls.js instance, or null when the stream is torn down
+     * @param {HTMLVideoElement} videoElement - Element the instance plays into
+     */
+    setHLSInstance(hlsInstance, videoElement = null) {
+        try {
+            if (this.isRunning) {
+                this.finish('aborted', false);
+            }
+            this.removeHLSListeners();
+
+            this.hlsInstance = hlsInstance;
+            this.videoElement = videoElement;
+            this.updateSweepDisplay();
+            if (!hlsInstance || typeof hlsInstance.on !== 'function' || !window.Hls) return;
+
+            this.hlsHandlers = {
+                levelSwitched: (event, data) => this.onLevelSwitched(data),
+                fragLoaded: (event, data) => this.onFragLoaded(data),
+                fragBuffered: (event, data) => this.onFragBuffered(data)
+            };
+            hlsInstance.on(Hls.Events.LEVEL_SWITCHED, this.hlsHandlers.levelSwitched);
+            hlsInstance.on(Hls.Events.FRAG_LOADED, this.hlsHandlers.fragLoaded);
+            hlsInstance.on(Hls.Events.FRAG_BUFFERED, this.hlsHandlers.fragBuffered);
+
+            if (videoElement) {
+                this.mediaHandlers = {
+                    waiting: () => {
+                        if (this.current && this.current.dwell_started_at) this.current.result.stalls++;
+                    }
+                };
+                videoElement.addEventListener('waiting', this.mediaHandlers.waiting);
+            }
+        } catch (error) {
+            console.error('Error setting HLS instance for ladder sweep:', error);
+        }
+    }
+
+    /**
+     * Start the sweep from the lowest to the highest level
+     * @param {Object} options - { dwell_s, levels } where levels is the StreamAnalytics availableLevels
+     *   list (index = hls.js level); defaults to hlsInstance.levels
+     */
+    start(options = {}) {
+        const hls = this.hlsInstance;
+        if (!hls || !hls.levels || hls.levels.length === 0) {
+            throw new Error('Load a stream before running a ladder sweep');
+        }
+        if (this.isRunning) {
+            throw new Error('A ladder sweep is already running');
+        }
+
+        const dwell = Number(options.dwell_s !== undefined ? options.dwell_s : this.config.dwell_s);
+        if (!(dwell >= 1)) {
+            throw new Error('Dwell time must be at least 1 second');
+        }
+        this.config.dwell_s = dwell;
+
+        const levels = options.levels && options.levels.length === hls.levels.length ? options.levels : hls.levels;
+        this.queue = levels
+            .map((level, index) => ({
+                index,
+                bitrate: level.bitrate || 0,
+                width: level.width || 0,
+                height: level.height || 0,
+                codecs: level.codecs || [level.videoCodec, level.audioCodec].filter(Boolean).join(',') || '',
+                frame_rate: level.frameRate || 0
+            }))
+            .sort((a, b) => a.bitrate - b.bitrate);
+
+        this.previousLevel = hls.autoLevelEnabled ? -1 : hls.manualLevel;
+        this.report = {
+            started_at: Date.now(),
+            finished_at: null,
+            status: 'running',
+            dwell_s: dwell,
+            levels: []
+        };
+        this.isRunning = true;
+
+        console.log(`Ladder sweep started: ${this.queue.length} levels, ${dwell} s each`);
+        this.runLevel(0);
+    }
+
+    /**
+     * Abort the sweep, keeping the levels measured so far
+     */
+    stop() {
+        if (this.isRunning) {
+            this.finish('aborted');
+        }
+    }
+
+    /**
+     * Lock the next level and wait for it to play
+     */
+    runLevel(position) {
+        if (position >= this.queue.length) {
+            this.finish('completed');
+            return;
+        }
+
+        const level = this.queue[position];
+        const hls = this.hlsInstance;
+        const alreadyPlaying = hls.currentLevel === level.index;
+
+        this.current = {
+            position,
+            level,
+            requested_at: performance.now(),
+            switched: alreadyPlaying,
+            buffered: alreadyPlaying,
+            dwell_started_at: null,
+            frame_baseline: null,
+            fragments: [],
+            result: {
+                level: level.index,
+                resolution: level.width && level.height ? `${level.width}x${level.height}` : null,
+                codecs: level.codecs,
+                declared_bitrate: level.bitrate,
+                status: 'running',
+                startup_after_switch_ms: null,
+                dropped_frames: null,
+                decoded_fps: null,
+                stalls: 0,
+                segment_count: 0,
+                avg_segment_load_ms: null,
+                max_segment_load_ms: null,
+                measured_bitrate: null,
+                bitrate_ratio: null
+            }
+        };
+
+        try {
+            hls.currentLevel = level.index;
+            if (this.onSelectionChange) this.onSelectionChange(level.index);
+        } catch (error) {
+            console.error(`Error locking level ${level.index}:`, error);
+            this.finishLevel('failed');
+            return;
+        }
+
+        this.sampleTimer = setInterval(() => this.sample(), 250);
+        this.settleTimer = setTimeout(() => this.finishLevel('timeout'), this.config.settle_timeout_ms);
+        this.updateSweepDisplay();
+    }
+
+    /**
+     * Settle check until the new level plays, then status updates during the dwell window
+     */
+    sample() {
+        const current = this.current;
+        if (!current) return;
+
+        if (current.dwell_started_at) {
+            this.updateStatusText();
+            return;
+        }
+
+        const media = this.videoElement;
+        const playing = media ? !media.paused && media.readyState >= 3 : true;
+        if (!current.switched || !current.buffered || !playing) return;
+
+        // The new level is rendering: start the measurement window
+        clearTimeout(this.settleTimer);
+        this.settleTimer = null;
+        current.result.startup_after_switch_ms = Math.round(performance.now() - current.requested_at);
+        current.frame_baseline = this.readFrameCounters();
+        current.dwell_started_at = performance.now();
+        this.dwellTimer = setTimeout(() => this.finishLevel('completed'), this.config.dwell_s * 1000);
+        this.updateSweepDisplay();
+    }
+
+    onLevelSwitched(data) {
+        if (this.current && data.level === this.current.level.index) {
+            this.current.switched = true;
+        }
+    }
+
+    onFragBuffered(data) {
+        if (this.current && data.frag && data.frag.level === this.current.level.index && data.frag.sn !== 'initSegment') {
+            this.current.buffered = true;
+        }
+    }
+
+    /**
+     * Collect segment load time and size for the level under test
+     */
+    onFragLoaded(data) {
+        const current = this.current;
+        const frag = data.frag;
+        if (!current || !frag || frag.level !== current.level.index || frag.sn === 'initSegment') return;
+
+        const stats = data.stats || frag.stats || {};
+        const loading = stats.loading || {};
+        const bytes = stats.loaded || stats.total || (data.payload ? data.payload.byteLength : 0);
+        current.fragments.push({
+            load_ms: typeof loading.start === 'number' && loading.end > loading.start ? loading.end - loading.start : null,
+            bytes,
+            duration: frag.duration || 0
+        });
+    }
+
+    /**
+     * Cumulative dropped / decoded frame counters, from PerformanceTracker when it tracks this element
+     */
+    readFrameCounters() {
+        const tracker = this.performanceTracker;
+        if (tracker && typeof tracker.updateFrameStats === 'function' && tracker.metrics.frames.video_element === this.videoElement) {
+            tracker.updateFrameStats();
+            const frames = tracker.getFrameMetrics();
+            return { dropped: frames.dropped_frames || 0, total: frames.total_frames || 0 };
+        }
+
+        const media = this.videoElement;
+        if (media && typeof media.getVideoPlaybackQuality === 'function') {
+            const quality = media.getVideoPlaybackQuality();
+            return { dropped: quality.droppedVideoFrames || 0, total: quality.totalVideoFrames || 0 };
+        }
+        return null;
+    }
+
+    /**
+     * Close the window for the current level and move on
+     * @param {string} status - 'completed', 'timeout' or 'failed'
+     */
+    finishLevel(status) {
+        const current = this.current;
+        if (!current) return;
+
+        this.clearTimers();
+        this.current = null;
+        this.collectResult(current, status);
+        this.report.levels.push(current.result);
+        console.log(`Ladder sweep level ${current.level.index}: ${status}`);
+
+        this.runLevel(current.position + 1);
+    }
+
+    collectResult(current, status) {
+        const result = current.result;
+        result.status = status;
+
+        if (current.dwell_started_at && current.frame_baseline) {
+            const frames = this.readFrameCounters();
+            const elapsed = (performance.now() - current.dwell_started_at) / 1000;
+            if (frames && elapsed > 0) {
+                result.dropped_frames = Math.max(0, frames.dropped - current.frame_baseline.dropped);
+                result.decoded_fps = Number((Math.max(0, frames.total - current.frame_baseline.total) / elapsed).toFixed(2));
+            }
+        }
+
+        const loadTimes = current.fragments.map(fragment => fragment.load_ms).filter(time => time !== null);
+        const bytes = current.fragments.reduce((sum, fragment) => sum + fragment.bytes, 0);
+        const duration = current.fragments.reduce((sum, fragment) => sum + fragment.duration, 0);
+
+        result.segment_count = current.fragments.length;
+        if (loadTimes.length) {
+            result.avg_segment_load_ms = Math.round(loadTimes.reduce((sum, time) => sum + time, 0) / loadTimes.length);
+            result.max_segment_load_ms = Math.round(Math.max(...loadTimes));
+        }
+        if (bytes > 0 && duration > 0) {
+            result.measured_bitrate = Math.round(bytes * 8 / duration);
+            result.bitrate_ratio = result.declared_bitrate > 0
+                ? Number((result.measured_bitrate / result.declared_bitrate).toFixed(3))
+                : null;
+        }
+    }
+
+    /**
+     * End the sweep and give the level choice back to where it was
+     * @param {string} status - 'completed' or 'aborted'
+     * @param {boolean} restore - false when the HLS instance is going away
+     */
+    finish(status, restore = true) {
+        const current = this.current;
+        this.clearTimers();
+        this.current = null;
+        if (current) {
+            this.collectResult(current, 'aborted');
+            this.report.levels.push(current.result);
+        }
+
+        this.isRunning = false;
+        this.report.status = status;
+        this.report.finished_at = Date.now();
+
+        if (restore && this.hlsInstance) {
+            try {
+                this.hlsInstance.currentLevel = this.previousLevel;
+                if (this.onSelectionChange) this.onSelectionChange(this.previousLevel);
+            } catch (error) {
+                console.error('Error restoring level after ladder sweep:', error);
+            }
+        }
+
+        console.log(`Ladder sweep ${status}: ${this.report.levels.length} levels measured`);
+        this.updateSweepDisplay();
+    }
+
+    clearTimers() {
+        clearInterval(this.sampleTimer);
+        clearTimeout(this.settleTimer);
+        clearTimeout(this.dwellTimer);
+        this.sampleTimer = null;
+        this.settleTimer = null;
+        this.dwellTimer = null;
+    }
+
+    getReport() {
+        return this.report ? { ...this.report, levels: this.report.levels.map(level => ({ ...level })) } : null;
+    }
+
+    /**
+     * Per-rendition table as CSV
+     */
+    exportCSV() {
+        const columns = [
+            'level', 'resolution', 'codecs', 'declared_bitrate', 'measured_bitrate', 'bitrate_ratio', 'status',
+            'startup_after_switch_ms', 'dropped_frames', 'decoded_fps', 'stalls', 'segment_count',
+            'avg_segment_load_ms', 'max_segment_load_ms'
+        ];
+        const levels = this.report ? this.report.levels : [];
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [columns.join(','), ...levels.map(level => columns.map(column => escape(level[column])).join(','))].join('\n');
+    }
+
+    /**
+     * Download the report as JSON or CSV
+     */
+    downloadReport(format = 'json') {
+        try {
+            if (!this.report) return;
+
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const isCSV = format === 'csv';
+            const blob = new Blob([isCSV ? this.exportCSV() : JSON.stringify(this.getReport(), null, 2)], {
+                type: isCSV ? 'text/csv' : 'application/json'
+            });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `ladder-sweep-${timestamp}.${isCSV ? 'csv' : 'json'}`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+        } catch (error) {
+            console.error('Error downloading ladder sweep report:', error);
+        }
+    }
+
+    formatBitrate(bps) {
+        if (bps === null || bps === undefined) return '-';
+        return bps >= 1000000 ? `${(bps / 1000000).toFixed(2)} Mbps` : `${Math.round(bps / 1000)} kbps`;
+    }
+
+    formatValue(value, unit = '') {
+        return value === null || value === undefined ? '-' : `${value}${unit}`;
+    }
+
+    updateStatusText() {
+        const statusElement = document.getElementById('ladderSweepStatusValue');
+        if (!statusElement) return;
+
+        const current = this.current;
+        if (this.isRunning && current) {
+            const step = `Level ${current.position + 1}/${this.queue.length} (${this.formatBitrate(current.level.bitrate)})`;
+            statusElement.textContent = current.dwell_started_at
+                ? `${step} · ${Math.floor((performance.now() - current.dwell_started_at) / 1000)}/${this.config.dwell_s} s`
+                : `${step} · switching`;
+        } else {
+            statusElement.textContent = this.report ? this.report.status : 'Idle';
+        }
+    }
+
+    /**
+     * Update the status, table and chart of the ladder sweep panel
+     */
+    updateSweepDisplay() {
+        try {
+            const table = document.getElementById('ladderSweepTable');
+            if (!table) return;
+
+            this.updateStatusText();
+            document.getElementById('ladderSweepStartBtn').disabled = this.isRunning;
+            document.getElementById('ladderSweepStopBtn').disabled = !this.isRunning;
+
+            const levels = this.report ? this.report.levels : [];
+            if (levels.length === 0) {
+                table.innerHTML = '<tr><td class="ladder-sweep__empty">No sweep results yet</td></tr>';
+            } else {
+                const rows = levels.map(level => `
+                    <tr class="ladder-sweep__row--${level.status}">
+                        <th scope="row" title="${HtmlEscaper.escape(level.codecs)}">${HtmlEscaper.escape(level.resolution || `Level ${level.level}`)}</th>
+                        <td>${this.formatBitrate(level.declared_bitrate)}</td>
+                        <td>${this.formatBitrate(level.measured_bitrate)}${level.bitrate_ratio !== null ? ` (${Math.round(level.bitrate_ratio * 100)}%)` : ''}</td>
+                        <td>${this.formatValue(level.startup_after_switch_ms, ' ms')}</td>
+                        <td>${this.formatValue(level.decoded_fps)}</td>
+                        <td>${this.formatValue(level.dropped_frames)}</td>
+                        <td>${level.stalls}</td>
+                        <td>${this.formatValue(level.avg_segment_load_ms, ' ms')}</td>
+                        <td>${HtmlEscaper.escape(level.status)}</td>
+                    </tr>
+                `).join('');
+
+                table.innerHTML = `
+                    <thead>
+                        <tr>
+                            <th scope="col">Rendition</th>
+                            <th scope="col">Declared</th>
+                            <th scope="col">Measured</th>
+                            <th scope="col">Switch</th>
+                            <th scope="col">FPS</th>
+                            <th scope="col">Dropped</th>
+                            <th scope="col">Stalls</th>
+                            <th scope="col">Seg. Load</th>
+                            <th scope="col">Status</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                `;
+            }
+
+            this.updateSweepChart();
+        } catch (error) {
+            console.error('Error updating ladder sweep display:', error);
+        }
+    }
+
+    /**
+     * Declared vs measured bitrate per rendition, with the average segment load time
+     */
+    initializeSweepChart() {
+        const canvas = document.getElementById('ladderSweepChart');
+        if (!canvas || typeof Chart === 'undefined') {
+            console.warn('Ladder sweep chart canvas or Chart.js not available');
+            return;
+        }
+
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Declared (Mbps)',
+                        data: [],
+                        backgroundColor: 'rgba(100, 116, 139, 0.6)',
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Measured (Mbps)',
+                        data: [],
+                        backgroundColor: 'rgba(37, 99, 235, 0.7)',
+                        yAxisID: 'y'
+                    },
+                    {
+                        type: 'line',
+                        label: 'Avg segment load (ms)',
+                        data: [],
+                        borderColor: 'rgb(245, 158, 11)',
+                        backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                        borderWidth: 2,
+                        pointRadius: 3,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            color: '#f8fafc',
+                            usePointStyle: true,
+                            pointStyle: 'circle'
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#64748b' },
+                        grid: { color: 'rgba(51, 65, 85, 0.3)' }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        position: 'left',
+                        ticks: { color: '#64748b' },
+                        grid: { color: 'rgba(51, 65, 85, 0.3)' }
+                    },
+                    y1: {
+                        beginAtZero: true,
+                        position: 'right',
+                        ticks: { color: '#64748b' },
+                        grid: { drawOnChartArea: false }
+                    }
+                }
+            }
+        });
+    }
+
+    updateSweepChart() {
+        if (!this.chart) return;
+
+        const levels = this.report ? this.report.levels : [];
+        const toMbps = bps => bps === null ? null : Number((bps / 1000000).toFixed(2));
+        this.chart.data.labels = levels.map(level => level.resolution || `Level ${level.level}`);
+        this.chart.data.datasets[0].data = levels.map(level => toMbps(level.declared_bitrate));
+        this.chart.data.datasets[1].data = levels.map(level => toMbps(level.measured_bitrate));
+        this.chart.data.datasets[2].data = levels.map(level => level.avg_segment_load_ms);
+        this.chart.update('none');
+    }
+
+    /**
+     * Create the Ladder Sweep panel in the dashboard
+     * @param {Function} getLevels - Returns the levels list for start() (StreamAnalytics availableLevels)
+     * @param {Function} onError - Called with a message when the sweep cannot start
+     */
+    createSweepPanel(getLevels, onError) {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid || !this.memoryManager) {
+                console.warn('Dashboard grid not found, cannot create ladder sweep panel');
+                return;
+            }
+
+            if (document.getElementById('ladderSweepPanel')) return;
+
+            const sweepPanel = document.createElement('article');
+            sweepPanel.className = 'card';
+            sweepPanel.id = 'ladderSweepPanel';
+
+            sweepPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-layer-group"></i>
+                        Ladder Sweep
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="ladderDwellInput">Seconds per rendition</label>
+                            <input type="number" id="ladderDwellInput" class="input-group__input" min="1" max="300">
+                        </div>
+                    </div>
+                    <div class="export-controls x-export">
+                        <div class="x-export__grid">
+                            <button id="ladderSweepStartBtn" class="export-btn export-btn--primary">Start Sweep</button>
+                            <button id="ladderSweepStopBtn" class="export-btn" disabled>Stop</button>
+                            <button id="ladderSweepJsonBtn" class="export-btn">Export JSON</button>
+                            <button id="ladderSweepCsvBtn" class="export-btn">Export CSV</button>
+                        </div>
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Status:</span>
+                            <span class="info-item__value" id="ladderSweepStatusValue">Idle</span>
+                        </div>
+                    </div>
+                    <table id="ladderSweepTable" class="ladder-sweep"></table>
+                    <div class="chart-container">
+                        <canvas id="ladderSweepChart" aria-label="Declared vs measured bitrate per rendition"></canvas>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(sweepPanel);
+
+            const dwellInput = sweepPanel.querySelector('#ladderDwellInput');
+            dwellInput.value = this.config.dwell_s;
+
+            this.memoryManager.addEventListener(sweepPanel.querySelector('#ladderSweepStartBtn'), 'click', () => {
+                try {
+                    this.start({ dwell_s: dwellInput.value, levels: getLevels ? getLevels() : null });
+                } catch (error) {
+                    if (onError) onError(error.message);
+                }
+            });
+            this.memoryManager.addEventListener(sweepPanel.querySelector('#ladderSweepStopBtn'), 'click', () => {
+                this.stop();
+            });
+            this.memoryManager.addEventListener(sweepPanel.querySelector('#ladderSweepJsonBtn'), 'click', () => {
+                this.downloadReport('json');
+            });
+            this.memoryManager.addEventListener(sweepPanel.querySelector('#ladderSweepCsvBtn'), 'click', () => {
+                this.downloadReport('csv');
+            });
+
+            this.initializeSweepChart();
+            this.updateSweepDisplay();
+            console.log('Ladder sweep panel created');
+        } catch (error) {
+            console.error('Error creating ladder sweep panel:', error);
+        }
+    }
+
+    /**
+     * Remove HLS and video event listeners
+     */
+    removeHLSListeners() {
+        if (this.hlsInstance && this.hlsHandlers && typeof this.hlsInstance.off === 'function' && window.Hls) {
+            this.hlsInstance.off(Hls.Events.LEVEL_SWITCHED, this.hlsHandlers.levelSwitched);
+            this.hlsInstance.off(Hls.Events.FRAG_LOADED, this.hlsHandlers.fragLoaded);
+            this.hlsInstance.off(Hls.Events.FRAG_BUFFERED, this.hlsHandlers.fragBuffered);
+        }
+        if (this.videoElement && this.mediaHandlers) {
+            this.videoElement.removeEventListener('waiting', this.mediaHandlers.waiting);
+        }
+        this.hlsHandlers = null;
+        this.mediaHandlers = null;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.setHLSInstance(null);
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        console.log('LadderSweepTest cleanup completed');
+    }
+}
@@ -0,0 +1,527 @@
+/**
+ * LiveLatencyMonitor - Theo dõi khoảng cách tới live edge, độ trễ glass-to-glass
+ * (EXT-X-PROGRAM-DATE-TIME so với đồng hồ hệ thống) và drift theo thời gian
+ */
+export default class LiveLatencyMonitor {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.hlsInstance = null;
+        this.videoElement = null;
+        this.onAlert = options.onAlert || null;
+
+        this.config = {
+            target_latency: 10,          // giây - vượt ngưỡng này sẽ cảnh báo
+            max_drift: 10,               // giây - độ trễ tăng thêm so với baseline
+            alert_cooldown_ms: 30000,
+            sample_interval_ms: 1000,
+            drift_window: 60,            // số mẫu dùng để tính tốc độ drift
+            max_history: 300,
+            chart_points: 60
+        };
+
+        this.metrics = this.createEmptyMetrics();
+        this.sampleInterval = null;
+        this.lastAlertTime = {};
+        this.chart = null;
+
+        console.log('LiveLatencyMonitor initialized');
+    }
+
+    /**
+     * Initial metrics structure
+     */
+    createEmptyMetrics() {
+        return {
+            is_live: false,
+            edge_distance: null,
+            glass_to_glass_latency: null,
+            current_latency: null,
+            avg_latency: 0,
+            min_latency: null,
+            max_latency: 0,
+            baseline_latency: null,
+            latency_drift: 0,
+            drift_rate: 0,               // giây / phút
+            target_latency: this.config.target_latency,
+            sample_count: 0,
+            total_latency: 0,
+            alert_count: 0,
+            alerts: [],
+            latency_history: []
+        };
+    }
+
+    /**
+     * Set video element
+     */
+    setVideoElement(videoElement) {
+        this.videoElement = videoElement;
+    }
+
+    /**
+     * Set HLS instance and start sampling
+     */
+    setHLSInstance(hlsInstance) {
+        try {
+            this.reset();
+            this.hlsInstance = hlsInstance;
+            this.startMonitoring();
+            console.log('HLS instance set for live latency monitoring');
+        } catch (error) {
+            console.error('Error setting HLS instance for latency monitor:', error);
+        }
+    }
+
+    /**
+     * Set latency target (seconds)
+     */
+    setTargetLatency(seconds) {
+        const value = parseFloat(seconds);
+        if (isNaN(value) || value <= 0) {
+            console.warn('Invalid target latency:', seconds);
+            return;
+        }
+
+        this.config.target_latency = value;
+        this.metrics.target_latency = value;
+        this.updateLatencyDisplay();
+    }
+
+    /**
+     * Start periodic sampling
+     */
+    startMonitoring() {
+        this.stopMonitoring();
+        this.sampleInterval = setInterval(() => {
+            this.sampleLatency();
+        }, this.config.sample_interval_ms);
+    }
+
+    /**
+     * Stop periodic sampling
+     */
+    stopMonitoring() {
+        if (this.sampleInterval) {
+            clearInterval(this.sampleInterval);
+            this.sampleInterval = null;
+        }
+    }
+
+    /**
+     * Get details of the playing level
+     */
+    getCurrentLevelDetails() {
+        const hls = this.hlsInstance;
+        if (!hls || !hls.levels) return null;
+
+        const levelIndex = hls.currentLevel >= 0 ? hls.currentLevel : hls.loadLevel;
+        const level = hls.levels[levelIndex];
+        return level && level.details ? level.details : null;
+    }
+
+    /**
+     * Take one latency sample
+     */
+    sampleLatency() {
+        try {
+            const video = this.videoElement;
+            const details = this.getCurrentLevelDetails();
+
+            if (!video || !details || !details.live) {
+                this.metrics.is_live = false;
+                return;
+            }
+            this.metrics.is_live = true;
+
+            // Khoảng cách tới live edge theo timeline của playlist
+            let edge = details.edge;
+            if (typeof edge !== 'number' && details.fragments && details.fragments.length > 0) {
+                const last = details.fragments[details.fragments.length - 1];
+                edge = last.start + last.duration;
+            }
+            const edgeDistance = typeof edge === 'number' ? Math.max(0, edge - video.currentTime) : null;
+
+            // Glass-to-glass: ngày giờ của vị trí đang phát (PROGRAM-DATE-TIME) so với đồng hồ máy.
+            // Là ước lượng - phụ thuộc đồng hồ của encoder và của client có đồng bộ hay không
+            let glassToGlass = null;
+            const playingDate = this.hlsInstance.playingDate;
+            if (playingDate instanceof Date && !isNaN(playingDate.getTime())) {
+                glassToGlass = (Date.now() - playingDate.getTime()) / 1000;
+            }
+
+            const latency = glassToGlass !== null ? glassToGlass : edgeDistance;
+            if (latency === null) return;
+
+            this.recordSample(latency, edgeDistance, glassToGlass);
+            this.checkAlerts();
+            this.updateLatencyDisplay();
+        } catch (error) {
+            console.error('Error sampling live latency:', error);
+        }
+    }
+
+    /**
+     * Record a sample and update aggregates
+     */
+    recordSample(latency, edgeDistance, glassToGlass) {
+        const metrics = this.metrics;
+        const now = Date.now();
+
+        metrics.edge_distance = edgeDistance;
+        metrics.glass_to_glass_latency = glassToGlass;
+        metrics.current_latency = latency;
+        metrics.sample_count++;
+        metrics.total_latency += latency;
+        metrics.avg_latency = metrics.total_latency / metrics.sample_count;
+
+        if (metrics.min_latency === null || latency < metrics.min_latency) {
+            metrics.min_latency = latency;
+        }
+        if (latency > metrics.max_latency) {
+            metrics.max_latency = latency;
+        }
+
+        if (metrics.baseline_latency === null) {
+            metrics.baseline_latency = latency;
+        }
+        metrics.latency_drift = latency - metrics.baseline_latency;
+
+        metrics.latency_history.push({
+            timestamp: now,
+            latency: latency,
+            edge_distance: edgeDistance,
+            glass_to_glass_latency: glassToGlass
+        });
+
+        if (metrics.latency_history.length > this.config.max_history) {
+            metrics.latency_history = metrics.latency_history.slice(-this.config.max_history);
+        }
+
+        metrics.drift_rate = this.calculateDriftRate();
+    }
+
+    /**
+     * Tốc độ drift (giây/phút) - hệ số góc hồi quy tuyến tính trên các mẫu gần nhất
+     */
+    calculateDriftRate() {
+        const samples = this.metrics.latency_history.slice(-this.config.drift_window);
+        if (samples.length < 2) return 0;
+
+        const startTime = samples[0].timestamp;
+        const points = samples.map(sample => ({ x: (sample.timestamp - startTime) / 60000, y: sample.latency }));
+        const meanX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const meanY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+
+        let numerator = 0;
+        let denominator = 0;
+        points.forEach(point => {
+            numerator += (point.x - meanX) * (point.y - meanY);
+            denominator += (point.x - meanX) * (point.x - meanX);
+        });
+
+        return denominator > 0 ? numerator / denominator : 0;
+    }
+
+    /**
+     * Raise alerts when latency exceeds target or drifts beyond max_drift
+     */
+    checkAlerts() {
+        const metrics = this.metrics;
+
+        if (metrics.current_latency > this.config.target_latency) {
+            this.raiseAlert('latency_target_exceeded',
+                `Live latency ${metrics.current_latency.toFixed(1)}s exceeds target ${this.config.target_latency}s`);
+        }
+
+        if (metrics.latency_drift > this.config.max_drift) {
+            this.raiseAlert('latency_drift',
+                `Live latency drifted ${metrics.latency_drift.toFixed(1)}s since playback started (${metrics.drift_rate.toFixed(2)}s/min)`);
+        }
+    }
+
+    /**
+     * Record an alert, respecting the cooldown per alert type
+     */
+    raiseAlert(type, message) {
+        const now = Date.now();
+        if (this.lastAlertTime[type] && now - this.lastAlertTime[type] < this.config.alert_cooldown_ms) {
+            return;
+        }
+        this.lastAlertTime[type] = now;
+
+        this.metrics.alert_count++;
+        this.metrics.alerts.push({
+            timestamp: now,
+            type: type,
+            message: message,
+            latency: this.metrics.current_latency,
+            target_latency: this.config.target_latency
+        });
+
+        // Giới hạn 50 cảnh báo gần nhất
+        if (this.metrics.alerts.length > 50) {
+            this.metrics.alerts = this.metrics.alerts.slice(-50);
+        }
+
+        console.warn('Live latency alert:', message);
+        if (typeof this.onAlert === 'function') {
+            this.onAlert(message, 'warning');
+        }
+    }
+
+    /**
+     * Get latency metrics
+     */
+    getLatencyMetrics() {
+        return {
+            ...this.metrics,
+            alerts: this.metrics.alerts.slice(),
+            latency_history: this.metrics.latency_history.slice()
+        };
+    }
+
+    /**
+     * Format seconds for display
+     */
+    formatSeconds(value) {
+        return value !== null && value !== undefined ? value.toFixed(2) + ' s' : '-';
+    }
+
+    /**
+     * Update latency panel and chart
+     */
+    updateLatencyDisplay() {
+        try {
+            const latencyPanel = document.getElementById('liveLatencyPanel');
+            if (!latencyPanel) return;
+
+            const metrics = this.metrics;
+            const setText = (selector, text) => {
+                const element = latencyPanel.querySelector(selector);
+                if (element) element.textContent = text;
+            };
+
+            setText('#latencyCurrentValue', this.formatSeconds(metrics.current_latency));
+            setText('#latencyEdgeValue', this.formatSeconds(metrics.edge_distance));
+            setText('#latencyG2GValue', this.formatSeconds(metrics.glass_to_glass_latency));
+            setText('#latencyAvgValue', metrics.sample_count > 0 ? this.formatSeconds(metrics.avg_latency) : '-');
+            setText('#latencyDriftValue', metrics.sample_count > 0 ? `${metrics.latency_drift >= 0 ? '+' : ''}${metrics.latency_drift.toFixed(2)} s` : '-');
+            setText('#latencyDriftRateValue', metrics.sample_count > 1 ? `${metrics.drift_rate.toFixed(2)} s/min` : '-');
+            setText('#latencyAlertsValue', metrics.alert_count.toString());
+
+            const currentElement = latencyPanel.querySelector('#latencyCurrentValue');
+            if (currentElement) {
+                currentElement.style.color = metrics.current_latency !== null && metrics.current_latency > this.config.target_latency
+                    ? 'var(--color-error)' : '';
+            }
+
+            this.updateLatencyChart();
+        } catch (error) {
+            console.error('Error updating latency display:', error);
+        }
+    }
+
+    /**
+     * Create the latency chart
+     */
+    createLatencyChart() {
+        const canvas = document.getElementById('latencyChart');
+        if (!canvas || typeof Chart === 'undefined') {
+            console.warn('Latency chart canvas or Chart.js not available');
+            return;
+        }
+
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Glass-to-glass (s)',
+                        data: [],
+                        borderColor: 'rgb(245, 158, 11)',
+                        backgroundColor: 'rgba(245, 158, 11, 0.1)',
+                        borderWidth: 2,
+                        tension: 0.3,
+                        pointRadius: 0
+                    },
+                    {
+                        label: 'Live edge distance (s)',
+                        data: [],
+                        borderColor: 'rgb(37, 99, 235)',
+                        backgroundColor: 'rgba(37, 99, 235, 0.1)',
+                        borderWidth: 2,
+                        tension: 0.3,
+                        pointRadius: 0
+                    },
+                    {
+                        label: 'Target (s)',
+                        data: [],
+                        borderColor: 'rgb(239, 68, 68)',
+                        borderWidth: 1,
+                        borderDash: [6, 4],
+                        pointRadius: 0,
+                        fill: false
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: {
+                    intersect: false,
+                    mode: 'index'
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            color: '#f8fafc',
+                            usePointStyle: true,
+                            pointStyle: 'circle'
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#64748b', maxTicksLimit: 6 },
+                        grid: { color: 'rgba(51, 65, 85, 0.3)' }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            color: '#64748b',
+                            callback: function (value) {
+                                return value + ' s';
+                            }
+                        },
+                        grid: { color: 'rgba(51, 65, 85, 0.3)' }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Push latest history into the chart
+     */
+    updateLatencyChart() {
+        if (!this.chart) return;
+
+        const points = this.metrics.latency_history.slice(-this.config.chart_points);
+        this.chart.data.labels = points.map(point => new Date(point.timestamp).toLocaleTimeString());
+        this.chart.data.datasets[0].data = points.map(point => point.glass_to_glass_latency);
+        this.chart.data.datasets[1].data = points.map(point => point.edge_distance);
+        this.chart.data.datasets[2].data = points.map(() => this.config.target_latency);
+        this.chart.update('none');
+    }
+
+    /**
+     * Create live latency panel
+     */
+    createLatencyPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create live latency panel');
+                return;
+            }
+
+            if (document.getElementById('liveLatencyPanel')) return;
+
+            const latencyPanel = document.createElement('article');
+            latencyPanel.className = 'card';
+            latencyPanel.id = 'liveLatencyPanel';
+
+            latencyPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-stopwatch"></i>
+                        Live Latency
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <label class="input-group__label" for="latencyTargetInput">Target (s)</label>
+                        <input type="number" id="latencyTargetInput" class="input-group__input" min="1" step="0.5" value="${this.config.target_latency}">
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Current Latency:</span>
+                            <span class="info-item__value" id="latencyCurrentValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Live Edge Distance:</span>
+                            <span class="info-item__value" id="latencyEdgeValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Glass-to-Glass (PDT):</span>
+                            <span class="info-item__value" id="latencyG2GValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Avg Latency:</span>
+                            <span class="info-item__value" id="latencyAvgValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Drift:</span>
+                            <span class="info-item__value" id="latencyDriftValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Drift Rate:</span>
+                            <span class="info-item__value" id="latencyDriftRateValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Alerts:</span>
+                            <span class="info-item__value" id="latencyAlertsValue">0</span>
+                        </div>
+                    </div>
+                    <div class="chart-container">
+                        <canvas id="latencyChart" aria-label="Live latency chart"></canvas>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(latencyPanel);
+
+            const targetInput = latencyPanel.querySelector('#latencyTargetInput');
+            this.memoryManager.addEventListener(targetInput, 'change', () => {
+                this.setTargetLatency(targetInput.value);
+            });
+
+            this.createLatencyChart();
+            console.log('Live latency panel created');
+        } catch (error) {
+            console.error('Error creating live latency panel:', error);
+        }
+    }
+
+    /**
+     * Reset state for a new stream
+     */
+    reset() {
+        this.stopMonitoring();
+        this.metrics = this.createEmptyMetrics();
+        this.lastAlertTime = {};
+        this.updateLatencyDisplay();
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.stopMonitoring();
+            if (this.chart) {
+                this.chart.destroy();
+                this.chart = null;
+            }
+            this.hlsInstance = null;
+            this.videoElement = null;
+            console.log('LiveLatencyMonitor cleanup completed');
+        } catch (error) {
+            console.error('Error during LiveLatencyMonitor cleanup:', error);
+        }
+    }
+}
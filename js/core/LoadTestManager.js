@@ -0,0 +1,670 @@
+import HLSPlayer from '../player/HLSPlayer.js';
+import MemoryManager from './MemoryManager.js';
+import VirtualViewer from '../player/VirtualViewer.js';
+import PerformanceTracker from './PerformanceTracker.js';
+import ErrorTracker from './ErrorTracker.js';
+import DataConsumptionTracker from './DataConsumptionTracker.js';
+
+/**
+ * LoadTestManager - Spawn N concurrent hidden HLS players (or manifest-only
+ * virtual viewers) against one stream and roll their metrics up into a fleet view
+ */
+export default class LoadTestManager {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        // Throttles player-mode sessions with the active network profile (one emulated link per player)
+        this.networkThrottler = options.networkThrottler || null;
+
+        this.config = {
+            mode: 'player', // 'player' (hidden <video>) or 'virtual' (fetch only, no MSE)
+            player_count: 5,
+            ramp_up_batch_size: 1,
+            ramp_up_interval_ms: 2000,
+            max_players: 50,
+            max_virtual_viewers: 500
+        };
+
+        this.sessions = [];
+        this.rampUpTimers = [];
+        this.playerContainer = null;
+        this.realTimeUpdateInterval = null;
+        this.isRunning = false;
+        this.runId = 0; // bumped by start() and stop() so late-resolving spawns can tell they are stale
+        this.streamUrl = null;
+        this.testStartTime = null;
+
+        console.log('LoadTestManager initialized');
+    }
+
+    /**
+     * Update load test configuration
+     * @param {Object} config - mode, player_count, ramp_up_batch_size, ramp_up_interval_ms
+     */
+    configure(config = {}) {
+        try {
+            if (config.mode === 'player' || config.mode === 'virtual') {
+                this.config.mode = config.mode;
+            }
+
+            const maxCount = this.config.mode === 'virtual' ? this.config.max_virtual_viewers : this.config.max_players;
+            const playerCount = parseInt(config.player_count, 10);
+            const batchSize = parseInt(config.ramp_up_batch_size, 10);
+            const interval = parseInt(config.ramp_up_interval_ms, 10);
+
+            if (playerCount > 0) {
+                this.config.player_count = playerCount;
+            }
+            this.config.player_count = Math.min(this.config.player_count, maxCount);
+
+            if (batchSize > 0) {
+                this.config.ramp_up_batch_size = batchSize;
+            }
+            if (interval >= 0) {
+                this.config.ramp_up_interval_ms = interval;
+            }
+
+            console.log('Load test configuration updated:', this.config);
+        } catch (error) {
+            console.error('Error updating load test configuration:', error);
+        }
+    }
+
+    /**
+     * Build the ramp-up schedule: start offset (ms) for every player
+     * @returns {Array<number>} Delay per player index
+     */
+    getRampUpSchedule() {
+        const schedule = [];
+        const { player_count, ramp_up_batch_size, ramp_up_interval_ms } = this.config;
+
+        for (let index = 0; index < player_count; index++) {
+            const batch = Math.floor(index / ramp_up_batch_size);
+            schedule.push(batch * ramp_up_interval_ms);
+        }
+
+        return schedule;
+    }
+
+    /**
+     * Start the load test against a stream URL
+     * @param {string} url - HLS stream URL
+     * @param {Object} config - Optional configuration overrides
+     */
+    start(url, config = {}) {
+        if (!url) {
+            throw new Error('Stream URL is required for load testing');
+        }
+
+        if (this.isRunning) {
+            this.stop();
+        }
+
+        this.configure(config);
+
+        const isVirtual = this.config.mode === 'virtual';
+        if (!isVirtual && (!window.Hls || !Hls.isSupported())) {
+            throw new Error('Player mode requires HLS.js (Media Source Extensions), use virtual mode instead');
+        }
+
+        this.sessions = [];
+        this.streamUrl = url;
+        this.testStartTime = Date.now();
+        this.isRunning = true;
+        const runId = ++this.runId;
+
+        if (!isVirtual) {
+            this.ensurePlayerContainer();
+        }
+
+        const schedule = this.getRampUpSchedule();
+        schedule.forEach((delay, index) => {
+            const timer = setTimeout(() => {
+                if (isVirtual) {
+                    this.spawnVirtualSession(index, url, runId);
+                } else {
+                    this.spawnSession(index, url, runId);
+                }
+            }, delay);
+            this.rampUpTimers.push(timer);
+        });
+
+        this.startRealTimeUpdates();
+        this.updateFleetDisplay();
+
+        console.log(`Load test started (${this.config.mode}): ${schedule.length} players, ramp-up over ${schedule[schedule.length - 1] || 0}ms`);
+    }
+
+    /**
+     * Create hidden container that holds the load test video elements
+     */
+    ensurePlayerContainer() {
+        if (this.playerContainer && document.body.contains(this.playerContainer)) {
+            return this.playerContainer;
+        }
+
+        this.playerContainer = document.createElement('div');
+        this.playerContainer.id = 'loadTestPlayers';
+        this.playerContainer.className = 'sr-only';
+        this.playerContainer.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.playerContainer);
+
+        return this.playerContainer;
+    }
+
+    /**
+     * Whether a spawn started for this run may still attach its session
+     */
+    isCurrentRun(runId) {
+        return this.isRunning && runId === this.runId;
+    }
+
+    /**
+     * Spawn a single hidden player with its own set of trackers
+     */
+    async spawnSession(index, url, runId) {
+        if (!this.isCurrentRun(runId)) return;
+
+        const session = {
+            id: index + 1,
+            status: 'starting',
+            started_at: Date.now(),
+            error: null,
+            videoElement: null,
+            memoryManager: null,
+            player: null,
+            performanceTracker: null,
+            errorTracker: null,
+            dataConsumptionTracker: null
+        };
+        this.sessions.push(session);
+
+        try {
+            const videoElement = document.createElement('video');
+            videoElement.muted = true;
+            videoElement.playsInline = true;
+            videoElement.preload = 'auto';
+            videoElement.dataset.loadTestPlayer = String(session.id);
+            this.playerContainer.appendChild(videoElement);
+
+            session.videoElement = videoElement;
+            // Own MemoryManager, so the player's video listeners go with the session instead of the page
+            session.memoryManager = new MemoryManager();
+            session.performanceTracker = new PerformanceTracker({ headless: true });
+            session.errorTracker = new ErrorTracker({ headless: true });
+            session.dataConsumptionTracker = new DataConsumptionTracker({ headless: true });
+
+            session.player = new HLSPlayer(videoElement, session.memoryManager, {
+                headless: true,
+                loader: this.networkThrottler && this.networkThrottler.isEnabled()
+                    ? this.networkThrottler.createLoader(Hls.DefaultConfig.loader)
+                    : null
+            });
+            session.player.setPerformanceTracker(session.performanceTracker);
+            session.player.setErrorTracker(session.errorTracker);
+            session.player.setDataConsumptionTracker(session.dataConsumptionTracker);
+
+            await session.player.loadStream(url);
+            if (!this.isCurrentRun(runId)) {
+                this.stopSession(session);
+                return;
+            }
+
+            await videoElement.play();
+            if (!this.isCurrentRun(runId)) {
+                this.stopSession(session);
+                return;
+            }
+            session.status = 'playing';
+            console.log(`Load test player #${session.id} playing`);
+        } catch (error) {
+            if (!this.isCurrentRun(runId)) {
+                this.stopSession(session);
+                return;
+            }
+            console.error(`Load test player #${session.id} failed:`, error);
+            session.status = 'failed';
+            session.error = error.message || 'Unknown error';
+            if (session.errorTracker) {
+                session.errorTracker.recordError('other', 'Load test player failed to start', session.error, true);
+            }
+        }
+
+        this.updateFleetDisplay();
+    }
+
+    /**
+     * Spawn a manifest-only virtual viewer with its own set of trackers
+     */
+    async spawnVirtualSession(index, url, runId) {
+        if (!this.isCurrentRun(runId)) return;
+
+        const session = {
+            id: index + 1,
+            status: 'starting',
+            started_at: Date.now(),
+            error: null,
+            viewer: null,
+            performanceTracker: new PerformanceTracker({ headless: true }),
+            errorTracker: new ErrorTracker({ headless: true }),
+            dataConsumptionTracker: new DataConsumptionTracker({ headless: true })
+        };
+        this.sessions.push(session);
+
+        try {
+            session.viewer = new VirtualViewer(url, {
+                id: session.id,
+                performanceTracker: session.performanceTracker,
+                errorTracker: session.errorTracker,
+                dataConsumptionTracker: session.dataConsumptionTracker
+            });
+
+            await session.viewer.start();
+            if (!this.isCurrentRun(runId)) {
+                this.stopSession(session);
+                return;
+            }
+
+            session.status = 'playing';
+        } catch (error) {
+            if (!this.isCurrentRun(runId)) {
+                this.stopSession(session);
+                return;
+            }
+            console.error(`Virtual viewer #${session.id} failed:`, error);
+            session.status = 'failed';
+            session.error = error.message || 'Unknown error';
+        }
+
+        this.updateFleetDisplay();
+    }
+
+    /**
+     * Stop all players and cancel pending ramp-up
+     */
+    stop() {
+        try {
+            this.rampUpTimers.forEach(timer => clearTimeout(timer));
+            this.rampUpTimers = [];
+            this.isRunning = false;
+            this.runId++;
+
+            this.sessions.forEach(session => this.stopSession(session));
+
+            this.stopRealTimeUpdates();
+            this.updateFleetDisplay();
+            console.log('Load test stopped');
+        } catch (error) {
+            console.error('Error stopping load test:', error);
+        }
+    }
+
+    /**
+     * Tear down a single player session (metrics are kept for the fleet view). Safe to call again
+     * on a session that a late-resolving spawn kept attaching to after stop().
+     */
+    stopSession(session) {
+        try {
+            if (session.videoElement) {
+                session.videoElement.pause();
+            }
+            if (session.player) {
+                session.player.cleanup();
+            }
+            if (session.memoryManager) {
+                session.memoryManager.cleanup();
+                session.memoryManager = null;
+            }
+            if (session.viewer) {
+                session.viewer.stop();
+            }
+            if (session.performanceTracker) {
+                session.performanceTracker.cleanup();
+            }
+            if (session.errorTracker) {
+                session.errorTracker.cleanup();
+            }
+            if (session.dataConsumptionTracker) {
+                session.dataConsumptionTracker.cleanup();
+            }
+            if (session.videoElement) {
+                session.videoElement.removeAttribute('src');
+                session.videoElement.load();
+                session.videoElement.remove();
+                session.videoElement = null;
+            }
+
+            if (session.status === 'starting' || session.status === 'playing') {
+                session.status = 'stopped';
+            }
+        } catch (error) {
+            console.error(`Error stopping load test player #${session.id}:`, error);
+        }
+    }
+
+    /**
+     * Get nearest-rank percentile from a list of values
+     */
+    calculatePercentile(values, percentile) {
+        if (!values || values.length === 0) return null;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const rank = Math.ceil((percentile / 100) * sorted.length);
+        return sorted[Math.max(0, Math.min(rank - 1, sorted.length - 1))];
+    }
+
+    /**
+     * Normalize one session (real player or virtual viewer) into comparable numbers
+     */
+    getSessionSummary(session) {
+        const summary = {
+            id: session.id,
+            status: session.status,
+            started_at: session.started_at,
+            error: session.error,
+            startup_time: null,
+            rebuffer_count: 0,
+            rebuffer_duration: 0,
+            watch_time: 0,
+            bytes_loaded: 0,
+            error_count: 0,
+            avg_segment_load_time: 0,
+            avg_playlist_reload_time: 0
+        };
+
+        if (session.viewer) {
+            const stats = session.viewer.getStats();
+            summary.startup_time = stats.startup_time;
+            summary.rebuffer_count = stats.stall_count;
+            summary.rebuffer_duration = stats.stall_duration;
+            summary.watch_time = stats.watch_time;
+            summary.current_bitrate = stats.current_bitrate;
+            if (stats.state === 'ended') {
+                summary.status = 'stopped';
+            }
+        } else if (session.performanceTracker) {
+            const startup = session.performanceTracker.getStartupMetrics();
+            const rebuffer = session.performanceTracker.getRebufferMetrics();
+            summary.startup_time = startup.startup_time;
+            summary.rebuffer_count = rebuffer.rebuffer_count || 0;
+            summary.rebuffer_duration = rebuffer.rebuffer_duration || 0;
+            summary.watch_time = rebuffer.total_watch_time || 0;
+        }
+
+        if (session.performanceTracker) {
+            summary.avg_segment_load_time = session.performanceTracker.metrics.segments.avg_segment_load_time || 0;
+            summary.avg_playlist_reload_time = session.performanceTracker.metrics.playlist.avg_playlist_reload_time || 0;
+        }
+        if (session.dataConsumptionTracker) {
+            summary.bytes_loaded = session.dataConsumptionTracker.metrics.bytes_loaded || 0;
+        }
+        if (session.errorTracker) {
+            summary.error_count = session.errorTracker.metrics.error_count || 0;
+        }
+
+        return summary;
+    }
+
+    /**
+     * Roll individual player metrics up into fleet metrics
+     * @returns {Object} Fleet metrics
+     */
+    getFleetMetrics() {
+        const summaries = this.sessions.map(session => this.getSessionSummary(session));
+        const startupTimes = summaries
+            .map(summary => summary.startup_time)
+            .filter(value => typeof value === 'number');
+        const segmentLoadTimes = summaries
+            .map(summary => summary.avg_segment_load_time)
+            .filter(value => value > 0);
+        const playlistReloadTimes = summaries
+            .map(summary => summary.avg_playlist_reload_time)
+            .filter(value => value > 0);
+
+        const sum = (key) => summaries.reduce((total, summary) => total + (summary[key] || 0), 0);
+        const average = (values) => values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+        const countStatus = (status) => summaries.filter(summary => summary.status === status).length;
+
+        const totalRebufferDuration = sum('rebuffer_duration');
+        const totalWatchTime = sum('watch_time');
+
+        return {
+            mode: this.config.mode,
+            stream_url: this.streamUrl,
+            network_profile: this.config.mode === 'player' && this.networkThrottler ? this.networkThrottler.getActiveProfile() : null,
+            is_running: this.isRunning,
+            test_start_time: this.testStartTime,
+            target_players: this.config.player_count,
+            spawned_players: this.sessions.length,
+            active_players: countStatus('playing'),
+            starting_players: countStatus('starting'),
+            failed_players: countStatus('failed'),
+            p50_startup_time: this.calculatePercentile(startupTimes, 50),
+            p95_startup_time: this.calculatePercentile(startupTimes, 95),
+            startup_samples: startupTimes.length,
+            aggregate_rebuffer_ratio: totalWatchTime > 0 ? (totalRebufferDuration / totalWatchTime) * 100 : 0,
+            total_rebuffer_count: sum('rebuffer_count'),
+            total_rebuffer_duration: totalRebufferDuration,
+            total_watch_time: totalWatchTime,
+            total_bytes: sum('bytes_loaded'),
+            total_errors: sum('error_count'),
+            avg_segment_load_time: average(segmentLoadTimes),
+            avg_playlist_reload_time: average(playlistReloadTimes)
+        };
+    }
+
+    /**
+     * Per-player breakdown for export/debugging
+     */
+    getSessionMetrics() {
+        return this.sessions.map(session => this.getSessionSummary(session));
+    }
+
+    /**
+     * Start periodic fleet display updates
+     */
+    startRealTimeUpdates() {
+        try {
+            this.stopRealTimeUpdates();
+            this.realTimeUpdateInterval = setInterval(() => {
+                this.updateFleetDisplay();
+            }, 1000);
+        } catch (error) {
+            console.error('Error starting load test updates:', error);
+        }
+    }
+
+    /**
+     * Stop periodic fleet display updates
+     */
+    stopRealTimeUpdates() {
+        if (this.realTimeUpdateInterval) {
+            clearInterval(this.realTimeUpdateInterval);
+            this.realTimeUpdateInterval = null;
+        }
+    }
+
+    /**
+     * Format byte counts for display
+     */
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+        if (bytes >= 1024 * 1024 * 1024) return (bytes / (1024 * 1024 * 1024)).toFixed(2) + ' GB';
+        if (bytes >= 1024 * 1024) return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
+        if (bytes >= 1024) return (bytes / 1024).toFixed(1) + ' KB';
+        return bytes + ' B';
+    }
+
+    /**
+     * Update fleet view panel
+     */
+    updateFleetDisplay() {
+        try {
+            const fleetPanel = document.getElementById('loadTestPanel');
+            if (!fleetPanel) return;
+
+            const fleet = this.getFleetMetrics();
+            const setValue = (id, value) => {
+                const element = fleetPanel.querySelector(`#${id}`);
+                if (element) element.textContent = value;
+            };
+
+            setValue('fleetStatusValue', fleet.is_running ? 'Running' : (fleet.spawned_players > 0 ? 'Stopped' : 'Idle'));
+            setValue('fleetPlayersValue', `${fleet.active_players} / ${fleet.target_players}`);
+            setValue('fleetFailedValue', fleet.failed_players);
+            setValue('fleetP50StartupValue', fleet.p50_startup_time !== null ? Math.round(fleet.p50_startup_time) + ' ms' : '-');
+            setValue('fleetP95StartupValue', fleet.p95_startup_time !== null ? Math.round(fleet.p95_startup_time) + ' ms' : '-');
+            setValue('fleetRebufferRatioValue', fleet.aggregate_rebuffer_ratio.toFixed(2) + '%');
+            setValue('fleetTotalBytesValue', this.formatBytes(fleet.total_bytes));
+            setValue('fleetErrorsValue', fleet.total_errors);
+            setValue('fleetSegmentLoadValue', fleet.avg_segment_load_time > 0 ? Math.round(fleet.avg_segment_load_time) + ' ms' : '-');
+            setValue('fleetPlaylistReloadValue', fleet.avg_playlist_reload_time > 0 ? Math.round(fleet.avg_playlist_reload_time) + ' ms' : '-');
+
+            const startBtn = fleetPanel.querySelector('#loadTestStartBtn');
+            const stopBtn = fleetPanel.querySelector('#loadTestStopBtn');
+            if (startBtn) startBtn.disabled = fleet.is_running;
+            if (stopBtn) stopBtn.disabled = !fleet.is_running;
+        } catch (error) {
+            console.error('Error updating fleet display:', error);
+        }
+    }
+
+    /**
+     * Create load test panel with configuration and fleet view
+     * @param {Function} getStreamUrl - Returns the URL to test
+     * @param {Function} onError - Called with a message when the test cannot start
+     */
+    createLoadTestPanel(getStreamUrl, onError = null) {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create load test panel');
+                return;
+            }
+
+            if (document.getElementById('loadTestPanel')) return;
+
+            const loadTestPanel = document.createElement('article');
+            loadTestPanel.className = 'card';
+            loadTestPanel.id = 'loadTestPanel';
+
+            loadTestPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-users"></i>
+                        Load Test (Fleet View)
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <label class="input-group__label" for="loadTestMode">Mode</label>
+                        <select id="loadTestMode" class="input-group__input">
+                            <option value="player">Hidden players (MSE)</option>
+                            <option value="virtual">Virtual viewers (fetch only)</option>
+                        </select>
+                        <label class="input-group__label" for="loadTestPlayerCount">Players</label>
+                        <input type="number" id="loadTestPlayerCount" class="input-group__input" min="1" max="${this.config.max_virtual_viewers}" value="${this.config.player_count}">
+                        <label class="input-group__label" for="loadTestBatchSize">Per step</label>
+                        <input type="number" id="loadTestBatchSize" class="input-group__input" min="1" value="${this.config.ramp_up_batch_size}">
+                        <label class="input-group__label" for="loadTestInterval">Step (ms)</label>
+                        <input type="number" id="loadTestInterval" class="input-group__input" min="0" step="500" value="${this.config.ramp_up_interval_ms}">
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Status:</span>
+                            <span class="info-item__value" id="fleetStatusValue">Idle</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Active Players:</span>
+                            <span class="info-item__value" id="fleetPlayersValue">0 / ${this.config.player_count}</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Failed Players:</span>
+                            <span class="info-item__value" id="fleetFailedValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Startup p50:</span>
+                            <span class="info-item__value" id="fleetP50StartupValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Startup p95:</span>
+                            <span class="info-item__value" id="fleetP95StartupValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Rebuffer Ratio (fleet):</span>
+                            <span class="info-item__value" id="fleetRebufferRatioValue">0.00%</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Total Bytes:</span>
+                            <span class="info-item__value" id="fleetTotalBytesValue">0 B</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Total Errors:</span>
+                            <span class="info-item__value" id="fleetErrorsValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Avg Segment Load:</span>
+                            <span class="info-item__value" id="fleetSegmentLoadValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Avg Playlist Reload:</span>
+                            <span class="info-item__value" id="fleetPlaylistReloadValue">-</span>
+                        </div>
+                    </div>
+                    <div class="export-controls x-export">
+                        <div class="x-export__grid">
+                            <button id="loadTestStartBtn" class="export-btn export-btn--primary">Start Load Test</button>
+                            <button id="loadTestStopBtn" class="export-btn" disabled>Stop</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(loadTestPanel);
+
+            const startBtn = loadTestPanel.querySelector('#loadTestStartBtn');
+            const stopBtn = loadTestPanel.querySelector('#loadTestStopBtn');
+
+            this.memoryManager.addEventListener(startBtn, 'click', () => {
+                try {
+                    const url = typeof getStreamUrl === 'function' ? getStreamUrl() : null;
+                    this.start(url, {
+                        mode: loadTestPanel.querySelector('#loadTestMode').value,
+                        player_count: loadTestPanel.querySelector('#loadTestPlayerCount').value,
+                        ramp_up_batch_size: loadTestPanel.querySelector('#loadTestBatchSize').value,
+                        ramp_up_interval_ms: loadTestPanel.querySelector('#loadTestInterval').value
+                    });
+                } catch (error) {
+                    console.error('Failed to start load test:', error);
+                    if (onError) onError(`Failed to start load test: ${error.message}`);
+                }
+            });
+
+            this.memoryManager.addEventListener(stopBtn, 'click', () => {
+                this.stop();
+            });
+
+            console.log('Load test panel created');
+        } catch (error) {
+            console.error('Error creating load test panel:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.stop();
+            this.sessions = [];
+
+            if (this.playerContainer) {
+                this.playerContainer.remove();
+                this.playerContainer = null;
+            }
+
+            console.log('LoadTestManager cleanup completed');
+        } catch (error) {
+            console.error('Error during LoadTestManager cleanup:', error);
+        }
+    }
+}
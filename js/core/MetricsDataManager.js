@@ -1,3 +1,6 @@
+import OpenMetricsFormatter from './OpenMetricsFormatter.js';
+import BitrateSwitchAnalyzer from './BitrateSwitchAnalyzer.js';
+
 /**
  * MetricsDataManager - Organizes all collected metrics into structured data for display and server transmission
  * Implements Requirements 11.1, 11.2, 11.3, 11.4
@@ -46,7 +49,8 @@ export default class MetricsDataManager {
                 current_bitrate: 0,
                 max_bitrate: 0,
                 bitrate_history: [],
-                average_bitrate: 0
+                average_bitrate: 0,
+                switch_timeline: []
             },
 
             // Bandwidth Metrics
@@ -56,6 +60,11 @@ export default class MetricsDataManager {
                 last_bandwidth_update: null
             },
 
+            // Buffer
+            buffer: {
+                buffer_length: 0
+            },
+
             // Segment Performance
             segments: {
                 max_segment_duration: 0,
@@ -73,23 +82,83 @@ export default class MetricsDataManager {
                 min_playlist_reload_time: null,
                 max_playlist_reload_time: 0,
                 reload_count: 0,
+                stale_count: 0,
+                skipped_sequence_count: 0,
+                renditions: {},
+                events: [],
                 reload_history: []
             },
 
+            // Live Latency
+            latency: {
+                is_live: false,
+                current_latency: null,
+                edge_distance: null,
+                glass_to_glass_latency: null,
+                avg_latency: 0,
+                min_latency: null,
+                max_latency: 0,
+                latency_drift: 0,
+                drift_rate: 0,
+                target_latency: null,
+                alert_count: 0,
+                alerts: []
+            },
+
+            // Low-Latency HLS
+            llhls: {
+                is_low_latency: false,
+                part_target: null,
+                server_control: {},
+                parts: {},
+                preload_hints: {},
+                blocking_reloads: {},
+                rendition_reports: []
+            },
+
+            // QoE model estimate (QoEMonitor / QoEModel)
+            qoe: {
+                model: null,
+                model_version: null,
+                session_mos: null,
+                video_mos: null,
+                current_mos: null,
+                stalling_index: 1,
+                played_seconds: 0,
+                stall_count: 0,
+                stall_duration_s: 0,
+                stalls: [],
+                initial_loading_s: 0,
+                mos_timeline: []
+            },
+
+            // Spec Conformance (last validation report)
+            conformance: {
+                url: '',
+                validated_at: null,
+                passed: null,
+                error_count: 0,
+                warning_count: 0,
+                info_count: 0,
+                findings: []
+            },
+
             // Error and Data Tracking
             errors: {
                 error_count: 0,
                 total_events: 0,
                 error_percentage: 0,
                 error_types: {},
-                last_error: null
+                last_error: null,
+                recovery: null
             },
 
             // Data Consumption
             data: {
                 total_data_loaded: 0,
                 data_rate: 0,
-                data_efficiency: 0
+                data_efficiency: 0,
+                total_requests: 0
             },
 
             // Session Information
@@ -99,6 +168,10 @@ export default class MetricsDataManager {
                 session_duration: 0,
                 stream_url: '',
                 is_live: false,
+                is_replay: false,
+                network_profile: null,
+                track_selection: null,
+                forced_rendition: false,
                 session_id: null
             },
 
@@ -122,11 +195,24 @@ export default class MetricsDataManager {
             performanceTracker: null,
 
             errorTracker: null,
-            dataConsumptionTracker: null
+            dataConsumptionTracker: null,
+            liveLatencyMonitor: null,
+            llhlsTracker: null,
+            qoeMonitor: null
         };
 
         this.updateInterval = null;
         this.isInitialized = false;
+        this.syncQueue = null;
+        this.networkProfile = null;
+
+        // Histogram bucket upper bounds (seconds) for the OpenMetrics exposition
+        this.histogramBuckets = {
+            segment_load_time: [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8],
+            startup_time: [0.5, 1, 2, 3, 5, 10]
+        };
+        this.openMetricsFormatter = new OpenMetricsFormatter();
+        this.bitrateSwitchAnalyzer = new BitrateSwitchAnalyzer();
 
         console.log('MetricsDataManager initialized');
     }
@@ -141,7 +227,10 @@ export default class MetricsDataManager {
                 performanceTracker: trackers.performanceTracker || null,
 
                 errorTracker: trackers.errorTracker || null,
-                dataConsumptionTracker: trackers.dataConsumptionTracker || null
+                dataConsumptionTracker: trackers.dataConsumptionTracker || null,
+                liveLatencyMonitor: trackers.liveLatencyMonitor || null,
+                llhlsTracker: trackers.llhlsTracker || null,
+                qoeMonitor: trackers.qoeMonitor || null
             };
 
             // Initialize session information
@@ -293,10 +382,18 @@ export default class MetricsDataManager {
                 const fpsMetrics = pt.getFPSMetrics();
                 this.updateMetrics('fps', fpsMetrics);
 
+                // Buffer metrics
+                this.updateMetrics('buffer', pt.getBufferMetrics());
+
                 // Segment metrics
                 const segmentMetrics = pt.getSegmentMetrics();
                 this.updateMetrics('segments', segmentMetrics);
 
+                // Playlist reload metrics
+                if (typeof pt.getPlaylistMetrics === 'function') {
+                    this.updateMetrics('playlist', pt.getPlaylistMetrics());
+                }
+
                 // Bitrate metrics
                 const bitrateMetrics = pt.getBitrateMetrics();
                 console.log('Collecting bitrate metrics:', bitrateMetrics);
@@ -315,6 +412,22 @@ export default class MetricsDataManager {
                 this.updateMetrics('data', dataMetrics);
             }
 
+            // Collect from LiveLatencyMonitor
+            if (this.trackerInstances.liveLatencyMonitor) {
+                const latencyMetrics = this.trackerInstances.liveLatencyMonitor.getLatencyMetrics();
+                delete latencyMetrics.latency_history;
+                this.updateMetrics('latency', latencyMetrics);
+            }
+
+            // Collect from LLHLSTracker
+            if (this.trackerInstances.llhlsTracker) {
+                this.updateMetrics('llhls', this.trackerInstances.llhlsTracker.getLLHLSMetrics());
+            }
+
+            if (this.trackerInstances.qoeMonitor) {
+                this.updateMetrics('qoe', this.trackerInstances.qoeMonitor.getQoEMetrics());
+            }
+
             // Collect bandwidth metrics from PerformanceTracker
             if (this.trackerInstances.performanceTracker && this.trackerInstances.performanceTracker.getBandwidthMetrics) {
                 const bandwidthMetrics = this.trackerInstances.performanceTracker.getBandwidthMetrics();
@@ -387,6 +500,9 @@ export default class MetricsDataManager {
                     // Bandwidth metrics
                     current_bandwidth: snapshot.bandwidth.current_bandwidth,
 
+                    // Buffer metrics
+                    buffer_length: snapshot.buffer.buffer_length,
+
                     // Segment metrics
                     max_segment_duration: snapshot.segments.max_segment_duration,
                     min_segment_duration: snapshot.segments.min_segment_duration,
@@ -398,16 +514,70 @@ export default class MetricsDataManager {
                     avg_playlist_reload_time: snapshot.playlist.avg_playlist_reload_time,
                     min_playlist_reload_time: snapshot.playlist.min_playlist_reload_time,
                     max_playlist_reload_time: snapshot.playlist.max_playlist_reload_time,
+                    playlist_reload_count: snapshot.playlist.reload_count,
+                    stale_playlist_count: snapshot.playlist.stale_count,
+                    skipped_sequence_count: snapshot.playlist.skipped_sequence_count,
+
+                    // Live latency metrics
+                    live_latency: snapshot.latency.current_latency,
+                    avg_live_latency: snapshot.latency.avg_latency,
+                    latency_drift: snapshot.latency.latency_drift,
+                    latency_alert_count: snapshot.latency.alert_count,
 
                     // Error and data metrics
+                    error_count: snapshot.errors.error_count,
                     error_percentage: snapshot.errors.error_percentage,
+                    recovery_attempts: snapshot.errors.recovery ? snapshot.errors.recovery.attempts : 0,
+                    recovery_success_rate: snapshot.errors.recovery && snapshot.errors.recovery.succeeded + snapshot.errors.recovery.failed > 0
+                        ? snapshot.errors.recovery.success_rate
+                        : null,
+                    total_requests: snapshot.data.total_requests,
                     total_segment_loaded: snapshot.segments.total_segment_loaded,
                     total_data_loaded: snapshot.data.total_data_loaded
                 },
+                histograms: {
+                    segment_load_time: this.buildHistogram(
+                        (snapshot.segments.segment_load_times || []).map(ms => ms / 1000),
+                        this.histogramBuckets.segment_load_time
+                    ),
+                    startup_time: this.buildHistogram(
+                        typeof snapshot.startup.startup_time === 'number' ? [snapshot.startup.startup_time / 1000] : [],
+                        this.histogramBuckets.startup_time
+                    )
+                },
+                ll_hls: {
+                    is_low_latency: snapshot.llhls.is_low_latency,
+                    part_target: snapshot.llhls.part_target,
+                    can_block_reload: snapshot.llhls.server_control.can_block_reload,
+                    can_skip_until: snapshot.llhls.server_control.can_skip_until,
+                    hold_back: snapshot.llhls.server_control.hold_back,
+                    part_hold_back: snapshot.llhls.server_control.part_hold_back,
+                    part_arrival_count: snapshot.llhls.parts.arrival_count,
+                    avg_part_arrival_interval: snapshot.llhls.parts.avg_arrival_interval,
+                    parts_loaded: snapshot.llhls.parts.loaded_count,
+                    avg_part_load_time: snapshot.llhls.parts.avg_part_load_time,
+                    max_part_load_time: snapshot.llhls.parts.max_part_load_time,
+                    preload_hint_hit_ratio: snapshot.llhls.preload_hints.hit_ratio,
+                    blocking_reload_count: snapshot.llhls.blocking_reloads.count,
+                    avg_blocking_reload_time: snapshot.llhls.blocking_reloads.avg_response_time,
+                    max_blocking_reload_time: snapshot.llhls.blocking_reloads.max_response_time,
+                    unsatisfied_blocking_reloads: snapshot.llhls.blocking_reloads.unsatisfied_count,
+                    rendition_reports: snapshot.llhls.rendition_reports
+                },
+                conformance: {
+                    passed: snapshot.conformance.passed,
+                    validated_at: snapshot.conformance.validated_at,
+                    error_count: snapshot.conformance.error_count,
+                    warning_count: snapshot.conformance.warning_count,
+                    findings: snapshot.conformance.findings
+                },
                 user_info: snapshot.user,
                 user_agent: navigator.userAgent,
                 browser_info: this.getBrowserInfo(),
-                network_info: this.getNetworkInfo()
+                network_info: this.getNetworkInfo(),
+                network_profile: snapshot.session.network_profile || null,
+                track_selection: snapshot.session.track_selection || null,
+                forced_rendition: snapshot.session.forced_rendition === true
             };
 
             return serverData;
@@ -444,13 +614,18 @@ export default class MetricsDataManager {
                 playback: { watch_time: 0, playback_ratio: 0 },
                 frames: { dropped_frames: 0, total_frames: 0, dropped_frame_ratio: 0, last_update: null },
                 fps: { current_fps: 0, min_fps: null, max_fps: 0, avg_fps: 0 },
-                bitrate: { current_bitrate: 0, max_bitrate: 0, bitrate_history: [], average_bitrate: 0 },
+                bitrate: { current_bitrate: 0, max_bitrate: 0, bitrate_history: [], average_bitrate: 0, switch_timeline: [] },
                 bandwidth: { current_bandwidth: 0, bandwidth_history: [], last_bandwidth_update: null },
+                buffer: { buffer_length: 0 },
                 segments: { max_segment_duration: 0, min_segment_duration: null, avg_segment_load_time: 0, min_segment_loadtime: null, max_segment_loadtime: 0, total_segment_loaded: 0, segment_load_history: [] },
-                playlist: { avg_playlist_reload_time: 0, min_playlist_reload_time: null, max_playlist_reload_time: 0, reload_count: 0, reload_history: [] },
-                errors: { error_count: 0, total_events: 0, error_percentage: 0, error_types: {}, last_error: null },
-                data: { total_data_loaded: 0, data_rate: 0, data_efficiency: 0 },
-                session: { start_time: Date.now(), current_time: null, session_duration: 0, stream_url: '', is_live: false, session_id: this.generateSessionId() },
+                playlist: { avg_playlist_reload_time: 0, min_playlist_reload_time: null, max_playlist_reload_time: 0, reload_count: 0, stale_count: 0, skipped_sequence_count: 0, renditions: {}, events: [], reload_history: [] },
+                latency: { is_live: false, current_latency: null, edge_distance: null, glass_to_glass_latency: null, avg_latency: 0, min_latency: null, max_latency: 0, latency_drift: 0, drift_rate: 0, target_latency: null, alert_count: 0, alerts: [] },
+                llhls: { is_low_latency: false, part_target: null, server_control: {}, parts: {}, preload_hints: {}, blocking_reloads: {}, rendition_reports: [] },
+                qoe: { model: null, model_version: null, session_mos: null, video_mos: null, current_mos: null, stalling_index: 1, played_seconds: 0, stall_count: 0, stall_duration_s: 0, stalls: [], initial_loading_s: 0, mos_timeline: [] },
+                conformance: { url: '', validated_at: null, passed: null, error_count: 0, warning_count: 0, info_count: 0, findings: [] },
+                errors: { error_count: 0, total_events: 0, error_percentage: 0, error_types: {}, last_error: null, recovery: null },
+                data: { total_data_loaded: 0, data_rate: 0, data_efficiency: 0, total_requests: 0 },
+                session: { start_time: Date.now(), current_time: null, session_duration: 0, stream_url: '', is_live: false, network_profile: this.networkProfile, track_selection: null, forced_rendition: false, session_id: this.generateSessionId() },
                 user: { user_agent: '', browser_name: '', browser_version: '', platform: '', language: '', screen_resolution: '', viewport_size: '', connection_type: '', connection_speed: '', timezone: '', timestamp: null }
             };
 
@@ -610,6 +785,79 @@ export default class MetricsDataManager {
         return { ...this.metrics.errors };
     }
 
+    /**
+     * Get spec conformance report
+     * @returns {Object} Last conformance validation report
+     */
+    getConformanceMetrics() {
+        return { ...this.metrics.conformance, findings: this.metrics.conformance.findings.slice() };
+    }
+
+    /**
+     * Store a spec conformance report so it is included in exports
+     * @param {Object} report - Report from ConformanceValidator
+     */
+    setConformanceReport(report) {
+        try {
+            this.updateMetrics('conformance', {
+                url: report.url,
+                validated_at: report.validated_at,
+                passed: report.passed,
+                error_count: report.error_count,
+                warning_count: report.warning_count,
+                info_count: report.info_count,
+                findings: report.findings.map(finding => ({ ...finding }))
+            });
+        } catch (error) {
+            console.error('Error storing conformance report:', error);
+        }
+    }
+
+    /**
+     * Start a new session (new ID and start time) when a stream is loaded,
+     * so each stream gets its own entry in session history
+     * @param {string} url - Stream URL
+     * @param {Object} options - { replay: true } for a session rebuilt from a captured request log
+     */
+    startNewSession(url = '', options = {}) {
+        this.metrics.session = {
+            start_time: Date.now(),
+            current_time: null,
+            session_duration: 0,
+            stream_url: url,
+            is_live: false,
+            is_replay: options.replay === true,
+            // A replay re-uses captured timings, so no emulated conditions apply to it
+            network_profile: options.replay === true ? null : this.networkProfile,
+            track_selection: null,
+            forced_rendition: false,
+            session_id: this.generateSessionId()
+        };
+    }
+
+    /**
+     * Record the rendition / audio / subtitle selection made in the player controls
+     * @param {Object} selection - { level_mode: 'auto'|'manual', level, level_label, audio_track, subtitle_track }
+     */
+    setTrackSelection(selection) {
+        this.metrics.session.track_selection = selection ? { ...selection, updated_at: Date.now() } : null;
+        // Once a rendition has been forced the session no longer reflects ABR behaviour
+        if (selection && selection.level_mode === 'manual') {
+            this.metrics.session.forced_rendition = true;
+        }
+    }
+
+    /**
+     * Record the emulated network conditions (NetworkThrottler profile) of the current and next sessions
+     * @param {Object|null} profile - Active profile summary, null when throttling is off
+     */
+    setNetworkProfile(profile) {
+        this.networkProfile = profile;
+        if (!this.metrics.session.is_replay) {
+            this.metrics.session.network_profile = profile;
+        }
+    }
+
     /**
      * Set stream URL for session tracking
      * @param {string} url - Stream URL
@@ -664,7 +912,7 @@ export default class MetricsDataManager {
 
     /**
      * Export metrics data in various formats
-     * @param {string} format - Export format ('json', 'csv', 'xml')
+     * @param {string} format - Export format ('json', 'csv', 'xml', 'openmetrics')
      * @param {boolean} serverFormat - Whether to use server-ready format
      * @returns {string} Formatted data string
      */
@@ -682,6 +930,9 @@ export default class MetricsDataManager {
                 case 'xml':
                     return this.exportToXML(data);
 
+                case 'openmetrics':
+                    return this.exportToOpenMetrics();
+
                 default:
                     console.warn(`Unsupported export format: ${format}, defaulting to JSON`);
                     return this.exportToJSON(serverFormat);
@@ -692,6 +943,66 @@ export default class MetricsDataManager {
         }
     }
 
+    /**
+     * Export current metrics in OpenMetrics (or Prometheus 0.0.4) text format
+     * @param {string} format - 'openmetrics' or 'prometheus'
+     * @returns {string} Exposition text
+     */
+    exportToOpenMetrics(format = 'openmetrics') {
+        try {
+            const data = this.getServerReadyData();
+            return data ? this.openMetricsFormatter.render([data], { format }) : '';
+        } catch (error) {
+            console.error('Error exporting to OpenMetrics:', error);
+            return '';
+        }
+    }
+
+    /**
+     * Cumulative histogram of observed values
+     * @param {Array<number>} values - Observations
+     * @param {Array<number>} buckets - Sorted upper bounds
+     * @returns {Object} { buckets, counts, sum, count }
+     */
+    buildHistogram(values, buckets) {
+        return {
+            buckets: buckets.slice(),
+            counts: buckets.map(le => values.filter(value => value <= le).length),
+            sum: Math.round(values.reduce((sum, value) => sum + value, 0) * 1000) / 1000,
+            count: values.length
+        };
+    }
+
+    /**
+     * Push current metrics to a Prometheus Pushgateway (grouped by job and session_id)
+     * @param {string} gatewayUrl - Pushgateway base URL, e.g. http://localhost:9091
+     * @param {Object} options - { job }
+     */
+    async pushOpenMetrics(gatewayUrl, options = {}) {
+        try {
+            const sessionId = this.metrics.session.session_id;
+            const job = options.job || 'hls_player';
+            const url = `${gatewayUrl.replace(/\/+$/, '')}/metrics/job/${encodeURIComponent(job)}/session_id/${encodeURIComponent(sessionId)}`;
+
+            // The Pushgateway only parses the Prometheus text format
+            const response = await fetch(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' },
+                body: this.exportToOpenMetrics('prometheus')
+            });
+
+            if (!response.ok) {
+                throw new Error(`Pushgateway responded with status: ${response.status}`);
+            }
+
+            console.log('Metrics pushed to Pushgateway:', url);
+            return { success: true, url };
+        } catch (error) {
+            console.error('Error pushing metrics to Pushgateway:', error);
+            throw error;
+        }
+    }
+
     /**
      * Export metrics to CSV format
      * @param {Object} data - Metrics data to export
@@ -705,9 +1016,9 @@ export default class MetricsDataManager {
 
             let csv = headers.join(',') + '\n';
             csv += values.map(value => {
-                // Handle strings with commas by wrapping in quotes
-                if (typeof value === 'string' && value.includes(',')) {
-                    return `"${value}"`;
+                // Handle strings with commas, quotes or line breaks by wrapping in quotes
+                if (typeof value === 'string' && /[",\n]/.test(value)) {
+                    return `"${value.replace(/"/g, '""')}"`;
                 }
                 return value;
             }).join(',');
@@ -756,17 +1067,36 @@ export default class MetricsDataManager {
             } else if (Array.isArray(value)) {
                 xml += `${indentStr}<${key}>\n`;
                 value.forEach((item, index) => {
-                    xml += `${indentStr}  <item index="${index}">${item}</item>\n`;
+                    if (item !== null && typeof item === 'object') {
+                        xml += `${indentStr}  <item index="${index}">\n`;
+                        xml += this.objectToXML(item, indent + 2);
+                        xml += `${indentStr}  </item>\n`;
+                    } else {
+                        xml += `${indentStr}  <item index="${index}">${this.escapeXML(item)}</item>\n`;
+                    }
                 });
                 xml += `${indentStr}</${key}>\n`;
             } else {
-                xml += `${indentStr}<${key}>${value}</${key}>\n`;
+                xml += `${indentStr}<${key}>${this.escapeXML(value)}</${key}>\n`;
             }
         }
 
         return xml;
     }
 
+    /**
+     * Escape a value for use as XML text content
+     * @param {*} value - Value to escape
+     * @returns {string} Escaped string
+     */
+    escapeXML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     /**
      * Flatten nested object for CSV export
      * @param {Object} obj - Object to flatten
@@ -796,8 +1126,8 @@ export default class MetricsDataManager {
     /**
      * Send metrics data to server endpoint
      * @param {string} endpoint - Server endpoint URL
-     * @param {Object} options - Request options
-     * @returns {Promise} Fetch promise
+     * @param {Object} options - Request options (queueOnFailure: false disables the offline queue)
+     * @returns {Promise} Server response, or { queued: true, queue_id } when the payload was queued for retry
      */
     async transmitToServer(endpoint, options = {}) {
         try {
@@ -807,26 +1137,11 @@ export default class MetricsDataManager {
                 throw new Error('Failed to prepare server data');
             }
 
-            const defaultOptions = {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify(serverData)
-            };
-
-            const requestOptions = { ...defaultOptions, ...options };
-
             console.log('Transmitting metrics to server:', endpoint);
-            const response = await fetch(endpoint, requestOptions);
-
-            if (!response.ok) {
-                throw new Error(`Server responded with status: ${response.status}`);
+            const result = await this.sendPayload(endpoint, serverData, options, 'single');
+            if (!result.queued) {
+                console.log('Metrics successfully transmitted to server');
             }
-
-            const result = await response.json();
-            console.log('Metrics successfully transmitted to server');
             return result;
 
         } catch (error) {
@@ -839,8 +1154,8 @@ export default class MetricsDataManager {
      * Batch transmit multiple metrics snapshots
      * @param {string} endpoint - Server endpoint URL
      * @param {Array} snapshots - Array of metrics snapshots
-     * @param {Object} options - Request options
-     * @returns {Promise} Fetch promise
+     * @param {Object} options - Request options (queueOnFailure: false disables the offline queue)
+     * @returns {Promise} Server response, or { queued: true, queue_id } when the payload was queued for retry
      */
     async batchTransmitToServer(endpoint, snapshots, options = {}) {
         try {
@@ -851,26 +1166,11 @@ export default class MetricsDataManager {
                 snapshots: snapshots
             };
 
-            const defaultOptions = {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
-                body: JSON.stringify(batchData)
-            };
-
-            const requestOptions = { ...defaultOptions, ...options };
-
             console.log(`Batch transmitting ${snapshots.length} metrics snapshots to server:`, endpoint);
-            const response = await fetch(endpoint, requestOptions);
-
-            if (!response.ok) {
-                throw new Error(`Server responded with status: ${response.status}`);
+            const result = await this.sendPayload(endpoint, batchData, options, 'batch');
+            if (!result.queued) {
+                console.log('Batch metrics successfully transmitted to server');
             }
-
-            const result = await response.json();
-            console.log('Batch metrics successfully transmitted to server');
             return result;
 
         } catch (error) {
@@ -879,9 +1179,71 @@ export default class MetricsDataManager {
         }
     }
 
+    /**
+     * POST a payload, queueing it for background retry on network failures and retryable statuses
+     * @param {string} endpoint - Server endpoint URL
+     * @param {Object} payload - Data to send as JSON
+     * @param {Object} options - Request options
+     * @param {string} kind - 'single' or 'batch'
+     */
+    async sendPayload(endpoint, payload, options = {}, kind = 'single') {
+        const { queueOnFailure = true, ...fetchOptions } = options;
+
+        const defaultOptions = {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify(payload)
+        };
+
+        const requestOptions = { ...defaultOptions, ...fetchOptions };
+        const canQueue = queueOnFailure && this.syncQueue && requestOptions.method === 'POST';
+
+        let response;
+        try {
+            response = await fetch(endpoint, requestOptions);
+        } catch (networkError) {
+            if (!canQueue) throw networkError;
+            return this.queueFailedPayload(endpoint, requestOptions, kind, networkError);
+        }
+
+        if (!response.ok) {
+            const statusError = new Error(`Server responded with status: ${response.status}`);
+            const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+            if (!canQueue || !retryable) throw statusError;
+            return this.queueFailedPayload(endpoint, requestOptions, kind, statusError);
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Hand a failed payload to the offline sync queue
+     */
+    async queueFailedPayload(endpoint, requestOptions, kind, error) {
+        const queueId = await this.syncQueue.enqueue(endpoint, requestOptions.body, {
+            kind,
+            headers: requestOptions.headers,
+            error: error.message
+        });
+
+        console.warn(`Transmission failed (${error.message}), payload queued for background retry`);
+        return { queued: true, queue_id: queueId, error: error.message };
+    }
+
+    /**
+     * Set the offline queue used when transmission fails
+     * @param {MetricsSyncQueue} syncQueue - Queue instance (null disables queueing)
+     */
+    setSyncQueue(syncQueue) {
+        this.syncQueue = syncQueue;
+    }
+
     /**
      * Download metrics data as a file
-     * @param {string} format - File format ('json', 'csv', 'xml')
+     * @param {string} format - File format ('json', 'csv', 'xml', 'openmetrics')
      * @param {string} filename - Optional filename
      * @param {boolean} serverFormat - Whether to use server-ready format
      */
@@ -889,40 +1251,68 @@ export default class MetricsDataManager {
         try {
             const data = this.exportData(format, serverFormat);
             const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const defaultFilename = `hls-metrics-${timestamp}.${format}`;
-            const finalFilename = filename || defaultFilename;
-
-            // Create blob and download
-            const mimeTypes = {
-                json: 'application/json',
-                csv: 'text/csv',
-                xml: 'application/xml'
-            };
+            const extension = format === 'openmetrics' ? 'txt' : format;
+            const defaultFilename = `hls-metrics-${timestamp}.${extension}`;
 
-            const blob = new Blob([data], { type: mimeTypes[format] || 'text/plain' });
-            const url = URL.createObjectURL(blob);
-
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = finalFilename;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-
-            // Clean up the URL object
-            setTimeout(() => URL.revokeObjectURL(url), 100);
+            this.downloadFile(data, filename || defaultFilename, format);
         } catch (error) {
             console.error('Error downloading metrics file:', error);
         }
     }
 
+    /**
+     * Download a session comparison report
+     * @param {Object} report - Report from createComparisonReport()
+     * @param {string} format - 'json' or 'csv'
+     */
+    downloadComparisonReport(report, format = 'json') {
+        try {
+            const data = this.exportComparisonReport(report, format);
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.downloadFile(data, `hls-comparison-${timestamp}.${format}`, format);
+        } catch (error) {
+            console.error('Error downloading comparison report:', error);
+        }
+    }
+
+    /**
+     * Trigger a browser download of string content
+     * @param {string} data - File content
+     * @param {string} filename - File name
+     * @param {string} format - File format used to pick the MIME type
+     */
+    downloadFile(data, filename, format) {
+        // Create blob and download
+        const mimeTypes = {
+            json: 'application/json',
+            csv: 'text/csv',
+            xml: 'application/xml',
+            openmetrics: 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+        };
+
+        const blob = new Blob([data], { type: mimeTypes[format] || 'text/plain' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up the URL object
+        setTimeout(() => URL.revokeObjectURL(url), 100);
+    }
+
     /**
      * Create a metrics summary report
+     * @param {Object} source - Optional stored snapshot to report on instead of the live metrics
      * @returns {Object} Summary report with key insights
      */
-    createSummaryReport() {
+    createSummaryReport(source = null) {
         try {
-            const snapshot = this.getMetricsSnapshot();
+            const snapshot = source || this.getMetricsSnapshot();
+            const switching = this.analyzeBitrateSwitching(snapshot);
 
             const report = {
                 session_info: {
@@ -930,6 +1320,9 @@ export default class MetricsDataManager {
                     duration: snapshot.session.session_duration,
                     stream_url: snapshot.session.stream_url,
                     is_live: snapshot.session.is_live,
+                    network_profile: snapshot.session.network_profile || null,
+                    track_selection: snapshot.session.track_selection || null,
+                    forced_rendition: snapshot.session.forced_rendition === true,
                     timestamp: new Date().toISOString()
                 },
                 performance_summary: {
@@ -946,8 +1339,10 @@ export default class MetricsDataManager {
                     overall_score: this.calculateOverallQualityScore(snapshot),
                     startup_grade: this.gradeStartupPerformance(snapshot.startup.startup_time),
                     rebuffering_grade: this.gradeRebufferingPerformance(snapshot.rebuffering.rebuffer_ratio),
-                    bitrate_stability: this.assessBitrateStability(snapshot.bitrate.bitrate_history),
-                    recommendations: this.generateRecommendations(snapshot)
+                    bitrate_stability: this.assessBitrateStability(switching),
+                    bitrate_switching: switching,
+                    qoe: this.summarizeQoE(snapshot),
+                    recommendations: this.generateRecommendations(snapshot, switching)
                 },
                 data_consumption: {
                     total_data_gb: snapshot.data.total_data_loaded,
@@ -964,11 +1359,161 @@ export default class MetricsDataManager {
     }
 
     /**
-     * Calculate overall quality score (0-100)
+     * Compare two sessions (e.g. the same stream on two CDNs, or before/after an encoder change)
+     * @param {Object} baselineSnapshot - Metrics snapshot of the reference session
+     * @param {Object} candidateSnapshot - Metrics snapshot of the session being evaluated
+     * @returns {Object} Comparison report with per-metric deltas (candidate - baseline)
+     */
+    createComparisonReport(baselineSnapshot, candidateSnapshot) {
+        try {
+            const baseline = this.createSummaryReport(baselineSnapshot);
+            const candidate = this.createSummaryReport(candidateSnapshot);
+
+            // direction: which way is better for the metric
+            const definitions = [
+                { metric: 'overall_score', label: 'Quality Score', unit: '', direction: 'higher', get: (r) => r.quality_assessment.overall_score },
+                { metric: 'session_mos', label: 'Session MOS', unit: '', direction: 'higher', get: (r) => r.quality_assessment.qoe ? r.quality_assessment.qoe.session_mos : null },
+                { metric: 'startup_time', label: 'Startup Time', unit: 'ms', direction: 'lower', get: (r) => r.performance_summary.startup_time },
+                { metric: 'rebuffering_ratio', label: 'Rebuffer Ratio', unit: '%', direction: 'lower', get: (r) => r.performance_summary.rebuffering_ratio },
+                { metric: 'dropped_frames', label: 'Dropped Frames', unit: '', direction: 'lower', get: (r, s) => s.frames.dropped_frames },
+                { metric: 'frame_drop_ratio', label: 'Dropped Frame Ratio', unit: '%', direction: 'lower', get: (r) => r.performance_summary.frame_drop_ratio },
+                { metric: 'average_bitrate', label: 'Average Bitrate', unit: 'bps', direction: 'higher', get: (r) => r.performance_summary.average_bitrate },
+                { metric: 'switches_per_minute', label: 'Switches / min', unit: '', direction: 'lower', get: (r) => r.quality_assessment.bitrate_switching ? r.quality_assessment.bitrate_switching.switches_per_minute : null },
+                { metric: 'error_rate', label: 'Error Rate', unit: '%', direction: 'lower', get: (r) => r.performance_summary.error_rate }
+            ];
+
+            const metrics = definitions.map(def => {
+                const baselineValue = def.get(baseline, baselineSnapshot);
+                const candidateValue = def.get(candidate, candidateSnapshot);
+                const comparable = typeof baselineValue === 'number' && typeof candidateValue === 'number';
+                const delta = comparable ? candidateValue - baselineValue : null;
+
+                let better = null;
+                if (comparable) {
+                    if (delta === 0) better = 'same';
+                    else if ((delta < 0) === (def.direction === 'lower')) better = 'candidate';
+                    else better = 'baseline';
+                }
+
+                return {
+                    metric: def.metric,
+                    label: def.label,
+                    unit: def.unit,
+                    baseline: typeof baselineValue === 'number' ? baselineValue : null,
+                    candidate: typeof candidateValue === 'number' ? candidateValue : null,
+                    delta: delta,
+                    delta_percent: comparable && baselineValue !== 0 ? (delta / Math.abs(baselineValue)) * 100 : null,
+                    better: better
+                };
+            });
+
+            return {
+                generated_at: new Date().toISOString(),
+                baseline: baseline.session_info,
+                candidate: candidate.session_info,
+                metrics: metrics,
+                baseline_grades: {
+                    startup_grade: baseline.quality_assessment.startup_grade,
+                    rebuffering_grade: baseline.quality_assessment.rebuffering_grade,
+                    bitrate_stability: baseline.quality_assessment.bitrate_stability
+                },
+                candidate_grades: {
+                    startup_grade: candidate.quality_assessment.startup_grade,
+                    rebuffering_grade: candidate.quality_assessment.rebuffering_grade,
+                    bitrate_stability: candidate.quality_assessment.bitrate_stability
+                }
+            };
+        } catch (error) {
+            console.error('Error creating comparison report:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Export a comparison report
+     * @param {Object} report - Report from createComparisonReport()
+     * @param {string} format - 'json' or 'csv' (one row per metric)
+     * @returns {string} Formatted data string
+     */
+    exportComparisonReport(report, format = 'json') {
+        try {
+            if (format.toLowerCase() !== 'csv') {
+                return JSON.stringify(report, null, 2);
+            }
+
+            const quote = (value) => {
+                if (value === null || value === undefined) return '';
+                if (typeof value === 'string' && /[",\n]/.test(value)) {
+                    return `"${value.replace(/"/g, '""')}"`;
+                }
+                return value;
+            };
+
+            const rows = [['metric', 'unit', 'baseline', 'candidate', 'delta', 'delta_percent', 'better']];
+            report.metrics.forEach(m => {
+                rows.push([m.metric, m.unit, m.baseline, m.candidate, m.delta,
+                    m.delta_percent !== null ? Number(m.delta_percent.toFixed(2)) : null, m.better]);
+            });
+            rows.push([]);
+            rows.push(['session', 'session_id', 'stream_url', 'duration', 'is_live']);
+            ['baseline', 'candidate'].forEach(role => {
+                const info = report[role] || {};
+                rows.push([role, info.session_id, info.stream_url, info.duration, info.is_live]);
+            });
+
+            return rows.map(row => row.map(quote).join(',')).join('\n');
+        } catch (error) {
+            console.error('Error exporting comparison report:', error);
+            return '';
+        }
+    }
+
+    /**
+     * QoE model result for the summary report (without the per-stall and timeline detail)
+     * @param {Object} snapshot - Metrics snapshot
+     * @returns {Object|null} Null when the snapshot has no model result
+     */
+    summarizeQoE(snapshot) {
+        const qoe = snapshot.qoe;
+        if (!qoe || !qoe.model) return null;
+
+        return {
+            model: qoe.model,
+            model_version: qoe.model_version,
+            session_mos: qoe.session_mos,
+            video_mos: qoe.video_mos,
+            stalling_index: qoe.stalling_index,
+            played_seconds: qoe.played_seconds,
+            stall_count: qoe.stall_count,
+            stall_duration_s: qoe.stall_duration_s,
+            initial_loading_s: qoe.initial_loading_s
+        };
+    }
+
+    /**
+     * Calculate overall quality score (0-100): the session MOS (1-5) mapped linearly
      * @param {Object} snapshot - Metrics snapshot
      * @returns {number} Quality score
      */
     calculateOverallQualityScore(snapshot) {
+        try {
+            if (snapshot.qoe && typeof snapshot.qoe.session_mos === 'number') {
+                return Math.round(Math.max(0, Math.min(100, (snapshot.qoe.session_mos - 1) / 4 * 100)));
+            }
+
+            return this.calculateLegacyQualityScore(snapshot);
+        } catch (error) {
+            console.error('Error calculating quality score:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Fixed deductions used before the QoE model, kept for stored snapshots without a MOS
+     * @param {Object} snapshot - Metrics snapshot
+     * @returns {number} Quality score
+     */
+    calculateLegacyQualityScore(snapshot) {
         try {
             let score = 100;
 
@@ -1024,24 +1569,34 @@ export default class MetricsDataManager {
         return 'D';
     }
 
+    /**
+     * Switch statistics for a snapshot (see BitrateSwitchAnalyzer)
+     * @param {Object} snapshot - Metrics snapshot
+     * @returns {Object|null} Statistics, or null for snapshots stored before the switch timeline existed
+     */
+    analyzeBitrateSwitching(snapshot) {
+        const timeline = snapshot.bitrate && snapshot.bitrate.switch_timeline;
+        if (!Array.isArray(timeline)) return null;
+        return this.bitrateSwitchAnalyzer.analyze(timeline, snapshot.session.current_time || Date.now());
+    }
+
     /**
      * Assess bitrate stability
-     * @param {Array} bitrateHistory - Bitrate change history
+     * @param {Object|null} switching - Result of analyzeBitrateSwitching()
      * @returns {string} Stability assessment
      */
-    assessBitrateStability(bitrateHistory) {
-        if (!bitrateHistory || bitrateHistory.length < 2) return 'Stable';
-        if (bitrateHistory.length < 5) return 'Stable';
-        if (bitrateHistory.length < 10) return 'Moderate';
-        return 'Variable';
+    assessBitrateStability(switching) {
+        if (!switching) return 'Unknown';
+        return switching.grade;
     }
 
     /**
      * Generate performance recommendations
      * @param {Object} snapshot - Metrics snapshot
+     * @param {Object|null} switching - Result of analyzeBitrateSwitching()
      * @returns {Array} Array of recommendation strings
      */
-    generateRecommendations(snapshot) {
+    generateRecommendations(snapshot, switching = this.analyzeBitrateSwitching(snapshot)) {
         const recommendations = [];
 
         if (snapshot.startup.startup_time > 3000) {
@@ -1060,8 +1615,10 @@ export default class MetricsDataManager {
             recommendations.push('Error rate is elevated - investigate stream stability and network issues');
         }
 
-        if (snapshot.bitrate.bitrate_history && snapshot.bitrate.bitrate_history.length > 10) {
-            recommendations.push('Frequent bitrate changes detected - network conditions may be unstable');
+        if (switching && switching.is_oscillating) {
+            recommendations.push(`Bitrate oscillation detected (${switching.oscillation_count} A-B-A switches) - consider a larger ABR safety margin or switch hysteresis`);
+        } else if (switching && switching.grade === 'Variable') {
+            recommendations.push(`Frequent bitrate changes detected (${switching.switches_per_minute} per minute) - network conditions may be unstable`);
         }
 
         if (recommendations.length === 0) {
@@ -1073,6 +1630,7 @@ export default class MetricsDataManager {
 
     /**
      * Validate data structure consistency with server API requirements
+     * (the full contract is server/schema/metrics-payload.schema.json, enforced by the reference collector)
      * @param {Object} data - Data to validate
      * @returns {boolean} Whether data is consistent with API requirements
      */
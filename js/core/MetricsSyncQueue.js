@@ -0,0 +1,380 @@
+/**
+ * MetricsSyncQueue - Durable queue for metric payloads that could not be transmitted.
+ * Items live in an IndexedDB database shared with the service worker (sw.js), which
+ * retries them through Background Sync ('analytics-sync'). Browsers without Background
+ * Sync retry from the page instead. Keep the schema and retry rules in sync with sw.js.
+ */
+export default class MetricsSyncQueue {
+    constructor(options = {}) {
+        this.config = {
+            db_name: 'hls-monitor-sync',
+            db_version: 1,
+            store_name: 'queue',
+            sync_tag: 'analytics-sync',
+            base_delay_ms: 5000,
+            max_delay_ms: 3600000,
+            max_attempts: 10,
+            max_items: 500
+        };
+        Object.assign(this.config, options);
+
+        this.onStatusChange = options.onStatusChange || null;
+        this.dbPromise = null;
+        this.retryTimeout = null;
+        this.isFlushing = false;
+        this.lastSyncTime = null;
+        this.onlineHandler = null;
+        this.messageHandler = null;
+
+        console.log('MetricsSyncQueue initialized');
+    }
+
+    /**
+     * Whether IndexedDB is available
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Whether retries can be handed to the service worker
+     */
+    async hasBackgroundSync() {
+        return !!(await this.getSyncRegistration());
+    }
+
+    /**
+     * Active service worker registration with Background Sync support, or null.
+     * (getRegistration instead of .ready, which never settles when sw.js failed to register)
+     */
+    async getSyncRegistration() {
+        try {
+            if (typeof navigator === 'undefined' || !('serviceWorker' in navigator) || typeof SyncManager === 'undefined') {
+                return null;
+            }
+            const registration = await navigator.serviceWorker.getRegistration();
+            return registration && registration.active && registration.sync ? registration : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Start listening for connectivity changes and service worker sync reports
+     */
+    start() {
+        try {
+            if (typeof window !== 'undefined' && !this.onlineHandler) {
+                this.onlineHandler = () => this.scheduleRetry(0);
+                window.addEventListener('online', this.onlineHandler);
+            }
+
+            if (typeof navigator !== 'undefined' && 'serviceWorker' in navigator && !this.messageHandler) {
+                this.messageHandler = (event) => {
+                    if (event.data && event.data.type === 'ANALYTICS_SYNC_STATUS') {
+                        this.lastSyncTime = event.data.timestamp || Date.now();
+                        this.notifyStatus();
+                        this.scheduleRetry();
+                    }
+                };
+                navigator.serviceWorker.addEventListener('message', this.messageHandler);
+            }
+
+            this.scheduleRetry();
+            this.notifyStatus();
+        } catch (error) {
+            console.error('Error starting metrics sync queue:', error);
+        }
+    }
+
+    /**
+     * Open (and create if needed) the shared queue database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.config.db_name, this.config.db_version);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+                if (!db.objectStoreNames.contains(this.config.store_name)) {
+                    const store = db.createObjectStore(this.config.store_name, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('next_attempt_at', 'next_attempt_at', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against the queue store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object store and returns an IDBRequest
+     */
+    async request(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.config.store_name, mode);
+            const request = callback(tx.objectStore(this.config.store_name));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Queue a payload that failed to transmit
+     * @param {string} endpoint - Server endpoint URL
+     * @param {string} body - JSON request body
+     * @param {Object} options - { kind: 'single' | 'batch', headers, error }
+     * @returns {Promise<number>} Queue item ID
+     */
+    async enqueue(endpoint, body, options = {}) {
+        const items = await this.getAll();
+        const pending = items.filter(item => item.status === 'pending');
+        if (pending.length >= this.config.max_items) {
+            // Drop the oldest pending payload rather than growing without bound
+            await this.remove(pending[0].id);
+        }
+
+        const now = Date.now();
+        const id = await this.request('readwrite', store => store.add({
+            endpoint,
+            body,
+            headers: options.headers || { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+            kind: options.kind || 'single',
+            status: 'pending',
+            attempts: 0,
+            created_at: now,
+            next_attempt_at: now + this.config.base_delay_ms,
+            last_error: options.error || null
+        }));
+
+        console.warn(`Metrics payload queued for retry (id ${id})`);
+        await this.requestSync();
+        this.notifyStatus();
+
+        return id;
+    }
+
+    /**
+     * Exponential backoff delay for the given number of failed attempts
+     */
+    getBackoffDelay(attempts) {
+        return Math.min(this.config.base_delay_ms * Math.pow(2, attempts), this.config.max_delay_ms);
+    }
+
+    /**
+     * Ask the service worker to sync, or fall back to retrying from the page
+     */
+    async requestSync() {
+        try {
+            const registration = await this.getSyncRegistration();
+            if (registration) {
+                await registration.sync.register(this.config.sync_tag);
+            }
+        } catch (error) {
+            console.warn('Background Sync registration failed, retrying from the page:', error);
+        }
+
+        this.scheduleRetry();
+    }
+
+    /**
+     * Schedule the next retry at the earliest next_attempt_at
+     * @param {number} delayOverride - Retry after this delay instead (e.g. 0 when back online)
+     */
+    async scheduleRetry(delayOverride = null) {
+        try {
+            if (this.retryTimeout) {
+                clearTimeout(this.retryTimeout);
+                this.retryTimeout = null;
+            }
+
+            const pending = (await this.getAll()).filter(item => item.status === 'pending');
+            if (pending.length === 0) return;
+
+            const nextAttempt = Math.min(...pending.map(item => item.next_attempt_at));
+            const delay = delayOverride !== null ? delayOverride : Math.max(0, nextAttempt - Date.now());
+
+            this.retryTimeout = setTimeout(async () => {
+                this.retryTimeout = null;
+                const registration = await this.getSyncRegistration();
+                if (registration) {
+                    // Items that were not due at the last sync event need a new one;
+                    // the worker reports back (ANALYTICS_SYNC_STATUS) and we reschedule then
+                    await registration.sync.register(this.config.sync_tag);
+                } else {
+                    await this.flush();
+                }
+            }, delay);
+        } catch (error) {
+            console.error('Error scheduling metrics retry:', error);
+        }
+    }
+
+    /**
+     * Retry every due item from the page (used when Background Sync is unavailable)
+     * @param {boolean} force - Retry items that are not due yet
+     * @returns {Promise<Object>} { sent, failed }
+     */
+    async flush(force = false) {
+        const result = { sent: 0, failed: 0 };
+        if (this.isFlushing) return result;
+
+        this.isFlushing = true;
+        try {
+            const now = Date.now();
+            const due = (await this.getAll()).filter(item =>
+                item.status === 'pending' && (force || item.next_attempt_at <= now));
+
+            for (const item of due) {
+                try {
+                    const response = await fetch(item.endpoint, { method: 'POST', headers: item.headers, body: item.body });
+                    if (response.ok) {
+                        await this.remove(item.id);
+                        result.sent++;
+                        continue;
+                    }
+                    await this.markFailed(item, `Server responded with status: ${response.status}`, this.isRetryableStatus(response.status));
+                } catch (error) {
+                    await this.markFailed(item, error.message, true);
+                }
+                result.failed++;
+            }
+
+            this.lastSyncTime = Date.now();
+        } catch (error) {
+            console.error('Error flushing metrics queue:', error);
+        } finally {
+            this.isFlushing = false;
+        }
+
+        this.notifyStatus();
+        this.scheduleRetry();
+        return result;
+    }
+
+    /**
+     * Statuses worth retrying (timeouts, throttling and server errors)
+     */
+    isRetryableStatus(status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+
+    /**
+     * Record a failed attempt and push next_attempt_at back
+     */
+    async markFailed(item, message, retryable) {
+        const attempts = item.attempts + 1;
+        const updated = {
+            ...item,
+            attempts,
+            last_error: message,
+            next_attempt_at: Date.now() + this.getBackoffDelay(attempts),
+            status: retryable && attempts < this.config.max_attempts ? 'pending' : 'failed'
+        };
+        await this.request('readwrite', store => store.put(updated));
+    }
+
+    /**
+     * All queue items
+     */
+    async getAll() {
+        return (await this.request('readonly', store => store.getAll())) || [];
+    }
+
+    /**
+     * Remove one item
+     */
+    remove(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Remove items that exhausted their retries
+     */
+    async clearFailed() {
+        const failed = (await this.getAll()).filter(item => item.status === 'failed');
+        for (const item of failed) {
+            await this.remove(item.id);
+        }
+        this.notifyStatus();
+    }
+
+    /**
+     * Queue status for the export panel
+     */
+    async getStatus() {
+        const items = await this.getAll();
+        const pending = items.filter(item => item.status === 'pending');
+        const failed = items.filter(item => item.status === 'failed');
+        const latest = items.reduce((last, item) => (!last || item.id > last.id ? item : last), null);
+
+        return {
+            pending_count: pending.length,
+            failed_count: failed.length,
+            next_attempt_at: pending.length > 0 ? Math.min(...pending.map(item => item.next_attempt_at)) : null,
+            last_error: latest ? latest.last_error : null,
+            last_sync_at: this.lastSyncTime,
+            background_sync: await this.hasBackgroundSync()
+        };
+    }
+
+    /**
+     * Push the current status to the listener
+     */
+    async notifyStatus() {
+        try {
+            if (!this.onStatusChange) return;
+            this.onStatusChange(await this.getStatus());
+        } catch (error) {
+            console.error('Error reading metrics queue status:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            if (this.retryTimeout) {
+                clearTimeout(this.retryTimeout);
+                this.retryTimeout = null;
+            }
+            if (this.onlineHandler) {
+                window.removeEventListener('online', this.onlineHandler);
+                this.onlineHandler = null;
+            }
+            if (this.messageHandler) {
+                navigator.serviceWorker.removeEventListener('message', this.messageHandler);
+                this.messageHandler = null;
+            }
+            if (this.dbPromise) {
+                this.dbPromise.then(db => db.close()).catch(() => {});
+                this.dbPromise = null;
+            }
+            console.log('MetricsSyncQueue cleanup completed');
+        } catch (error) {
+            console.error('Error during MetricsSyncQueue cleanup:', error);
+        }
+    }
+}
@@ -0,0 +1,516 @@
+/**
+ * NetworkRequestLog - Per-request log of every playlist, key and segment request made by hls.js
+ * (URL, type, rendition, HTTP status, TTFB, download time, bytes, retries), exportable as HAR 1.2.
+ * Requests are captured by wrapping the hls.js loader, so failed and retried requests are included.
+ */
+export default class NetworkRequestLog {
+    constructor(options = {}) {
+        this.metricsDataManager = options.metricsDataManager || null;
+        this.onChange = options.onChange || null;
+
+        this.config = {
+            max_entries: 2000
+        };
+
+        this.requestTypes = ['manifest', 'level', 'audio', 'subtitle', 'key', 'fragment', 'init'];
+        this.playlistMimeType = 'application/vnd.apple.mpegurl';
+
+        this.hlsInstance = null;
+        this.entries = [];
+        this.nextId = 1;
+
+        console.log('NetworkRequestLog initialized');
+    }
+
+    /**
+     * Attach to a new HLS instance (new stream = new log)
+     */
+    setHLSInstance(hlsInstance) {
+        this.hlsInstance = hlsInstance;
+        this.clear();
+    }
+
+    /**
+     * hls.js loader class that records each request made through BaseLoader
+     * @param {Function} BaseLoader - Loader to extend (usually Hls.DefaultConfig.loader or another wrapper)
+     */
+    createLoader(BaseLoader) {
+        const log = this;
+
+        return class RequestLogLoader extends BaseLoader {
+            load(context, config, callbacks) {
+                super.load(context, config, {
+                    ...callbacks,
+                    onSuccess: (response, stats, ctx, networkDetails) => {
+                        log.recordOutcome('success', [response, stats, ctx, networkDetails]);
+                        callbacks.onSuccess(response, stats, ctx, networkDetails);
+                    },
+                    onError: (error, ctx, networkDetails, stats) => {
+                        log.recordOutcome('error', [error, ctx, networkDetails, stats]);
+                        callbacks.onError(error, ctx, networkDetails, stats);
+                    },
+                    onTimeout: (stats, ctx, networkDetails) => {
+                        log.recordOutcome('timeout', [stats, ctx, networkDetails]);
+                        callbacks.onTimeout(stats, ctx, networkDetails);
+                    },
+                    onAbort: callbacks.onAbort ? (stats, ctx, networkDetails) => {
+                        log.recordOutcome('abort', [stats, ctx, networkDetails]);
+                        callbacks.onAbort(stats, ctx, networkDetails);
+                    } : undefined
+                });
+            }
+        };
+    }
+
+    /**
+     * Normalise the different hls.js loader callback signatures into one entry
+     */
+    recordOutcome(outcome, args) {
+        try {
+            if (outcome === 'success') {
+                const [response, stats, context, networkDetails] = args;
+                this.addEntry(context, stats, networkDetails, {
+                    status: response && response.code ? response.code : 200,
+                    url: response && response.url ? response.url : context.url,
+                    bytes: this.getResponseBytes(response, stats),
+                    content: response && typeof response.data === 'string' ? response.data : null
+                });
+            } else if (outcome === 'error') {
+                const [error, context, networkDetails, stats] = args;
+                this.addEntry(context, stats, networkDetails, {
+                    status: error && error.code ? error.code : 0,
+                    error: error && error.text ? error.text : 'Network error'
+                });
+            } else {
+                const [stats, context, networkDetails] = args;
+                this.addEntry(context, stats, networkDetails, {
+                    status: 0,
+                    error: outcome === 'timeout' ? 'Timeout' : 'Aborted'
+                });
+            }
+        } catch (error) {
+            console.warn('Error recording network request:', error);
+        }
+    }
+
+    /**
+     * Add one request to the log
+     */
+    addEntry(context, stats, networkDetails, result) {
+        const loading = (stats && stats.loading) || {};
+        const start = loading.start || performance.now();
+        const first = loading.first || loading.end || start;
+        const end = loading.end || performance.now();
+
+        const type = this.getRequestType(context);
+        const media = context.part || context.frag;
+
+        const entry = {
+            id: this.nextId++,
+            url: result.url || context.url,
+            type,
+            rendition: this.getRendition(context),
+            status: result.status,
+            error: result.error || null,
+            started_at: Math.round(performance.timeOrigin + start),
+            ttfb: Math.max(0, Math.round(first - start)),
+            download_time: Math.max(0, Math.round(end - first)),
+            total_time: Math.max(0, Math.round(end - start)),
+            bytes: result.bytes !== undefined ? result.bytes : (stats ? stats.loaded || 0 : 0),
+            retries: stats && stats.retry ? stats.retry : 0,
+            is_part: !!context.part,
+            duration: type === 'fragment' && media && media.duration > 0 ? media.duration : null,
+            // Playlist text is kept so a replay can re-run the playlist analysis
+            content: this.isPlaylistType(type) && result.content ? result.content : null,
+            request_headers: context.headers ? { ...context.headers } : {},
+            response_headers: this.getResponseHeaders(networkDetails)
+        };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.config.max_entries) {
+            this.entries.shift();
+        }
+
+        if (this.onChange) {
+            this.onChange(entry);
+        }
+    }
+
+    /**
+     * Request type of an hls.js loader context
+     * @returns {string} manifest | level | audio | subtitle | key | fragment | init
+     */
+    getRequestType(context) {
+        if (context.keyInfo) return 'key';
+        if (context.type === 'manifest') return 'manifest';
+        if (context.type === 'level') return 'level';
+        if (context.type === 'audioTrack') return 'audio';
+        if (context.type === 'subtitleTrack') return 'subtitle';
+        if (context.frag && context.frag.sn === 'initSegment') return 'init';
+        return 'fragment';
+    }
+
+    isPlaylistType(type) {
+        return ['manifest', 'level', 'audio', 'subtitle'].includes(type);
+    }
+
+    /**
+     * Human readable rendition of the request (variant, audio or subtitle track)
+     */
+    getRendition(context) {
+        const hls = this.hlsInstance;
+        const frag = context.frag;
+
+        if (context.type === 'manifest') return 'master';
+        if (context.type === 'level') return this.describeLevel(context.level);
+        if (context.type === 'audioTrack') return this.describeTrack('audio', context.id);
+        if (context.type === 'subtitleTrack') return this.describeTrack('subtitle', context.id);
+        if (!frag || !hls) return '-';
+        if (frag.type === 'audio') return this.describeTrack('audio', frag.level);
+        if (frag.type === 'subtitle') return this.describeTrack('subtitle', frag.level);
+        return this.describeLevel(frag.level);
+    }
+
+    describeLevel(index) {
+        const level = this.hlsInstance && this.hlsInstance.levels ? this.hlsInstance.levels[index] : null;
+        if (!level) return typeof index === 'number' ? `L${index}` : '-';
+
+        const resolution = level.height ? `${level.height}p` : `L${index}`;
+        return level.bitrate ? `${resolution} @ ${Math.round(level.bitrate / 1000)} kbps` : resolution;
+    }
+
+    describeTrack(kind, index) {
+        const tracks = this.hlsInstance
+            ? (kind === 'audio' ? this.hlsInstance.audioTracks : this.hlsInstance.subtitleTracks)
+            : null;
+        const track = tracks ? tracks[index] : null;
+        if (!track) return `${kind} ${index ?? '-'}`;
+
+        return `${kind}: ${track.name || track.lang || index}`;
+    }
+
+    getResponseBytes(response, stats) {
+        if (stats && (stats.total || stats.loaded)) return stats.total || stats.loaded;
+        if (!response || !response.data) return 0;
+        if (typeof response.data === 'string') return response.data.length;
+        return response.data.byteLength || 0;
+    }
+
+    /**
+     * Response headers exposed to script (XHR or fetch Response; CORS limits what is visible)
+     */
+    getResponseHeaders(networkDetails) {
+        const headers = {};
+
+        try {
+            if (networkDetails && typeof networkDetails.getAllResponseHeaders === 'function') {
+                (networkDetails.getAllResponseHeaders() || '').trim().split(/[\r\n]+/).forEach(line => {
+                    const index = line.indexOf(':');
+                    if (index > 0) {
+                        headers[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim();
+                    }
+                });
+            } else if (networkDetails && networkDetails.headers && typeof networkDetails.headers.forEach === 'function') {
+                networkDetails.headers.forEach((value, name) => {
+                    headers[name.toLowerCase()] = value;
+                });
+            }
+        } catch (error) {
+            console.warn('Error reading response headers:', error);
+        }
+
+        return headers;
+    }
+
+    /**
+     * Logged requests, optionally filtered
+     * @param {Object} filter - { type, url, errors_only }
+     */
+    getEntries(filter = {}) {
+        const urlFilter = filter.url ? filter.url.toLowerCase() : '';
+
+        return this.entries.filter(entry =>
+            (!filter.type || entry.type === filter.type) &&
+            (!urlFilter || entry.url.toLowerCase().includes(urlFilter)) &&
+            (!filter.errors_only || entry.error || entry.status >= 400)
+        );
+    }
+
+    /**
+     * Per-type request counts and totals
+     */
+    getSummary() {
+        const summary = { total_requests: this.entries.length, failed_requests: 0, total_bytes: 0, retries: 0, by_type: {} };
+
+        this.requestTypes.forEach(type => {
+            summary.by_type[type] = 0;
+        });
+        this.entries.forEach(entry => {
+            summary.by_type[entry.type]++;
+            summary.total_bytes += entry.bytes;
+            summary.retries += entry.retries;
+            if (entry.error || entry.status >= 400) summary.failed_requests++;
+        });
+
+        return summary;
+    }
+
+    /**
+     * Build a HAR 1.2 document of the logged requests
+     * @param {Array} entries - Entries to include (defaults to the whole log)
+     */
+    toHAR(entries = this.entries) {
+        const session = this.metricsDataManager ? this.metricsDataManager.metrics.session : {};
+        const pageId = session.session_id || 'hls-session';
+        const firstRequest = entries.length > 0 ? entries[0].started_at : Date.now();
+
+        return {
+            log: {
+                version: '1.2',
+                creator: { name: 'HLS Stream Monitor', version: '1.0.0' },
+                browser: { name: typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown', version: '' },
+                pages: [{
+                    startedDateTime: new Date(firstRequest).toISOString(),
+                    id: pageId,
+                    title: session.stream_url || '',
+                    pageTimings: {}
+                }],
+                entries: entries.map(entry => this.toHAREntry(entry, pageId))
+            }
+        };
+    }
+
+    /**
+     * One HAR entry (hls-specific fields use the `_` custom field prefix)
+     */
+    toHAREntry(entry, pageId) {
+        const toHeaderList = (headers) => Object.entries(headers).map(([name, value]) => ({ name, value: String(value) }));
+        let queryString = [];
+        try {
+            queryString = [...new URL(entry.url).searchParams].map(([name, value]) => ({ name, value }));
+        } catch (error) {
+            queryString = [];
+        }
+
+        return {
+            pageref: pageId,
+            startedDateTime: new Date(entry.started_at).toISOString(),
+            time: entry.total_time,
+            request: {
+                method: 'GET',
+                url: entry.url,
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: toHeaderList(entry.request_headers),
+                queryString,
+                headersSize: -1,
+                bodySize: 0
+            },
+            response: {
+                status: entry.status,
+                statusText: entry.error || (entry.status === 200 ? 'OK' : ''),
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: toHeaderList(entry.response_headers),
+                content: {
+                    size: entry.bytes,
+                    mimeType: entry.response_headers['content-type'] || this.guessMimeType(entry),
+                    ...(entry.content ? { text: entry.content } : {})
+                },
+                redirectURL: '',
+                headersSize: -1,
+                bodySize: entry.bytes
+            },
+            cache: {},
+            timings: {
+                blocked: -1,
+                dns: -1,
+                connect: -1,
+                send: 0,
+                wait: entry.ttfb,
+                receive: entry.download_time,
+                ssl: -1
+            },
+            _hls_type: entry.type,
+            _hls_rendition: entry.rendition,
+            _hls_retries: entry.retries,
+            _hls_is_part: entry.is_part,
+            _hls_duration: entry.duration,
+            _error: entry.error
+        };
+    }
+
+    guessMimeType(entry) {
+        if (this.isPlaylistType(entry.type)) return this.playlistMimeType;
+        if (entry.type === 'key') return 'application/octet-stream';
+
+        const path = entry.url.split('?')[0].toLowerCase();
+        if (path.endsWith('.ts')) return 'video/mp2t';
+        if (path.endsWith('.aac')) return 'audio/aac';
+        if (path.endsWith('.vtt') || path.endsWith('.webvtt')) return 'text/vtt';
+        return 'video/mp4';
+    }
+
+    /**
+     * HAR document as a JSON string
+     */
+    exportHAR(entries = this.entries) {
+        return JSON.stringify(this.toHAR(entries), null, 2);
+    }
+
+    /**
+     * Download the log as a .har file
+     */
+    downloadHAR(entries = this.entries) {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const blob = new Blob([this.exportHAR(entries)], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `hls-requests-${timestamp}.har`;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(() => URL.revokeObjectURL(url), 100);
+        } catch (error) {
+            console.error('Error downloading HAR file:', error);
+        }
+    }
+
+    /**
+     * Parse an imported file: a HAR document (exported here or by browser dev tools)
+     * or a saved request log (array of entries, as returned by getEntries())
+     * @param {string} text - File content
+     * @returns {Array} Log entries, oldest first
+     */
+    parseImport(text) {
+        const data = JSON.parse(text);
+
+        let entries;
+        if (data && data.log && Array.isArray(data.log.entries)) {
+            entries = data.log.entries.map(harEntry => this.fromHAREntry(harEntry)).filter(Boolean);
+        } else if (Array.isArray(data) || (data && Array.isArray(data.entries))) {
+            entries = (Array.isArray(data) ? data : data.entries)
+                .filter(entry => entry && entry.url && this.requestTypes.includes(entry.type));
+        } else {
+            throw new Error('Not a HAR file or request log');
+        }
+
+        if (entries.length === 0) {
+            throw new Error('No playlist, key or segment requests found');
+        }
+
+        return entries
+            .sort((a, b) => a.started_at - b.started_at)
+            .map((entry, index) => ({ ...entry, id: index + 1 }));
+    }
+
+    /**
+     * Convert one HAR entry, or return null for requests that are not part of an HLS stream
+     */
+    fromHAREntry(harEntry) {
+        const request = harEntry.request || {};
+        const response = harEntry.response || {};
+        const content = response.content || {};
+        const timings = harEntry.timings || {};
+        const fromHeaderList = (headers) => (headers || []).reduce((result, header) => {
+            result[header.name.toLowerCase()] = header.value;
+            return result;
+        }, {});
+
+        let text = typeof content.text === 'string' ? content.text : null;
+        if (text && content.encoding === 'base64') {
+            try {
+                text = atob(text);
+            } catch (error) {
+                text = null;
+            }
+        }
+
+        const url = request.url || '';
+        const type = harEntry._hls_type || this.inferRequestType(url, content.mimeType || '', text);
+        if (!type) return null;
+
+        const ttfb = Math.max(0, Math.round(timings.wait || 0));
+        const downloadTime = Math.max(0, Math.round(timings.receive || 0));
+        const bytes = [content.size, response.bodySize, response._transferSize].find(size => size > 0) || 0;
+
+        return {
+            id: 0,
+            url,
+            type,
+            rendition: harEntry._hls_rendition || '-',
+            status: response.status || 0,
+            error: harEntry._error || (response.status ? null : 'Network error'),
+            started_at: Date.parse(harEntry.startedDateTime) || 0,
+            ttfb,
+            download_time: downloadTime,
+            total_time: Math.max(0, Math.round(harEntry.time || ttfb + downloadTime)),
+            bytes,
+            retries: harEntry._hls_retries || 0,
+            is_part: !!harEntry._hls_is_part,
+            duration: harEntry._hls_duration || null,
+            content: this.isPlaylistType(type) ? text : null,
+            request_headers: fromHeaderList(request.headers),
+            response_headers: fromHeaderList(response.headers)
+        };
+    }
+
+    /**
+     * Request type from URL / MIME type for HAR files from other tools (null = not an HLS request).
+     * Audio and subtitle playlists are reported as 'level' until the master playlist is known.
+     */
+    inferRequestType(url, mimeType, text) {
+        const path = url.split('?')[0].toLowerCase();
+        const fileName = path.split('/').pop();
+
+        if (/\.m3u8?$/.test(path) || /mpegurl/i.test(mimeType)) {
+            return text && text.includes('#EXT-X-STREAM-INF') ? 'manifest' : 'level';
+        }
+        if (/\.key$/.test(path)) return 'key';
+        if (/init/.test(fileName) && /\.(mp4|m4s|m4v|m4a|cmfv|cmfa)$/.test(fileName)) return 'init';
+        if (/\.(ts|m4s|m4v|m4a|aac|ac3|ec3|mp3|mp4|cmfv|cmfa|vtt|webvtt)$/.test(path)) return 'fragment';
+        return null;
+    }
+
+    /**
+     * Request URL without the CMCD query parameter, as it appears in playlists
+     */
+    getCanonicalUrl(url) {
+        return url.replace(/([?&])CMCD=[^&#]*&?/, '$1').replace(/[?&](#|$)/, '$1');
+    }
+
+    /**
+     * Replace the log with imported entries (replay)
+     */
+    loadEntries(entries) {
+        this.entries = entries.slice(-this.config.max_entries);
+        this.nextId = this.entries.length + 1;
+        if (this.onChange) {
+            this.onChange(null);
+        }
+    }
+
+    /**
+     * Empty the log
+     */
+    clear() {
+        this.entries = [];
+        if (this.onChange) {
+            this.onChange(null);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.hlsInstance = null;
+        this.entries = [];
+        this.onChange = null;
+        console.log('NetworkRequestLog cleanup completed');
+    }
+}
@@ -0,0 +1,573 @@
+/**
+ * NetworkThrottler - Network condition emulation for reproducing customer complaints.
+ * A custom hls.js loader holds back playlist, key and segment responses so they arrive at the
+ * rate of a profile (3G, flaky Wi-Fi, fixed kbps or a bandwidth trace) and drops requests at a
+ * configurable loss rate. Stats are rewritten so the hls.js ABR sees the emulated throughput.
+ */
+export default class NetworkThrottler {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.metricsDataManager = options.metricsDataManager || null;
+
+        this.config = {
+            profile: 'off',
+            kbps: 2000, // 'fixed' profile
+            loss_rate: null, // overrides the profile's loss rate (0-1) when set
+            latency_ms: null // overrides the profile's latency when set
+        };
+
+        // Bandwidth is a time series in kbps (= bits per ms); loop profiles repeat every period_s
+        this.profiles = {
+            '3g': {
+                name: '3G',
+                latency_ms: 300,
+                jitter_ms: 100,
+                loss_rate: 0,
+                trace: [{ time_s: 0, kbps: 1600 }]
+            },
+            flaky_wifi: {
+                name: 'Flaky Wi-Fi',
+                latency_ms: 30,
+                jitter_ms: 150,
+                loss_rate: 0.03,
+                loop: true,
+                period_s: 40,
+                trace: [
+                    { time_s: 0, kbps: 12000 },
+                    { time_s: 8, kbps: 2500 },
+                    { time_s: 12, kbps: 400 },
+                    { time_s: 15, kbps: 8000 },
+                    { time_s: 25, kbps: 800 },
+                    { time_s: 28, kbps: 0 },
+                    { time_s: 29, kbps: 15000 }
+                ]
+            },
+            fixed: {
+                name: 'Fixed bandwidth',
+                latency_ms: 20,
+                jitter_ms: 0,
+                loss_rate: 0,
+                trace: null // built from config.kbps
+            },
+            trace: {
+                name: 'Bandwidth trace',
+                latency_ms: 20,
+                jitter_ms: 0,
+                loss_rate: 0,
+                loop: true,
+                period_s: null,
+                trace: null, // loaded with loadTraceFile()
+                source: null
+            }
+        };
+
+        this.stats = {
+            throttled_requests: 0,
+            dropped_requests: 0,
+            added_delay_ms: 0
+        };
+        this.lastBandwidth = null;
+
+        console.log('NetworkThrottler initialized');
+    }
+
+    setMetricsDataManager(metricsDataManager) {
+        this.metricsDataManager = metricsDataManager;
+        this.recordProfile();
+    }
+
+    /**
+     * Change the emulated network conditions
+     * @param {Object} options - { profile, kbps, loss_rate, latency_ms }
+     */
+    configure(options = {}) {
+        try {
+            const profile = options.profile !== undefined ? options.profile : this.config.profile;
+            if (profile !== 'off' && !this.profiles[profile]) {
+                throw new Error(`Unknown network profile: ${profile}`);
+            }
+            if (profile === 'trace' && !this.profiles.trace.trace) {
+                throw new Error('Load a bandwidth trace file before selecting the trace profile');
+            }
+            if (options.kbps !== undefined && !(Number(options.kbps) > 0)) {
+                throw new Error(`Invalid bandwidth: ${options.kbps} kbps`);
+            }
+            if (options.loss_rate !== undefined && options.loss_rate !== null &&
+                !(Number(options.loss_rate) >= 0 && Number(options.loss_rate) <= 1)) {
+                throw new Error(`Loss rate must be between 0 and 1: ${options.loss_rate}`);
+            }
+
+            Object.assign(this.config, options, { profile });
+            if (options.kbps !== undefined) this.config.kbps = Number(options.kbps);
+            if (options.loss_rate !== undefined && options.loss_rate !== null) this.config.loss_rate = Number(options.loss_rate);
+
+            this.recordProfile();
+            this.updateThrottleDisplay();
+            console.log(`Network profile: ${this.config.profile}`);
+        } catch (error) {
+            console.error('Error configuring network throttling:', error);
+            throw error;
+        }
+    }
+
+    isEnabled() {
+        return this.config.profile !== 'off';
+    }
+
+    /**
+     * Effective settings of the active profile (config overrides applied)
+     */
+    getProfileSettings() {
+        if (!this.isEnabled()) return null;
+
+        const profile = this.profiles[this.config.profile];
+        const trace = this.config.profile === 'fixed'
+            ? [{ time_s: 0, kbps: this.config.kbps }]
+            : profile.trace;
+
+        return {
+            id: this.config.profile,
+            name: profile.name,
+            latency_ms: this.config.latency_ms !== null ? this.config.latency_ms : profile.latency_ms,
+            jitter_ms: profile.jitter_ms,
+            loss_rate: this.config.loss_rate !== null ? this.config.loss_rate : profile.loss_rate,
+            loop: profile.loop === true && trace.length > 1,
+            period_s: profile.period_s || this.getTracePeriod(trace),
+            trace,
+            source: profile.source || null
+        };
+    }
+
+    /**
+     * Loop period of a trace: last point plus the interval before it
+     */
+    getTracePeriod(trace) {
+        if (!trace || trace.length < 2) return null;
+        const last = trace[trace.length - 1].time_s;
+        return last + (last - trace[trace.length - 2].time_s);
+    }
+
+    /**
+     * Active profile as stored in the session metadata (null when throttling is off)
+     */
+    getActiveProfile() {
+        const settings = this.getProfileSettings();
+        if (!settings) return null;
+
+        const rates = settings.trace.map(point => point.kbps);
+        return {
+            id: settings.id,
+            name: settings.name,
+            bandwidth_kbps: rates.length === 1 ? rates[0] : null,
+            min_kbps: Math.min(...rates),
+            max_kbps: Math.max(...rates),
+            latency_ms: settings.latency_ms,
+            jitter_ms: settings.jitter_ms,
+            loss_rate: settings.loss_rate,
+            trace_points: rates.length,
+            trace_source: settings.source
+        };
+    }
+
+    /**
+     * Write the active profile into the current session so exports show the run conditions
+     */
+    recordProfile() {
+        if (this.metricsDataManager && typeof this.metricsDataManager.setNetworkProfile === 'function') {
+            this.metricsDataManager.setNetworkProfile(this.getActiveProfile());
+        }
+    }
+
+    /**
+     * Load a bandwidth trace file and switch to the trace profile
+     * @param {File} file - JSON or CSV time series
+     */
+    async loadTraceFile(file) {
+        const text = await file.text();
+        return this.loadTrace(text, file.name);
+    }
+
+    /**
+     * Load a bandwidth trace and switch to the trace profile
+     * @param {string} text - Trace file contents
+     * @param {string} sourceName - Shown in the panel and the session metadata
+     */
+    loadTrace(text, sourceName = 'trace') {
+        const trace = this.parseTrace(text);
+        this.profiles.trace.trace = trace;
+        this.profiles.trace.source = sourceName;
+        this.configure({ profile: 'trace' });
+        return this.getActiveProfile();
+    }
+
+    /**
+     * Parse a bandwidth time series.
+     * JSON: [{ "time_s": 0, "kbps": 3000 }, ...] (or { "trace": [...] });
+     * CSV: one "time_s,kbps" line per point, '#' comments and a header line are skipped.
+     * @returns {Array} Points sorted by time
+     */
+    parseTrace(text) {
+        let points;
+        const trimmed = String(text || '').trim();
+
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            const data = JSON.parse(trimmed);
+            const rows = Array.isArray(data) ? data : data.trace;
+            if (!Array.isArray(rows)) {
+                throw new Error('Trace JSON must be an array of { time_s, kbps } points');
+            }
+            points = rows.map(row => ({
+                time_s: Number(row.time_s !== undefined ? row.time_s : row.time),
+                kbps: Number(row.kbps !== undefined ? row.kbps : row.bandwidth_kbps)
+            }));
+        } else {
+            points = trimmed.split(/\r?\n/)
+                .map(line => line.trim())
+                .filter(line => line && !line.startsWith('#'))
+                .map(line => line.split(/[,;\s]+/).map(Number))
+                .filter(values => values.length >= 2 && !isNaN(values[0]) && !isNaN(values[1]))
+                .map(values => ({ time_s: values[0], kbps: values[1] }));
+        }
+
+        points = points.filter(point => isFinite(point.time_s) && point.time_s >= 0 && isFinite(point.kbps) && point.kbps >= 0);
+        if (points.length === 0) {
+            throw new Error('No bandwidth samples found in trace');
+        }
+
+        points.sort((a, b) => a.time_s - b.time_s);
+        return points;
+    }
+
+    /**
+     * Bandwidth at a point in time and when it next changes
+     * @param {Object} settings - getProfileSettings()
+     * @param {number} time - performance.now() value
+     * @param {number} startedAt - performance.now() value where the trace starts
+     * @returns {Object} { kbps, next_change } (next_change is Infinity for a constant rate)
+     */
+    getBandwidthAt(settings, time, startedAt) {
+        const trace = settings.trace;
+        const elapsed = Math.max(0, (time - startedAt) / 1000);
+        const period = settings.loop ? settings.period_s : null;
+        const phase = period ? elapsed % period : elapsed;
+        const periodStart = elapsed - phase;
+
+        let index = 0;
+        while (index + 1 < trace.length && trace[index + 1].time_s <= phase) index++;
+
+        let nextTime = Infinity;
+        if (index + 1 < trace.length) {
+            nextTime = trace[index + 1].time_s;
+        } else if (period) {
+            nextTime = period;
+        }
+
+        return {
+            kbps: trace[index].kbps,
+            next_change: startedAt + (periodStart + nextTime) * 1000
+        };
+    }
+
+    /**
+     * Time needed to move a number of bytes starting at a given time, following the profile's trace
+     * @returns {number} Milliseconds
+     */
+    getTransferTime(settings, bytes, start, startedAt) {
+        let bits = bytes * 8;
+        let time = start;
+
+        // Guard against traces that never deliver (e.g. a single 0 kbps sample)
+        for (let steps = 0; bits > 0 && steps < 10000; steps++) {
+            const { kbps, next_change } = this.getBandwidthAt(settings, time, startedAt);
+            const windowMs = next_change - time;
+
+            if (!isFinite(windowMs)) {
+                time += bits / Math.max(kbps, 1);
+                bits = 0;
+            } else if (kbps * windowMs >= bits) {
+                time += bits / kbps;
+                bits = 0;
+            } else {
+                bits -= kbps * windowMs;
+                time = next_change;
+            }
+        }
+
+        return time - start;
+    }
+
+    getLatency(settings) {
+        return settings.latency_ms + Math.random() * settings.jitter_ms;
+    }
+
+    getResponseBytes(response, stats) {
+        if (response && response.data) {
+            if (typeof response.data === 'string') return response.data.length;
+            if (response.data.byteLength !== undefined) return response.data.byteLength;
+        }
+        return stats ? stats.loaded || stats.total || 0 : 0;
+    }
+
+    /**
+     * Reserve the emulated link for one response and rewrite its stats
+     * @param {Object} link - { started_at, busy_until } of the loader class
+     * @returns {number} How long to hold the response back (ms)
+     */
+    throttleResponse(settings, link, stats, bytes) {
+        const now = performance.now();
+        const loading = stats.loading;
+        const start = loading.start || now;
+
+        // One link per player: responses queue behind each other like on a real bottleneck
+        const transferStart = Math.max(start + this.getLatency(settings), link.busy_until);
+        const transferEnd = transferStart + this.getTransferTime(settings, bytes, transferStart, link.started_at);
+        link.busy_until = transferEnd;
+
+        loading.first = Math.max(loading.first || 0, transferStart);
+        const delay = Math.max(0, transferEnd - now);
+
+        this.lastBandwidth = this.getBandwidthAt(settings, transferStart, link.started_at).kbps;
+        this.stats.throttled_requests++;
+        this.stats.added_delay_ms += delay;
+        return delay;
+    }
+
+    /**
+     * hls.js loader class that throttles the responses of BaseLoader and injects packet-loss
+     * failures. Each call returns a class with its own emulated link (trace clock and queue).
+     * @param {Function} BaseLoader - Loader to extend (usually Hls.DefaultConfig.loader)
+     */
+    createLoader(BaseLoader) {
+        const throttler = this;
+        const link = { started_at: performance.now(), busy_until: 0 };
+
+        return class ThrottledLoader extends BaseLoader {
+            load(context, config, callbacks) {
+                const settings = throttler.getProfileSettings();
+                if (!settings) {
+                    super.load(context, config, callbacks);
+                    return;
+                }
+
+                // Packet loss: the request never reaches the server and fails like a dropped connection
+                if (Math.random() < settings.loss_rate) {
+                    const stats = this.stats || { loading: {}, retry: 0, loaded: 0, total: 0 };
+                    stats.loading.start = performance.now();
+                    throttler.stats.dropped_requests++;
+                    throttler.updateThrottleDisplay();
+
+                    this.throttleTimer = setTimeout(() => {
+                        this.throttleTimer = null;
+                        stats.loading.end = performance.now();
+                        callbacks.onError({ code: 0, text: 'Emulated packet loss' }, context, null, stats);
+                    }, throttler.getLatency(settings));
+                    return;
+                }
+
+                super.load(context, config, {
+                    ...callbacks,
+                    onSuccess: (response, stats, ctx, networkDetails) => {
+                        const delay = throttler.throttleResponse(settings, link, stats, throttler.getResponseBytes(response, stats));
+                        throttler.updateThrottleDisplay();
+
+                        // The real request already finished, so enforce the load timeout on the emulated one
+                        const timeLeft = config && config.timeout ? stats.loading.start + config.timeout - performance.now() : Infinity;
+                        if (delay > timeLeft) {
+                            this.throttleTimer = setTimeout(() => {
+                                this.throttleTimer = null;
+                                stats.loading.end = performance.now();
+                                callbacks.onTimeout(stats, ctx, networkDetails);
+                            }, Math.max(0, timeLeft));
+                            return;
+                        }
+
+                        this.throttleTimer = setTimeout(() => {
+                            this.throttleTimer = null;
+                            stats.loading.end = performance.now();
+                            callbacks.onSuccess(response, stats, ctx, networkDetails);
+                        }, delay);
+                    }
+                });
+            }
+
+            clearThrottleTimer() {
+                if (this.throttleTimer) {
+                    clearTimeout(this.throttleTimer);
+                    this.throttleTimer = null;
+                }
+            }
+
+            abort() {
+                this.clearThrottleTimer();
+                super.abort();
+            }
+
+            destroy() {
+                this.clearThrottleTimer();
+                super.destroy();
+            }
+        };
+    }
+
+    getStatus() {
+        return {
+            profile: this.getActiveProfile(),
+            current_kbps: this.isEnabled() ? this.lastBandwidth : null,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Update the throttling panel values
+     */
+    updateThrottleDisplay() {
+        try {
+            const profileElement = document.getElementById('throttleProfileValue');
+            if (!profileElement) return;
+
+            const status = this.getStatus();
+            profileElement.textContent = status.profile
+                ? `${status.profile.name}${status.profile.trace_source ? ` (${status.profile.trace_source})` : ''}`
+                : 'Off';
+            document.getElementById('throttleBandwidthValue').textContent =
+                status.current_kbps !== null ? `${Math.round(status.current_kbps).toLocaleString()} kbps` : '-';
+            document.getElementById('throttleDelayedValue').textContent = status.throttled_requests.toLocaleString();
+            document.getElementById('throttleDroppedValue').textContent = status.dropped_requests.toLocaleString();
+        } catch (error) {
+            console.error('Error updating throttling display:', error);
+        }
+    }
+
+    /**
+     * Create the Network Throttling panel in the dashboard
+     * @param {Function} onError - Called with a message when a setting or trace file is rejected
+     */
+    createThrottlePanel(onError) {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create throttling panel');
+                return;
+            }
+
+            if (document.getElementById('networkThrottlePanel')) return;
+
+            const throttlePanel = document.createElement('article');
+            throttlePanel.className = 'card';
+            throttlePanel.id = 'networkThrottlePanel';
+
+            throttlePanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-signal"></i>
+                        Network Throttling
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="throttleProfileSelect">Profile</label>
+                            <select id="throttleProfileSelect" class="input-group__input">
+                                <option value="off">Off</option>
+                                <option value="3g">3G</option>
+                                <option value="flaky_wifi">Flaky Wi-Fi</option>
+                                <option value="fixed">Fixed bandwidth</option>
+                                <option value="trace" disabled>Bandwidth trace</option>
+                            </select>
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="throttleKbpsInput">Fixed bandwidth (kbps)</label>
+                            <input type="number" id="throttleKbpsInput" class="input-group__input" min="1" step="100">
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="throttleLossInput">Packet loss (%)</label>
+                            <input type="number" id="throttleLossInput" class="input-group__input" min="0" max="100" step="0.5" placeholder="Profile default">
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="throttleTraceInput">Bandwidth trace (time_s, kbps)</label>
+                            <input type="file" id="throttleTraceInput" class="input-group__input" accept=".json,.csv,.txt">
+                        </div>
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Active Profile:</span>
+                            <span class="info-item__value" id="throttleProfileValue">Off</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Emulated Bandwidth:</span>
+                            <span class="info-item__value" id="throttleBandwidthValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Throttled Responses:</span>
+                            <span class="info-item__value" id="throttleDelayedValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Dropped Requests:</span>
+                            <span class="info-item__value" id="throttleDroppedValue">0</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(throttlePanel);
+
+            const profileSelect = throttlePanel.querySelector('#throttleProfileSelect');
+            const kbpsInput = throttlePanel.querySelector('#throttleKbpsInput');
+            const lossInput = throttlePanel.querySelector('#throttleLossInput');
+            const traceInput = throttlePanel.querySelector('#throttleTraceInput');
+            const traceOption = profileSelect.querySelector('option[value="trace"]');
+
+            profileSelect.value = this.config.profile;
+            kbpsInput.value = this.config.kbps;
+            lossInput.value = this.config.loss_rate !== null ? this.config.loss_rate * 100 : '';
+            traceOption.disabled = !this.profiles.trace.trace;
+
+            const apply = (options) => {
+                try {
+                    this.configure(options);
+                } catch (error) {
+                    if (onError) onError(error.message);
+                }
+                profileSelect.value = this.config.profile;
+            };
+
+            this.memoryManager.addEventListener(profileSelect, 'change', () => {
+                apply({ profile: profileSelect.value });
+            });
+            this.memoryManager.addEventListener(kbpsInput, 'change', () => {
+                apply({ kbps: parseInt(kbpsInput.value, 10) });
+            });
+            this.memoryManager.addEventListener(lossInput, 'change', () => {
+                apply({ loss_rate: lossInput.value === '' ? null : parseFloat(lossInput.value) / 100 });
+            });
+            this.memoryManager.addEventListener(traceInput, 'change', async () => {
+                const file = traceInput.files[0];
+                if (!file) return;
+
+                try {
+                    await this.loadTraceFile(file);
+                    traceOption.disabled = false;
+                    profileSelect.value = this.config.profile;
+                } catch (error) {
+                    if (onError) onError(`Could not load ${file.name}: ${error.message}`);
+                } finally {
+                    traceInput.value = '';
+                }
+            });
+
+            this.updateThrottleDisplay();
+            console.log('Network throttling panel created');
+        } catch (error) {
+            console.error('Error creating throttling panel:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.config.profile = 'off';
+        this.metricsDataManager = null;
+        console.log('NetworkThrottler cleanup completed');
+    }
+}
@@ -0,0 +1,699 @@
+/**
+ * OTelTraceExporter - Exports each playback session as an OpenTelemetry trace over OTLP/HTTP JSON.
+ * The session is the root span; manifest load, fragment loads, rebuffer intervals and fatal errors
+ * are child spans. Every span carries the MetricsDataManager session ID as `session.id`.
+ */
+export default class OTelTraceExporter {
+    constructor(memoryManager, metricsDataManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.metricsDataManager = metricsDataManager;
+        this.onStatusChange = options.onStatusChange || null;
+
+        this.config = {
+            endpoint: '',
+            service_name: 'hls-player',
+            propagate_trace_context: false,
+            flush_interval_ms: 5000,
+            max_batch_size: 512,
+            max_pending_spans: 2048
+        };
+
+        this.scope = { name: 'hls-monitor', version: '1.0.0' };
+
+        this.isEnabled = false;
+        this.hlsInstance = null;
+        this.videoElement = null;
+        this.hlsHandlers = null;
+        this.videoHandlers = null;
+        this.pagehideHandler = null;
+        this.flushInterval = null;
+        this.isFlushing = false;
+
+        this.session = null;
+        this.pendingSpans = [];
+        this.reservedSpanIds = new Map();
+        this.stats = {
+            spans_exported: 0,
+            spans_dropped: 0,
+            export_count: 0,
+            last_export_time: null,
+            last_error: null
+        };
+
+        console.log('OTelTraceExporter initialized');
+    }
+
+    /**
+     * Start exporting
+     * @param {Object} options - { endpoint, service_name, propagate_trace_context }
+     */
+    start(options = {}) {
+        try {
+            Object.assign(this.config, options);
+            if (!this.config.endpoint) {
+                throw new Error('OTLP endpoint is required');
+            }
+
+            this.isEnabled = true;
+
+            if (!this.flushInterval) {
+                this.flushInterval = setInterval(() => this.flush(), this.config.flush_interval_ms);
+            }
+            if (!this.pagehideHandler) {
+                this.pagehideHandler = () => {
+                    this.endSession(true);
+                    this.flush(true);
+                };
+                window.addEventListener('pagehide', this.pagehideHandler);
+            }
+
+            // Tracing switched on mid-stream: trace the rest of the current session
+            if (this.hlsInstance && !this.session) {
+                this.beginSession();
+            }
+
+            this.notifyStatus();
+            console.log(`OTLP trace export started -> ${this.config.endpoint}`);
+        } catch (error) {
+            console.error('Error starting OTLP trace export:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Stop exporting (the current session span is closed and everything pending is flushed)
+     */
+    stop() {
+        try {
+            this.endSession(false);
+            this.flush();
+            this.isEnabled = false;
+
+            if (this.flushInterval) {
+                clearInterval(this.flushInterval);
+                this.flushInterval = null;
+            }
+            if (this.pagehideHandler) {
+                window.removeEventListener('pagehide', this.pagehideHandler);
+                this.pagehideHandler = null;
+            }
+
+            this.notifyStatus();
+        } catch (error) {
+            console.error('Error stopping OTLP trace export:', error);
+        }
+    }
+
+    /**
+     * Attach to a new HLS instance (new stream = new trace)
+     */
+    setHLSInstance(hlsInstance) {
+        try {
+            this.endSession(false);
+            this.removeHLSListeners();
+
+            this.hlsInstance = hlsInstance;
+            if (!hlsInstance || typeof hlsInstance.on !== 'function' || !window.Hls) return;
+
+            this.hlsHandlers = {
+                manifestLoaded: (event, data) => this.onManifestLoaded(data),
+                fragLoaded: (event, data) => this.onFragLoaded(data),
+                error: (event, data) => this.onHLSError(data)
+            };
+
+            hlsInstance.on(Hls.Events.MANIFEST_LOADED, this.hlsHandlers.manifestLoaded);
+            hlsInstance.on(Hls.Events.FRAG_LOADED, this.hlsHandlers.fragLoaded);
+            hlsInstance.on(Hls.Events.ERROR, this.hlsHandlers.error);
+
+            if (this.isEnabled) {
+                this.beginSession();
+            }
+        } catch (error) {
+            console.error('Error setting HLS instance for trace export:', error);
+        }
+    }
+
+    /**
+     * Attach to the video element for rebuffer intervals
+     */
+    setVideoElement(videoElement) {
+        try {
+            this.removeVideoListeners();
+            this.videoElement = videoElement;
+            if (!videoElement) return;
+
+            this.videoHandlers = {
+                playing: () => this.onPlaying(),
+                waiting: () => this.onWaiting()
+            };
+
+            videoElement.addEventListener('playing', this.videoHandlers.playing);
+            videoElement.addEventListener('waiting', this.videoHandlers.waiting);
+        } catch (error) {
+            console.error('Error setting video element for trace export:', error);
+        }
+    }
+
+    /**
+     * Open the root span for the current MetricsDataManager session
+     */
+    beginSession() {
+        const session = this.metricsDataManager.metrics.session;
+
+        this.session = {
+            session_id: session.session_id,
+            stream_url: session.stream_url,
+            trace_id: this.generateId(16),
+            span_id: this.generateId(8),
+            start_time: this.nowNanos(),
+            has_started: false,
+            rebuffer_start: null,
+            fatal_error_count: 0
+        };
+        this.reservedSpanIds.clear();
+
+        console.log(`Tracing session ${session.session_id} as trace ${this.session.trace_id}`);
+        this.notifyStatus();
+    }
+
+    /**
+     * Close the root span and flush
+     * @param {boolean} unloading - Page is going away (flush with keepalive)
+     */
+    endSession(unloading = false) {
+        try {
+            if (!this.session) return;
+
+            const session = this.session;
+            this.session = null;
+
+            if (session.rebuffer_start !== null) {
+                this.addSpan(session, 'playback.rebuffer', session.rebuffer_start, this.nowNanos(), { 'playback.rebuffer.interrupted': true });
+            }
+
+            this.pendingSpans.push(this.createSpan(session, {
+                spanId: session.span_id,
+                parentSpanId: '',
+                name: 'playback.session',
+                kind: 1,
+                startTimeUnixNano: session.start_time,
+                endTimeUnixNano: this.nowNanos(),
+                attributes: {
+                    'url.full': session.stream_url,
+                    'playback.fatal_error_count': session.fatal_error_count
+                },
+                status: session.fatal_error_count > 0 ? { code: 2, message: 'Fatal playback error' } : { code: 0 }
+            }));
+
+            this.flush(unloading);
+        } catch (error) {
+            console.error('Error ending traced session:', error);
+        }
+    }
+
+    /**
+     * Manifest load span from hls.js load stats
+     */
+    onManifestLoaded(data) {
+        if (!this.session || !data || !data.stats || !data.stats.loading) return;
+
+        const stats = data.stats;
+        this.session.stream_url = this.session.stream_url || data.url;
+        this.addSpan(this.session, 'hls.manifest_load', this.perfToNanos(stats.loading.start), this.perfToNanos(stats.loading.end), {
+            'url.full': data.url,
+            'http.response.body.size': stats.total || stats.loaded || 0,
+            'hls.ttfb_ms': this.round(stats.loading.first - stats.loading.start),
+            'hls.duration_ms': this.round(stats.loading.end - stats.loading.start),
+            'hls.level_count': data.levels ? data.levels.length : 0
+        }, 3);
+    }
+
+    /**
+     * Fragment load span (URL, bytes, TTFB, duration)
+     */
+    onFragLoaded(data) {
+        if (!this.session || !data || !data.frag) return;
+
+        const frag = data.frag;
+        const stats = (data.part && data.part.stats) || frag.stats;
+        if (!stats || !stats.loading || !stats.loading.end) return;
+
+        const url = data.part ? data.part.url : frag.url;
+        this.addSpan(this.session, 'hls.fragment_load', this.perfToNanos(stats.loading.start), this.perfToNanos(stats.loading.end), {
+            'url.full': url,
+            'http.response.body.size': stats.total || stats.loaded || 0,
+            'hls.ttfb_ms': this.round(stats.loading.first - stats.loading.start),
+            'hls.duration_ms': this.round(stats.loading.end - stats.loading.start),
+            'hls.fragment.sn': typeof frag.sn === 'number' ? frag.sn : String(frag.sn),
+            'hls.fragment.type': frag.type,
+            'hls.fragment.is_part': !!data.part,
+            'hls.level': frag.level,
+            'hls.retry_count': stats.retry || 0
+        }, 3, this.takeReservedSpanId(url));
+    }
+
+    /**
+     * Fatal error span (zero length, status ERROR, with an exception event)
+     */
+    onHLSError(data) {
+        if (!this.session || !data || !data.fatal) return;
+
+        this.session.fatal_error_count++;
+        const now = this.nowNanos();
+        const message = data.error && data.error.message ? data.error.message : data.details;
+
+        this.addSpan(this.session, 'hls.fatal_error', now, now, {
+            'hls.error.type': data.type,
+            'hls.error.details': data.details,
+            'url.full': data.frag ? data.frag.url : (data.url || ''),
+            'http.response.status_code': data.response && data.response.code ? data.response.code : null
+        }, 1, null, {
+            status: { code: 2, message: String(message) },
+            events: [{
+                timeUnixNano: now,
+                name: 'exception',
+                attributes: this.toAttributes({ 'exception.type': `${data.type}/${data.details}`, 'exception.message': String(message) })
+            }]
+        });
+    }
+
+    /**
+     * First 'playing' marks startup; later ones close a rebuffer interval
+     */
+    onPlaying() {
+        if (!this.session) return;
+
+        if (!this.session.has_started) {
+            this.session.has_started = true;
+            return;
+        }
+
+        if (this.session.rebuffer_start !== null) {
+            this.addSpan(this.session, 'playback.rebuffer', this.session.rebuffer_start, this.nowNanos(), {
+                'playback.position_s': this.videoElement ? this.round(this.videoElement.currentTime) : null
+            });
+            this.session.rebuffer_start = null;
+        }
+    }
+
+    /**
+     * 'waiting' after startup (not seeking) opens a rebuffer interval
+     */
+    onWaiting() {
+        if (!this.session || !this.session.has_started || this.session.rebuffer_start !== null) return;
+        if (this.videoElement && this.videoElement.seeking) return;
+
+        this.session.rebuffer_start = this.nowNanos();
+    }
+
+    /**
+     * hls.js xhrSetup hook: send W3C traceparent so CDN / origin spans join the session trace.
+     * Opt-in because the header makes segment requests CORS-preflighted.
+     */
+    injectTraceContext(xhr, url) {
+        try {
+            if (!this.isEnabled || !this.session || !this.config.propagate_trace_context) return;
+
+            const spanId = this.generateId(8);
+            this.reservedSpanIds.set(this.getRequestKey(url), spanId);
+            if (this.reservedSpanIds.size > 100) {
+                this.reservedSpanIds.delete(this.reservedSpanIds.keys().next().value);
+            }
+
+            // Headers can only be set on an opened request; hls.js skips open() when readyState is set
+            if (!xhr.readyState) {
+                xhr.open('GET', url, true);
+            }
+            xhr.setRequestHeader('traceparent', `00-${this.session.trace_id}-${spanId}-01`);
+        } catch (error) {
+            console.warn('Error injecting trace context:', error);
+        }
+    }
+
+    /**
+     * Span ID announced in the traceparent of a request, if any
+     */
+    takeReservedSpanId(url) {
+        const key = this.getRequestKey(url);
+        const spanId = this.reservedSpanIds.get(key) || null;
+        this.reservedSpanIds.delete(key);
+        return spanId;
+    }
+
+    /**
+     * Request URL without the CMCD query parameter, which hls.js events do not include
+     */
+    getRequestKey(url) {
+        return url.replace(/([?&])CMCD=[^&#]*&?/, '$1').replace(/[?&](#|$)/, '$1');
+    }
+
+    /**
+     * Queue a child span of the session root span
+     */
+    addSpan(session, name, startNanos, endNanos, attributes, kind = 1, spanId = null, extra = {}) {
+        this.pendingSpans.push(this.createSpan(session, {
+            spanId: spanId || this.generateId(8),
+            parentSpanId: session.span_id,
+            name,
+            kind,
+            startTimeUnixNano: startNanos,
+            endTimeUnixNano: endNanos,
+            attributes,
+            ...extra
+        }));
+
+        if (this.pendingSpans.length > this.config.max_pending_spans) {
+            this.pendingSpans.shift();
+            this.stats.spans_dropped++;
+        }
+        if (this.pendingSpans.length >= this.config.max_batch_size) {
+            this.flush();
+        }
+    }
+
+    /**
+     * OTLP JSON span
+     */
+    createSpan(session, span) {
+        return {
+            traceId: session.trace_id,
+            spanId: span.spanId,
+            parentSpanId: span.parentSpanId,
+            name: span.name,
+            kind: span.kind,
+            startTimeUnixNano: span.startTimeUnixNano,
+            endTimeUnixNano: span.endTimeUnixNano,
+            attributes: this.toAttributes({ 'session.id': session.session_id, ...span.attributes }),
+            events: span.events || [],
+            status: span.status || { code: 0 }
+        };
+    }
+
+    /**
+     * OTLP/HTTP JSON request body
+     */
+    buildExportRequest(spans) {
+        return {
+            resourceSpans: [{
+                resource: {
+                    attributes: this.toAttributes({
+                        'service.name': this.config.service_name,
+                        'telemetry.sdk.name': this.scope.name,
+                        'telemetry.sdk.language': 'webjs',
+                        'user_agent.original': typeof navigator !== 'undefined' ? navigator.userAgent : ''
+                    })
+                },
+                scopeSpans: [{ scope: this.scope, spans }]
+            }]
+        };
+    }
+
+    /**
+     * Send pending spans to the OTLP endpoint. Spans added while a flush is running are sent by
+     * that flush before it finishes, so a flush never leaves spans behind.
+     * @param {boolean} unloading - Page is going away: send everything now with keepalive,
+     *   without waiting for a flush in flight
+     */
+    async flush(unloading = false) {
+        if (this.pendingSpans.length === 0 || !this.config.endpoint) return;
+
+        if (unloading) {
+            while (this.pendingSpans.length > 0) {
+                this.sendBatch(this.pendingSpans.splice(0, this.config.max_batch_size), true);
+            }
+            return;
+        }
+
+        // The running flush picks up these spans
+        if (this.isFlushing) return;
+
+        this.isFlushing = true;
+        try {
+            while (this.pendingSpans.length > 0 && this.config.endpoint) {
+                await this.sendBatch(this.pendingSpans.splice(0, this.config.max_batch_size), false);
+            }
+        } finally {
+            this.isFlushing = false;
+            this.notifyStatus();
+        }
+    }
+
+    /**
+     * POST one batch; a failed batch goes to the offline queue
+     */
+    async sendBatch(spans, keepalive) {
+        const body = JSON.stringify(this.buildExportRequest(spans));
+        const headers = { 'Content-Type': 'application/json' };
+
+        try {
+            const response = await fetch(this.config.endpoint, { method: 'POST', headers, body, keepalive });
+            if (!response.ok) {
+                throw new Error(`OTLP endpoint responded with status: ${response.status}`);
+            }
+
+            this.stats.spans_exported += spans.length;
+            this.stats.export_count++;
+            this.stats.last_export_time = Date.now();
+            this.stats.last_error = null;
+        } catch (error) {
+            console.warn('OTLP trace export failed:', error.message);
+            this.stats.last_error = error.message;
+
+            // Hand the batch to the offline queue so it is retried like other transmissions
+            if (this.metricsDataManager.syncQueue) {
+                this.metricsDataManager.syncQueue.enqueue(this.config.endpoint, body, { kind: 'otlp', headers, error: error.message })
+                    .catch(() => { this.stats.spans_dropped += spans.length; });
+            } else {
+                this.stats.spans_dropped += spans.length;
+            }
+        }
+    }
+
+    /**
+     * OTLP attribute list from a plain object (null values are skipped)
+     */
+    toAttributes(values) {
+        return Object.keys(values)
+            .filter(key => values[key] !== null && values[key] !== undefined)
+            .map(key => {
+                const value = values[key];
+                if (typeof value === 'boolean') return { key, value: { boolValue: value } };
+                if (Number.isInteger(value)) return { key, value: { intValue: String(value) } };
+                if (typeof value === 'number') return { key, value: { doubleValue: value } };
+                return { key, value: { stringValue: String(value) } };
+            });
+    }
+
+    /**
+     * Random lowercase hex ID (16 bytes = trace ID, 8 bytes = span ID)
+     */
+    generateId(bytes) {
+        const values = new Uint8Array(bytes);
+        crypto.getRandomValues(values);
+        return Array.from(values, value => value.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Current time in Unix nanoseconds (string, int64 does not fit a JS number)
+     */
+    nowNanos() {
+        return this.perfToNanos(performance.now());
+    }
+
+    /**
+     * performance.now()-based timestamp (hls.js load stats) to Unix nanoseconds
+     */
+    perfToNanos(perfTime) {
+        const micros = Math.round((performance.timeOrigin + perfTime) * 1000);
+        return (BigInt(micros) * 1000n).toString();
+    }
+
+    round(value) {
+        return typeof value === 'number' && !isNaN(value) ? Math.round(value * 100) / 100 : null;
+    }
+
+    /**
+     * Current export status
+     */
+    getStatus() {
+        return {
+            is_enabled: this.isEnabled,
+            endpoint: this.config.endpoint,
+            trace_id: this.session ? this.session.trace_id : null,
+            session_id: this.session ? this.session.session_id : null,
+            pending_spans: this.pendingSpans.length,
+            ...this.stats
+        };
+    }
+
+    /**
+     * Push the current status to the listener and the tracing panel
+     */
+    notifyStatus() {
+        const status = this.getStatus();
+        this.updateTracingDisplay(status);
+        if (this.onStatusChange) {
+            this.onStatusChange(status);
+        }
+    }
+
+    /**
+     * Update the tracing panel
+     */
+    updateTracingDisplay(status) {
+        try {
+            const traceIdElement = document.getElementById('otelTraceIdValue');
+            if (!traceIdElement) return;
+
+            traceIdElement.textContent = status.trace_id ? status.trace_id.substring(0, 16) + '...' : '-';
+            traceIdElement.title = status.trace_id || '';
+
+            document.getElementById('otelExportedValue').textContent = status.spans_exported.toLocaleString();
+            document.getElementById('otelPendingValue').textContent = status.pending_spans.toString();
+
+            const lastExportElement = document.getElementById('otelLastExportValue');
+            lastExportElement.textContent = status.last_error
+                ? 'Failed'
+                : (status.last_export_time ? new Date(status.last_export_time).toLocaleTimeString() : '-');
+            lastExportElement.className = status.last_error ? 'info-item__value error-high' : 'info-item__value';
+            lastExportElement.title = status.last_error || '';
+
+            const toggleButton = document.getElementById('otelToggleBtn');
+            toggleButton.textContent = status.is_enabled ? 'Stop Tracing' : 'Start Tracing';
+            toggleButton.classList.toggle('export-btn--primary', !status.is_enabled);
+        } catch (error) {
+            console.error('Error updating tracing display:', error);
+        }
+    }
+
+    /**
+     * Create the tracing panel in the dashboard
+     */
+    createTracingPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create tracing panel');
+                return;
+            }
+
+            if (document.getElementById('otelTracingPanel')) return;
+
+            const tracingPanel = document.createElement('article');
+            tracingPanel.className = 'card';
+            tracingPanel.id = 'otelTracingPanel';
+
+            tracingPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-project-diagram"></i>
+                        Tracing (OpenTelemetry)
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="otelEndpointInput">OTLP Endpoint</label>
+                            <input type="url" id="otelEndpointInput" class="input-group__input" placeholder="http://localhost:4318/v1/traces">
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="otelServiceNameInput">Service Name</label>
+                            <input type="text" id="otelServiceNameInput" class="input-group__input" value="${this.config.service_name}">
+                        </div>
+                        <label class="input-group__label">
+                            <input type="checkbox" id="otelPropagateInput"> Send traceparent on segment requests
+                        </label>
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Trace ID:</span>
+                            <span class="info-item__value" id="otelTraceIdValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Spans Exported:</span>
+                            <span class="info-item__value" id="otelExportedValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Pending:</span>
+                            <span class="info-item__value" id="otelPendingValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Last Export:</span>
+                            <span class="info-item__value" id="otelLastExportValue">-</span>
+                        </div>
+                    </div>
+                    <div class="export-controls x-export">
+                        <div class="x-export__grid">
+                            <button id="otelToggleBtn" class="export-btn export-btn--primary">Start Tracing</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(tracingPanel);
+
+            const toggleButton = tracingPanel.querySelector('#otelToggleBtn');
+            this.memoryManager.addEventListener(toggleButton, 'click', () => {
+                if (this.isEnabled) {
+                    this.stop();
+                    return;
+                }
+
+                try {
+                    this.start({
+                        endpoint: tracingPanel.querySelector('#otelEndpointInput').value.trim(),
+                        service_name: tracingPanel.querySelector('#otelServiceNameInput').value.trim() || 'hls-player',
+                        propagate_trace_context: tracingPanel.querySelector('#otelPropagateInput').checked
+                    });
+                } catch (error) {
+                    alert('Failed to start tracing: ' + error.message);
+                }
+            });
+
+            this.notifyStatus();
+            console.log('Tracing panel created');
+        } catch (error) {
+            console.error('Error creating tracing panel:', error);
+        }
+    }
+
+    /**
+     * Remove HLS event listeners
+     */
+    removeHLSListeners() {
+        if (this.hlsInstance && this.hlsHandlers && typeof this.hlsInstance.off === 'function' && window.Hls) {
+            this.hlsInstance.off(Hls.Events.MANIFEST_LOADED, this.hlsHandlers.manifestLoaded);
+            this.hlsInstance.off(Hls.Events.FRAG_LOADED, this.hlsHandlers.fragLoaded);
+            this.hlsInstance.off(Hls.Events.ERROR, this.hlsHandlers.error);
+        }
+        this.hlsHandlers = null;
+    }
+
+    /**
+     * Remove video element listeners
+     */
+    removeVideoListeners() {
+        if (this.videoElement && this.videoHandlers) {
+            this.videoElement.removeEventListener('playing', this.videoHandlers.playing);
+            this.videoElement.removeEventListener('waiting', this.videoHandlers.waiting);
+        }
+        this.videoHandlers = null;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.endSession(true);
+            this.stop();
+            this.removeHLSListeners();
+            this.removeVideoListeners();
+            this.hlsInstance = null;
+            this.videoElement = null;
+            console.log('OTelTraceExporter cleanup completed');
+        } catch (error) {
+            console.error('Error during OTelTraceExporter cleanup:', error);
+        }
+    }
+}
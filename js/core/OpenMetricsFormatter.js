@@ -0,0 +1,129 @@
+/**
+ * OpenMetricsFormatter - Renders server-ready payloads (MetricsDataManager.getServerReadyData())
+ * as OpenMetrics / Prometheus text exposition. Shared by the player and the reference collector,
+ * so it must not touch browser globals.
+ */
+export default class OpenMetricsFormatter {
+    constructor(options = {}) {
+        this.prefix = options.prefix || 'hls_player';
+
+        // name (without prefix), type, unit, help, value from a payload
+        this.families = [
+            { name: 'current_bitrate_bits_per_second', type: 'gauge', help: 'Bitrate of the playing rendition', get: p => p.metrics.current_bitrate },
+            { name: 'current_bandwidth_bits_per_second', type: 'gauge', help: 'Estimated network bandwidth', get: p => p.metrics.current_bandwidth },
+            { name: 'current_fps', type: 'gauge', help: 'Rendered frames per second', get: p => p.metrics.current_fps },
+            { name: 'buffer_length_seconds', type: 'gauge', unit: 'seconds', help: 'Forward buffer ahead of the playhead', get: p => p.metrics.buffer_length },
+            { name: 'rebuffer_ratio', type: 'gauge', help: 'Share of session time spent rebuffering (0-1)', get: p => this.percentToRatio(p.metrics.rebuffer_ratio) },
+            { name: 'dropped_frame_ratio', type: 'gauge', help: 'Share of decoded frames that were dropped (0-1)', get: p => this.percentToRatio(p.metrics.dropped_frame_ratio) },
+            { name: 'rebuffers', type: 'counter', help: 'Rebuffering events', get: p => p.metrics.rebuffer_count },
+            { name: 'errors', type: 'counter', help: 'Player errors', get: p => p.metrics.error_count },
+            { name: 'recovery_attempts', type: 'counter', help: 'Error recovery attempts made by the recovery policy', get: p => p.metrics.recovery_attempts },
+            { name: 'requests', type: 'counter', help: 'Network requests (playlists and segments)', get: p => p.metrics.total_requests },
+            { name: 'dropped_frames', type: 'counter', help: 'Dropped video frames', get: p => p.metrics.dropped_frames },
+            { name: 'segment_load_time_seconds', type: 'histogram', unit: 'seconds', help: 'Media segment load time', get: p => p.histograms && p.histograms.segment_load_time },
+            { name: 'startup_time_seconds', type: 'histogram', unit: 'seconds', help: 'Time from load to first frame', get: p => p.histograms && p.histograms.startup_time }
+        ];
+    }
+
+    /**
+     * Render payloads (one per session) as one exposition
+     * @param {Array} payloads - Server-ready payloads
+     * @param {Object} options - { format: 'openmetrics' | 'prometheus' }
+     * @returns {string} Exposition text
+     */
+    render(payloads, options = {}) {
+        const openMetrics = (options.format || 'openmetrics') === 'openmetrics';
+        const lines = [];
+
+        this.families.forEach(family => {
+            const fullName = `${this.prefix}_${family.name}`;
+            const samples = [];
+
+            payloads.forEach(payload => {
+                const value = family.get(payload);
+                if (value === null || value === undefined) return;
+
+                if (family.type === 'histogram') {
+                    samples.push(...this.renderHistogram(fullName, payload.session_id, payload.stream_url, value));
+                    return;
+                }
+
+                const labels = this.formatLabels({ session_id: payload.session_id, stream_url: payload.stream_url });
+                if (family.type === 'counter') {
+                    samples.push(`${fullName}_total${labels} ${this.formatValue(value)}`);
+                } else {
+                    samples.push(`${fullName}${labels} ${this.formatValue(value)}`);
+                }
+            });
+
+            if (samples.length === 0) return;
+
+            // Prometheus text format names the counter family with its _total suffix
+            const familyName = family.type === 'counter' && !openMetrics ? `${fullName}_total` : fullName;
+            lines.push(`# TYPE ${familyName} ${family.type}`);
+            if (openMetrics && family.unit) {
+                lines.push(`# UNIT ${familyName} ${family.unit}`);
+            }
+            lines.push(`# HELP ${familyName} ${family.help}`);
+            lines.push(...samples);
+        });
+
+        if (openMetrics) {
+            lines.push('# EOF');
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Histogram samples from { buckets, counts (cumulative), sum, count }
+     */
+    renderHistogram(fullName, sessionId, streamUrl, histogram) {
+        const samples = histogram.buckets.map((le, index) =>
+            `${fullName}_bucket${this.formatLabels({ session_id: sessionId, stream_url: streamUrl, le: this.formatValue(le) })} ${histogram.counts[index]}`);
+
+        samples.push(`${fullName}_bucket${this.formatLabels({ session_id: sessionId, stream_url: streamUrl, le: '+Inf' })} ${histogram.count}`);
+        samples.push(`${fullName}_count${this.formatLabels({ session_id: sessionId, stream_url: streamUrl })} ${histogram.count}`);
+        samples.push(`${fullName}_sum${this.formatLabels({ session_id: sessionId, stream_url: streamUrl })} ${this.formatValue(histogram.sum)}`);
+
+        return samples;
+    }
+
+    /**
+     * Label set, e.g. {session_id="abc",le="0.5"}
+     */
+    formatLabels(labels) {
+        const pairs = Object.keys(labels)
+            .filter(key => labels[key] !== null && labels[key] !== undefined && labels[key] !== '')
+            .map(key => `${key}="${this.escapeLabelValue(labels[key])}"`);
+
+        return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+    }
+
+    /**
+     * Escape backslash, double quote and newline in label values
+     */
+    escapeLabelValue(value) {
+        return String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n');
+    }
+
+    /**
+     * Sample or le value
+     */
+    formatValue(value) {
+        if (typeof value !== 'number' || isNaN(value)) return 'NaN';
+        if (value === Infinity) return '+Inf';
+        if (value === -Infinity) return '-Inf';
+        return Number.isInteger(value) ? `${value}` : `${parseFloat(value.toFixed(6))}`;
+    }
+
+    /**
+     * Percent (0-100) to ratio (0-1)
+     */
+    percentToRatio(value) {
+        return typeof value === 'number' ? value / 100 : null;
+    }
+}
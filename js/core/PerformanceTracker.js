@@ -2,7 +2,17 @@
  * PerformanceTracker - Đo lường hiệu suất startup và các metrics khác
  */
 export default class PerformanceTracker {
-    constructor() {
+    constructor(options = {}) {
+        // Headless mode: chỉ thu thập metrics, không render panel (dùng cho load test)
+        this.headless = options.headless === true;
+
+        this.config = {
+            // Playlist stale khi end sequence không tiến sau stale_reload_factor × target duration
+            // (RFC 8216 §6.3.4: reload chậm nhất sau 1.5 target duration, giống SessionReplayAnalyzer)
+            stale_reload_factor: 1.5,
+            ...options.config
+        };
+
         this.metrics = {
             startup: {
                 startup_time: null,
@@ -30,7 +40,8 @@ export default class PerformanceTracker {
                 current_bitrate: 0,
                 max_bitrate: 0,
                 bitrate_history: [],
-                average_bitrate: 0
+                average_bitrate: 0,
+                switch_timeline: [] // mỗi lần đổi level: thời điểm, hướng, buffer, lý do
             },
             bandwidth: {
                 current_bandwidth: 0,
@@ -75,6 +86,18 @@ export default class PerformanceTracker {
                 segment_load_times: [],
                 last_segment_time: null
             },
+            playlist: {
+                avg_playlist_reload_time: 0,
+                min_playlist_reload_time: null,
+                max_playlist_reload_time: 0,
+                total_playlist_reload_time: 0,
+                reload_count: 0,
+                stale_count: 0,
+                skipped_sequence_count: 0,
+                renditions: {},
+                events: [],
+                reload_history: []
+            },
             playback: {
                 watch_time: 0,
                 playback_ratio: 0,
@@ -95,6 +118,8 @@ export default class PerformanceTracker {
         this.fpsVideoInterval = null;
         this.segmentUpdateInterval = null;
         this.bitrateHistoryInterval = null;
+        this.pendingPlaylistLoads = {}; // thời điểm LEVEL_LOADING theo level
+        this.switchReasonProvider = null; // (level) => lý do đổi level, vd. từ ABRController
 
         // State tracking cho rebuffer logic chuẩn
         this.videoElement = null;
@@ -142,6 +167,7 @@ export default class PerformanceTracker {
                     if (data.level !== undefined && this.hlsInstance.levels && this.hlsInstance.levels[data.level]) {
                         const level = this.hlsInstance.levels[data.level];
                         this.updateBitrateMetrics(level.bitrate);
+                        this.recordLevelSwitch(data.level, level);
                     }
                 });
 
@@ -163,6 +189,7 @@ export default class PerformanceTracker {
                     if (data.level !== undefined && this.hlsInstance.levels && this.hlsInstance.levels[data.level]) {
                         const level = this.hlsInstance.levels[data.level];
                         this.updateBitrateMetrics(level.bitrate);
+                        this.recordLevelSwitch(data.level, level);
                     }
                 });
 
@@ -174,6 +201,13 @@ export default class PerformanceTracker {
                         console.log('Updating bitrate from level loaded:', level.bitrate);
                         this.updateBitrateMetrics(level.bitrate);
                     }
+
+                    this.onHLSLevelLoaded(data);
+                });
+
+                // Đo thời gian tải playlist theo rendition: LEVEL_LOADING -> LEVEL_LOADED
+                this.hlsInstance.on(Hls.Events.LEVEL_LOADING, (event, data) => {
+                    this.pendingPlaylistLoads[data.level] = performance.now();
                 });
 
                 this.hlsInstance.on(Hls.Events.FRAG_LOADED, (event, data) => {
@@ -616,6 +650,8 @@ export default class PerformanceTracker {
      */
     updateStartupDisplay() {
         try {
+            if (this.headless) return;
+
             // Tìm hoặc tạo overview panel
             let overviewPanel = document.getElementById('overviewMetricsPanel');
 
@@ -795,7 +831,8 @@ export default class PerformanceTracker {
                 current_bitrate: 0,
                 max_bitrate: 0,
                 bitrate_history: [],
-                average_bitrate: 0
+                average_bitrate: 0,
+                switch_timeline: []
             };
 
             this.metrics.bandwidth = {
@@ -1048,6 +1085,61 @@ export default class PerformanceTracker {
         }
     }
 
+    /**
+     * Set hàm trả về lý do đổi level cho switch timeline
+     */
+    setSwitchReasonProvider(provider) {
+        this.switchReasonProvider = typeof provider === 'function' ? provider : null;
+    }
+
+    /**
+     * Ghi một lần đổi level vào switch timeline (hướng up/down, buffer lúc đổi, lý do)
+     */
+    recordLevelSwitch(levelIndex, level) {
+        try {
+            const timeline = this.metrics.bitrate.switch_timeline;
+            const previous = timeline.length > 0 ? timeline[timeline.length - 1] : null;
+            if (previous && previous.level === levelIndex) return;
+
+            let direction = 'initial';
+            if (previous) {
+                direction = level.bitrate > previous.bitrate ? 'up' : 'down';
+            }
+
+            // Đọc buffer ngay lúc đổi thay vì chờ interval
+            if (this.videoElement) {
+                this.updateBufferMetrics(this.videoElement);
+            }
+
+            let reason = null;
+            if (this.switchReasonProvider) {
+                try {
+                    reason = this.switchReasonProvider(levelIndex);
+                } catch (error) {
+                    console.warn('Switch reason provider failed:', error);
+                }
+            }
+
+            timeline.push({
+                timestamp: Date.now(),
+                level: levelIndex,
+                from_level: previous ? previous.level : null,
+                bitrate: level.bitrate || 0,
+                height: level.height || null,
+                direction,
+                buffer_length: Number(this.metrics.buffer.buffer_length.toFixed(2)),
+                reason
+            });
+
+            // Giữ lại 500 lần đổi gần nhất
+            if (timeline.length > 500) {
+                timeline.shift();
+            }
+        } catch (error) {
+            console.error('Error recording level switch:', error);
+        }
+    }
+
     /**
      * Dừng tracking bitrate history
      */
@@ -1199,6 +1291,8 @@ export default class PerformanceTracker {
      */
     updateRebufferDisplay() {
         try {
+            if (this.headless) return;
+
             // Tìm hoặc tạo overview panel
             let overviewPanel = document.getElementById('overviewMetricsPanel');
 
@@ -1588,6 +1682,8 @@ export default class PerformanceTracker {
      */
     updatePlaybackDisplay() {
         try {
+            if (this.headless) return;
+
             // Find or create playback metrics panel
             let playbackPanel = document.getElementById('playbackMetricsPanel');
 
@@ -1755,6 +1851,8 @@ export default class PerformanceTracker {
      */
     updatePlaybackDisplay() {
         try {
+            if (this.headless) return;
+
             // Find or create playback metrics panel
             let playbackPanel = document.getElementById('playbackMetricsPanel');
 
@@ -2201,6 +2299,8 @@ export default class PerformanceTracker {
      */
     updateFrameDisplay() {
         try {
+            if (this.headless) return;
+
             // Find or create frame metrics panel
             let framePanel = document.getElementById('frameMetricsPanel');
 
@@ -2264,6 +2364,8 @@ export default class PerformanceTracker {
      */
     updateFPSDisplay() {
         try {
+            if (this.headless) return;
+
             // Find or create frame metrics panel (FPS is part of frame panel)
             let framePanel = document.getElementById('frameMetricsPanel');
 
@@ -2501,11 +2603,347 @@ export default class PerformanceTracker {
         return { ...this.metrics.segments };
     }
 
+    /**
+     * Handle HLS.js LEVEL_LOADED - tính thời gian tải playlist của rendition
+     */
+    onHLSLevelLoaded(data) {
+        try {
+            if (!data || !data.details) return;
+
+            let reloadTime = null;
+            if (this.pendingPlaylistLoads[data.level] !== undefined) {
+                reloadTime = performance.now() - this.pendingPlaylistLoads[data.level];
+                delete this.pendingPlaylistLoads[data.level];
+            } else if (data.stats && data.stats.loading && data.stats.loading.end) {
+                // Fallback sang stats của HLS.js
+                reloadTime = data.stats.loading.end - data.stats.loading.start;
+            }
+
+            const details = data.details;
+            this.onPlaylistLoaded(reloadTime, {
+                url: details.url || data.url || '',
+                level: data.level,
+                media_sequence: details.startSN,
+                end_sequence: details.endSN,
+                target_duration: details.targetduration,
+                is_live: details.live === true
+            });
+        } catch (error) {
+            console.error('Error handling level loaded for playlist tracking:', error);
+        }
+    }
+
+    /**
+     * Ghi nhận thời gian tải lại playlist (request -> response, ms)
+     * @param {number} reloadTime - Load time in milliseconds
+     * @param {Object} details - { url, level, media_sequence, end_sequence, target_duration, is_live, timestamp }
+     */
+    onPlaylistLoaded(reloadTime, details = {}) {
+        try {
+            if (typeof reloadTime !== 'number' || reloadTime <= 0) {
+                console.warn('Invalid playlist reload time:', reloadTime);
+                return;
+            }
+
+            const playlist = this.metrics.playlist;
+            const previousLoad = playlist.reload_history[playlist.reload_history.length - 1];
+
+            playlist.reload_count++;
+            playlist.total_playlist_reload_time += reloadTime;
+            playlist.avg_playlist_reload_time = playlist.total_playlist_reload_time / playlist.reload_count;
+
+            if (playlist.min_playlist_reload_time === null || reloadTime < playlist.min_playlist_reload_time) {
+                playlist.min_playlist_reload_time = reloadTime;
+            }
+            if (reloadTime > playlist.max_playlist_reload_time) {
+                playlist.max_playlist_reload_time = reloadTime;
+            }
+
+            // Chỉ so sánh sequence khi hai lần tải liên tiếp là cùng một rendition
+            const isConsecutive = !!previousLoad && previousLoad.level === details.level;
+            this.updateRenditionReload(reloadTime, details, isConsecutive);
+
+            playlist.reload_history.push({
+                timestamp: Date.now(),
+                reload_time: reloadTime,
+                ...details
+            });
+
+            // Giới hạn lịch sử 50 lần reload gần nhất
+            if (playlist.reload_history.length > 50) {
+                playlist.reload_history = playlist.reload_history.slice(-50);
+            }
+
+            this.updatePlaylistDisplay();
+        } catch (error) {
+            console.error('Error tracking playlist reload time:', error);
+        }
+    }
+
+    /**
+     * Cập nhật thống kê theo rendition và phát hiện playlist stale / sequence bị nhảy
+     */
+    updateRenditionReload(reloadTime, details, isConsecutive) {
+        const playlist = this.metrics.playlist;
+        const key = details.level !== undefined && details.level !== null ? String(details.level) : 'default';
+        // Replay truyền timestamp của request đã ghi để phát hiện stale theo thời gian thực của capture
+        const now = details.timestamp || Date.now();
+
+        let rendition = playlist.renditions[key];
+        if (!rendition) {
+            rendition = {
+                level: details.level !== undefined ? details.level : null,
+                url: details.url || '',
+                reload_count: 0,
+                total_reload_time: 0,
+                avg_reload_time: 0,
+                last_reload_time: 0,
+                media_sequence: null,
+                end_sequence: null,
+                target_duration: null,
+                last_advance_time: null,
+                is_stale: false,
+                stale_count: 0,
+                skipped_sequences: 0
+            };
+            playlist.renditions[key] = rendition;
+        }
+
+        rendition.reload_count++;
+        rendition.total_reload_time += reloadTime;
+        rendition.avg_reload_time = rendition.total_reload_time / rendition.reload_count;
+        rendition.last_reload_time = reloadTime;
+        if (details.target_duration) rendition.target_duration = details.target_duration;
+
+        const mediaSequence = typeof details.media_sequence === 'number' ? details.media_sequence : null;
+        const endSequence = typeof details.end_sequence === 'number' ? details.end_sequence : null;
+
+        if (!isConsecutive || rendition.end_sequence === null || endSequence === null || details.is_live === false) {
+            // Lần tải đầu hoặc vừa chuyển rendition: bắt đầu theo dõi lại từ đây
+            rendition.last_advance_time = now;
+            rendition.is_stale = false;
+        } else if (endSequence > rendition.end_sequence) {
+            // Playlist đã tiến lên - kiểm tra có sequence nào bị bỏ qua không
+            if (mediaSequence !== null && mediaSequence > rendition.end_sequence + 1) {
+                const skipped = mediaSequence - rendition.end_sequence - 1;
+                rendition.skipped_sequences += skipped;
+                playlist.skipped_sequence_count += skipped;
+                this.addPlaylistEvent('skipped_sequence', details, {
+                    from_sequence: rendition.end_sequence + 1,
+                    to_sequence: mediaSequence - 1,
+                    skipped_count: skipped
+                });
+            }
+            rendition.last_advance_time = now;
+            rendition.is_stale = false;
+        } else if (!rendition.is_stale && rendition.target_duration &&
+            now - rendition.last_advance_time > rendition.target_duration * this.config.stale_reload_factor * 1000) {
+            // Media sequence không tiến sau stale_reload_factor × target duration
+            rendition.is_stale = true;
+            rendition.stale_count++;
+            playlist.stale_count++;
+            this.addPlaylistEvent('stale', details, {
+                stale_for: (now - rendition.last_advance_time) / 1000,
+                end_sequence: endSequence
+            });
+        }
+
+        rendition.url = details.url || rendition.url;
+        rendition.media_sequence = mediaSequence;
+        rendition.end_sequence = endSequence;
+    }
+
+    /**
+     * Ghi một sự kiện playlist (stale / skipped_sequence), giới hạn 50 sự kiện
+     */
+    addPlaylistEvent(type, details, data = {}) {
+        const playlist = this.metrics.playlist;
+        playlist.events.push({
+            timestamp: details.timestamp || Date.now(),
+            type: type,
+            level: details.level !== undefined ? details.level : null,
+            url: details.url || '',
+            ...data
+        });
+
+        if (playlist.events.length > 50) {
+            playlist.events = playlist.events.slice(-50);
+        }
+
+        console.warn(`Playlist ${type} detected:`, data);
+    }
+
+    /**
+     * Get playlist reload metrics
+     */
+    getPlaylistMetrics() {
+        const renditions = {};
+        Object.keys(this.metrics.playlist.renditions).forEach(key => {
+            renditions[key] = { ...this.metrics.playlist.renditions[key] };
+        });
+
+        return {
+            ...this.metrics.playlist,
+            renditions: renditions,
+            events: this.metrics.playlist.events.slice(),
+            reload_history: this.metrics.playlist.reload_history.slice()
+        };
+    }
+
+    /**
+     * Reset playlist reload metrics for new session
+     */
+    resetPlaylistMetrics() {
+        this.metrics.playlist = {
+            avg_playlist_reload_time: 0,
+            min_playlist_reload_time: null,
+            max_playlist_reload_time: 0,
+            total_playlist_reload_time: 0,
+            reload_count: 0,
+            stale_count: 0,
+            skipped_sequence_count: 0,
+            renditions: {},
+            events: [],
+            reload_history: []
+        };
+        this.pendingPlaylistLoads = {};
+        this.updatePlaylistDisplay();
+    }
+
+    /**
+     * Update playlist reload panel
+     */
+    updatePlaylistDisplay() {
+        try {
+            if (this.headless) return;
+
+            let playlistPanel = document.getElementById('playlistReloadPanel');
+
+            if (!playlistPanel) {
+                this.createPlaylistPanel();
+                playlistPanel = document.getElementById('playlistReloadPanel');
+            }
+
+            if (!playlistPanel) return;
+
+            const playlist = this.metrics.playlist;
+            const setText = (selector, text) => {
+                const element = playlistPanel.querySelector(selector);
+                if (element) element.textContent = text;
+            };
+
+            setText('#playlistReloadCountValue', playlist.reload_count.toString());
+            setText('#avgPlaylistReloadValue', playlist.avg_playlist_reload_time.toFixed(2) + ' ms');
+            setText('#minPlaylistReloadValue', playlist.min_playlist_reload_time !== null ? playlist.min_playlist_reload_time.toFixed(2) + ' ms' : '-');
+            setText('#maxPlaylistReloadValue', playlist.max_playlist_reload_time.toFixed(2) + ' ms');
+            setText('#stalePlaylistValue', playlist.stale_count.toString());
+            setText('#skippedSequenceValue', playlist.skipped_sequence_count.toString());
+
+            const staleElement = playlistPanel.querySelector('#stalePlaylistValue');
+            if (staleElement) {
+                staleElement.style.color = playlist.stale_count > 0 ? 'var(--color-warning)' : '';
+            }
+            const skippedElement = playlistPanel.querySelector('#skippedSequenceValue');
+            if (skippedElement) {
+                skippedElement.style.color = playlist.skipped_sequence_count > 0 ? 'var(--color-error)' : '';
+            }
+
+            const renditionList = playlistPanel.querySelector('#playlistRenditionList');
+            if (renditionList) {
+                const renditions = Object.values(playlist.renditions);
+                renditionList.innerHTML = renditions.length === 0
+                    ? '<li class="playlist-reload-list__empty">No playlist loaded yet</li>'
+                    : renditions.map(rendition => `
+                        <li class="playlist-reload-list__item${rendition.is_stale ? ' playlist-reload-list__item--stale' : ''}">
+                            <span>Level ${rendition.level !== null ? rendition.level : '-'}</span>
+                            <span>${rendition.reload_count} loads · ${rendition.avg_reload_time.toFixed(0)} ms avg</span>
+                            <span>seq ${rendition.media_sequence !== null ? rendition.media_sequence : '-'}-${rendition.end_sequence !== null ? rendition.end_sequence : '-'}${rendition.is_stale ? ' · STALE' : ''}</span>
+                        </li>
+                    `).join('');
+            }
+        } catch (error) {
+            console.error('Error updating playlist display:', error);
+        }
+    }
+
+    /**
+     * Create playlist reload panel in dashboard
+     */
+    createPlaylistPanel() {
+        try {
+            if (this.headless) return;
+
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create playlist reload panel');
+                return;
+            }
+
+            if (document.getElementById('playlistReloadPanel')) return;
+
+            const playlistPanel = document.createElement('article');
+            playlistPanel.className = 'card';
+            playlistPanel.id = 'playlistReloadPanel';
+
+            playlistPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-sync-alt"></i>
+                        Playlist Reloads
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Reload Count:</span>
+                            <span class="info-item__value" id="playlistReloadCountValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Avg Reload Time:</span>
+                            <span class="info-item__value" id="avgPlaylistReloadValue">0.00 ms</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Min Reload Time:</span>
+                            <span class="info-item__value" id="minPlaylistReloadValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Max Reload Time:</span>
+                            <span class="info-item__value" id="maxPlaylistReloadValue">0.00 ms</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Stale Playlists:</span>
+                            <span class="info-item__value" id="stalePlaylistValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Skipped Sequences:</span>
+                            <span class="info-item__value" id="skippedSequenceValue">0</span>
+                        </div>
+                    </div>
+                    <ul id="playlistRenditionList" class="playlist-reload-list">
+                        <li class="playlist-reload-list__empty">No playlist loaded yet</li>
+                    </ul>
+                </div>
+            `;
+
+            // Đặt ngay sau Segment Performance nếu có
+            const segmentPanel = document.getElementById('segmentMetricsPanel');
+            if (segmentPanel) {
+                dashboardGrid.insertBefore(playlistPanel, segmentPanel.nextSibling);
+            } else {
+                dashboardGrid.appendChild(playlistPanel);
+            }
+        } catch (error) {
+            console.error('Error creating playlist reload panel:', error);
+        }
+    }
+
     /**
      * Update segment display panel
      */
     updateSegmentDisplay() {
         try {
+            if (this.headless) return;
+
             let segmentPanel = document.getElementById('segmentMetricsPanel');
 
             if (!segmentPanel) {
@@ -2639,8 +3077,8 @@ export default class PerformanceTracker {
      */
     startSegmentRealTimeUpdates() {
         try {
-            // Don't start if already running
-            if (this.segmentUpdateInterval) {
+            // Don't start if already running (headless: không có panel để cập nhật)
+            if (this.segmentUpdateInterval || this.headless) {
                 return;
             }
 
@@ -2752,4 +3190,28 @@ export default class PerformanceTracker {
             console.log(`Updated min rebuffer duration to ${config.minRebufferDuration}ms`);
         }
     }
+
+    /**
+     * Dọn dẹp toàn bộ interval và event listeners của tracker
+     */
+    cleanup() {
+        try {
+            this.removeVideoEventListeners();
+            this.stopRealTimeUpdates();
+            this.stopPlaybackUpdates();
+            this.stopFrameStatsMonitoring();
+            this.stopFPSMonitoring();
+            this.stopSegmentRealTimeUpdates();
+            this.stopBitrateHistoryTracking();
+
+            if (this.bitrateCheckInterval) {
+                clearInterval(this.bitrateCheckInterval);
+                this.bitrateCheckInterval = null;
+            }
+
+            console.log('PerformanceTracker cleanup completed');
+        } catch (error) {
+            console.error('Error during PerformanceTracker cleanup:', error);
+        }
+    }
 }
@@ -0,0 +1,318 @@
+/**
+ * PlaylistParser - Parse HLS master and media playlists (RFC 8216)
+ */
+export default class PlaylistParser {
+    /**
+     * Parse playlist text into a master or media playlist object
+     * @param {string} text - Raw M3U8 content
+     * @param {string} baseUrl - Playlist URL used to resolve relative URIs
+     * @returns {Object} Parsed playlist ({ type: 'master' | 'media', ... })
+     */
+    parse(text, baseUrl = '') {
+        if (typeof text !== 'string' || !text.trim().startsWith('#EXTM3U')) {
+            throw new Error('Invalid playlist: missing #EXTM3U header');
+        }
+
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line.length > 0);
+        const isMaster = lines.some(line =>
+            line.startsWith('#EXT-X-STREAM-INF') ||
+            line.startsWith('#EXT-X-I-FRAME-STREAM-INF') ||
+            line.startsWith('#EXT-X-MEDIA:'));
+
+        return isMaster ? this.parseMaster(lines, baseUrl) : this.parseMedia(lines, baseUrl);
+    }
+
+    /**
+     * Parse master playlist lines
+     */
+    parseMaster(lines, baseUrl) {
+        const playlist = {
+            type: 'master',
+            url: baseUrl,
+            version: null,
+            independent_segments: false,
+            variants: [],
+            media: [],
+            iframe_variants: [],
+            session_data: [],
+            session_keys: []
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+
+            if (line.startsWith('#EXT-X-VERSION:')) {
+                playlist.version = parseInt(this.getTagValue(line), 10);
+            } else if (line.startsWith('#EXT-X-INDEPENDENT-SEGMENTS')) {
+                playlist.independent_segments = true;
+            } else if (line.startsWith('#EXT-X-STREAM-INF:')) {
+                const attributes = this.parseAttributes(this.getTagValue(line));
+                const uri = this.findNextUri(lines, i);
+
+                playlist.variants.push({
+                    ...this.parseVariantAttributes(attributes),
+                    uri: uri,
+                    url: uri ? this.resolveUrl(uri, baseUrl) : null,
+                    attributes: attributes
+                });
+            } else if (line.startsWith('#EXT-X-I-FRAME-STREAM-INF:')) {
+                const attributes = this.parseAttributes(this.getTagValue(line));
+
+                playlist.iframe_variants.push({
+                    ...this.parseVariantAttributes(attributes),
+                    uri: attributes.URI || null,
+                    url: attributes.URI ? this.resolveUrl(attributes.URI, baseUrl) : null,
+                    attributes: attributes
+                });
+            } else if (line.startsWith('#EXT-X-MEDIA:')) {
+                const attributes = this.parseAttributes(this.getTagValue(line));
+
+                playlist.media.push({
+                    type: attributes.TYPE || null,
+                    group_id: attributes['GROUP-ID'] || null,
+                    name: attributes.NAME || null,
+                    language: attributes.LANGUAGE || null,
+                    assoc_language: attributes['ASSOC-LANGUAGE'] || null,
+                    default: attributes.DEFAULT === 'YES',
+                    autoselect: attributes.AUTOSELECT === 'YES',
+                    forced: attributes.FORCED === 'YES',
+                    instream_id: attributes['INSTREAM-ID'] || null,
+                    characteristics: attributes.CHARACTERISTICS || null,
+                    channels: attributes.CHANNELS || null,
+                    uri: attributes.URI || null,
+                    url: attributes.URI ? this.resolveUrl(attributes.URI, baseUrl) : null,
+                    attributes: attributes
+                });
+            } else if (line.startsWith('#EXT-X-SESSION-DATA:')) {
+                const attributes = this.parseAttributes(this.getTagValue(line));
+
+                playlist.session_data.push({
+                    data_id: attributes['DATA-ID'] || null,
+                    value: attributes.VALUE || null,
+                    uri: attributes.URI || null,
+                    language: attributes.LANGUAGE || null
+                });
+            } else if (line.startsWith('#EXT-X-SESSION-KEY:')) {
+                playlist.session_keys.push(this.parseKeyAttributes(this.parseAttributes(this.getTagValue(line)), baseUrl));
+            }
+        }
+
+        // Sort variants by bandwidth for ABR selection
+        playlist.variants.sort((a, b) => a.bandwidth - b.bandwidth);
+        playlist.iframe_variants.sort((a, b) => a.bandwidth - b.bandwidth);
+
+        return playlist;
+    }
+
+    /**
+     * Map EXT-X-STREAM-INF / EXT-X-I-FRAME-STREAM-INF attributes to variant fields
+     */
+    parseVariantAttributes(attributes) {
+        return {
+            bandwidth: parseInt(attributes.BANDWIDTH, 10) || 0,
+            average_bandwidth: attributes['AVERAGE-BANDWIDTH'] ? parseInt(attributes['AVERAGE-BANDWIDTH'], 10) : null,
+            codecs: attributes.CODECS || null,
+            resolution: attributes.RESOLUTION || null,
+            frame_rate: attributes['FRAME-RATE'] ? parseFloat(attributes['FRAME-RATE']) : null,
+            hdcp_level: attributes['HDCP-LEVEL'] || null,
+            video_range: attributes['VIDEO-RANGE'] || null,
+            audio: attributes.AUDIO || null,
+            video: attributes.VIDEO || null,
+            subtitles: attributes.SUBTITLES || null,
+            closed_captions: attributes['CLOSED-CAPTIONS'] || null
+        };
+    }
+
+    /**
+     * Parse media playlist lines
+     */
+    parseMedia(lines, baseUrl) {
+        const playlist = {
+            type: 'media',
+            url: baseUrl,
+            version: null,
+            target_duration: null,
+            media_sequence: 0,
+            discontinuity_sequence: 0,
+            playlist_type: null,
+            end_list: false,
+            i_frames_only: false,
+            independent_segments: false,
+            segments: [],
+            keys: [],
+            maps: []
+        };
+
+        let pendingSegment = {};
+        let lastByteRangeEnd = 0;
+        let currentKey = null;
+        let currentMap = null;
+        let discontinuitySequence = null;
+        let programDateTime = null;
+
+        lines.forEach(line => {
+            if (line.startsWith('#EXT-X-VERSION:')) {
+                playlist.version = parseInt(this.getTagValue(line), 10);
+            } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+                playlist.target_duration = parseFloat(this.getTagValue(line));
+            } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+                playlist.media_sequence = parseInt(this.getTagValue(line), 10) || 0;
+            } else if (line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE:')) {
+                playlist.discontinuity_sequence = parseInt(this.getTagValue(line), 10) || 0;
+            } else if (line.startsWith('#EXT-X-PLAYLIST-TYPE:')) {
+                playlist.playlist_type = this.getTagValue(line);
+            } else if (line.startsWith('#EXT-X-ENDLIST')) {
+                playlist.end_list = true;
+            } else if (line.startsWith('#EXT-X-I-FRAMES-ONLY')) {
+                playlist.i_frames_only = true;
+            } else if (line.startsWith('#EXT-X-INDEPENDENT-SEGMENTS')) {
+                playlist.independent_segments = true;
+            } else if (line.startsWith('#EXTINF:')) {
+                const value = this.getTagValue(line);
+                const commaIndex = value.indexOf(',');
+                pendingSegment.duration = parseFloat(commaIndex >= 0 ? value.substring(0, commaIndex) : value);
+                pendingSegment.title = commaIndex >= 0 ? value.substring(commaIndex + 1) : '';
+            } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+                pendingSegment.byte_range = this.parseByteRange(this.getTagValue(line), lastByteRangeEnd);
+                lastByteRangeEnd = pendingSegment.byte_range.offset + pendingSegment.byte_range.length;
+            } else if (line.startsWith('#EXT-X-DISCONTINUITY') && !line.startsWith('#EXT-X-DISCONTINUITY-SEQUENCE')) {
+                pendingSegment.discontinuity = true;
+            } else if (line.startsWith('#EXT-X-PROGRAM-DATE-TIME:')) {
+                programDateTime = this.getTagValue(line);
+                pendingSegment.program_date_time = programDateTime;
+            } else if (line.startsWith('#EXT-X-GAP')) {
+                pendingSegment.gap = true;
+            } else if (line.startsWith('#EXT-X-KEY:')) {
+                currentKey = this.parseKeyAttributes(this.parseAttributes(this.getTagValue(line)), baseUrl);
+                playlist.keys.push(currentKey);
+            } else if (line.startsWith('#EXT-X-MAP:')) {
+                const attributes = this.parseAttributes(this.getTagValue(line));
+                currentMap = {
+                    uri: attributes.URI || null,
+                    url: attributes.URI ? this.resolveUrl(attributes.URI, baseUrl) : null,
+                    byte_range: attributes.BYTERANGE ? this.parseByteRange(attributes.BYTERANGE, 0) : null
+                };
+                playlist.maps.push(currentMap);
+            } else if (!line.startsWith('#')) {
+                if (discontinuitySequence === null) {
+                    discontinuitySequence = playlist.discontinuity_sequence;
+                }
+                if (pendingSegment.discontinuity) {
+                    discontinuitySequence++;
+                }
+
+                // PROGRAM-DATE-TIME áp dụng cho segment kế tiếp, suy ra cho các segment sau
+                let segmentDateTime = pendingSegment.program_date_time || null;
+                if (!segmentDateTime && programDateTime && playlist.segments.length > 0) {
+                    const previous = playlist.segments[playlist.segments.length - 1];
+                    if (previous.program_date_time) {
+                        segmentDateTime = new Date(Date.parse(previous.program_date_time) + previous.duration * 1000).toISOString();
+                    }
+                }
+
+                if (!pendingSegment.byte_range) {
+                    lastByteRangeEnd = 0;
+                }
+
+                playlist.segments.push({
+                    sequence: playlist.media_sequence + playlist.segments.length,
+                    duration: pendingSegment.duration || 0,
+                    title: pendingSegment.title || '',
+                    byte_range: pendingSegment.byte_range || null,
+                    discontinuity: pendingSegment.discontinuity === true,
+                    discontinuity_sequence: discontinuitySequence,
+                    program_date_time: segmentDateTime,
+                    gap: pendingSegment.gap === true,
+                    key: currentKey,
+                    map: currentMap,
+                    uri: line,
+                    url: this.resolveUrl(line, baseUrl)
+                });
+                pendingSegment = {};
+            }
+        });
+
+        playlist.total_duration = playlist.segments.reduce((sum, segment) => sum + segment.duration, 0);
+        playlist.discontinuity_count = playlist.segments.filter(segment => segment.discontinuity).length;
+        playlist.is_live = !playlist.end_list && playlist.playlist_type !== 'VOD';
+
+        return playlist;
+    }
+
+    /**
+     * Map EXT-X-KEY / EXT-X-SESSION-KEY attributes
+     */
+    parseKeyAttributes(attributes, baseUrl) {
+        return {
+            method: attributes.METHOD || 'NONE',
+            uri: attributes.URI || null,
+            url: attributes.URI ? this.resolveUrl(attributes.URI, baseUrl) : null,
+            iv: attributes.IV || null,
+            key_format: attributes.KEYFORMAT || 'identity',
+            key_format_versions: attributes.KEYFORMATVERSIONS || null
+        };
+    }
+
+    /**
+     * Parse "<length>[@<offset>]"
+     */
+    parseByteRange(value, defaultOffset) {
+        const [length, offset] = value.split('@');
+        return {
+            length: parseInt(length, 10),
+            offset: offset !== undefined ? parseInt(offset, 10) : defaultOffset
+        };
+    }
+
+    /**
+     * Get the value part of "#TAG:value"
+     */
+    getTagValue(line) {
+        const colonIndex = line.indexOf(':');
+        return colonIndex >= 0 ? line.substring(colonIndex + 1) : '';
+    }
+
+    /**
+     * Parse an attribute list (KEY=VALUE,KEY="quoted, value")
+     * @param {string} input - Attribute list string
+     * @returns {Object} Attribute map
+     */
+    parseAttributes(input) {
+        const attributes = {};
+        const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+        let match;
+
+        while ((match = pattern.exec(input)) !== null) {
+            let value = match[2];
+            if (value.startsWith('"') && value.endsWith('"')) {
+                value = value.substring(1, value.length - 1);
+            }
+            attributes[match[1]] = value;
+        }
+
+        return attributes;
+    }
+
+    /**
+     * Find the URI line following a tag
+     */
+    findNextUri(lines, index) {
+        for (let i = index + 1; i < lines.length; i++) {
+            if (!lines[i].startsWith('#')) {
+                return lines[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Resolve a relative URI against the playlist URL
+     */
+    resolveUrl(uri, baseUrl) {
+        try {
+            return new URL(uri, baseUrl || undefined).href;
+        } catch (error) {
+            return uri;
+        }
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * QoEModel - Incremental QoE estimate modelled on ITU-T P.1203 (mode 0, metadata only).
+ * Each played second gets a video MOS from bitrate, coding vs display resolution and framerate
+ * (P.1203.1 mode 0 coefficients, which are H.264 ones: other codecs are scored on an H.264-equivalent
+ * bitrate). The session MOS is the recency-weighted mean of those scores scaled by a P.1203.3-style
+ * stalling index (number, weighted duration and spacing of stalls; late stalls weigh more, initial
+ * loading a third). Audio and the P.1203.3 random-forest part are not modelled.
+ * Pure computation: MetricsDataManager keeps its results in stored snapshots.
+ */
+const QOE_MODEL_ID = 'p1203-mode0-lite';
+const QOE_MODEL_VERSION = '1.0.0';
+
+// H.264-equivalent bitrate multipliers, matched on the codec string prefix
+const CODEC_EFFICIENCY = [
+    { prefixes: ['av01'], factor: 1.6 },
+    { prefixes: ['hvc1', 'hev1'], factor: 1.4 },
+    { prefixes: ['vp09', 'vp9'], factor: 1.3 },
+    { prefixes: ['avc1', 'avc3'], factor: 1 }
+];
+
+export default class QoEModel {
+    constructor(options = {}) {
+        this.config = {
+            display_width: 1920,
+            display_height: 1080,
+            default_framerate: 30,
+            recency_weight: 0.5,       // the last second weighs 1 + recency_weight, the first one 1
+            initial_loading_weight: 1 / 3,
+            stall_position_floor: 0.48, // weight of a stall at the very start of the session
+            timeline_bucket_s: 10,
+            max_timeline_buckets: 360,
+            ...options
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.scores = [];
+        this.stalls = [];
+        this.initialLoading = 0;
+        this.lastInput = null;
+    }
+
+    /**
+     * Score one played second and add it to the session
+     * @param {Object} input - { bitrate (bps), width, height, framerate, codec, display_width, display_height }
+     * @returns {number} MOS of that second (1-5)
+     */
+    addSecond(input) {
+        const mos = this.scoreSecond(input);
+        this.scores.push(mos);
+        this.lastInput = { ...input, mos };
+        return mos;
+    }
+
+    /**
+     * @param {number} position - Played seconds when the stall started
+     * @param {number} duration - Stall duration in seconds
+     */
+    addStall(position, duration) {
+        if (!(duration > 0)) return;
+        this.stalls.push({ position: Math.max(0, position), duration });
+    }
+
+    setInitialLoading(seconds) {
+        this.initialLoading = seconds > 0 ? seconds : 0;
+    }
+
+    codecFactor(codec) {
+        const value = String(codec || '').toLowerCase();
+        const match = CODEC_EFFICIENCY.find(entry => entry.prefixes.some(prefix => value.startsWith(prefix)));
+        return match ? match.factor : 1;
+    }
+
+    /**
+     * P.1203.1 mode 0 video quality for one second
+     */
+    scoreSecond(input) {
+        const bitrateKbps = (input.bitrate || 0) / 1000 * this.codecFactor(input.codec);
+        const width = input.width || 0;
+        const height = input.height || 0;
+        if (bitrateKbps <= 0 || width <= 0 || height <= 0) return 1;
+
+        const framerate = input.framerate > 0 ? input.framerate : this.config.default_framerate;
+        const codingRes = width * height;
+        const displayRes = (input.display_width || this.config.display_width) * (input.display_height || this.config.display_height);
+
+        // Coding degradation
+        const quant = 11.99835 - 2.99992 * Math.log(41.24751 + Math.log(bitrateKbps) + Math.log(bitrateKbps * bitrateKbps / (codingRes * framerate) + 0.13183));
+        const codingMos = this.clamp(4.66 - 0.07 * Math.exp(4.06 * quant), 1, 5);
+        const codingDeg = this.clamp(100 - this.rFromMos(codingMos), 0, 100);
+
+        // Upscaling to the display
+        const scaleFactor = Math.max(displayRes / codingRes, 1);
+        const scalingDeg = this.clamp(72.61 * Math.log10(0.32 * (scaleFactor - 1) + 1), 0, 100);
+
+        // Framerate below 24 fps
+        const framerateDeg = framerate < 24 ? this.clamp(100 * (30.98 - 1.29 * framerate) / (64.65 + framerate), 0, 100) : 0;
+
+        const quality = 100 - this.clamp(codingDeg + scalingDeg + framerateDeg, 0, 100);
+        return Number(this.mosFromR(quality).toFixed(3));
+    }
+
+    /**
+     * P.1203 R (0-100) → MOS mapping
+     */
+    mosFromR(quality) {
+        const mosMax = 4.9;
+        const mosMin = 1.05;
+        if (quality >= 100) return mosMax;
+        if (quality <= 0) return mosMin;
+        const mos = mosMin + (mosMax - mosMin) / 100 * quality + quality * (quality - 60) * (100 - quality) * 7.0e-6;
+        return this.clamp(mos, mosMin, mosMax);
+    }
+
+    /**
+     * Inverse of mosFromR (bisection; the mapping is monotonic over the MOS range used here)
+     */
+    rFromMos(mos) {
+        const target = this.clamp(mos, 1.05, 4.9);
+        let low = 0;
+        let high = 100;
+        for (let i = 0; i < 40; i++) {
+            const mid = (low + high) / 2;
+            if (this.mosFromR(mid) < target) low = mid;
+            else high = mid;
+        }
+        return (low + high) / 2;
+    }
+
+    clamp(value, min, max) {
+        return Math.max(min, Math.min(max, value));
+    }
+
+    /**
+     * Stalling index (1 = no stalling), P.1203.3 parametric form
+     */
+    stallingIndex(duration) {
+        if (duration <= 0) return 1;
+
+        const positionWeight = (position) => {
+            const floor = this.config.stall_position_floor;
+            // Half-life of a tenth of the session, counted back from the end
+            return floor + (1 - floor) * Math.exp(-(duration - position) * Math.LN2 / (duration / 10));
+        };
+
+        const weightedLength = this.stalls.reduce((sum, stall) => sum + stall.duration * positionWeight(stall.position), 0) +
+            this.initialLoading * this.config.initial_loading_weight;
+
+        let avgInterval = 0;
+        if (this.stalls.length > 1) {
+            const positions = this.stalls.map(stall => stall.position).sort((a, b) => a - b);
+            avgInterval = (positions[positions.length - 1] - positions[0]) / (positions.length - 1);
+        }
+
+        return Math.exp(-this.stalls.length / 9.35158684) *
+            Math.exp(-(weightedLength / duration) / 0.91890815) *
+            Math.exp(-(avgInterval / duration) / 11.0567558);
+    }
+
+    /**
+     * Session result so far
+     * @returns {Object} { model, model_version, session_mos, video_mos, current_mos, stalling_index, ... }
+     */
+    getResult() {
+        const seconds = this.scores.length;
+        let videoMos = null;
+        if (seconds > 0) {
+            let weighted = 0;
+            let weights = 0;
+            this.scores.forEach((mos, i) => {
+                const weight = 1 + this.config.recency_weight * (seconds > 1 ? i / (seconds - 1) : 1);
+                weighted += mos * weight;
+                weights += weight;
+            });
+            videoMos = weighted / weights;
+        }
+
+        const stallingIndex = this.stallingIndex(seconds);
+        const sessionMos = videoMos === null ? null : this.clamp(1 + (videoMos - 1) * stallingIndex, 1, 5);
+
+        return {
+            model: QOE_MODEL_ID,
+            model_version: QOE_MODEL_VERSION,
+            session_mos: sessionMos === null ? null : Number(sessionMos.toFixed(2)),
+            video_mos: videoMos === null ? null : Number(videoMos.toFixed(2)),
+            current_mos: this.lastInput ? Number(this.lastInput.mos.toFixed(2)) : null,
+            stalling_index: Number(stallingIndex.toFixed(3)),
+            played_seconds: seconds,
+            stall_count: this.stalls.length,
+            stall_duration_s: Number(this.stalls.reduce((sum, stall) => sum + stall.duration, 0).toFixed(2)),
+            stalls: this.stalls.map(stall => ({ position_s: Number(stall.position.toFixed(1)), duration_s: Number(stall.duration.toFixed(2)) })),
+            initial_loading_s: Number(this.initialLoading.toFixed(2)),
+            mos_timeline: this.getTimeline()
+        };
+    }
+
+    /**
+     * Per-second scores averaged over timeline_bucket_s
+     */
+    getTimeline() {
+        const size = this.config.timeline_bucket_s;
+        const timeline = [];
+        for (let start = 0; start < this.scores.length; start += size) {
+            const bucket = this.scores.slice(start, start + size);
+            timeline.push({
+                position_s: start,
+                mos: Number((bucket.reduce((sum, mos) => sum + mos, 0) / bucket.length).toFixed(2))
+            });
+        }
+        return timeline.slice(-this.config.max_timeline_buckets);
+    }
+}
@@ -0,0 +1,177 @@
+import QoEModel from './QoEModel.js';
+
+/**
+ * QoEMonitor - Feeds the QoEModel once per played second from the current hls.js level and the
+ * video element (display size, stalls), so the session MOS is available live and in snapshots
+ */
+export default class QoEMonitor {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.performanceTracker = options.performanceTracker || null;
+        this.onUpdate = options.onUpdate || null;
+
+        this.config = {
+            sample_interval_ms: 1000,
+            min_stall_ms: 250,      // same threshold as PerformanceTracker rebuffering
+            display_width: null,    // null = video element size × devicePixelRatio
+            display_height: null
+        };
+
+        this.model = new QoEModel();
+        this.hlsInstance = null;
+        this.videoElement = null;
+        this.mediaHandlers = null;
+        this.sampleInterval = null;
+        this.stallStart = null;
+        this.hasPlayed = false;
+
+        console.log('QoEMonitor initialized');
+    }
+
+    /**
+     * Start scoring a new stream (the previous session result is dropped)
+     */
+    setHLSInstance(hlsInstance, videoElement = null) {
+        try {
+            this.stop();
+            this.model.reset();
+            this.stallStart = null;
+            this.hasPlayed = false;
+
+            this.hlsInstance = hlsInstance;
+            this.videoElement = videoElement;
+            if (!hlsInstance) {
+                this.notify();
+                return;
+            }
+
+            if (videoElement) {
+                this.mediaHandlers = {
+                    waiting: () => this.onWaiting(),
+                    playing: () => this.onPlaying()
+                };
+                videoElement.addEventListener('waiting', this.mediaHandlers.waiting);
+                videoElement.addEventListener('playing', this.mediaHandlers.playing);
+            }
+
+            this.sampleInterval = setInterval(() => this.sample(), this.config.sample_interval_ms);
+            this.notify();
+        } catch (error) {
+            console.error('Error setting HLS instance for QoE monitor:', error);
+        }
+    }
+
+    configure(config = {}) {
+        this.config = { ...this.config, ...config };
+    }
+
+    onWaiting() {
+        // Seeks and the initial load are not stalls
+        if (!this.hasPlayed || this.videoElement.seeking || this.stallStart !== null) return;
+        this.stallStart = { at: performance.now(), position: this.model.scores.length };
+    }
+
+    onPlaying() {
+        this.hasPlayed = true;
+        if (this.stallStart === null) return;
+
+        const duration = performance.now() - this.stallStart.at;
+        if (duration >= this.config.min_stall_ms) {
+            this.model.addStall(this.stallStart.position, duration / 1000);
+        }
+        this.stallStart = null;
+        this.notify();
+    }
+
+    /**
+     * Score the last second if it was played
+     */
+    sample() {
+        try {
+            const video = this.videoElement;
+            const hls = this.hlsInstance;
+            if (!video || !hls || !hls.levels) return;
+
+            if (this.model.initialLoading === 0 && this.performanceTracker) {
+                const startupTime = this.performanceTracker.getStartupMetrics().startup_time;
+                if (startupTime > 0) this.model.setInitialLoading(startupTime / 1000);
+            }
+
+            if (video.paused || video.seeking || this.stallStart !== null || video.readyState < 3) return;
+
+            const level = hls.levels[hls.currentLevel];
+            if (!level) return;
+
+            this.model.addSecond({
+                bitrate: level.bitrate,
+                width: level.width || video.videoWidth,
+                height: level.height || video.videoHeight,
+                framerate: level.frameRate || this.getMeasuredFramerate(),
+                codec: level.videoCodec,
+                ...this.getDisplaySize()
+            });
+            this.notify();
+        } catch (error) {
+            console.error('Error sampling QoE:', error);
+        }
+    }
+
+    getMeasuredFramerate() {
+        if (!this.performanceTracker || typeof this.performanceTracker.getFPSMetrics !== 'function') return null;
+        const fps = this.performanceTracker.getFPSMetrics().current_fps;
+        return fps > 0 ? fps : null;
+    }
+
+    /**
+     * Pixels the video is shown on: the configured display, or the element size on this screen
+     */
+    getDisplaySize() {
+        if (this.config.display_width && this.config.display_height) {
+            return { display_width: this.config.display_width, display_height: this.config.display_height };
+        }
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round((this.videoElement.clientWidth || 0) * ratio);
+        const height = Math.round((this.videoElement.clientHeight || 0) * ratio);
+        return width > 0 && height > 0 ? { display_width: width, display_height: height } : {};
+    }
+
+    /**
+     * Current result (see QoEModel.getResult)
+     */
+    getQoEMetrics() {
+        return this.model.getResult();
+    }
+
+    notify() {
+        if (!this.onUpdate) return;
+        try {
+            this.onUpdate(this.getQoEMetrics());
+        } catch (error) {
+            console.error('Error in QoE update callback:', error);
+        }
+    }
+
+    stop() {
+        if (this.sampleInterval) {
+            clearInterval(this.sampleInterval);
+            this.sampleInterval = null;
+        }
+        if (this.videoElement && this.mediaHandlers) {
+            this.videoElement.removeEventListener('waiting', this.mediaHandlers.waiting);
+            this.videoElement.removeEventListener('playing', this.mediaHandlers.playing);
+        }
+        this.mediaHandlers = null;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.stop();
+        this.hlsInstance = null;
+        this.videoElement = null;
+        this.onUpdate = null;
+        this.performanceTracker = null;
+        console.log('QoEMonitor cleanup completed');
+    }
+}
@@ -0,0 +1,579 @@
+/**
+ * RecoveryPolicy - Configurable recovery for hls.js errors, replacing the fixed
+ * startLoad() / recoverMediaError() switch. Fatal errors go through a ladder: retries per error type
+ * with exponential backoff (media errors try swapAudioCodec() on the second attempt), failover to the
+ * backup URLs, then one full reload before giving up. Repeated fragment errors step the rendition down.
+ * Every attempt and its outcome (a fragment buffered afterwards or not) is recorded in ErrorTracker.
+ */
+export default class RecoveryPolicy {
+    constructor(options = {}) {
+        this.memoryManager = options.memoryManager || null;
+        this.errorTracker = options.errorTracker || null;
+
+        this.config = {
+            max_retries: { network: 3, media: 2, mux: 0, other: 0 },
+            backoff_base_ms: 1000,
+            backoff_factor: 2,
+            backoff_max_ms: 16000,
+            swap_audio_codec: true,
+            step_down_after_frag_errors: 3, // 0 = never step down
+            frag_error_window_ms: 20000,
+            backup_urls: [],
+            full_reload: true,
+            retry_window_ms: 60000, // retry counters start over after this long without a recovery
+            outcome_timeout_ms: 15000 // no fragment buffered within this time = failed attempt
+        };
+        if (options.config) {
+            this.configure(options.config);
+        }
+
+        this.actionLabels = {
+            retry_load: 'Restarting segment loading',
+            recover_media: 'Recovering media decoder',
+            swap_audio_codec: 'Swapping audio codec',
+            step_down: 'Stepping down rendition',
+            failover: 'Failing over to backup URL',
+            full_reload: 'Reloading stream',
+            give_up: 'Recovery exhausted'
+        };
+
+        this.hlsInstance = null;
+        this.hlsHandlers = null;
+        this.state = this.createState(null);
+        this.scheduledAttempt = null;
+        this.actionTimer = null;
+        this.pendingAttempts = [];
+        this.outcomeTimers = new Map();
+        this.lastAttempt = null;
+        this.nextAttemptId = 1;
+
+        console.log('RecoveryPolicy initialized');
+    }
+
+    createState(url) {
+        return {
+            retries: { network: 0, media: 0, mux: 0, other: 0 },
+            frag_error_times: [],
+            backup_index: 0,
+            full_reloads: 0,
+            last_attempt_at: 0,
+            current_url: url
+        };
+    }
+
+    setErrorTracker(errorTracker) {
+        this.errorTracker = errorTracker;
+    }
+
+    /**
+     * Attach to a new HLS instance (new stream = fresh retry budget)
+     * @param {Object} hlsInstance - hls.js instance, or null when the stream is torn down
+     * @param {string} url - Stream URL, reloaded by the full reload step
+     */
+    setHLSInstance(hlsInstance, url = null) {
+        try {
+            this.removeHLSListeners();
+            this.cancelScheduled();
+            this.resolvePending('cancelled');
+
+            this.hlsInstance = hlsInstance;
+            this.state = this.createState(url);
+            this.updateRecoveryDisplay();
+            if (!hlsInstance || typeof hlsInstance.on !== 'function' || !window.Hls) return;
+
+            this.hlsHandlers = {
+                fragBuffered: () => this.resolvePending('succeeded')
+            };
+            hlsInstance.on(Hls.Events.FRAG_BUFFERED, this.hlsHandlers.fragBuffered);
+        } catch (error) {
+            console.error('Error setting HLS instance for recovery policy:', error);
+        }
+    }
+
+    /**
+     * Update the policy
+     * @param {Object} config - Any of the config keys; max_retries is merged per error type
+     */
+    configure(config = {}) {
+        const { max_retries: maxRetries, backup_urls: backupUrls, ...rest } = config;
+        Object.assign(this.config, rest);
+
+        if (maxRetries) {
+            this.config.max_retries = { ...this.config.max_retries, ...maxRetries };
+        }
+        if (backupUrls !== undefined) {
+            this.config.backup_urls = (Array.isArray(backupUrls) ? backupUrls : String(backupUrls).split(/[\s,]+/))
+                .map(url => url.trim())
+                .filter(Boolean);
+        }
+        this.updateRecoveryDisplay();
+    }
+
+    /**
+     * ErrorTracker category of an hls.js error
+     */
+    getErrorType(data) {
+        switch (data.type) {
+            case Hls.ErrorTypes.NETWORK_ERROR:
+                return 'network';
+            case Hls.ErrorTypes.MEDIA_ERROR:
+                return 'media';
+            case Hls.ErrorTypes.MUX_ERROR:
+                return 'mux';
+            default:
+                return 'other';
+        }
+    }
+
+    isFragmentError(data) {
+        return [
+            Hls.ErrorDetails.FRAG_LOAD_ERROR,
+            Hls.ErrorDetails.FRAG_LOAD_TIMEOUT,
+            Hls.ErrorDetails.FRAG_PARSING_ERROR,
+            Hls.ErrorDetails.FRAG_DECRYPT_ERROR
+        ].includes(data.details);
+    }
+
+    /**
+     * Errors raised before a playlist was parsed; startLoad() does not request the manifest again
+     */
+    isManifestError(data) {
+        return [
+            Hls.ErrorDetails.MANIFEST_LOAD_ERROR,
+            Hls.ErrorDetails.MANIFEST_LOAD_TIMEOUT,
+            Hls.ErrorDetails.MANIFEST_PARSING_ERROR
+        ].includes(data.details);
+    }
+
+    getBackoffDelay(attempt) {
+        const { backoff_base_ms: base, backoff_factor: factor, backoff_max_ms: max } = this.config;
+        return Math.min(max, base * Math.pow(factor, attempt - 1));
+    }
+
+    /**
+     * Decide and schedule the recovery for an hls.js error
+     * @param {Object} data - hls.js ERROR event data
+     * @returns {Object|null} The recovery attempt (action 'give_up' when the ladder is exhausted),
+     *   or null when hls.js handles the error itself
+     */
+    handleError(data) {
+        try {
+            if (!data) return null;
+
+            // A quiet period since the last recovery gives the stream a fresh retry budget
+            if (this.state.last_attempt_at && Date.now() - this.state.last_attempt_at > this.config.retry_window_ms) {
+                this.state.retries = { network: 0, media: 0, mux: 0, other: 0 };
+            }
+
+            if (!data.fatal) {
+                return this.isFragmentError(data) ? this.trackFragmentError(data) : null;
+            }
+
+            // hls.js stops after a fatal error, so one scheduled recovery covers the follow-up errors
+            if (this.scheduledAttempt) return this.scheduledAttempt;
+
+            this.resolvePending('failed');
+            const errorType = this.getErrorType(data);
+            return this.schedule(this.decide(errorType), data, errorType);
+        } catch (error) {
+            console.error('Error applying recovery policy:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Next rung of the recovery ladder for a fatal error
+     */
+    decide(errorType) {
+        const retries = this.state.retries;
+        const maxRetries = this.config.max_retries[errorType] || 0;
+
+        if (retries[errorType] < maxRetries) {
+            const attempt = ++retries[errorType];
+            let action = errorType === 'network' || errorType === 'other' ? 'retry_load' : 'recover_media';
+            if (errorType === 'media' && attempt === 2 && this.config.swap_audio_codec) {
+                action = 'swap_audio_codec';
+            }
+            return { action, attempt, delay_ms: this.getBackoffDelay(attempt) };
+        }
+
+        if (this.state.backup_index < this.config.backup_urls.length) {
+            const url = this.config.backup_urls[this.state.backup_index++];
+            retries[errorType] = 0;
+            return { action: 'failover', attempt: this.state.backup_index, delay_ms: 0, url };
+        }
+
+        if (this.config.full_reload && this.state.full_reloads === 0 && this.state.current_url) {
+            this.state.full_reloads++;
+            this.state.retries = { network: 0, media: 0, mux: 0, other: 0 };
+            return { action: 'full_reload', attempt: 1, delay_ms: 0, url: this.state.current_url };
+        }
+
+        return { action: 'give_up', attempt: 0, delay_ms: 0 };
+    }
+
+    /**
+     * Count a non-fatal fragment error; enough of them within the window steps the rendition down
+     */
+    trackFragmentError(data) {
+        const threshold = this.config.step_down_after_frag_errors;
+        if (!threshold) return null;
+
+        const now = Date.now();
+        const times = this.state.frag_error_times.filter(time => now - time <= this.config.frag_error_window_ms);
+        times.push(now);
+        this.state.frag_error_times = times;
+        if (times.length < threshold) return null;
+
+        const hls = this.hlsInstance;
+        const currentLevel = hls ? (hls.currentLevel >= 0 ? hls.currentLevel : hls.loadLevel) : -1;
+        if (!(currentLevel > 0)) return null;
+
+        this.state.frag_error_times = [];
+        return this.schedule({ action: 'step_down', attempt: 1, delay_ms: 0, level: currentLevel - 1 }, data, this.getErrorType(data));
+    }
+
+    /**
+     * Record the attempt and run it after its backoff delay
+     */
+    schedule(decision, data, errorType) {
+        const attempt = {
+            id: this.nextAttemptId++,
+            action: decision.action,
+            attempt: decision.attempt,
+            delay_ms: decision.delay_ms,
+            url: decision.url || null,
+            level: decision.level !== undefined ? decision.level : null,
+            error_type: errorType,
+            error_details: data.details || null,
+            fatal: data.fatal === true,
+            manifest_error: this.isManifestError(data),
+            timestamp: Date.now(),
+            outcome: 'pending'
+        };
+        this.lastAttempt = attempt;
+
+        if (attempt.action === 'give_up') {
+            attempt.outcome = 'failed';
+            if (this.errorTracker) this.errorTracker.recordRecoveryGiveUp(attempt);
+            this.updateRecoveryDisplay();
+            console.error(`Recovery policy exhausted for ${attempt.error_type} error: ${attempt.error_details}`);
+            return attempt;
+        }
+
+        this.state.last_attempt_at = attempt.timestamp;
+        if (this.errorTracker) this.errorTracker.recordRecoveryAttempt(attempt);
+        console.warn(`Recovery: ${this.describeAttempt(attempt)} in ${attempt.delay_ms} ms`);
+
+        if (attempt.action === 'step_down') {
+            this.runAttempt(attempt);
+            return attempt;
+        }
+
+        this.scheduledAttempt = attempt;
+        this.actionTimer = setTimeout(() => {
+            this.actionTimer = null;
+            this.scheduledAttempt = null;
+            this.runAttempt(attempt);
+        }, attempt.delay_ms);
+
+        this.updateRecoveryDisplay();
+        return attempt;
+    }
+
+    runAttempt(attempt) {
+        const hls = this.hlsInstance;
+        if (!hls) return;
+
+        try {
+            switch (attempt.action) {
+                case 'retry_load':
+                    if (attempt.manifest_error && this.state.current_url) {
+                        this.reloadSource(hls, this.state.current_url);
+                    } else {
+                        hls.startLoad();
+                    }
+                    break;
+                case 'recover_media':
+                    hls.recoverMediaError();
+                    break;
+                case 'swap_audio_codec':
+                    hls.swapAudioCodec();
+                    hls.recoverMediaError();
+                    break;
+                case 'step_down':
+                    // Capped until the next stream; hls.js levels are sorted by bitrate
+                    hls.autoLevelCapping = attempt.level;
+                    hls.nextLoadLevel = attempt.level;
+                    break;
+                case 'failover':
+                case 'full_reload':
+                    this.reloadSource(hls, attempt.url);
+                    break;
+            }
+        } catch (error) {
+            console.error(`Recovery action ${attempt.action} failed:`, error);
+            this.failAttempt(attempt);
+            return;
+        }
+
+        this.outcomeTimers.set(attempt.id, setTimeout(() => {
+            this.failAttempt(attempt);
+        }, this.config.outcome_timeout_ms));
+        this.pendingAttempts.push(attempt);
+        this.updateRecoveryDisplay();
+    }
+
+    /**
+     * A failed fatal attempt moves to the next rung itself: after a failed retry hls.js may stay
+     * stopped without raising another ERROR
+     */
+    failAttempt(attempt) {
+        if (attempt.outcome !== 'pending') return;
+        this.finishAttempt(attempt, 'failed');
+
+        if (!attempt.fatal || this.scheduledAttempt || !this.hlsInstance) return;
+        this.schedule(this.decide(attempt.error_type), { details: attempt.error_details, fatal: true }, attempt.error_type);
+    }
+
+    /**
+     * Load the source again on a fresh MediaSource, resuming VOD at the current position
+     */
+    reloadSource(hls, url) {
+        const media = hls.media;
+        const position = media && isFinite(media.duration) ? media.currentTime : -1;
+
+        hls.detachMedia();
+        if (position > 0) {
+            hls.config.startPosition = position;
+        }
+        hls.loadSource(url);
+        if (media) {
+            hls.attachMedia(media);
+        }
+        this.state.current_url = url;
+    }
+
+    /**
+     * @param {string} outcome - 'succeeded', 'failed' or 'cancelled' (stream replaced before the outcome was known)
+     */
+    finishAttempt(attempt, outcome) {
+        if (attempt.outcome !== 'pending') return;
+
+        clearTimeout(this.outcomeTimers.get(attempt.id));
+        this.outcomeTimers.delete(attempt.id);
+        attempt.outcome = outcome;
+        attempt.resolved_at = Date.now();
+        this.pendingAttempts = this.pendingAttempts.filter(item => item !== attempt);
+
+        if (this.errorTracker) this.errorTracker.recordRecoveryOutcome(attempt.id, outcome);
+        console.log(`Recovery ${attempt.action} ${outcome}`);
+        this.updateRecoveryDisplay();
+    }
+
+    /**
+     * Resolve every attempt that is waiting for its outcome
+     */
+    resolvePending(outcome) {
+        this.pendingAttempts.slice().forEach(attempt => this.finishAttempt(attempt, outcome));
+    }
+
+    cancelScheduled() {
+        if (this.actionTimer) {
+            clearTimeout(this.actionTimer);
+            this.actionTimer = null;
+        }
+        if (this.scheduledAttempt) {
+            const attempt = this.scheduledAttempt;
+            this.scheduledAttempt = null;
+            this.finishAttempt(attempt, 'cancelled');
+        }
+    }
+
+    describeAttempt(attempt) {
+        const label = this.actionLabels[attempt.action] || attempt.action;
+        if (attempt.action === 'retry_load' || attempt.action === 'recover_media' || attempt.action === 'swap_audio_codec') {
+            const maxRetries = this.config.max_retries[attempt.error_type] || 0;
+            return `${label} (attempt ${attempt.attempt}/${maxRetries})`;
+        }
+        if (attempt.action === 'step_down') return `${label} to level ${attempt.level}`;
+        return label;
+    }
+
+    getStatus() {
+        const recovery = this.errorTracker ? this.errorTracker.getErrorMetrics().recovery : null;
+        return {
+            config: { ...this.config, max_retries: { ...this.config.max_retries }, backup_urls: [...this.config.backup_urls] },
+            retries: { ...this.state.retries },
+            backup_index: this.state.backup_index,
+            full_reloads: this.state.full_reloads,
+            current_url: this.state.current_url,
+            scheduled: this.scheduledAttempt ? this.scheduledAttempt.action : null,
+            pending: this.pendingAttempts.length,
+            last_attempt: this.lastAttempt ? { ...this.lastAttempt } : null,
+            recovery
+        };
+    }
+
+    /**
+     * Update the recovery policy panel values
+     */
+    updateRecoveryDisplay() {
+        try {
+            const attemptsElement = document.getElementById('recoveryAttemptsValue');
+            if (!attemptsElement) return;
+
+            const status = this.getStatus();
+            const recovery = status.recovery;
+            attemptsElement.textContent = recovery ? recovery.attempts.toLocaleString() : '0';
+            document.getElementById('recoverySuccessValue').textContent = recovery && recovery.succeeded + recovery.failed > 0
+                ? `${recovery.success_rate.toFixed(1)}% (${recovery.succeeded}/${recovery.succeeded + recovery.failed})`
+                : '-';
+            document.getElementById('recoveryGaveUpValue').textContent = recovery ? recovery.gave_up.toLocaleString() : '0';
+
+            const lastElement = document.getElementById('recoveryLastActionValue');
+            lastElement.textContent = status.last_attempt
+                ? `${this.describeAttempt(status.last_attempt)} · ${status.last_attempt.outcome}`
+                : 'None';
+            lastElement.title = status.last_attempt ? `${status.last_attempt.error_type}: ${status.last_attempt.error_details}` : '';
+        } catch (error) {
+            console.error('Error updating recovery display:', error);
+        }
+    }
+
+    /**
+     * Create the Recovery Policy panel in the dashboard
+     */
+    createRecoveryPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid || !this.memoryManager) {
+                console.warn('Dashboard grid not found, cannot create recovery policy panel');
+                return;
+            }
+
+            if (document.getElementById('recoveryPolicyPanel')) return;
+
+            const recoveryPanel = document.createElement('article');
+            recoveryPanel.className = 'card';
+            recoveryPanel.id = 'recoveryPolicyPanel';
+
+            recoveryPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-first-aid"></i>
+                        Recovery Policy
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="recoveryNetworkRetriesInput">Network retries</label>
+                            <input type="number" id="recoveryNetworkRetriesInput" class="input-group__input" min="0" max="10">
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="recoveryMediaRetriesInput">Media retries</label>
+                            <input type="number" id="recoveryMediaRetriesInput" class="input-group__input" min="0" max="10">
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="recoveryStepDownInput">Fragment errors before step-down (0 = off)</label>
+                            <input type="number" id="recoveryStepDownInput" class="input-group__input" min="0" max="20">
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="recoveryBackupUrlsInput">Backup URLs</label>
+                            <input type="text" id="recoveryBackupUrlsInput" class="input-group__input" placeholder="https://backup.example.com/live.m3u8, ...">
+                        </div>
+                        <label class="input-group__label">
+                            <input type="checkbox" id="recoverySwapCodecInput"> Swap audio codec on second media error
+                        </label>
+                        <label class="input-group__label">
+                            <input type="checkbox" id="recoveryFullReloadInput"> Full reload before giving up
+                        </label>
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Attempts:</span>
+                            <span class="info-item__value" id="recoveryAttemptsValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Success Rate:</span>
+                            <span class="info-item__value" id="recoverySuccessValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Gave Up:</span>
+                            <span class="info-item__value" id="recoveryGaveUpValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Last Action:</span>
+                            <span class="info-item__value" id="recoveryLastActionValue">None</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(recoveryPanel);
+
+            const networkInput = recoveryPanel.querySelector('#recoveryNetworkRetriesInput');
+            const mediaInput = recoveryPanel.querySelector('#recoveryMediaRetriesInput');
+            const stepDownInput = recoveryPanel.querySelector('#recoveryStepDownInput');
+            const backupInput = recoveryPanel.querySelector('#recoveryBackupUrlsInput');
+            const swapCodecInput = recoveryPanel.querySelector('#recoverySwapCodecInput');
+            const fullReloadInput = recoveryPanel.querySelector('#recoveryFullReloadInput');
+
+            networkInput.value = this.config.max_retries.network;
+            mediaInput.value = this.config.max_retries.media;
+            stepDownInput.value = this.config.step_down_after_frag_errors;
+            backupInput.value = this.config.backup_urls.join(', ');
+            swapCodecInput.checked = this.config.swap_audio_codec;
+            fullReloadInput.checked = this.config.full_reload;
+
+            const readCount = (input, fallback) => {
+                const value = parseInt(input.value, 10);
+                return value >= 0 ? value : fallback;
+            };
+
+            this.memoryManager.addEventListener(networkInput, 'change', () => {
+                this.configure({ max_retries: { network: readCount(networkInput, this.config.max_retries.network) } });
+            });
+            this.memoryManager.addEventListener(mediaInput, 'change', () => {
+                this.configure({ max_retries: { media: readCount(mediaInput, this.config.max_retries.media) } });
+            });
+            this.memoryManager.addEventListener(stepDownInput, 'change', () => {
+                this.configure({ step_down_after_frag_errors: readCount(stepDownInput, this.config.step_down_after_frag_errors) });
+            });
+            this.memoryManager.addEventListener(backupInput, 'change', () => {
+                this.configure({ backup_urls: backupInput.value });
+            });
+            this.memoryManager.addEventListener(swapCodecInput, 'change', () => {
+                this.configure({ swap_audio_codec: swapCodecInput.checked });
+            });
+            this.memoryManager.addEventListener(fullReloadInput, 'change', () => {
+                this.configure({ full_reload: fullReloadInput.checked });
+            });
+
+            this.updateRecoveryDisplay();
+            console.log('Recovery policy panel created');
+        } catch (error) {
+            console.error('Error creating recovery policy panel:', error);
+        }
+    }
+
+    /**
+     * Remove HLS event listeners
+     */
+    removeHLSListeners() {
+        if (this.hlsInstance && this.hlsHandlers && typeof this.hlsInstance.off === 'function' && window.Hls) {
+            this.hlsInstance.off(Hls.Events.FRAG_BUFFERED, this.hlsHandlers.fragBuffered);
+        }
+        this.hlsHandlers = null;
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.setHLSInstance(null);
+        this.errorTracker = null;
+        console.log('RecoveryPolicy cleanup completed');
+    }
+}
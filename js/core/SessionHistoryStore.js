@@ -0,0 +1,314 @@
+/**
+ * SessionHistoryStore - Persists monitoring sessions and their metrics snapshots in IndexedDB
+ * so past sessions survive a page reload and can be reopened in the dashboard
+ */
+export default class SessionHistoryStore {
+    constructor(options = {}) {
+        this.config = {
+            db_name: 'hls-monitor',
+            db_version: 1,
+            max_sessions: 50,
+            max_snapshots_per_session: 360,
+            max_error_history: 200,
+            max_segment_timeline: 1000
+        };
+        Object.assign(this.config, options);
+
+        this.dbPromise = null;
+
+        console.log('SessionHistoryStore initialized');
+    }
+
+    /**
+     * Whether IndexedDB is available in this browser
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and upgrade if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.config.db_name, this.config.db_version);
+
+            request.onupgradeneeded = (event) => {
+                const db = event.target.result;
+
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessions = db.createObjectStore('sessions', { keyPath: 'session_id' });
+                    sessions.createIndex('stream_url', 'stream_url', { unique: false });
+                    sessions.createIndex('start_time', 'start_time', { unique: false });
+                }
+
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    const snapshots = db.createObjectStore('snapshots', { keyPath: 'id', autoIncrement: true });
+                    snapshots.createIndex('session_id', 'session_id', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later retry if opening failed
+        this.dbPromise.catch(() => {
+            this.dbPromise = null;
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback inside a transaction and resolve with its result once the transaction completes
+     * @param {string[]} storeNames - Object stores used by the transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object stores (in storeNames order) and returns a value or request
+     */
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = storeNames.map(name => tx.objectStore(name));
+            let result;
+
+            try {
+                result = callback(...stores);
+            } catch (error) {
+                tx.abort();
+                reject(error);
+                return;
+            }
+
+            tx.oncomplete = () => {
+                resolve(result instanceof IDBRequest ? result.result : result);
+            };
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+
+    /**
+     * Persist a metrics snapshot and update the session summary record
+     * @param {Object} snapshot - MetricsDataManager snapshot
+     * @param {number} qualityScore - Overall quality score for the snapshot
+     */
+    async recordSnapshot(snapshot, qualityScore) {
+        const session = snapshot && snapshot.session;
+        if (!session || !session.session_id) {
+            return null;
+        }
+
+        const timestamp = Date.now();
+        const segments = snapshot.segments || {};
+        const errors = snapshot.errors || {};
+
+        // Arrays that only ever grow are kept once on the session record instead of in every snapshot
+        const storedSnapshot = JSON.parse(JSON.stringify(snapshot));
+        if (storedSnapshot.segments) {
+            delete storedSnapshot.segments.segment_durations;
+            delete storedSnapshot.segments.segment_load_times;
+        }
+        if (storedSnapshot.errors) {
+            delete storedSnapshot.errors.error_history;
+        }
+
+        const record = await this.transaction(['sessions', 'snapshots'], 'readwrite', (sessions, snapshots) => {
+            const summary = {};
+
+            const getRequest = sessions.get(session.session_id);
+            getRequest.onsuccess = () => {
+                const existing = getRequest.result || {
+                    session_id: session.session_id,
+                    start_time: session.start_time || timestamp,
+                    snapshot_count: 0,
+                    error_history: [],
+                    segment_timeline: { durations: [], load_times: [] }
+                };
+
+                Object.assign(existing, {
+                    stream_url: session.stream_url || existing.stream_url || '',
+                    is_live: !!session.is_live,
+                    last_update: timestamp,
+                    duration: session.session_duration || 0,
+                    quality_score: qualityScore,
+                    error_count: errors.error_count || 0,
+                    snapshot_count: existing.snapshot_count + 1,
+                    error_history: this.mergeErrorHistory(existing.error_history, errors.error_history || []),
+                    segment_timeline: {
+                        durations: (segments.segment_durations || []).slice(-this.config.max_segment_timeline),
+                        load_times: (segments.segment_load_times || []).slice(-this.config.max_segment_timeline)
+                    }
+                });
+
+                sessions.put(existing);
+                snapshots.add({ session_id: session.session_id, timestamp, snapshot: storedSnapshot });
+                Object.assign(summary, existing);
+            };
+
+            return summary;
+        });
+
+        await this.pruneSnapshots(session.session_id);
+        await this.pruneSessions();
+
+        return record;
+    }
+
+    /**
+     * Merge newly seen errors into the persisted history (the tracker only keeps its last 50)
+     */
+    mergeErrorHistory(existing, incoming) {
+        const seen = new Set(existing.map(e => `${e.timestamp}:${e.type}:${e.message}`));
+        const merged = [...existing];
+
+        incoming.forEach(e => {
+            const key = `${e.timestamp}:${e.type}:${e.message}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                merged.push(e);
+            }
+        });
+
+        return merged.slice(-this.config.max_error_history);
+    }
+
+    /**
+     * Drop the oldest snapshots of a session beyond max_snapshots_per_session
+     */
+    async pruneSnapshots(sessionId) {
+        try {
+            await this.transaction(['snapshots'], 'readwrite', (snapshots) => {
+                const index = snapshots.index('session_id');
+                const countRequest = index.count(IDBKeyRange.only(sessionId));
+
+                countRequest.onsuccess = () => {
+                    let excess = countRequest.result - this.config.max_snapshots_per_session;
+                    if (excess <= 0) return;
+
+                    const cursorRequest = index.openCursor(IDBKeyRange.only(sessionId));
+                    cursorRequest.onsuccess = () => {
+                        const cursor = cursorRequest.result;
+                        if (!cursor || excess <= 0) return;
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    };
+                };
+            });
+        } catch (error) {
+            console.error('Error pruning session snapshots:', error);
+        }
+    }
+
+    /**
+     * Delete the oldest sessions beyond max_sessions
+     */
+    async pruneSessions() {
+        try {
+            const sessions = await this.listSessions();
+            const excess = sessions.slice(this.config.max_sessions);
+            for (const session of excess) {
+                await this.deleteSession(session.session_id);
+            }
+        } catch (error) {
+            console.error('Error pruning sessions:', error);
+        }
+    }
+
+    /**
+     * List stored sessions, newest first
+     * @param {Object} filter - Optional { stream_url } filter
+     * @returns {Promise<Object[]>} Session summary records
+     */
+    async listSessions(filter = {}) {
+        const sessions = await this.transaction(['sessions'], 'readonly', (store) => {
+            return filter.stream_url
+                ? store.index('stream_url').getAll(filter.stream_url)
+                : store.getAll();
+        });
+
+        return (sessions || []).sort((a, b) => b.start_time - a.start_time);
+    }
+
+    /**
+     * Get one session summary record
+     */
+    getSession(sessionId) {
+        return this.transaction(['sessions'], 'readonly', (store) => store.get(sessionId));
+    }
+
+    /**
+     * Get all snapshots of a session in recording order
+     */
+    async getSnapshots(sessionId) {
+        const records = await this.transaction(['snapshots'], 'readonly', (store) => {
+            return store.index('session_id').getAll(IDBKeyRange.only(sessionId));
+        });
+
+        return (records || []).sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Get the most recent snapshot of a session
+     */
+    async getLatestSnapshot(sessionId) {
+        const records = await this.getSnapshots(sessionId);
+        return records.length > 0 ? records[records.length - 1] : null;
+    }
+
+    /**
+     * Delete a session and all of its snapshots
+     */
+    deleteSession(sessionId) {
+        return this.transaction(['sessions', 'snapshots'], 'readwrite', (sessions, snapshots) => {
+            sessions.delete(sessionId);
+
+            const cursorRequest = snapshots.index('session_id').openKeyCursor(IDBKeyRange.only(sessionId));
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return;
+                snapshots.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+        });
+    }
+
+    /**
+     * Delete every stored session
+     */
+    clearAll() {
+        return this.transaction(['sessions', 'snapshots'], 'readwrite', (sessions, snapshots) => {
+            sessions.clear();
+            snapshots.clear();
+        });
+    }
+
+    /**
+     * Close the database connection
+     */
+    async cleanup() {
+        try {
+            if (this.dbPromise) {
+                const db = await this.dbPromise;
+                db.close();
+                this.dbPromise = null;
+            }
+            console.log('SessionHistoryStore cleanup completed');
+        } catch (error) {
+            console.error('Error during SessionHistoryStore cleanup:', error);
+        }
+    }
+}
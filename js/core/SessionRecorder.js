@@ -0,0 +1,105 @@
+/**
+ * SessionRecorder - Periodically saves MetricsDataManager snapshots of the current session
+ * into SessionHistoryStore
+ */
+export default class SessionRecorder {
+    constructor(store, metricsDataManager, options = {}) {
+        this.store = store;
+        this.metricsDataManager = metricsDataManager;
+        this.onRecorded = options.onRecorded || null;
+
+        this.config = {
+            record_interval_ms: 10000
+        };
+
+        this.recordInterval = null;
+        this.isRecording = false;
+        this.lastRecordTime = null;
+
+        console.log('SessionRecorder initialized');
+    }
+
+    /**
+     * Start recording the current MetricsDataManager session
+     */
+    start() {
+        try {
+            this.stop(false);
+
+            if (!this.store || !this.store.isSupported()) {
+                console.warn('Session history unavailable - IndexedDB not supported');
+                return;
+            }
+
+            this.isRecording = true;
+            this.recordInterval = setInterval(() => {
+                this.record();
+            }, this.config.record_interval_ms);
+
+            console.log(`Session recording started (${this.config.record_interval_ms}ms interval)`);
+        } catch (error) {
+            console.error('Error starting session recording:', error);
+        }
+    }
+
+    /**
+     * Stop recording
+     * @param {boolean} flush - Save one last snapshot before stopping
+     */
+    stop(flush = true) {
+        try {
+            if (this.recordInterval) {
+                clearInterval(this.recordInterval);
+                this.recordInterval = null;
+            }
+
+            if (flush && this.isRecording) {
+                this.record();
+            }
+
+            this.isRecording = false;
+        } catch (error) {
+            console.error('Error stopping session recording:', error);
+        }
+    }
+
+    /**
+     * Save the current snapshot. Sessions without a stream URL (nothing played yet) are skipped.
+     */
+    async record() {
+        try {
+            if (!this.metricsDataManager) return null;
+
+            const snapshot = this.metricsDataManager.getMetricsSnapshot();
+            if (!snapshot.session || !snapshot.session.stream_url) {
+                return null;
+            }
+
+            const qualityScore = this.metricsDataManager.calculateOverallQualityScore(snapshot);
+            const summary = await this.store.recordSnapshot(snapshot, qualityScore);
+            this.lastRecordTime = Date.now();
+
+            if (this.onRecorded && summary) {
+                this.onRecorded(summary);
+            }
+
+            return summary;
+        } catch (error) {
+            console.error('Error recording session snapshot:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.stop(true);
+            this.metricsDataManager = null;
+            console.log('SessionRecorder cleanup completed');
+        } catch (error) {
+            console.error('Error during SessionRecorder cleanup:', error);
+        }
+    }
+}
@@ -0,0 +1,469 @@
+import PlaylistParser from './PlaylistParser.js';
+import HtmlEscaper from './HtmlEscaper.js';
+
+/**
+ * SessionReplayAnalyzer - Replays a captured request log (HAR or saved NetworkRequestLog) through the
+ * live analysis pipeline without playback: segment load stats and playlist reload cadence go to
+ * PerformanceTracker, bytes and throughput to DataConsumptionTracker, captured playlists to the
+ * ConformanceValidator. The results form a "replay" session in MetricsDataManager.
+ */
+export default class SessionReplayAnalyzer {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.parser = new PlaylistParser();
+        this.performanceTracker = options.performanceTracker || null;
+        this.dataConsumptionTracker = options.dataConsumptionTracker || null;
+        this.metricsDataManager = options.metricsDataManager || null;
+        this.conformanceValidator = options.conformanceValidator || null;
+        this.requestLog = options.requestLog || null;
+        this.onBeforeReplay = options.onBeforeReplay || null;
+        this.onError = options.onError || null;
+
+        this.config = {
+            fast_half_life_s: 3,  // throughput EWMA half-lives (same defaults as hls.js abrEwma*)
+            slow_half_life_s: 9,
+            late_reload_factor: 1.5 // RFC 8216 §6.3.4: reload no later than 1.5 target durations
+        };
+
+        this.lastReplay = null;
+
+        console.log('SessionReplayAnalyzer initialized');
+    }
+
+    /**
+     * Read a HAR / request log file and replay it
+     * @param {File} file - File chosen by the user
+     * @returns {Promise<Object>} Replay summary
+     */
+    async replayFile(file) {
+        const text = await file.text();
+        return this.replay(this.requestLog.parseImport(text), file.name);
+    }
+
+    /**
+     * Replay request log entries into a new replay session
+     * @param {Array} entries - NetworkRequestLog entries, oldest first
+     * @param {string} sourceName - File name shown in the panel
+     * @returns {Object} Replay summary
+     */
+    replay(entries, sourceName = 'capture') {
+        try {
+            if (!entries || entries.length === 0) {
+                throw new Error('Nothing to replay');
+            }
+            entries = entries.map(entry => ({ ...entry }));
+
+            if (this.onBeforeReplay) {
+                this.onBeforeReplay();
+            }
+
+            const playlists = this.parseCapturedPlaylists(entries);
+            const manifestEntry = entries.find(entry => entry.type === 'manifest') || entries.find(entry => this.requestLog.isPlaylistType(entry.type));
+            const streamUrl = manifestEntry ? manifestEntry.url : sourceName;
+
+            this.resetTrackers(streamUrl);
+            this.requestLog.loadEntries(entries);
+
+            const throughput = { fast: null, slow: null, samples: [] };
+            const reloads = new Map();
+            let segmentCount = 0;
+            let failedCount = 0;
+
+            entries.forEach(entry => {
+                if (this.dataConsumptionTracker) {
+                    this.dataConsumptionTracker.incrementTotalRequests(entry.url);
+                }
+                if (entry.error || entry.status >= 400) {
+                    failedCount++;
+                    return;
+                }
+                if (entry.bytes > 0 && this.dataConsumptionTracker) {
+                    this.dataConsumptionTracker.addDataLoaded(entry.bytes);
+                }
+
+                if (['level', 'audio', 'subtitle'].includes(entry.type)) {
+                    this.replayPlaylistLoad(entry, playlists, reloads);
+                } else if (entry.type === 'fragment') {
+                    segmentCount++;
+                    this.replaySegmentLoad(entry, playlists, throughput);
+                }
+            });
+
+            const report = this.conformanceValidator
+                ? this.conformanceValidator.validateCaptured(streamUrl, playlists.captures, playlists.segmentSizes)
+                : null;
+
+            if (this.metricsDataManager) {
+                this.metricsDataManager.setLiveStatus(playlists.isLive);
+            }
+            if (this.dataConsumptionTracker) {
+                this.dataConsumptionTracker.updateDataDisplay();
+            }
+
+            const firstRequest = entries[0].started_at;
+            const lastRequest = Math.max(...entries.map(entry => entry.started_at + entry.total_time));
+            const throughputSamples = throughput.samples.slice().sort((a, b) => a - b);
+
+            this.lastReplay = {
+                source: sourceName,
+                stream_url: streamUrl,
+                session_id: this.metricsDataManager ? this.metricsDataManager.metrics.session.session_id : null,
+                captured_at: firstRequest,
+                capture_duration: Math.round((lastRequest - firstRequest) / 1000),
+                request_count: entries.length,
+                segment_count: segmentCount,
+                failed_count: failedCount,
+                is_live: playlists.isLive,
+                throughput: {
+                    estimate: throughput.fast !== null ? Math.round(Math.min(throughput.fast.value, throughput.slow.value)) : null,
+                    average: throughputSamples.length > 0 ? Math.round(throughputSamples.reduce((sum, value) => sum + value, 0) / throughputSamples.length) : null,
+                    p10: throughputSamples.length > 0 ? Math.round(throughputSamples[Math.floor(throughputSamples.length * 0.1)]) : null
+                },
+                reload_cadence: this.summarizeReloads(reloads),
+                conformance: report ? { passed: report.passed, error_count: report.error_count, warning_count: report.warning_count } : null
+            };
+
+            this.updateReplayDisplay();
+            console.log(`Replayed ${entries.length} requests from ${sourceName}`, this.lastReplay);
+            return this.lastReplay;
+        } catch (error) {
+            console.error('Error replaying request log:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Start the replay session and clear the tracker values of the previous one
+     */
+    resetTrackers(streamUrl) {
+        if (this.metricsDataManager) {
+            this.metricsDataManager.startNewSession(streamUrl, { replay: true });
+        }
+        if (this.performanceTracker) {
+            this.performanceTracker.resetSegmentMetrics();
+            this.performanceTracker.resetPlaylistMetrics();
+            this.performanceTracker.resetBitrateAndBufferMetrics();
+        }
+        if (this.dataConsumptionTracker) {
+            this.dataConsumptionTracker.resetDataMetrics();
+        }
+    }
+
+    /**
+     * Parse every captured playlist response and index the segments they list
+     */
+    parseCapturedPlaylists(entries) {
+        const result = {
+            captures: [],
+            parsedById: new Map(),
+            segments: new Map(),      // segment URL -> { duration, playlist_url }
+            segmentSizes: new Map(),  // segment URL -> bytes
+            variants: new Map(),      // media playlist URL -> { index, bandwidth, resolution }
+            mediaTypes: new Map(),    // rendition playlist URL -> 'audio' | 'subtitle'
+            isLive: false
+        };
+
+        entries.forEach(entry => {
+            const url = this.requestLog.getCanonicalUrl(entry.url);
+
+            if (entry.type === 'fragment' && entry.bytes > 0 && !entry.error) {
+                result.segmentSizes.set(url, entry.bytes);
+            }
+            if (!entry.content || !this.requestLog.isPlaylistType(entry.type)) return;
+
+            result.captures.push({ url, text: entry.content });
+
+            let playlist;
+            try {
+                playlist = this.parser.parse(entry.content, url);
+            } catch (error) {
+                console.warn(`Captured playlist could not be parsed: ${url}`, error);
+                return;
+            }
+            result.parsedById.set(entry.id, playlist);
+
+            if (playlist.type === 'master') {
+                playlist.variants.forEach((variant, index) => {
+                    if (variant.url) result.variants.set(variant.url, { index, bandwidth: variant.bandwidth, resolution: variant.resolution });
+                });
+                playlist.media.forEach(media => {
+                    if (media.url && (media.type === 'AUDIO' || media.type === 'SUBTITLES')) {
+                        result.mediaTypes.set(media.url, media.type === 'AUDIO' ? 'audio' : 'subtitle');
+                    }
+                });
+                entry.type = 'manifest';
+                entry.rendition = 'master';
+                return;
+            }
+
+            result.isLive = result.isLive || playlist.is_live;
+            playlist.segments.forEach(segment => {
+                result.segments.set(segment.url, { duration: segment.duration, playlist_url: url });
+            });
+        });
+
+        // HAR files from other tools: name renditions and tell audio/subtitle playlists apart using the master
+        entries.forEach(entry => {
+            const url = this.requestLog.getCanonicalUrl(entry.url);
+            const playlistUrl = entry.type === 'fragment' && result.segments.has(url) ? result.segments.get(url).playlist_url : url;
+
+            if (entry.type === 'level' && result.mediaTypes.has(url)) {
+                entry.type = result.mediaTypes.get(url);
+            }
+            if (entry.rendition === '-' && result.variants.has(playlistUrl)) {
+                const variant = result.variants.get(playlistUrl);
+                entry.rendition = `${variant.resolution || `L${variant.index}`} @ ${Math.round(variant.bandwidth / 1000)} kbps`;
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Feed one media playlist (re)load to the PerformanceTracker reload tracking
+     */
+    replayPlaylistLoad(entry, playlists, reloads) {
+        const url = this.requestLog.getCanonicalUrl(entry.url);
+        const media = playlists.parsedById.get(entry.id);
+        const variant = playlists.variants.get(url);
+
+        const history = reloads.get(url) || { url, type: entry.type, starts: [], target_duration: null };
+        history.starts.push(entry.started_at);
+        if (media && media.target_duration) history.target_duration = media.target_duration;
+        reloads.set(url, history);
+
+        if (this.performanceTracker && entry.total_time > 0) {
+            this.performanceTracker.onPlaylistLoaded(entry.total_time, {
+                url,
+                level: variant ? variant.index : url,
+                media_sequence: media ? media.media_sequence : undefined,
+                end_sequence: media && media.segments.length > 0 ? media.media_sequence + media.segments.length - 1 : undefined,
+                target_duration: media ? media.target_duration : undefined,
+                is_live: media ? media.is_live : undefined,
+                timestamp: entry.started_at
+            });
+        }
+    }
+
+    /**
+     * Feed one segment load to the segment stats and the throughput estimate
+     */
+    replaySegmentLoad(entry, playlists, throughput) {
+        const url = this.requestLog.getCanonicalUrl(entry.url);
+        const segment = playlists.segments.get(url);
+        const duration = entry.duration || (segment ? segment.duration : null);
+
+        if (this.performanceTracker && entry.total_time > 0) {
+            if (duration) {
+                this.performanceTracker.onSegmentLoaded(duration, entry.total_time);
+            } else {
+                this.performanceTracker.onSegmentLoadTime(entry.total_time);
+            }
+        }
+
+        if (entry.bytes > 0 && entry.download_time > 0 && this.dataConsumptionTracker) {
+            this.dataConsumptionTracker.updateTransferRate((entry.bytes / (1024 * 1024)) / (entry.download_time / 1000));
+        }
+
+        if (entry.bytes > 0 && entry.total_time > 0) {
+            const sample = (entry.bytes * 8 * 1000) / entry.total_time;
+            const weight = duration || entry.total_time / 1000;
+            throughput.samples.push(sample);
+            throughput.fast = this.updateEwma(throughput.fast, sample, weight, this.config.fast_half_life_s);
+            throughput.slow = this.updateEwma(throughput.slow, sample, weight, this.config.slow_half_life_s);
+
+            if (this.performanceTracker) {
+                this.performanceTracker.updateBandwidthMetrics(Math.round(Math.min(throughput.fast.value, throughput.slow.value)));
+            }
+        }
+
+        const variant = segment ? playlists.variants.get(segment.playlist_url) : null;
+        if (variant && variant.bandwidth && this.performanceTracker) {
+            this.performanceTracker.updateBitrateMetrics(variant.bandwidth);
+        }
+    }
+
+    /**
+     * Duration-weighted EWMA (bias corrected like the hls.js bandwidth estimator)
+     */
+    updateEwma(state, sample, weight, halfLife) {
+        const current = state || { estimate: 0, total_weight: 0, value: sample };
+        const alpha = Math.exp(Math.log(0.5) / halfLife);
+        const adjustedAlpha = Math.pow(alpha, weight);
+
+        current.estimate = sample * (1 - adjustedAlpha) + adjustedAlpha * current.estimate;
+        current.total_weight += weight;
+        current.value = current.estimate / (1 - Math.pow(alpha, current.total_weight));
+        return current;
+    }
+
+    /**
+     * Reload interval statistics per media playlist
+     */
+    summarizeReloads(reloads) {
+        return [...reloads.values()]
+            .filter(history => history.starts.length > 1)
+            .map(history => {
+                const intervals = history.starts.slice(1).map((start, index) => (start - history.starts[index]) / 1000);
+                const average = intervals.reduce((sum, value) => sum + value, 0) / intervals.length;
+                const lateLimit = history.target_duration ? history.target_duration * this.config.late_reload_factor : null;
+
+                return {
+                    url: history.url,
+                    type: history.type,
+                    reload_count: history.starts.length,
+                    target_duration: history.target_duration,
+                    avg_interval: Math.round(average * 100) / 100,
+                    max_interval: Math.round(Math.max(...intervals) * 100) / 100,
+                    late_reloads: lateLimit ? intervals.filter(interval => interval > lateLimit).length : 0
+                };
+            });
+    }
+
+    /**
+     * Get the last replay summary
+     */
+    getLastReplay() {
+        return this.lastReplay ? JSON.parse(JSON.stringify(this.lastReplay)) : null;
+    }
+
+    /**
+     * Update replay panel
+     * @param {string} status - Optional status override
+     */
+    updateReplayDisplay(status = null) {
+        try {
+            const statusElement = document.getElementById('replayStatusValue');
+            if (!statusElement) return;
+
+            if (status) {
+                statusElement.textContent = status;
+                return;
+            }
+
+            const replay = this.lastReplay;
+            if (!replay) return;
+
+            const formatKbps = (bps) => bps !== null ? `${Math.round(bps / 1000).toLocaleString()} kbps` : '-';
+
+            statusElement.textContent = replay.source;
+            statusElement.title = replay.stream_url;
+            document.getElementById('replayRequestsValue').textContent = `${replay.request_count} (${replay.failed_count} failed)`;
+            document.getElementById('replaySegmentsValue').textContent = replay.segment_count;
+            document.getElementById('replayDurationValue').textContent = `${replay.capture_duration}s${replay.is_live ? ' · LIVE' : ''}`;
+            document.getElementById('replayThroughputValue').textContent = formatKbps(replay.throughput.estimate);
+            document.getElementById('replayConformanceValue').textContent = replay.conformance
+                ? `${replay.conformance.error_count} errors, ${replay.conformance.warning_count} warnings`
+                : '-';
+
+            const list = document.getElementById('replayCadenceList');
+            if (replay.reload_cadence.length === 0) {
+                list.innerHTML = '<li class="replay-cadence__empty">No playlist reloads in the capture</li>';
+                return;
+            }
+
+            list.innerHTML = replay.reload_cadence.map(cadence => `
+                <li class="replay-cadence__item${cadence.late_reloads > 0 ? ' replay-cadence__item--late' : ''}">
+                    <span class="replay-cadence__url" title="${HtmlEscaper.escape(cadence.url)}">${HtmlEscaper.escape(cadence.url.split('?')[0].split('/').slice(-2).join('/'))}</span>
+                    <span>${cadence.reload_count} loads · every ${cadence.avg_interval}s (max ${cadence.max_interval}s)${cadence.target_duration ? ` · target ${cadence.target_duration}s` : ''}${cadence.late_reloads > 0 ? ` · ${cadence.late_reloads} late` : ''}</span>
+                </li>
+            `).join('');
+        } catch (error) {
+            console.error('Error updating replay display:', error);
+        }
+    }
+
+    /**
+     * Create the Replay panel in the dashboard
+     */
+    createReplayPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create replay panel');
+                return;
+            }
+
+            if (document.getElementById('sessionReplayPanel')) return;
+
+            const replayPanel = document.createElement('article');
+            replayPanel.className = 'card';
+            replayPanel.id = 'sessionReplayPanel';
+
+            replayPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-file-import"></i>
+                        Replay
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="replayFileInput">HAR or request log</label>
+                            <input type="file" id="replayFileInput" class="input-group__input" accept=".har,.json,application/json">
+                        </div>
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Capture:</span>
+                            <span class="info-item__value" id="replayStatusValue">No capture loaded</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Requests:</span>
+                            <span class="info-item__value" id="replayRequestsValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Segments:</span>
+                            <span class="info-item__value" id="replaySegmentsValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Duration:</span>
+                            <span class="info-item__value" id="replayDurationValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Est. Throughput:</span>
+                            <span class="info-item__value" id="replayThroughputValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Conformance:</span>
+                            <span class="info-item__value" id="replayConformanceValue">-</span>
+                        </div>
+                    </div>
+                    <ul id="replayCadenceList" class="replay-cadence"></ul>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(replayPanel);
+
+            const fileInput = replayPanel.querySelector('#replayFileInput');
+            this.memoryManager.addEventListener(fileInput, 'change', async () => {
+                const file = fileInput.files[0];
+                if (!file) return;
+
+                this.updateReplayDisplay('Replaying...');
+                try {
+                    await this.replayFile(file);
+                } catch (error) {
+                    this.updateReplayDisplay('Replay failed');
+                    if (this.onError) this.onError(`Could not replay ${file.name}: ${error.message}`);
+                } finally {
+                    fileInput.value = '';
+                }
+            });
+
+            console.log('Replay panel created');
+        } catch (error) {
+            console.error('Error creating replay panel:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.lastReplay = null;
+        this.requestLog = null;
+        console.log('SessionReplayAnalyzer cleanup completed');
+    }
+}
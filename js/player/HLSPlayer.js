@@ -1,14 +1,27 @@
+import RecoveryPolicy from '../core/RecoveryPolicy.js';
+
 /**
  * HLSPlayer - Quản lý HLS player và các event liên quan
  */
 export default class HLSPlayer {
-    constructor(videoElement, memoryManager) {
+    constructor(videoElement, memoryManager, options = {}) {
         this.videoElement = videoElement;
         this.memoryManager = memoryManager;
         this.hlsInstance = null;
         this.isLiveStream = false;
         this.streamAnalytics = null;
         this.performanceTracker = null;
+        this.errorTracker = null;
+        this.dataConsumptionTracker = null;
+
+        // Headless player không cập nhật live indicator và các nút điều khiển
+        this.headless = options.headless === true;
+
+        // Loader hls.js tuỳ chỉnh (vd. NetworkThrottler.createLoader() để giả lập điều kiện mạng)
+        this.loader = options.loader || null;
+
+        // Mỗi player có recovery policy riêng (retry budget theo từng stream)
+        this.recoveryPolicy = new RecoveryPolicy({ config: options.recoveryPolicy });
 
         this.initializeVideoEvents();
     }
@@ -71,6 +84,55 @@ export default class HLSPlayer {
         }
     }
 
+    /**
+     * Set error tracker instance
+     */
+    setErrorTracker(tracker) {
+        this.errorTracker = tracker;
+        this.recoveryPolicy.setErrorTracker(tracker);
+    }
+
+    /**
+     * Set data consumption tracker instance
+     */
+    setDataConsumptionTracker(tracker) {
+        this.dataConsumptionTracker = tracker;
+    }
+
+    /**
+     * Kết nối các tracker với HLS instance vừa tạo (trước khi load source)
+     */
+    connectTrackers() {
+        if (!this.hlsInstance) return;
+
+        try {
+            if (this.errorTracker) {
+                this.errorTracker.resetErrorMetrics();
+                this.errorTracker.setHLSInstance(this.hlsInstance);
+                if (this.dataConsumptionTracker) {
+                    this.errorTracker.setDataConsumptionTracker(this.dataConsumptionTracker);
+                }
+            }
+
+            if (this.dataConsumptionTracker) {
+                this.dataConsumptionTracker.resetDataMetrics();
+                this.dataConsumptionTracker.setHLSInstance(this.hlsInstance);
+                if (this.performanceTracker) {
+                    this.dataConsumptionTracker.setPerformanceTracker(this.performanceTracker);
+                }
+                if (this.videoElement) {
+                    this.dataConsumptionTracker.setVideoElement(this.videoElement);
+                }
+            }
+
+            if (this.performanceTracker && typeof this.performanceTracker.setHLSInstance === 'function') {
+                this.performanceTracker.setHLSInstance(this.hlsInstance);
+            }
+        } catch (error) {
+            console.warn('Failed to connect trackers to HLS instance:', error);
+        }
+    }
+
     /**
      * Xử lý khi video play
      */
@@ -146,6 +208,9 @@ export default class HLSPlayer {
                 if (typeof this.performanceTracker.resetSegmentMetrics === 'function') {
                     this.performanceTracker.resetSegmentMetrics();
                 }
+                if (typeof this.performanceTracker.resetPlaylistMetrics === 'function') {
+                    this.performanceTracker.resetPlaylistMetrics();
+                }
             }
 
             if (Hls.isSupported() && window.Hls) {
@@ -183,11 +248,14 @@ export default class HLSPlayer {
                     liveMaxLatencyDurationCount: Infinity,
                     liveDurationInfinity: false,
                     liveBackBufferLength: Infinity,
-                    maxLiveSyncPlaybackRate: 1
+                    maxLiveSyncPlaybackRate: 1,
+                    ...(this.loader ? { loader: this.loader } : {})
                 });
 
                 // Setup event listeners
                 this.setupHLSEvents(resolve, reject);
+                this.connectTrackers();
+                this.recoveryPolicy.setHLSInstance(this.hlsInstance, url);
 
                 // Load source
                 this.hlsInstance.loadSource(url);
@@ -327,22 +395,12 @@ export default class HLSPlayer {
     handleHLSError(event, data, reject) {
         console.error('HLS Error:', data);
 
-        if (data.fatal) {
-            switch (data.type) {
-                case Hls.ErrorTypes.NETWORK_ERROR:
-                    console.error('Fatal network error encountered, trying to recover');
-                    this.hlsInstance.startLoad();
-                    break;
-                case Hls.ErrorTypes.MEDIA_ERROR:
-                    console.error('Fatal media error encountered, trying to recover');
-                    this.hlsInstance.recoverMediaError();
-                    break;
-                default:
-                    console.error('Fatal error, cannot recover');
-                    this.destroyHLS();
-                    if (reject) reject(new Error(`HLS Error: ${data.type}`));
-                    break;
-            }
+        // Recovery policy quyết định retry / failover / reload; chỉ dừng khi đã hết cách
+        const attempt = this.recoveryPolicy.handleError(data);
+        if (data.fatal && (!attempt || attempt.action === 'give_up')) {
+            console.error('Fatal error, cannot recover');
+            this.destroyHLS();
+            if (reject) reject(new Error(`HLS Error: ${data.type}`));
         }
     }
 
@@ -350,6 +408,7 @@ export default class HLSPlayer {
      * Destroy HLS instance
      */
     destroyHLS() {
+        this.recoveryPolicy.setHLSInstance(null);
         if (this.hlsInstance) {
             try {
                 this.hlsInstance.destroy();
@@ -364,6 +423,8 @@ export default class HLSPlayer {
      * Show live indicator
      */
     showLiveIndicator() {
+        if (this.headless) return;
+
         try {
             const liveIndicator = document.getElementById('liveIndicator');
             if (liveIndicator) {
@@ -383,6 +444,8 @@ export default class HLSPlayer {
      * Hide live indicator
      */
     hideLiveIndicator() {
+        if (this.headless) return;
+
         try {
             const liveIndicator = document.getElementById('liveIndicator');
             if (liveIndicator) {
@@ -398,6 +461,8 @@ export default class HLSPlayer {
      * Update play/pause button
      */
     updatePlayPauseButton() {
+        if (this.headless) return;
+
         try {
             const playPauseBtn = document.getElementById('playPauseBtn');
             if (playPauseBtn && this.videoElement) {
@@ -0,0 +1,414 @@
+import PlaylistParser from '../core/PlaylistParser.js';
+
+/**
+ * VirtualViewer - Manifest-only viewer: poll playlist và tải segment bằng fetch() (không decode, không MSE)
+ */
+export default class VirtualViewer {
+    constructor(url, options = {}) {
+        this.url = url;
+        this.id = options.id || 0;
+        this.performanceTracker = options.performanceTracker || null;
+        this.errorTracker = options.errorTracker || null;
+        this.dataConsumptionTracker = options.dataConsumptionTracker || null;
+        this.parser = new PlaylistParser();
+
+        this.config = {
+            max_buffer_length: 30, // giây, giống maxBufferLength của HLS.js
+            live_sync_segment_count: 3, // giống liveSyncDurationCount
+            abr_safety_factor: 0.8,
+            abr_ewma_alpha: 0.3,
+            max_segment_retries: 3,
+            retry_delay_ms: 1000,
+            tick_interval_ms: 250,
+            ...options.config
+        };
+
+        this.state = 'idle';
+        this.variants = [];
+        this.currentVariantIndex = 0;
+        this.mediaPlaylist = null;
+        this.nextSequence = null;
+        this.segmentRetries = 0;
+        this.isFetchingSegment = false;
+
+        // Mô phỏng buffer: giây media đã tải nhưng chưa "phát"
+        this.bufferLevel = 0;
+        this.throughputEstimate = null; // bits per second (EWMA)
+
+        this.stats = {
+            startup_time: null,
+            stall_count: 0,
+            stall_duration: 0,
+            watch_time: 0,
+            segments_loaded: 0,
+            failed_requests: 0,
+            bytes_loaded: 0,
+            level_switches: 0
+        };
+
+        this.startTime = null;
+        this.stallStartTime = null;
+        this.lastTickTime = null;
+        this.tickInterval = null;
+        this.reloadTimer = null;
+        this.retryTimer = null;
+        this.abortController = null;
+    }
+
+    /**
+     * Bắt đầu viewer: tải master/media playlist rồi bắt đầu tải segment
+     */
+    async start() {
+        this.state = 'starting';
+        this.startTime = performance.now();
+        this.abortController = new AbortController();
+
+        try {
+            const playlist = await this.loadPlaylist(this.url);
+
+            if (playlist.type === 'master') {
+                this.variants = playlist.variants.filter(variant => variant.url);
+                if (this.variants.length === 0) {
+                    throw new Error('Master playlist has no playable variants');
+                }
+
+                // Bắt đầu với rendition thấp nhất, ABR sẽ nâng dần
+                this.currentVariantIndex = 0;
+                this.mediaPlaylist = await this.loadPlaylist(this.variants[0].url);
+            } else {
+                this.mediaPlaylist = playlist;
+            }
+
+            if (this.mediaPlaylist.segments.length === 0) {
+                throw new Error('Media playlist has no segments');
+            }
+
+            this.nextSequence = this.getStartSequence(this.mediaPlaylist);
+            this.lastTickTime = performance.now();
+            this.tickInterval = setInterval(() => this.tick(), this.config.tick_interval_ms);
+
+            this.scheduleReload();
+            this.fetchNextSegment();
+        } catch (error) {
+            this.handleError('Virtual viewer failed to start', error, true);
+            this.stop();
+            this.state = 'failed';
+            throw error;
+        }
+    }
+
+    /**
+     * Tải và parse một playlist, ghi nhận thời gian reload vào PerformanceTracker
+     */
+    async loadPlaylist(url) {
+        const requestStart = performance.now();
+        const response = await fetch(url, { signal: this.abortController.signal, cache: 'no-store' });
+
+        if (!response.ok) {
+            throw new Error(`Playlist request failed: HTTP ${response.status}`);
+        }
+
+        const text = await response.text();
+        const loadTime = performance.now() - requestStart;
+        const playlist = this.parser.parse(text, response.url || url);
+
+        if (this.dataConsumptionTracker) {
+            this.dataConsumptionTracker.addDataLoaded(text.length);
+            this.dataConsumptionTracker.incrementTotalRequests(url);
+        }
+
+        if (playlist.type === 'media' && this.performanceTracker) {
+            this.performanceTracker.onPlaylistLoaded(loadTime, {
+                url: url,
+                level: this.currentVariantIndex,
+                media_sequence: playlist.media_sequence,
+                end_sequence: playlist.media_sequence + playlist.segments.length - 1,
+                target_duration: playlist.target_duration,
+                is_live: playlist.is_live
+            });
+        }
+
+        return playlist;
+    }
+
+    /**
+     * Vị trí bắt đầu: segment đầu (VOD) hoặc cách live edge N segment (live)
+     */
+    getStartSequence(playlist) {
+        const first = playlist.segments[0].sequence;
+        if (!playlist.is_live) {
+            return first;
+        }
+
+        const last = playlist.segments[playlist.segments.length - 1].sequence;
+        return Math.max(first, last - this.config.live_sync_segment_count + 1);
+    }
+
+    /**
+     * Tick mô phỏng playback: tiêu thụ buffer, phát hiện stall
+     */
+    tick() {
+        try {
+            const now = performance.now();
+            const elapsed = (now - this.lastTickTime) / 1000;
+            this.lastTickTime = now;
+
+            if (this.state === 'playing') {
+                const played = Math.min(elapsed, this.bufferLevel);
+                this.bufferLevel -= played;
+                this.stats.watch_time += played;
+
+                if (this.bufferLevel <= 0) {
+                    this.bufferLevel = 0;
+
+                    if (this.hasReachedEnd()) {
+                        this.state = 'ended';
+                        this.stop();
+                        return;
+                    }
+
+                    this.state = 'stalled';
+                    this.stats.stall_count++;
+                    this.stallStartTime = now;
+                }
+            }
+
+            this.fetchNextSegment();
+        } catch (error) {
+            console.error(`Virtual viewer #${this.id} tick error:`, error);
+        }
+    }
+
+    /**
+     * VOD đã tải hết segment
+     */
+    hasReachedEnd() {
+        if (!this.mediaPlaylist || !this.mediaPlaylist.end_list) return false;
+
+        const segments = this.mediaPlaylist.segments;
+        return this.nextSequence > segments[segments.length - 1].sequence;
+    }
+
+    /**
+     * Tải segment tiếp theo nếu buffer còn chỗ
+     */
+    async fetchNextSegment() {
+        if (this.isFetchingSegment || !this.mediaPlaylist) return;
+        if (this.state === 'stopped' || this.state === 'ended' || this.state === 'failed') return;
+        if (this.bufferLevel >= this.config.max_buffer_length) return;
+
+        const segments = this.mediaPlaylist.segments;
+        if (segments.length === 0) return;
+
+        // Bị trượt khỏi cửa sổ live -> nhảy lên segment cũ nhất còn lại
+        if (this.nextSequence < segments[0].sequence) {
+            console.warn(`Virtual viewer #${this.id} fell behind live window, jumping to ${segments[0].sequence}`);
+            this.nextSequence = segments[0].sequence;
+        }
+
+        const segment = segments.find(item => item.sequence === this.nextSequence);
+        if (!segment) return; // Chờ playlist reload (live) hoặc đã hết (VOD)
+
+        this.isFetchingSegment = true;
+
+        try {
+            const headers = {};
+            if (segment.byte_range) {
+                const end = segment.byte_range.offset + segment.byte_range.length - 1;
+                headers.Range = `bytes=${segment.byte_range.offset}-${end}`;
+            }
+
+            const requestStart = performance.now();
+            const response = await fetch(segment.url, { signal: this.abortController.signal, headers });
+            if (!response.ok) {
+                throw new Error(`Segment request failed: HTTP ${response.status}`);
+            }
+
+            const data = await response.arrayBuffer();
+            const loadTime = performance.now() - requestStart;
+
+            this.onSegmentFetched(segment, data.byteLength, loadTime);
+            this.nextSequence++;
+            this.segmentRetries = 0;
+
+            await this.selectRendition();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            this.stats.failed_requests++;
+            this.handleError(`Segment ${segment.sequence} load failed`, error, false);
+
+            this.segmentRetries++;
+            if (this.segmentRetries > this.config.max_segment_retries) {
+                // Bỏ qua segment lỗi sau khi retry hết số lần cho phép
+                this.nextSequence++;
+                this.segmentRetries = 0;
+            }
+
+            this.isFetchingSegment = false;
+            this.retryTimer = setTimeout(() => this.fetchNextSegment(), this.config.retry_delay_ms);
+            return;
+        }
+
+        this.isFetchingSegment = false;
+        this.fetchNextSegment();
+    }
+
+    /**
+     * Cập nhật buffer, throughput và tracker khi segment tải xong
+     */
+    onSegmentFetched(segment, bytes, loadTime) {
+        const now = performance.now();
+
+        this.bufferLevel += segment.duration;
+        this.stats.segments_loaded++;
+        this.stats.bytes_loaded += bytes;
+
+        // Ước lượng throughput bằng EWMA
+        if (loadTime > 0) {
+            const throughput = (bytes * 8) / (loadTime / 1000);
+            this.throughputEstimate = this.throughputEstimate === null
+                ? throughput
+                : this.config.abr_ewma_alpha * throughput + (1 - this.config.abr_ewma_alpha) * this.throughputEstimate;
+        }
+
+        if (this.performanceTracker) {
+            this.performanceTracker.onSegmentLoaded(segment.duration, loadTime);
+        }
+
+        if (this.dataConsumptionTracker) {
+            this.dataConsumptionTracker.addDataLoaded(bytes);
+            this.dataConsumptionTracker.incrementTotalRequests(segment.url);
+        }
+
+        // Segment đầu tiên vào buffer = "first frame"
+        if (this.stats.startup_time === null) {
+            this.stats.startup_time = now - this.startTime;
+            this.state = 'playing';
+            this.lastTickTime = now;
+        }
+
+        if (this.state === 'stalled') {
+            this.stats.stall_duration += (now - this.stallStartTime) / 1000;
+            this.stallStartTime = null;
+            this.state = 'playing';
+        }
+    }
+
+    /**
+     * ABR đơn giản theo throughput: chọn rendition cao nhất có BANDWIDTH <= throughput * safety
+     */
+    async selectRendition() {
+        if (this.variants.length < 2 || this.throughputEstimate === null) return;
+
+        const budget = this.throughputEstimate * this.config.abr_safety_factor;
+        let targetIndex = 0;
+        this.variants.forEach((variant, index) => {
+            if (variant.bandwidth <= budget) {
+                targetIndex = index;
+            }
+        });
+
+        // Không tăng chất lượng khi buffer gần cạn
+        if (targetIndex > this.currentVariantIndex && this.bufferLevel < (this.mediaPlaylist.target_duration || 6)) {
+            return;
+        }
+
+        if (targetIndex === this.currentVariantIndex) return;
+
+        try {
+            const previousIndex = this.currentVariantIndex;
+            this.currentVariantIndex = targetIndex;
+            this.mediaPlaylist = await this.loadPlaylist(this.variants[targetIndex].url);
+            this.stats.level_switches++;
+            console.log(`Virtual viewer #${this.id} switched level ${previousIndex} -> ${targetIndex}`);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            this.handleError('Level switch playlist load failed', error, false);
+        }
+    }
+
+    /**
+     * Reload media playlist định kỳ cho live stream
+     */
+    scheduleReload() {
+        if (!this.mediaPlaylist || !this.mediaPlaylist.is_live) return;
+
+        const delay = (this.mediaPlaylist.target_duration || 6) * 1000;
+        this.reloadTimer = setTimeout(async () => {
+            try {
+                const url = this.variants.length > 0 ? this.variants[this.currentVariantIndex].url : this.url;
+                this.mediaPlaylist = await this.loadPlaylist(url);
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                this.handleError('Playlist reload failed', error, false);
+            }
+
+            if (this.state !== 'stopped' && this.state !== 'failed') {
+                this.scheduleReload();
+                this.fetchNextSegment();
+            }
+        }, delay);
+    }
+
+    /**
+     * Ghi nhận lỗi vào ErrorTracker
+     */
+    handleError(message, error, isFatal) {
+        console.warn(`Virtual viewer #${this.id}: ${message}:`, error.message || error);
+        if (this.errorTracker) {
+            this.errorTracker.recordError('network', message, error.message || 'Unknown error', isFatal);
+        }
+    }
+
+    /**
+     * Dừng viewer và huỷ mọi request đang chạy
+     */
+    stop() {
+        try {
+            if (this.state === 'stalled' && this.stallStartTime) {
+                this.stats.stall_duration += (performance.now() - this.stallStartTime) / 1000;
+                this.stallStartTime = null;
+            }
+
+            if (this.state !== 'ended' && this.state !== 'failed') {
+                this.state = 'stopped';
+            }
+
+            if (this.tickInterval) {
+                clearInterval(this.tickInterval);
+                this.tickInterval = null;
+            }
+            if (this.reloadTimer) {
+                clearTimeout(this.reloadTimer);
+                this.reloadTimer = null;
+            }
+            if (this.retryTimer) {
+                clearTimeout(this.retryTimer);
+                this.retryTimer = null;
+            }
+            if (this.abortController) {
+                this.abortController.abort();
+            }
+        } catch (error) {
+            console.error(`Error stopping virtual viewer #${this.id}:`, error);
+        }
+    }
+
+    /**
+     * Lấy thống kê của viewer
+     */
+    getStats() {
+        const currentVariant = this.variants[this.currentVariantIndex];
+
+        return {
+            ...this.stats,
+            state: this.state,
+            current_level: this.currentVariantIndex,
+            current_bitrate: currentVariant ? currentVariant.bandwidth : null,
+            throughput_estimate: this.throughputEstimate,
+            buffer_level: this.bufferLevel,
+            rebuffer_ratio: this.stats.watch_time > 0 ? (this.stats.stall_duration / this.stats.watch_time) * 100 : 0
+        };
+    }
+}
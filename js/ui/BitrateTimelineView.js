@@ -0,0 +1,305 @@
+import BitrateSwitchAnalyzer from '../core/BitrateSwitchAnalyzer.js';
+import HtmlEscaper from '../core/HtmlEscaper.js';
+
+/**
+ * BitrateTimelineView - Rendition level over time with the buffer level overlaid, built from the
+ * PerformanceTracker switch timeline, plus the switch statistics of BitrateSwitchAnalyzer
+ */
+export default class BitrateTimelineView {
+    constructor(memoryManager, performanceTracker) {
+        this.memoryManager = memoryManager;
+        this.performanceTracker = performanceTracker;
+        this.analyzer = new BitrateSwitchAnalyzer();
+
+        this.samples = [];
+        this.maxSamples = 600; // 10 minutes at one sample per second
+        this.sampleInterval = null;
+        this.lastSwitchTimestamp = null;
+        this.chart = null;
+
+        console.log('BitrateTimelineView initialized');
+    }
+
+    /**
+     * Start sampling a new stream (clears the previous timeline)
+     */
+    start() {
+        this.stop();
+        this.samples = [];
+        this.lastSwitchTimestamp = null;
+        this.sampleInterval = setInterval(() => this.sample(), 1000);
+        this.updateTimelineDisplay();
+    }
+
+    stop() {
+        if (this.sampleInterval) {
+            clearInterval(this.sampleInterval);
+            this.sampleInterval = null;
+        }
+    }
+
+    getTimeline() {
+        return this.performanceTracker ? this.performanceTracker.getBitrateMetrics().switch_timeline || [] : [];
+    }
+
+    /**
+     * Take one level/buffer sample; a sample that follows a switch carries its direction
+     */
+    sample() {
+        try {
+            const timeline = this.getTimeline();
+            if (timeline.length === 0) return;
+
+            const current = timeline[timeline.length - 1];
+            const switched = current.timestamp !== this.lastSwitchTimestamp && this.samples.length > 0;
+            this.lastSwitchTimestamp = current.timestamp;
+
+            this.samples.push({
+                timestamp: Date.now(),
+                level: current.level,
+                bitrate: current.bitrate,
+                buffer_length: this.performanceTracker.getBufferMetrics().buffer_length || 0,
+                direction: switched ? current.direction : null
+            });
+            if (this.samples.length > this.maxSamples) {
+                this.samples.shift();
+            }
+
+            this.updateTimelineDisplay();
+        } catch (error) {
+            console.error('Error sampling bitrate timeline:', error);
+        }
+    }
+
+    getStatistics() {
+        return this.analyzer.analyze(this.getTimeline(), Date.now());
+    }
+
+    formatBitrate(bps) {
+        if (!bps) return '-';
+        if (bps >= 1000000) return `${(bps / 1000000).toFixed(2)} Mbps`;
+        return `${Math.round(bps / 1000)} kbps`;
+    }
+
+    formatElapsed(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Update the statistics, the time-at-level bars, the recent switches and the chart
+     */
+    updateTimelineDisplay() {
+        try {
+            const gradeElement = document.getElementById('bitrateStabilityValue');
+            if (!gradeElement) return;
+
+            const stats = this.getStatistics();
+            const timeline = this.getTimeline();
+
+            gradeElement.textContent = timeline.length > 0 ? stats.grade : '-';
+            document.getElementById('bitrateSwitchCountValue').textContent = `${stats.switch_count} (↑${stats.up_switches} ↓${stats.down_switches})`;
+            document.getElementById('bitrateSwitchRateValue').textContent = stats.switches_per_minute.toFixed(2);
+            document.getElementById('bitrateOscillationValue').textContent = stats.is_oscillating
+                ? `${stats.oscillation_count} (oscillating)`
+                : String(stats.oscillation_count);
+            document.getElementById('bitrateWeightedAvgValue').textContent = this.formatBitrate(stats.time_weighted_avg_bitrate);
+
+            const levelList = document.getElementById('bitrateTimeAtLevelList');
+            const levels = Object.entries(stats.time_at_level).sort((a, b) => b[1].bitrate - a[1].bitrate);
+            levelList.innerHTML = levels.length === 0
+                ? '<li class="bitrate-timeline__empty">No rendition played yet</li>'
+                : levels.map(([level, slot]) => `
+                    <li class="bitrate-timeline__level">
+                        <span class="bitrate-timeline__label">L${HtmlEscaper.escape(level)} · ${this.formatBitrate(slot.bitrate)}</span>
+                        <span class="bitrate-timeline__track"><span class="bitrate-timeline__bar" style="width: ${slot.share}%"></span></span>
+                        <span class="bitrate-timeline__share">${slot.seconds.toFixed(0)} s · ${slot.share}%</span>
+                    </li>
+                `).join('');
+
+            const switchList = document.getElementById('bitrateSwitchList');
+            const switches = timeline.filter(entry => entry.direction !== 'initial').slice(-20).reverse();
+            switchList.innerHTML = switches.length === 0
+                ? '<li class="abr-log__empty">No switches yet</li>'
+                : switches.map(entry => `
+                    <li class="abr-log__item abr-log__item--${entry.direction}">
+                        <span class="abr-log__level">${new Date(entry.timestamp).toLocaleTimeString()} · L${entry.from_level} → L${entry.level} (${this.formatBitrate(entry.bitrate)}) · buffer ${entry.buffer_length.toFixed(1)} s</span>
+                        <span>${HtmlEscaper.escape(entry.reason || 'Reason unknown')}</span>
+                    </li>
+                `).join('');
+
+            this.updateTimelineChart();
+        } catch (error) {
+            console.error('Error updating bitrate timeline display:', error);
+        }
+    }
+
+    initializeTimelineChart() {
+        const canvas = document.getElementById('bitrateTimelineChart');
+        if (!canvas || typeof Chart === 'undefined') {
+            console.warn('Bitrate timeline chart canvas or Chart.js not available');
+            return;
+        }
+
+        this.chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Rendition (Mbps)',
+                        data: [],
+                        stepped: true,
+                        borderColor: 'rgb(37, 99, 235)',
+                        backgroundColor: 'rgba(37, 99, 235, 0.1)',
+                        borderWidth: 2,
+                        fill: true,
+                        pointRadius: [],
+                        pointBackgroundColor: [],
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Buffer (s)',
+                        data: [],
+                        borderColor: 'rgb(16, 185, 129)',
+                        backgroundColor: 'rgba(16, 185, 129, 0.1)',
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        tension: 0.3,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { mode: 'index', intersect: false },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top',
+                        labels: {
+                            color: '#f8fafc',
+                            usePointStyle: true,
+                            pointStyle: 'circle'
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        ticks: { color: '#64748b', maxTicksLimit: 8 },
+                        grid: { color: 'rgba(51, 65, 85, 0.3)' }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        position: 'left',
+                        ticks: { color: '#64748b' },
+                        grid: { color: 'rgba(51, 65, 85, 0.3)' }
+                    },
+                    y1: {
+                        beginAtZero: true,
+                        position: 'right',
+                        ticks: { color: '#64748b' },
+                        grid: { drawOnChartArea: false }
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Switch samples get a marker: green for up, amber for down
+     */
+    updateTimelineChart() {
+        if (!this.chart) return;
+
+        const start = this.samples.length > 0 ? this.samples[0].timestamp : 0;
+        const levelDataset = this.chart.data.datasets[0];
+        this.chart.data.labels = this.samples.map(sample => this.formatElapsed(sample.timestamp - start));
+        levelDataset.data = this.samples.map(sample => Number((sample.bitrate / 1000000).toFixed(2)));
+        levelDataset.pointRadius = this.samples.map(sample => sample.direction ? 4 : 0);
+        levelDataset.pointBackgroundColor = this.samples.map(sample => sample.direction === 'up' ? 'rgb(16, 185, 129)' : 'rgb(245, 158, 11)');
+        this.chart.data.datasets[1].data = this.samples.map(sample => Number(sample.buffer_length.toFixed(1)));
+        this.chart.update('none');
+    }
+
+    /**
+     * Create the Bitrate Switching panel in the dashboard
+     */
+    createTimelinePanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create bitrate timeline panel');
+                return;
+            }
+
+            if (document.getElementById('bitrateTimelinePanel')) return;
+
+            const timelinePanel = document.createElement('article');
+            timelinePanel.className = 'card';
+            timelinePanel.id = 'bitrateTimelinePanel';
+
+            timelinePanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-random"></i>
+                        Bitrate Switching
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Stability:</span>
+                            <span class="info-item__value" id="bitrateStabilityValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Switches:</span>
+                            <span class="info-item__value" id="bitrateSwitchCountValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Switches / min:</span>
+                            <span class="info-item__value" id="bitrateSwitchRateValue">0.00</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Oscillations:</span>
+                            <span class="info-item__value" id="bitrateOscillationValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Time-weighted Avg:</span>
+                            <span class="info-item__value" id="bitrateWeightedAvgValue">-</span>
+                        </div>
+                    </div>
+                    <div class="chart-container">
+                        <canvas id="bitrateTimelineChart" aria-label="Rendition bitrate and buffer level over time"></canvas>
+                    </div>
+                    <ul id="bitrateTimeAtLevelList" class="bitrate-timeline"></ul>
+                    <ul id="bitrateSwitchList" class="abr-log"></ul>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(timelinePanel);
+
+            this.initializeTimelineChart();
+            this.updateTimelineDisplay();
+            console.log('Bitrate timeline panel created');
+        } catch (error) {
+            console.error('Error creating bitrate timeline panel:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        this.stop();
+        if (this.chart) {
+            this.chart.destroy();
+            this.chart = null;
+        }
+        this.samples = [];
+        this.performanceTracker = null;
+        console.log('BitrateTimelineView cleanup completed');
+    }
+}
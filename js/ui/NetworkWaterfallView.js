@@ -0,0 +1,210 @@
+import HtmlEscaper from '../core/HtmlEscaper.js';
+
+/**
+ * NetworkWaterfallView - Filterable waterfall timeline of the NetworkRequestLog
+ * (one row per request: queued offset, TTFB and download time)
+ */
+export default class NetworkWaterfallView {
+    constructor(memoryManager, requestLog) {
+        this.memoryManager = memoryManager;
+        this.requestLog = requestLog;
+
+        this.filter = { type: '', url: '', errors_only: false };
+        this.maxRows = 150;
+        this.renderTimeout = null;
+
+        console.log('NetworkWaterfallView initialized');
+    }
+
+    /**
+     * Re-render at most twice a second while requests are flowing in
+     */
+    scheduleRender() {
+        if (this.renderTimeout) return;
+
+        this.renderTimeout = setTimeout(() => {
+            this.renderTimeout = null;
+            this.updateWaterfallDisplay();
+        }, 500);
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+
+    /**
+     * Update the summary and the waterfall rows
+     */
+    updateWaterfallDisplay() {
+        try {
+            const list = document.getElementById('networkWaterfallList');
+            if (!list || !this.requestLog) return;
+
+            const summary = this.requestLog.getSummary();
+            document.getElementById('networkRequestCountValue').textContent = summary.total_requests.toLocaleString();
+            document.getElementById('networkFailedCountValue').textContent = summary.failed_requests.toLocaleString();
+            document.getElementById('networkRetryCountValue').textContent = summary.retries.toLocaleString();
+            document.getElementById('networkBytesValue').textContent = this.formatBytes(summary.total_bytes);
+
+            const entries = this.requestLog.getEntries(this.filter).slice(-this.maxRows);
+            if (entries.length === 0) {
+                list.innerHTML = '<li class="network-waterfall__empty">No requests recorded</li>';
+                return;
+            }
+
+            const windowStart = Math.min(...entries.map(entry => entry.started_at));
+            const windowEnd = Math.max(...entries.map(entry => entry.started_at + entry.total_time));
+            const span = Math.max(1, windowEnd - windowStart);
+            const percent = (value) => `${((value / span) * 100).toFixed(2)}%`;
+
+            list.innerHTML = entries.map(entry => {
+                const failed = entry.error || entry.status >= 400;
+                const name = entry.url.split('?')[0].split('/').pop() || entry.url;
+                const details = [
+                    entry.url,
+                    `${entry.type} · ${entry.rendition}`,
+                    `Status ${entry.status || '-'}${entry.error ? ` (${entry.error})` : ''}`,
+                    `TTFB ${entry.ttfb} ms · download ${entry.download_time} ms · ${this.formatBytes(entry.bytes)}`,
+                    `Retries ${entry.retries}`
+                ].join('\n');
+
+                return `
+                    <li class="network-waterfall__row${failed ? ' network-waterfall__row--failed' : ''}" title="${HtmlEscaper.escape(details)}">
+                        <span class="network-waterfall__type network-waterfall__type--${entry.type}">${entry.type}</span>
+                        <span class="network-waterfall__name">${HtmlEscaper.escape(name)}</span>
+                        <span class="network-waterfall__status">${entry.status || 'ERR'}</span>
+                        <span class="network-waterfall__track">
+                            <span class="network-waterfall__bar" style="left: ${percent(entry.started_at - windowStart)}; width: ${percent(Math.max(entry.total_time, span / 500))}">
+                                <span class="network-waterfall__ttfb" style="width: ${entry.total_time > 0 ? ((entry.ttfb / entry.total_time) * 100).toFixed(1) : 0}%"></span>
+                            </span>
+                        </span>
+                        <span class="network-waterfall__time">${entry.total_time} ms</span>
+                    </li>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error updating network waterfall display:', error);
+        }
+    }
+
+    /**
+     * Create the Network panel in the dashboard
+     */
+    createWaterfallPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create network waterfall panel');
+                return;
+            }
+
+            if (document.getElementById('networkWaterfallPanel')) return;
+
+            const waterfallPanel = document.createElement('article');
+            waterfallPanel.className = 'card';
+            waterfallPanel.id = 'networkWaterfallPanel';
+
+            const typeOptions = this.requestLog.requestTypes
+                .map(type => `<option value="${type}">${type}</option>`)
+                .join('');
+
+            waterfallPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-stream"></i>
+                        Network
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Requests:</span>
+                            <span class="info-item__value" id="networkRequestCountValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Failed:</span>
+                            <span class="info-item__value" id="networkFailedCountValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Retries:</span>
+                            <span class="info-item__value" id="networkRetryCountValue">0</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Transferred:</span>
+                            <span class="info-item__value" id="networkBytesValue">0 B</span>
+                        </div>
+                    </div>
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="networkTypeFilter">Type</label>
+                            <select id="networkTypeFilter" class="input-group__input">
+                                <option value="">All requests</option>
+                                ${typeOptions}
+                            </select>
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="networkUrlFilter">URL contains</label>
+                            <input type="text" id="networkUrlFilter" class="input-group__input" placeholder="seg_, 720p, .key">
+                        </div>
+                        <label class="input-group__label">
+                            <input type="checkbox" id="networkErrorsOnlyFilter"> Failed requests only
+                        </label>
+                    </div>
+                    <ul id="networkWaterfallList" class="network-waterfall"></ul>
+                    <div class="export-controls x-export">
+                        <div class="x-export__grid">
+                            <button id="networkExportHarBtn" class="export-btn export-btn--primary">Export HAR</button>
+                            <button id="networkClearBtn" class="export-btn">Clear</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(waterfallPanel);
+
+            const typeFilter = waterfallPanel.querySelector('#networkTypeFilter');
+            const urlFilter = waterfallPanel.querySelector('#networkUrlFilter');
+            const errorsOnlyFilter = waterfallPanel.querySelector('#networkErrorsOnlyFilter');
+
+            this.memoryManager.addEventListener(typeFilter, 'change', () => {
+                this.filter.type = typeFilter.value;
+                this.updateWaterfallDisplay();
+            });
+            this.memoryManager.addEventListener(urlFilter, 'input', () => {
+                this.filter.url = urlFilter.value.trim();
+                this.scheduleRender();
+            });
+            this.memoryManager.addEventListener(errorsOnlyFilter, 'change', () => {
+                this.filter.errors_only = errorsOnlyFilter.checked;
+                this.updateWaterfallDisplay();
+            });
+
+            // Exports what the filter shows, so a vendor gets only the relevant requests
+            this.memoryManager.addEventListener(waterfallPanel.querySelector('#networkExportHarBtn'), 'click', () => {
+                this.requestLog.downloadHAR(this.requestLog.getEntries(this.filter));
+            });
+            this.memoryManager.addEventListener(waterfallPanel.querySelector('#networkClearBtn'), 'click', () => {
+                this.requestLog.clear();
+            });
+
+            this.updateWaterfallDisplay();
+            console.log('Network waterfall panel created');
+        } catch (error) {
+            console.error('Error creating network waterfall panel:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        if (this.renderTimeout) {
+            clearTimeout(this.renderTimeout);
+            this.renderTimeout = null;
+        }
+        this.requestLog = null;
+        console.log('NetworkWaterfallView cleanup completed');
+    }
+}
@@ -0,0 +1,364 @@
+import PlaylistParser from '../core/PlaylistParser.js';
+import HtmlEscaper from '../core/HtmlEscaper.js';
+
+/**
+ * PlaylistInspector - Render the parsed master/media playlist tree of the active stream
+ * and highlight the rendition that is currently playing
+ */
+export default class PlaylistInspector {
+    constructor() {
+        this.parser = new PlaylistParser();
+        this.hlsInstance = null;
+        this.masterPlaylist = null;
+        this.mediaPlaylist = null;
+        this.mediaPlaylists = {}; // media playlist đã parse theo level index
+        this.currentLevel = -1;
+        this.eventHandlers = null;
+
+        console.log('PlaylistInspector initialized');
+    }
+
+    /**
+     * Set HLS instance and listen for playlist events
+     */
+    setHLSInstance(hlsInstance) {
+        try {
+            this.removeHLSListeners();
+            this.reset();
+
+            this.hlsInstance = hlsInstance;
+            if (!hlsInstance || typeof hlsInstance.on !== 'function' || !window.Hls) return;
+
+            this.eventHandlers = {
+                manifestLoaded: (event, data) => this.onManifestLoaded(data),
+                levelLoaded: (event, data) => this.onLevelLoaded(data),
+                levelSwitched: (event, data) => this.onLevelSwitched(data)
+            };
+
+            hlsInstance.on(Hls.Events.MANIFEST_LOADED, this.eventHandlers.manifestLoaded);
+            hlsInstance.on(Hls.Events.LEVEL_LOADED, this.eventHandlers.levelLoaded);
+            hlsInstance.on(Hls.Events.LEVEL_SWITCHED, this.eventHandlers.levelSwitched);
+
+            console.log('HLS instance set for playlist inspection');
+        } catch (error) {
+            console.error('Error setting HLS instance for playlist inspector:', error);
+        }
+    }
+
+    /**
+     * Remove listeners from the previous HLS instance
+     */
+    removeHLSListeners() {
+        if (this.hlsInstance && this.eventHandlers && typeof this.hlsInstance.off === 'function') {
+            this.hlsInstance.off(Hls.Events.MANIFEST_LOADED, this.eventHandlers.manifestLoaded);
+            this.hlsInstance.off(Hls.Events.LEVEL_LOADED, this.eventHandlers.levelLoaded);
+            this.hlsInstance.off(Hls.Events.LEVEL_SWITCHED, this.eventHandlers.levelSwitched);
+        }
+        this.eventHandlers = null;
+    }
+
+    /**
+     * Get raw playlist text from the loader response, or fetch it again
+     */
+    async getPlaylistText(url, networkDetails) {
+        if (networkDetails && typeof networkDetails.responseText === 'string' && networkDetails.responseText) {
+            return networkDetails.responseText;
+        }
+
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Playlist request failed: HTTP ${response.status}`);
+        }
+        return response.text();
+    }
+
+    /**
+     * Handle MANIFEST_LOADED - parse the master playlist
+     */
+    async onManifestLoaded(data) {
+        try {
+            const text = await this.getPlaylistText(data.url, data.networkDetails);
+            const playlist = this.parser.parse(text, data.url);
+
+            if (playlist.type === 'master') {
+                this.masterPlaylist = playlist;
+            } else {
+                // Single media playlist stream (no master)
+                this.masterPlaylist = null;
+                this.mediaPlaylist = playlist;
+            }
+
+            this.updateInspectorDisplay();
+        } catch (error) {
+            console.warn('Playlist inspector failed to parse manifest:', error);
+        }
+    }
+
+    /**
+     * Handle LEVEL_LOADED - parse the media playlist (reloaded periodically for live)
+     */
+    async onLevelLoaded(data) {
+        try {
+            const url = data.details && data.details.url ? data.details.url : null;
+            if (!url) return;
+
+            const text = await this.getPlaylistText(url, data.networkDetails);
+            const playlist = this.parser.parse(text, url);
+
+            if (typeof data.level === 'number') {
+                this.mediaPlaylists[data.level] = playlist;
+                if (this.currentLevel === -1) {
+                    this.currentLevel = data.level;
+                }
+            }
+            this.mediaPlaylist = playlist;
+
+            this.updateInspectorDisplay();
+        } catch (error) {
+            console.warn('Playlist inspector failed to parse media playlist:', error);
+        }
+    }
+
+    /**
+     * Handle LEVEL_SWITCHED - highlight the new rendition
+     */
+    onLevelSwitched(data) {
+        try {
+            this.currentLevel = data.level;
+            this.updateInspectorDisplay();
+        } catch (error) {
+            console.error('Error handling level switch in playlist inspector:', error);
+        }
+    }
+
+    /**
+     * Find the master variant that matches the HLS.js level currently playing
+     */
+    getActiveVariant() {
+        if (!this.masterPlaylist || !this.hlsInstance || !this.hlsInstance.levels) return null;
+
+        const level = this.hlsInstance.levels[this.currentLevel];
+        if (!level) return null;
+
+        const levelUrl = Array.isArray(level.url) ? level.url[0] : level.url;
+        const byUrl = this.masterPlaylist.variants.find(variant => variant.url === levelUrl);
+        if (byUrl) return byUrl;
+
+        return this.masterPlaylist.variants.find(variant => variant.bandwidth === level.bitrate) || null;
+    }
+
+    /**
+     * Media playlist of the rendition currently playing (falls back to the last one loaded)
+     */
+    getActiveMediaPlaylist() {
+        return this.mediaPlaylists[this.currentLevel] || this.mediaPlaylist;
+    }
+
+    /**
+     * Render master playlist section
+     */
+    renderMaster(master) {
+        const activeVariant = this.getActiveVariant();
+        const e = (value) => HtmlEscaper.escape(value);
+
+        const variants = master.variants.map(variant => `
+            <li class="playlist-tree__item ${variant === activeVariant ? 'playlist-tree__item--active' : ''}">
+                <span class="playlist-tree__tag">STREAM-INF</span>
+                ${e((variant.bandwidth / 1000).toFixed(0))} kbps
+                · ${e(variant.resolution)}
+                · ${e(variant.frame_rate)} fps
+                · <code>${e(variant.codecs)}</code>
+                ${variant.audio ? `· audio=${e(variant.audio)}` : ''}
+                ${variant.subtitles ? `· subs=${e(variant.subtitles)}` : ''}
+                ${variant === activeVariant ? '<span class="playlist-tree__badge">PLAYING</span>' : ''}
+            </li>
+        `).join('');
+
+        const media = master.media.map(item => `
+            <li class="playlist-tree__item">
+                <span class="playlist-tree__tag">MEDIA</span>
+                ${e(item.type)} · group=${e(item.group_id)} · ${e(item.name)}
+                · lang=${e(item.language)}${item.default ? ' · DEFAULT' : ''}${item.autoselect ? ' · AUTOSELECT' : ''}
+            </li>
+        `).join('');
+
+        const iframes = master.iframe_variants.map(variant => `
+            <li class="playlist-tree__item">
+                <span class="playlist-tree__tag">I-FRAME</span>
+                ${e((variant.bandwidth / 1000).toFixed(0))} kbps · ${e(variant.resolution)} · <code>${e(variant.codecs)}</code>
+            </li>
+        `).join('');
+
+        const sessionData = master.session_data.map(item => `
+            <li class="playlist-tree__item">
+                <span class="playlist-tree__tag">SESSION-DATA</span>
+                ${e(item.data_id)} = ${e(item.value || item.uri)}
+            </li>
+        `).join('');
+
+        return `
+            <details class="playlist-tree" open>
+                <summary>Master playlist · v${e(master.version)} · ${master.variants.length} variants</summary>
+                <ul class="playlist-tree__list">${variants}</ul>
+                ${media ? `<details class="playlist-tree"><summary>Renditions (EXT-X-MEDIA) · ${master.media.length}</summary><ul class="playlist-tree__list">${media}</ul></details>` : ''}
+                ${iframes ? `<details class="playlist-tree"><summary>I-frame streams · ${master.iframe_variants.length}</summary><ul class="playlist-tree__list">${iframes}</ul></details>` : ''}
+                ${sessionData ? `<details class="playlist-tree"><summary>Session data · ${master.session_data.length}</summary><ul class="playlist-tree__list">${sessionData}</ul></details>` : ''}
+            </details>
+        `;
+    }
+
+    /**
+     * Render media playlist section (last segments only)
+     */
+    renderMedia(media) {
+        const e = (value) => HtmlEscaper.escape(value);
+        const lastSegments = media.segments.slice(-10);
+        const keys = media.keys.map(key => `${e(key.method)}${key.uri ? ` (${e(key.uri)})` : ''}`).join(', ');
+        const maps = media.maps.map(map => e(map.uri)).join(', ');
+
+        const segments = lastSegments.map(segment => `
+            <li class="playlist-tree__item">
+                ${segment.discontinuity ? '<span class="playlist-tree__tag">DISCONTINUITY</span>' : ''}
+                #${e(segment.sequence)} · ${e(segment.duration.toFixed(3))}s
+                ${segment.byte_range ? `· ${e(segment.byte_range.length)}@${e(segment.byte_range.offset)}` : ''}
+                ${segment.program_date_time ? `· ${e(segment.program_date_time)}` : ''}
+                · <code>${e(segment.uri)}</code>
+            </li>
+        `).join('');
+
+        return `
+            <details class="playlist-tree" open>
+                <summary>Media playlist · ${media.is_live ? 'LIVE' : e(media.playlist_type || 'VOD')}</summary>
+                <div class="info-grid">
+                    <div class="info-item">
+                        <span class="info-item__label">Target Duration:</span>
+                        <span class="info-item__value">${e(media.target_duration)}s</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Media Sequence:</span>
+                        <span class="info-item__value">${e(media.media_sequence)}</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Discontinuity Seq:</span>
+                        <span class="info-item__value">${e(media.discontinuity_sequence)} (+${e(media.discontinuity_count)})</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Segments:</span>
+                        <span class="info-item__value">${media.segments.length} (${e(media.total_duration.toFixed(1))}s)</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Encryption:</span>
+                        <span class="info-item__value">${keys || 'NONE'}</span>
+                    </div>
+                    <div class="info-item">
+                        <span class="info-item__label">Init Section:</span>
+                        <span class="info-item__value">${maps || '-'}</span>
+                    </div>
+                </div>
+                <ul class="playlist-tree__list">${segments}</ul>
+            </details>
+        `;
+    }
+
+    /**
+     * Update inspector panel content
+     */
+    updateInspectorDisplay() {
+        try {
+            let inspectorPanel = document.getElementById('playlistInspectorPanel');
+
+            if (!inspectorPanel) {
+                this.createInspectorPanel();
+                inspectorPanel = document.getElementById('playlistInspectorPanel');
+            }
+
+            if (!inspectorPanel) return;
+
+            const content = inspectorPanel.querySelector('#playlistInspectorContent');
+            if (!content) return;
+
+            if (!this.masterPlaylist && !this.mediaPlaylist) {
+                content.innerHTML = '<p class="playlist-tree__empty">Load a stream to inspect its playlists</p>';
+                return;
+            }
+
+            // Giữ trạng thái mở/đóng của các nhánh khi render lại
+            const openState = Array.from(content.querySelectorAll('details')).map(details => details.open);
+
+            content.innerHTML = `
+                ${this.masterPlaylist ? this.renderMaster(this.masterPlaylist) : ''}
+                ${this.getActiveMediaPlaylist() ? this.renderMedia(this.getActiveMediaPlaylist()) : ''}
+            `;
+
+            content.querySelectorAll('details').forEach((details, index) => {
+                if (index < openState.length) {
+                    details.open = openState[index];
+                }
+            });
+        } catch (error) {
+            console.error('Error updating playlist inspector display:', error);
+        }
+    }
+
+    /**
+     * Create playlist inspector panel
+     */
+    createInspectorPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create playlist inspector panel');
+                return;
+            }
+
+            if (document.getElementById('playlistInspectorPanel')) return;
+
+            const inspectorPanel = document.createElement('article');
+            inspectorPanel.className = 'card';
+            inspectorPanel.id = 'playlistInspectorPanel';
+
+            inspectorPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-list-ul"></i>
+                        Playlist Inspector
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div id="playlistInspectorContent" class="playlist-inspector">
+                        <p class="playlist-tree__empty">Load a stream to inspect its playlists</p>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(inspectorPanel);
+            console.log('Playlist inspector panel created');
+        } catch (error) {
+            console.error('Error creating playlist inspector panel:', error);
+        }
+    }
+
+    /**
+     * Reset inspector state for a new stream
+     */
+    reset() {
+        this.masterPlaylist = null;
+        this.mediaPlaylist = null;
+        this.mediaPlaylists = {};
+        this.currentLevel = -1;
+        this.updateInspectorDisplay();
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.removeHLSListeners();
+            this.hlsInstance = null;
+            console.log('PlaylistInspector cleanup completed');
+        } catch (error) {
+            console.error('Error during PlaylistInspector cleanup:', error);
+        }
+    }
+}
@@ -28,6 +28,7 @@ class ProfessionalDashboard {
             console.log('Dashboard found, applying enhancements...');
             this.addProfessionalStyling();
             this.addDashboardHeader();
+            this.addQoEGauge();
             this.enhanceExistingCards();
             this.addEventListeners();
 
@@ -93,6 +94,106 @@ class ProfessionalDashboard {
         }
     }
 
+    /**
+     * Add the live QoE gauge card (session MOS from the QoE model)
+     */
+    addQoEGauge() {
+        try {
+            const grid = document.querySelector('.dashboard__grid');
+            if (!grid || document.getElementById('qoeGaugePanel')) return;
+
+            const card = document.createElement('article');
+            card.className = 'card';
+            card.id = 'qoeGaugePanel';
+            card.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-smile"></i>
+                        Quality of Experience
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="qoe-gauge" id="qoeGauge">
+                        <svg class="qoe-gauge__svg" viewBox="0 0 200 110" aria-hidden="true">
+                            <path class="qoe-gauge__track" d="M 10 100 A 90 90 0 0 1 190 100"></path>
+                            <path class="qoe-gauge__value" id="qoeGaugeArc" d="M 10 100 A 90 90 0 0 1 190 100"
+                                stroke-dasharray="282.74" stroke-dashoffset="282.74"></path>
+                        </svg>
+                        <div class="qoe-gauge__readout">
+                            <span class="qoe-gauge__mos" id="qoeSessionMosValue">-</span>
+                            <span class="qoe-gauge__label" id="qoeRatingValue">Waiting for playback</span>
+                        </div>
+                    </div>
+                    <div class="info-grid">
+                        <div class="info-item">
+                            <span class="info-item__label">Current Second:</span>
+                            <span class="info-item__value" id="qoeCurrentMosValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Video MOS:</span>
+                            <span class="info-item__value" id="qoeVideoMosValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Stalling Index:</span>
+                            <span class="info-item__value" id="qoeStallingIndexValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Stalls:</span>
+                            <span class="info-item__value" id="qoeStallValue">-</span>
+                        </div>
+                        <div class="info-item">
+                            <span class="info-item__label">Model:</span>
+                            <span class="info-item__value" id="qoeModelValue">-</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            grid.insertBefore(card, grid.firstChild);
+        } catch (error) {
+            console.error('Error adding QoE gauge:', error);
+        }
+    }
+
+    /**
+     * Update the QoE gauge from a QoEMonitor result
+     * @param {Object} qoe - { session_mos, video_mos, current_mos, stalling_index, stall_count, ... }
+     */
+    updateQoEGauge(qoe) {
+        try {
+            const arc = document.getElementById('qoeGaugeArc');
+            if (!arc || !qoe) return;
+
+            const mos = qoe.session_mos;
+            const length = 282.74;
+            const fraction = typeof mos === 'number' ? Math.max(0, Math.min(1, (mos - 1) / 4)) : 0;
+            arc.setAttribute('stroke-dashoffset', (length * (1 - fraction)).toFixed(2));
+
+            // ITU-T P.800 absolute category rating
+            let rating = 'Waiting for playback';
+            let level = 'waiting';
+            if (typeof mos === 'number') {
+                if (mos >= 4.3) { rating = 'Excellent'; level = 'excellent'; }
+                else if (mos >= 3.6) { rating = 'Good'; level = 'good'; }
+                else if (mos >= 2.6) { rating = 'Fair'; level = 'fair'; }
+                else if (mos >= 1.8) { rating = 'Poor'; level = 'poor'; }
+                else { rating = 'Bad'; level = 'poor'; }
+            }
+
+            const gauge = document.getElementById('qoeGauge');
+            gauge.className = `qoe-gauge qoe-gauge--${level}`;
+            document.getElementById('qoeSessionMosValue').textContent = typeof mos === 'number' ? mos.toFixed(2) : '-';
+            document.getElementById('qoeRatingValue').textContent = rating;
+            document.getElementById('qoeCurrentMosValue').textContent = qoe.current_mos !== null ? qoe.current_mos.toFixed(2) : '-';
+            document.getElementById('qoeVideoMosValue').textContent = qoe.video_mos !== null ? qoe.video_mos.toFixed(2) : '-';
+            document.getElementById('qoeStallingIndexValue').textContent = qoe.stalling_index.toFixed(3);
+            document.getElementById('qoeStallValue').textContent = `${qoe.stall_count} (${qoe.stall_duration_s.toFixed(1)} s)`;
+            document.getElementById('qoeModelValue').textContent = `${qoe.model} v${qoe.model_version}`;
+        } catch (error) {
+            console.error('Error updating QoE gauge:', error);
+        }
+    }
+
     /**
      * Enhance existing cards with professional styling
      */
@@ -0,0 +1,291 @@
+import HtmlEscaper from '../core/HtmlEscaper.js';
+
+/**
+ * SessionComparisonView - Side-by-side comparison of two recorded sessions
+ * (deltas from MetricsDataManager.createComparisonReport plus overlaid charts)
+ */
+export default class SessionComparisonView {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.store = options.store || null;
+        this.metricsDataManager = options.metricsDataManager || null;
+        this.chartManager = options.chartManager || null;
+        this.onError = options.onError || null;
+
+        this.sessions = [];
+        this.report = null;
+
+        console.log('SessionComparisonView initialized');
+    }
+
+    /**
+     * Compare two stored sessions using their latest snapshots
+     * @param {string} baselineId - Reference session ID
+     * @param {string} candidateId - Session being evaluated
+     * @returns {Promise<Object>} Comparison report
+     */
+    async compare(baselineId, candidateId) {
+        if (!baselineId || !candidateId) {
+            throw new Error('Select two sessions to compare');
+        }
+        if (baselineId === candidateId) {
+            throw new Error('Select two different sessions');
+        }
+
+        const [baselineSnapshots, candidateSnapshots] = await Promise.all([
+            this.store.getSnapshots(baselineId),
+            this.store.getSnapshots(candidateId)
+        ]);
+
+        if (baselineSnapshots.length === 0 || candidateSnapshots.length === 0) {
+            throw new Error('Both sessions need at least one recorded snapshot');
+        }
+
+        const baselineLatest = baselineSnapshots[baselineSnapshots.length - 1].snapshot;
+        const candidateLatest = candidateSnapshots[candidateSnapshots.length - 1].snapshot;
+
+        this.report = this.metricsDataManager.createComparisonReport(baselineLatest, candidateLatest);
+
+        this.updateComparisonDisplay();
+        this.updateCharts(baselineSnapshots, candidateSnapshots);
+
+        return this.report;
+    }
+
+    /**
+     * Build a time series from stored snapshots
+     * @param {Array} records - Snapshot records from SessionHistoryStore
+     * @param {Function} getValue - Maps a snapshot to the y value
+     */
+    buildSeries(records, getValue) {
+        return records
+            .map(record => ({
+                x: Math.round(record.snapshot.session.session_duration || 0),
+                y: getValue(record.snapshot)
+            }))
+            .filter(point => typeof point.y === 'number' && !isNaN(point.y));
+    }
+
+    /**
+     * Draw the overlaid bitrate and rebuffer charts
+     */
+    updateCharts(baselineSnapshots, candidateSnapshots) {
+        try {
+            if (!this.chartManager) return;
+
+            const labels = ['Baseline', 'Candidate'];
+            const records = [baselineSnapshots, candidateSnapshots];
+
+            this.chartManager.createComparisonChart('comparisonBitrateChart', 'Bitrate (Mbps)', records.map((r, i) => ({
+                label: labels[i],
+                points: this.buildSeries(r, s => (s.bitrate.current_bitrate || 0) / 1000000)
+            })));
+
+            this.chartManager.createComparisonChart('comparisonRebufferChart', 'Rebuffer Ratio (%)', records.map((r, i) => ({
+                label: labels[i],
+                points: this.buildSeries(r, s => s.rebuffering.rebuffer_ratio || 0)
+            })));
+        } catch (error) {
+            console.error('Error drawing comparison charts:', error);
+        }
+    }
+
+    /**
+     * Export the last comparison
+     * @param {string} format - 'json' or 'csv'
+     */
+    exportReport(format = 'json') {
+        if (!this.report) {
+            throw new Error('Run a comparison first');
+        }
+        this.metricsDataManager.downloadComparisonReport(this.report, format);
+    }
+
+    /**
+     * Format a metric value for the table
+     */
+    formatValue(value, unit) {
+        if (value === null || value === undefined) return '-';
+        if (unit === 'bps') return `${(value / 1000000).toFixed(2)} Mbps`;
+        if (unit === 'ms') return `${value.toFixed(0)} ms`;
+        if (unit === '%') return `${value.toFixed(2)} %`;
+        return Number.isInteger(value) ? value.toLocaleString() : value.toFixed(2);
+    }
+
+    /**
+     * Refill the baseline / candidate selectors from the store
+     */
+    async refreshSessions() {
+        try {
+            if (!this.store || !this.store.isSupported()) return;
+
+            this.sessions = await this.store.listSessions();
+
+            ['comparisonBaselineSelect', 'comparisonCandidateSelect'].forEach((id, index) => {
+                const select = document.getElementById(id);
+                if (!select) return;
+
+                const previous = select.value;
+                select.innerHTML = '<option value="">Select a session</option>' + this.sessions.map(session => `
+                    <option value="${HtmlEscaper.escape(session.session_id)}">
+                        ${HtmlEscaper.escape(new Date(session.start_time).toLocaleString())} · ${HtmlEscaper.escape(session.stream_url)} (${session.quality_score})
+                    </option>
+                `).join('');
+
+                if (previous && this.sessions.some(s => s.session_id === previous)) {
+                    select.value = previous;
+                } else if (this.sessions.length > 1) {
+                    // Default to the two most recent sessions: older one as baseline
+                    select.value = this.sessions[index === 0 ? 1 : 0].session_id;
+                }
+            });
+        } catch (error) {
+            console.error('Error loading sessions for comparison:', error);
+        }
+    }
+
+    /**
+     * Update the delta table
+     */
+    updateComparisonDisplay() {
+        try {
+            const table = document.getElementById('sessionComparisonTable');
+            if (!table) return;
+
+            if (!this.report || !this.report.metrics) {
+                table.innerHTML = '<tr><td class="session-comparison__empty">Select two sessions and click Compare</td></tr>';
+                return;
+            }
+
+            const rows = this.report.metrics.map(m => {
+                const deltaText = m.delta === null
+                    ? '-'
+                    : `${m.delta > 0 ? '+' : ''}${this.formatValue(m.delta, m.unit)}${m.delta_percent !== null ? ` (${m.delta_percent > 0 ? '+' : ''}${m.delta_percent.toFixed(1)}%)` : ''}`;
+
+                return `
+                    <tr>
+                        <th scope="row">${HtmlEscaper.escape(m.label)}</th>
+                        <td>${this.formatValue(m.baseline, m.unit)}</td>
+                        <td>${this.formatValue(m.candidate, m.unit)}</td>
+                        <td class="session-comparison__delta session-comparison__delta--${m.better || 'none'}">${deltaText}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            table.innerHTML = `
+                <thead>
+                    <tr>
+                        <th scope="col">Metric</th>
+                        <th scope="col">Baseline</th>
+                        <th scope="col">Candidate</th>
+                        <th scope="col">Delta</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            `;
+        } catch (error) {
+            console.error('Error updating comparison display:', error);
+        }
+    }
+
+    /**
+     * Create the comparison panel in the dashboard
+     */
+    createComparisonPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create session comparison panel');
+                return;
+            }
+
+            if (document.getElementById('sessionComparisonPanel')) return;
+
+            const comparisonPanel = document.createElement('article');
+            comparisonPanel.className = 'card';
+            comparisonPanel.id = 'sessionComparisonPanel';
+
+            comparisonPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-balance-scale"></i>
+                        Session Comparison
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="comparisonBaselineSelect">Baseline</label>
+                            <select id="comparisonBaselineSelect" class="input-group__input"></select>
+                        </div>
+                        <div class="input-group">
+                            <label class="input-group__label" for="comparisonCandidateSelect">Candidate</label>
+                            <select id="comparisonCandidateSelect" class="input-group__input"></select>
+                        </div>
+                    </div>
+                    <table id="sessionComparisonTable" class="session-comparison"></table>
+                    <div class="chart-container">
+                        <canvas id="comparisonBitrateChart" aria-label="Bitrate comparison chart"></canvas>
+                    </div>
+                    <div class="chart-container">
+                        <canvas id="comparisonRebufferChart" aria-label="Rebuffer ratio comparison chart"></canvas>
+                    </div>
+                    <div class="export-controls x-export">
+                        <div class="x-export__grid">
+                            <button id="comparisonRunBtn" class="export-btn export-btn--primary">Compare</button>
+                            <button id="comparisonExportJsonBtn" class="export-btn">Export JSON</button>
+                            <button id="comparisonExportCsvBtn" class="export-btn">Export CSV</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(comparisonPanel);
+
+            const runBtn = comparisonPanel.querySelector('#comparisonRunBtn');
+            const baselineSelect = comparisonPanel.querySelector('#comparisonBaselineSelect');
+            const candidateSelect = comparisonPanel.querySelector('#comparisonCandidateSelect');
+
+            this.memoryManager.addEventListener(runBtn, 'click', async () => {
+                try {
+                    await this.compare(baselineSelect.value, candidateSelect.value);
+                } catch (error) {
+                    console.error('Failed to compare sessions:', error);
+                    if (this.onError) this.onError(`Session comparison failed: ${error.message}`);
+                }
+            });
+
+            ['json', 'csv'].forEach(format => {
+                const button = comparisonPanel.querySelector(`#comparisonExport${format === 'json' ? 'Json' : 'Csv'}Btn`);
+                this.memoryManager.addEventListener(button, 'click', () => {
+                    try {
+                        this.exportReport(format);
+                    } catch (error) {
+                        if (this.onError) this.onError(error.message);
+                    }
+                });
+            });
+
+            this.updateComparisonDisplay();
+            this.refreshSessions();
+            console.log('Session comparison panel created');
+        } catch (error) {
+            console.error('Error creating session comparison panel:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.report = null;
+            this.store = null;
+            this.metricsDataManager = null;
+            this.chartManager = null;
+            console.log('SessionComparisonView cleanup completed');
+        } catch (error) {
+            console.error('Error during SessionComparisonView cleanup:', error);
+        }
+    }
+}
@@ -0,0 +1,435 @@
+import HtmlEscaper from '../core/HtmlEscaper.js';
+
+/**
+ * SessionHistoryView - Lists persisted sessions and reopens one into the existing
+ * dashboard panels in read-only mode
+ */
+export default class SessionHistoryView {
+    constructor(memoryManager, options = {}) {
+        this.memoryManager = memoryManager;
+        this.store = options.store || null;
+        this.onEnterReadOnly = options.onEnterReadOnly || null;
+        this.onExitReadOnly = options.onExitReadOnly || null;
+        this.onError = options.onError || null;
+
+        this.sessions = [];
+        this.filterUrl = '';
+        this.openSessionId = null;
+        this.isReadOnly = false;
+
+        console.log('SessionHistoryView initialized');
+    }
+
+    /**
+     * Reload the session list from the store
+     */
+    async refresh() {
+        try {
+            if (!this.store || !this.store.isSupported()) {
+                this.updateHistoryDisplay('Session history requires IndexedDB, which is not available in this browser');
+                return;
+            }
+
+            this.sessions = await this.store.listSessions(this.filterUrl ? { stream_url: this.filterUrl } : {});
+            this.updateHistoryDisplay();
+        } catch (error) {
+            console.error('Error loading session history:', error);
+            this.updateHistoryDisplay('Failed to load session history');
+        }
+    }
+
+    /**
+     * Open a stored session into the dashboard panels (read-only)
+     */
+    async openSession(sessionId) {
+        try {
+            const session = await this.store.getSession(sessionId);
+            const latest = await this.store.getLatestSnapshot(sessionId);
+            if (!session || !latest) {
+                throw new Error('Session has no recorded snapshots');
+            }
+
+            if (!this.isReadOnly && this.onEnterReadOnly) {
+                this.onEnterReadOnly();
+            }
+
+            this.isReadOnly = true;
+            this.openSessionId = sessionId;
+
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (dashboardGrid) {
+                dashboardGrid.classList.add('dashboard__grid--readonly');
+            }
+
+            this.renderSnapshot(latest.snapshot, session);
+            this.updateBanner(session);
+            this.updateHistoryDisplay();
+
+            console.log('Opened session from history:', sessionId);
+        } catch (error) {
+            console.error('Error opening session from history:', error);
+            if (this.onError) this.onError(`Could not open session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Leave read-only mode and hand the panels back to the live trackers
+     */
+    exitReadOnly() {
+        try {
+            if (!this.isReadOnly) return;
+
+            this.isReadOnly = false;
+            this.openSessionId = null;
+
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (dashboardGrid) {
+                dashboardGrid.classList.remove('dashboard__grid--readonly');
+            }
+
+            this.updateBanner(null);
+            this.updateHistoryDisplay();
+
+            if (this.onExitReadOnly) {
+                this.onExitReadOnly();
+            }
+        } catch (error) {
+            console.error('Error leaving read-only mode:', error);
+        }
+    }
+
+    /**
+     * Delete one session
+     */
+    async deleteSession(sessionId) {
+        try {
+            if (sessionId === this.openSessionId) {
+                this.exitReadOnly();
+            }
+            await this.store.deleteSession(sessionId);
+            await this.refresh();
+        } catch (error) {
+            console.error('Error deleting session:', error);
+            if (this.onError) this.onError(`Could not delete session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete every stored session
+     */
+    async clearHistory() {
+        try {
+            this.exitReadOnly();
+            await this.store.clearAll();
+            await this.refresh();
+        } catch (error) {
+            console.error('Error clearing session history:', error);
+            if (this.onError) this.onError(`Could not clear session history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Write a stored snapshot into the existing dashboard panels using the trackers' formats
+     */
+    renderSnapshot(snapshot, session) {
+        try {
+            const setText = (id, text) => {
+                const element = document.getElementById(id);
+                if (element) {
+                    element.textContent = text;
+                    element.className = 'info-item__value';
+                    element.title = 'Recorded value (read-only)';
+                }
+            };
+            const mbps = (bits) => bits > 0 ? `${(bits / 1000000).toFixed(1)} Mbps` : '-';
+            const orDash = (value, format) => value !== null && value !== undefined ? format(value) : '-';
+
+            const startup = snapshot.startup || {};
+            const rebuffering = snapshot.rebuffering || {};
+            const bitrate = snapshot.bitrate || {};
+            const bandwidth = snapshot.bandwidth || {};
+            const frames = snapshot.frames || {};
+            const fps = snapshot.fps || {};
+            const segments = snapshot.segments || {};
+            const playlist = snapshot.playlist || {};
+            const errors = snapshot.errors || {};
+            const errorTypes = errors.error_types || {};
+            const data = snapshot.data || {};
+
+            // Overview
+            setText('startupTimeValue', orDash(startup.startup_time, v => v.toFixed(2) + ' ms'));
+            setText('startupStatus', startup.startup_time !== null && startup.startup_time !== undefined ? 'Complete' : '-');
+            setText('rebufferCountValue', String(rebuffering.rebuffer_count || 0));
+            setText('rebufferRatioValue', (rebuffering.rebuffer_ratio || 0).toFixed(2) + ' %');
+            setText('watchTimeValue', this.formatDuration(rebuffering.total_watch_time || session.duration || 0));
+            setText('streamQualityValue', `Score ${session.quality_score}/100`);
+            setText('currentBitrateValue', mbps(bitrate.current_bitrate));
+            setText('averageBitrateValue', mbps(bitrate.average_bitrate));
+            setText('maxBitrateValue', mbps(bitrate.max_bitrate));
+            setText('currentBandwidthValue', bandwidth.current_bandwidth > 0 ? `${bandwidth.current_bandwidth.toFixed(1)} Mbps` : '-');
+            setText('bufferLengthValue', '-');
+
+            // Frames
+            setText('droppedFramesValue', (frames.dropped_frames || 0).toLocaleString());
+            setText('totalFramesValue', (frames.total_frames || 0).toLocaleString());
+            setText('frameRatioValue', (frames.dropped_frame_ratio || 0).toFixed(3) + ' %');
+            setText('currentFPSValue', (fps.current_fps || 0).toFixed(1));
+            setText('minFPSValue', orDash(fps.min_fps, v => v.toFixed(1)));
+            setText('maxFPSValue', (fps.max_fps || 0).toFixed(1));
+            setText('avgFPSValue', (fps.avg_fps || 0).toFixed(1));
+
+            // Segments
+            setText('maxSegmentDurationValue', (segments.max_segment_duration || 0).toFixed(3) + ' s');
+            setText('minSegmentDurationValue', orDash(segments.min_segment_duration, v => v.toFixed(3) + ' s'));
+            setText('avgSegmentDurationValue', (segments.avg_segment_duration || 0).toFixed(3) + ' s');
+            setText('segmentCountValue', String(segments.segment_count || 0));
+            setText('avgSegmentLoadTimeValue', (segments.avg_segment_load_time || 0).toFixed(2) + ' ms');
+            setText('minSegmentLoadTimeValue', orDash(segments.min_segment_loadtime, v => v.toFixed(2) + ' ms'));
+            setText('maxSegmentLoadTimeValue', (segments.max_segment_loadtime || 0).toFixed(2) + ' ms');
+
+            // Playlist reloads
+            setText('playlistReloadCountValue', String(playlist.reload_count || 0));
+            setText('avgPlaylistReloadValue', (playlist.avg_playlist_reload_time || 0).toFixed(2) + ' ms');
+            setText('minPlaylistReloadValue', orDash(playlist.min_playlist_reload_time, v => v.toFixed(2) + ' ms'));
+            setText('maxPlaylistReloadValue', (playlist.max_playlist_reload_time || 0).toFixed(2) + ' ms');
+
+            // Errors
+            setText('errorCountValue', String(errors.error_count || 0));
+            setText('totalEventsValue', (errors.total_events || 0).toLocaleString());
+            setText('errorPercentageValue', (errors.error_percentage || 0).toFixed(2) + '%');
+            setText('lastErrorValue', errors.last_error
+                ? `${errors.last_error.type} (${new Date(errors.last_error.timestamp).toLocaleTimeString()})`
+                : 'None');
+            setText('networkErrorsValue', String(errorTypes.network || 0));
+            setText('mediaErrorsValue', String(errorTypes.media || 0));
+            setText('muxErrorsValue', String(errorTypes.mux || 0));
+            setText('otherErrorsValue', String(errorTypes.other || 0));
+
+            // Data consumption
+            setText('totalDataValue', (data.total_data_loaded || 0).toFixed(3) + ' GB');
+            setText('dataRateValue', (data.data_rate || 0).toFixed(2) + ' MB/s');
+            setText('dataEfficiencyValue', (data.data_efficiency || 0).toFixed(2) + ' MB/min');
+        } catch (error) {
+            console.error('Error rendering stored snapshot:', error);
+        }
+    }
+
+    /**
+     * Format seconds as "Xm Ys"
+     */
+    formatDuration(seconds) {
+        const rounded = Math.floor(seconds);
+        if (rounded < 60) {
+            return `${rounded}s`;
+        }
+        return `${Math.floor(rounded / 60)}m ${rounded % 60}s`;
+    }
+
+    /**
+     * Show or hide the read-only banner for the opened session
+     */
+    updateBanner(session) {
+        const banner = document.getElementById('sessionHistoryBanner');
+        if (!banner) return;
+
+        if (!session) {
+            banner.hidden = true;
+            banner.innerHTML = '';
+            return;
+        }
+
+        const errors = session.error_history || [];
+        const timeline = session.segment_timeline || { durations: [], load_times: [] };
+        const errorItems = errors.slice(-10).reverse().map(e => `
+            <li class="session-history__error">
+                <span class="session-history__error-time">${new Date(e.timestamp).toLocaleTimeString()}</span>
+                <span>${HtmlEscaper.escape(e.type)}: ${HtmlEscaper.escape(e.message || '')}</span>
+            </li>
+        `).join('');
+
+        banner.hidden = false;
+        banner.innerHTML = `
+            <div class="session-history__banner-title">
+                <i class="fas fa-lock"></i>
+                Viewing recorded session (read-only)
+            </div>
+            <div class="session-history__meta">${HtmlEscaper.escape(session.stream_url)}</div>
+            <div class="session-history__meta">
+                ${new Date(session.start_time).toLocaleString()} · ${this.formatDuration(session.duration || 0)}
+                · ${session.snapshot_count} snapshots · ${timeline.durations.length} segments
+                · ${errors.length} errors
+            </div>
+            ${errorItems ? `<ul class="session-history__errors">${errorItems}</ul>` : ''}
+        `;
+    }
+
+    /**
+     * Update the session list
+     * @param {string} message - Optional message shown instead of the list
+     */
+    updateHistoryDisplay(message = null) {
+        try {
+            const list = document.getElementById('sessionHistoryList');
+            if (!list) return;
+
+            const exitBtn = document.getElementById('sessionHistoryExitBtn');
+            if (exitBtn) {
+                exitBtn.disabled = !this.isReadOnly;
+            }
+
+            if (message) {
+                list.innerHTML = `<li class="session-history__empty">${HtmlEscaper.escape(message)}</li>`;
+                return;
+            }
+
+            if (this.sessions.length === 0) {
+                list.innerHTML = '<li class="session-history__empty">No recorded sessions yet</li>';
+                return;
+            }
+
+            list.innerHTML = this.sessions.map(session => {
+                const scoreClass = session.quality_score >= 80 ? 'good' : session.quality_score >= 60 ? 'fair' : 'poor';
+                const isOpen = session.session_id === this.openSessionId;
+                const id = HtmlEscaper.escape(session.session_id);
+
+                return `
+                    <li class="session-history__item${isOpen ? ' session-history__item--open' : ''}">
+                        <div class="session-history__url" title="${HtmlEscaper.escape(session.stream_url)}">${HtmlEscaper.escape(session.stream_url)}</div>
+                        <div class="session-history__meta">
+                            ${new Date(session.start_time).toLocaleString()} · ${this.formatDuration(session.duration || 0)}
+                            ${session.is_live ? ' · LIVE' : ''}
+                        </div>
+                        <span class="session-history__score session-history__score--${scoreClass}">${session.quality_score}</span>
+                        <div class="session-history__actions">
+                            <button class="export-btn" data-action="open" data-session-id="${id}">Open</button>
+                            <button class="export-btn" data-action="delete" data-session-id="${id}">Delete</button>
+                        </div>
+                    </li>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error updating session history display:', error);
+        }
+    }
+
+    /**
+     * Create the History panel in the dashboard
+     */
+    createHistoryPanel() {
+        try {
+            const dashboardGrid = document.querySelector('.dashboard__grid');
+            if (!dashboardGrid) {
+                console.warn('Dashboard grid not found, cannot create session history panel');
+                return;
+            }
+
+            if (document.getElementById('sessionHistoryPanel')) return;
+
+            const historyPanel = document.createElement('article');
+            historyPanel.className = 'card';
+            historyPanel.id = 'sessionHistoryPanel';
+
+            historyPanel.innerHTML = `
+                <header class="card__header">
+                    <h2 class="card__title">
+                        <i class="fas fa-history"></i>
+                        History
+                    </h2>
+                </header>
+                <div class="card__content">
+                    <div id="sessionHistoryBanner" class="session-history__banner" hidden></div>
+                    <div class="load-test-config">
+                        <div class="input-group">
+                            <label class="input-group__label" for="sessionHistoryFilter">Stream URL</label>
+                            <select id="sessionHistoryFilter" class="input-group__input">
+                                <option value="">All streams</option>
+                            </select>
+                        </div>
+                    </div>
+                    <ul id="sessionHistoryList" class="session-history"></ul>
+                    <div class="export-controls x-export">
+                        <div class="x-export__grid">
+                            <button id="sessionHistoryRefreshBtn" class="export-btn export-btn--primary">Refresh</button>
+                            <button id="sessionHistoryExitBtn" class="export-btn" disabled>Back to Live</button>
+                            <button id="sessionHistoryClearBtn" class="export-btn">Clear History</button>
+                        </div>
+                    </div>
+                </div>
+            `;
+
+            dashboardGrid.appendChild(historyPanel);
+
+            const list = historyPanel.querySelector('#sessionHistoryList');
+            const filter = historyPanel.querySelector('#sessionHistoryFilter');
+
+            this.memoryManager.addEventListener(list, 'click', (event) => {
+                const button = event.target.closest('button[data-session-id]');
+                if (!button) return;
+
+                const sessionId = button.dataset.sessionId;
+                if (button.dataset.action === 'open') {
+                    this.openSession(sessionId);
+                } else if (button.dataset.action === 'delete') {
+                    this.deleteSession(sessionId);
+                }
+            });
+
+            this.memoryManager.addEventListener(filter, 'change', () => {
+                this.filterUrl = filter.value;
+                this.refresh();
+            });
+
+            this.memoryManager.addEventListener(historyPanel.querySelector('#sessionHistoryRefreshBtn'), 'click', async () => {
+                await this.refresh();
+                await this.updateFilterOptions();
+            });
+
+            this.memoryManager.addEventListener(historyPanel.querySelector('#sessionHistoryExitBtn'), 'click', () => {
+                this.exitReadOnly();
+            });
+
+            this.memoryManager.addEventListener(historyPanel.querySelector('#sessionHistoryClearBtn'), 'click', () => {
+                if (window.confirm('Delete all recorded sessions?')) {
+                    this.clearHistory();
+                }
+            });
+
+            this.refresh().then(() => this.updateFilterOptions());
+            console.log('Session history panel created');
+        } catch (error) {
+            console.error('Error creating session history panel:', error);
+        }
+    }
+
+    /**
+     * Fill the stream URL filter with the distinct URLs of stored sessions
+     */
+    async updateFilterOptions() {
+        try {
+            const filter = document.getElementById('sessionHistoryFilter');
+            if (!filter || !this.store || !this.store.isSupported()) return;
+
+            const allSessions = this.filterUrl ? await this.store.listSessions() : this.sessions;
+            const urls = [...new Set(allSessions.map(s => s.stream_url).filter(Boolean))];
+
+            filter.innerHTML = '<option value="">All streams</option>' + urls.map(url => `
+                <option value="${HtmlEscaper.escape(url)}"${url === this.filterUrl ? ' selected' : ''}>${HtmlEscaper.escape(url)}</option>
+            `).join('');
+        } catch (error) {
+            console.error('Error updating session history filter:', error);
+        }
+    }
+
+    /**
+     * Cleanup resources
+     */
+    cleanup() {
+        try {
+            this.store = null;
+            this.sessions = [];
+            console.log('SessionHistoryView cleanup completed');
+        } catch (error) {
+            console.error('Error during SessionHistoryView cleanup:', error);
+        }
+    }
+}
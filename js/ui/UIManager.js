@@ -103,6 +103,7 @@ export default class UIManager {
                     this.announceToScreenReader('Exited fullscreen mode');
                 } else {
                     this.closeKeyboardHelp();
+                    this.closeTrackMenu();
                 }
             });
 
@@ -117,6 +118,7 @@ export default class UIManager {
             const keyboardHandler = (event) => {
                 if (event.target.tagName === 'INPUT' ||
                     event.target.tagName === 'TEXTAREA' ||
+                    event.target.tagName === 'SELECT' ||
                     event.ctrlKey ||
                     event.altKey ||
                     event.metaKey) {
@@ -237,6 +239,28 @@ export default class UIManager {
                 });
             }
 
+            const trackMenuBtn = document.getElementById('trackMenuBtn');
+            if (trackMenuBtn) {
+                this.memoryManager.addEventListener(trackMenuBtn, 'click', () => {
+                    this.toggleTrackMenu();
+                });
+            }
+
+            // Menu chất lượng / audio / phụ đề: app.js áp dụng lựa chọn lên hls.js
+            [
+                ['qualitySelect', 'selectRendition'],
+                ['audioTrackSelect', 'selectAudioTrack'],
+                ['subtitleTrackSelect', 'selectSubtitleTrack']
+            ].forEach(([selectId, eventName]) => {
+                const select = document.getElementById(selectId);
+                if (!select) return;
+
+                this.memoryManager.addEventListener(select, 'change', () => {
+                    const event = new CustomEvent(eventName, { detail: { value: parseInt(select.value, 10) } });
+                    document.dispatchEvent(event);
+                });
+            });
+
             const handleFullscreenChange = () => {
                 this.updateFullscreenButton();
             };
@@ -395,6 +419,105 @@ export default class UIManager {
         }
     }
 
+    /**
+     * Mở/đóng menu chất lượng, audio và phụ đề
+     */
+    toggleTrackMenu() {
+        try {
+            const trackMenu = document.getElementById('trackMenu');
+            const trackMenuBtn = document.getElementById('trackMenuBtn');
+            if (!trackMenu || !trackMenuBtn) return;
+
+            const isOpen = !trackMenu.hidden;
+            trackMenu.hidden = isOpen;
+            trackMenuBtn.setAttribute('aria-expanded', String(!isOpen));
+
+            if (!isOpen) {
+                const firstSelect = trackMenu.querySelector('select');
+                if (firstSelect) {
+                    firstSelect.focus();
+                }
+            }
+        } catch (error) {
+            console.error('Error toggling track menu:', error);
+        }
+    }
+
+    /**
+     * Đóng menu chất lượng nếu đang mở
+     */
+    closeTrackMenu() {
+        const trackMenu = document.getElementById('trackMenu');
+        if (!trackMenu || trackMenu.hidden) return;
+
+        trackMenu.hidden = true;
+        const trackMenuBtn = document.getElementById('trackMenuBtn');
+        if (trackMenuBtn) {
+            trackMenuBtn.setAttribute('aria-expanded', 'false');
+        }
+    }
+
+    /**
+     * Cập nhật menu chất lượng / audio / phụ đề theo trạng thái hls.js
+     * @param {Object|null} tracks - { levels: [{ index, label }], level (-1 = Auto), autoLabel,
+     *   audioTracks: [{ id, label }], audioTrack, subtitleTracks: [{ id, label }], subtitleTrack (-1 = tắt) };
+     *   null khi không có stream
+     */
+    updateTrackMenu(tracks) {
+        try {
+            const trackMenuBtn = document.getElementById('trackMenuBtn');
+            if (!trackMenuBtn) return;
+
+            const hasLevels = Boolean(tracks && tracks.levels.length > 0);
+            trackMenuBtn.disabled = !hasLevels;
+            trackMenuBtn.classList.toggle('manual', hasLevels && tracks.level >= 0);
+            if (!hasLevels) {
+                this.closeTrackMenu();
+            }
+
+            const levelOptions = hasLevels
+                ? [{ value: -1, label: tracks.autoLabel }, ...tracks.levels.map(level => ({ value: level.index, label: level.label }))]
+                : [];
+            const audioOptions = tracks ? tracks.audioTracks.map(track => ({ value: track.id, label: track.label })) : [];
+            const subtitleOptions = tracks && tracks.subtitleTracks.length > 0
+                ? [{ value: -1, label: 'Off' }, ...tracks.subtitleTracks.map(track => ({ value: track.id, label: track.label }))]
+                : [];
+
+            this.renderTrackOptions('qualitySelect', levelOptions, hasLevels ? tracks.level : -1);
+            // Chỉ hiện chọn audio khi có nhiều hơn một track
+            this.renderTrackOptions('audioTrackSelect', audioOptions.length > 1 ? audioOptions : [], tracks ? tracks.audioTrack : -1);
+            this.renderTrackOptions('subtitleTrackSelect', subtitleOptions, tracks ? tracks.subtitleTrack : -1);
+        } catch (error) {
+            console.error('Error updating track menu:', error);
+        }
+    }
+
+    /**
+     * Điền option cho một select trong menu; nhóm bị ẩn khi không có option
+     */
+    renderTrackOptions(selectId, options, value) {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        const group = select.closest('.track-menu__group');
+        if (group) {
+            group.hidden = options.length === 0;
+        }
+
+        // Chỉ dựng lại option khi danh sách thay đổi để không đóng dropdown đang mở
+        const key = JSON.stringify(options);
+        if (select.dataset.options !== key) {
+            select.replaceChildren(...options.map(option => {
+                const element = document.createElement('option');
+                element.value = String(option.value);
+                element.textContent = option.label;
+                return element;
+            }));
+            select.dataset.options = key;
+        }
+        select.value = String(value);
+    }
+
     /**
      * Toggle bảng trợ giúp keyboard shortcuts
      */
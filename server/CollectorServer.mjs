@@ -0,0 +1,250 @@
+import http from 'node:http';
+import fs from 'node:fs';
+import { URL } from 'node:url';
+import SchemaValidator from './SchemaValidator.mjs';
+import NDJSONStore from './NDJSONStore.mjs';
+// Shared with the browser; js/package.json marks those .js files as ES modules for Node
+import OpenMetricsFormatter from '../js/core/OpenMetricsFormatter.js';
+
+const SCHEMA_PATH = new URL('./schema/metrics-payload.schema.json', import.meta.url);
+
+/**
+ * CollectorServer - Reference implementation of the metrics transmission API.
+ *
+ *   POST /metrics                 single (transmitToServer, beacons) or batch (batchTransmitToServer) payload
+ *   GET  /metrics                 OpenMetrics exposition of recently active sessions (Prometheus scrape target)
+ *   GET  /schema                  published JSON Schema
+ *   GET  /sessions                per-session stats (?stream_url=&since=&limit=)
+ *   GET  /sessions/:id            one session's stats
+ *   GET  /sessions/:id/payloads   stored payloads (?limit=)
+ *   GET  /sessions/:id/metrics    OpenMetrics exposition of one session
+ *   GET  /stats                   aggregated stats across sessions (?stream_url=&since=)
+ *   GET  /health
+ */
+export default class CollectorServer {
+    constructor(options = {}) {
+        this.config = {
+            host: '127.0.0.1',
+            port: 8787,
+            data_dir: './collector-data',
+            max_body_bytes: 1024 * 1024,
+            scrape_window_ms: 15 * 60 * 1000,
+            cors_origin: '*'
+        };
+        Object.assign(this.config, options);
+
+        this.schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+        this.validator = new SchemaValidator(this.schema);
+        this.store = new NDJSONStore(this.config.data_dir);
+        this.formatter = new OpenMetricsFormatter();
+        this.server = null;
+    }
+
+    /**
+     * Open the store and start listening
+     * @returns {Promise<Object>} Bound address
+     */
+    async start() {
+        await this.store.open();
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                console.error('Error handling collector request:', error);
+                this.sendJson(res, 500, { error: 'Internal server error' });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, resolve);
+        });
+
+        const address = this.server.address();
+        console.log(`Collector listening on http://${address.address}:${address.port}`);
+        return address;
+    }
+
+    /**
+     * Stop listening
+     */
+    stop() {
+        return new Promise(resolve => {
+            if (!this.server) {
+                resolve();
+                return;
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    /**
+     * Route one request
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url, 'http://collector.local');
+        let parts;
+        try {
+            parts = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        } catch (error) {
+            this.sendJson(res, 400, { error: `Malformed URL path: ${url.pathname}` });
+            return;
+        }
+
+        if (req.method === 'OPTIONS') {
+            this.sendJson(res, 204, null);
+            return;
+        }
+
+        if (req.method === 'POST' && url.pathname === '/metrics') {
+            await this.handleIngest(req, res);
+            return;
+        }
+
+        if (req.method !== 'GET') {
+            this.sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+            return;
+        }
+
+        const filter = {
+            stream_url: url.searchParams.get('stream_url') || null,
+            since: Number(url.searchParams.get('since')) || null
+        };
+        const limit = Math.max(1, Number(url.searchParams.get('limit')) || 100);
+
+        if (url.pathname === '/metrics') {
+            // Ended or idle sessions drop out of the scrape so their series go stale
+            const since = filter.since || Date.now() - this.config.scrape_window_ms;
+            const sessions = this.store.listSessions({ stream_url: filter.stream_url })
+                .filter(session => !session.ended && session.last_received_at >= since);
+            this.sendExposition(req, res, sessions.map(session => this.store.getLatestPayload(session.session_id)));
+        } else if (url.pathname === '/health') {
+            this.sendJson(res, 200, { status: 'ok', sessions: this.store.sessions.size, payloads: this.store.payloadCount });
+        } else if (url.pathname === '/schema') {
+            this.sendJson(res, 200, this.schema);
+        } else if (url.pathname === '/stats') {
+            this.sendJson(res, 200, this.store.getAggregateStats(filter));
+        } else if (parts[0] === 'sessions' && parts.length === 1) {
+            const sessions = this.store.listSessions(filter);
+            this.sendJson(res, 200, { total: sessions.length, sessions: sessions.slice(0, limit) });
+        } else if (parts[0] === 'sessions' && parts.length >= 2 && parts.length <= 3) {
+            const session = this.store.getSession(parts[1]);
+            if (!session) {
+                this.sendJson(res, 404, { error: `Unknown session: ${parts[1]}` });
+            } else if (parts.length === 2) {
+                this.sendJson(res, 200, session);
+            } else if (parts[2] === 'metrics') {
+                this.sendExposition(req, res, [this.store.getLatestPayload(session.session_id)]);
+            } else if (parts[2] === 'payloads') {
+                this.sendJson(res, 200, { session_id: session.session_id, payloads: await this.store.getPayloads(session.session_id, limit) });
+            } else {
+                this.sendJson(res, 404, { error: 'Not found' });
+            }
+        } else {
+            this.sendJson(res, 404, { error: 'Not found' });
+        }
+    }
+
+    /**
+     * Validate and store a single or batch payload
+     */
+    async handleIngest(req, res) {
+        let body;
+        try {
+            body = await this.readBody(req);
+        } catch (error) {
+            if (error.statusCode === 413) {
+                // The rest of the body is not read: answer first, then drop the connection
+                res.on('finish', () => req.destroy());
+                this.sendJson(res, 413, { error: error.message }, { Connection: 'close' });
+            } else {
+                this.sendJson(res, error.statusCode || 400, { error: error.message });
+            }
+            return;
+        }
+
+        let data;
+        try {
+            // Accept any content type: sendBeacon posts JSON as text/plain
+            data = JSON.parse(body);
+        } catch (error) {
+            this.sendJson(res, 400, { error: `Invalid JSON: ${error.message}` });
+            return;
+        }
+
+        const isBatch = data !== null && typeof data === 'object' && 'snapshots' in data;
+        const result = this.validator.validate(data, isBatch ? '#/$defs/batch' : '#/$defs/single');
+        if (!result.valid) {
+            this.sendJson(res, 422, { error: 'Payload does not match the metrics schema', errors: result.errors });
+            return;
+        }
+
+        const stored = isBatch
+            ? await this.store.append(data.snapshots, data.batch_id)
+            : await this.store.append([data]);
+
+        this.sendJson(res, 200, {
+            success: true,
+            kind: isBatch ? 'batch' : 'single',
+            stored,
+            received_at: Date.now()
+        });
+    }
+
+    /**
+     * Read the request body, rejecting oversized payloads
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.config.max_body_bytes) {
+                    const error = new Error(`Payload exceeds ${this.config.max_body_bytes} bytes`);
+                    error.statusCode = 413;
+                    req.removeAllListeners('data');
+                    req.pause();
+                    reject(error);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Send an OpenMetrics exposition, or Prometheus 0.0.4 text when the scraper does not ask for OpenMetrics
+     */
+    sendExposition(req, res, payloads) {
+        const openMetrics = (req.headers.accept || '').includes('application/openmetrics-text');
+        const body = this.formatter.render(payloads.filter(Boolean), { format: openMetrics ? 'openmetrics' : 'prometheus' });
+
+        res.writeHead(200, {
+            'Content-Type': openMetrics
+                ? 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+                : 'text/plain; version=0.0.4; charset=utf-8',
+            'Access-Control-Allow-Origin': this.config.cors_origin
+        });
+        res.end(body);
+    }
+
+    /**
+     * Send a JSON response with CORS headers (the player posts cross-origin)
+     */
+    sendJson(res, status, data, headers = {}) {
+        if (res.headersSent) return;
+
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': this.config.cors_origin,
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Accept',
+            ...headers
+        });
+        res.end(data === null ? undefined : JSON.stringify(data));
+    }
+}
@@ -0,0 +1,215 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+
+/**
+ * NDJSONStore - Append-only payload storage for the collector.
+ * One NDJSON file per UTC day (payloads-YYYY-MM-DD.ndjson), one received payload per line,
+ * plus an in-memory per-session index that is rebuilt from the files on startup.
+ */
+export default class NDJSONStore {
+    constructor(dataDir) {
+        this.dataDir = dataDir;
+        this.sessions = new Map();
+        this.latestPayloads = new Map();
+        this.payloadCount = 0;
+
+        // Session-level metrics kept from the most recent payload (they are cumulative per session)
+        this.latestMetricKeys = [
+            'startup_time', 'rebuffer_count', 'rebuffer_duration', 'rebuffer_ratio',
+            'dropped_frames', 'dropped_frame_ratio', 'current_bitrate', 'average_bitrate',
+            'error_percentage', 'total_segment_loaded', 'total_data_loaded', 'avg_live_latency'
+        ];
+    }
+
+    /**
+     * Create the data directory and rebuild the session index
+     */
+    async open() {
+        await fs.promises.mkdir(this.dataDir, { recursive: true });
+
+        for (const file of await this.listFiles()) {
+            await this.readFile(file, record => this.indexRecord(record));
+        }
+
+        console.log(`NDJSONStore opened ${this.dataDir} (${this.sessions.size} sessions, ${this.payloadCount} payloads)`);
+    }
+
+    /**
+     * Data files, oldest first
+     */
+    async listFiles() {
+        const names = await fs.promises.readdir(this.dataDir);
+        return names
+            .filter(name => /^payloads-\d{4}-\d{2}-\d{2}\.ndjson$/.test(name))
+            .sort()
+            .map(name => path.join(this.dataDir, name));
+    }
+
+    /**
+     * Stream the records of one file (malformed lines are skipped)
+     */
+    async readFile(file, onRecord) {
+        const lines = readline.createInterface({ input: fs.createReadStream(file, 'utf8'), crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            if (!line.trim()) continue;
+            try {
+                if (onRecord(JSON.parse(line)) === false) {
+                    lines.close();
+                    break;
+                }
+            } catch (error) {
+                console.warn(`Skipping malformed line in ${path.basename(file)}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Append validated payloads
+     * @param {Array} payloads - Single (server-ready) payloads
+     * @param {string} batchId - Batch ID when they arrived in one batch
+     * @returns {Promise<number>} Number of stored payloads
+     */
+    async append(payloads, batchId = null) {
+        const receivedAt = Date.now();
+        const records = payloads.map(payload => ({ received_at: receivedAt, batch_id: batchId, payload }));
+        const file = path.join(this.dataDir, `payloads-${new Date(receivedAt).toISOString().slice(0, 10)}.ndjson`);
+
+        await fs.promises.appendFile(file, records.map(record => JSON.stringify(record)).join('\n') + '\n', 'utf8');
+        records.forEach(record => this.indexRecord(record));
+
+        return records.length;
+    }
+
+    /**
+     * Fold one stored record into the session index
+     */
+    indexRecord(record) {
+        const payload = record.payload;
+        if (!payload || !payload.session_id) return;
+
+        let session = this.sessions.get(payload.session_id);
+        if (!session) {
+            session = {
+                session_id: payload.session_id,
+                stream_url: payload.stream_url,
+                browser: payload.browser_info ? payload.browser_info.name : null,
+                first_seen: payload.timestamp,
+                last_seen: payload.timestamp,
+                last_received_at: record.received_at,
+                payload_count: 0,
+                beacon_counts: { heartbeat: 0, event: 0, session_end: 0 },
+                event_counts: {},
+                ended: false,
+                metrics: {}
+            };
+            this.sessions.set(payload.session_id, session);
+        }
+
+        session.payload_count++;
+        this.payloadCount++;
+        session.first_seen = Math.min(session.first_seen, payload.timestamp);
+        session.last_received_at = Math.max(session.last_received_at, record.received_at);
+
+        if (payload.beacon) {
+            session.beacon_counts[payload.beacon.type] = (session.beacon_counts[payload.beacon.type] || 0) + 1;
+            if (payload.beacon.event) {
+                session.event_counts[payload.beacon.event] = (session.event_counts[payload.beacon.event] || 0) + 1;
+            }
+            if (payload.beacon.type === 'session_end') {
+                session.ended = true;
+            }
+        }
+
+        // Payloads can arrive out of order (offline queue retries), keep the newest metrics
+        if (payload.timestamp >= session.last_seen || Object.keys(session.metrics).length === 0) {
+            session.last_seen = payload.timestamp;
+            session.stream_url = payload.stream_url || session.stream_url;
+            this.latestPayloads.set(payload.session_id, payload);
+            this.latestMetricKeys.forEach(key => {
+                session.metrics[key] = payload.metrics[key] ?? null;
+            });
+        }
+    }
+
+    /**
+     * Sessions matching a filter, newest first
+     * @param {Object} filter - { stream_url, since }
+     */
+    listSessions(filter = {}) {
+        return [...this.sessions.values()]
+            .filter(session => !filter.stream_url || session.stream_url === filter.stream_url)
+            .filter(session => !filter.since || session.last_seen >= filter.since)
+            .sort((a, b) => b.last_seen - a.last_seen);
+    }
+
+    /**
+     * One session's stats, or null
+     */
+    getSession(sessionId) {
+        return this.sessions.get(sessionId) || null;
+    }
+
+    /**
+     * Most recent payload of one session (used for the OpenMetrics exposition), or null
+     */
+    getLatestPayload(sessionId) {
+        return this.latestPayloads.get(sessionId) || null;
+    }
+
+    /**
+     * Stored payloads of one session, oldest first
+     * @param {string} sessionId - Session ID
+     * @param {number} limit - Maximum number of payloads (the most recent are kept)
+     */
+    async getPayloads(sessionId, limit = 500) {
+        const payloads = [];
+
+        for (const file of await this.listFiles()) {
+            await this.readFile(file, record => {
+                if (record.payload && record.payload.session_id === sessionId) {
+                    payloads.push(record.payload);
+                    if (payloads.length > limit) payloads.shift();
+                }
+            });
+        }
+
+        return payloads.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    /**
+     * Aggregated stats across sessions
+     * @param {Object} filter - { stream_url, since }
+     */
+    getAggregateStats(filter = {}) {
+        const sessions = this.listSessions(filter);
+        const values = key => sessions
+            .map(session => session.metrics[key])
+            .filter(value => typeof value === 'number');
+        const average = list => list.length > 0 ? list.reduce((sum, value) => sum + value, 0) / list.length : null;
+        const percentile = (list, p) => {
+            if (list.length === 0) return null;
+            const sorted = [...list].sort((a, b) => a - b);
+            return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+        };
+
+        const startupTimes = values('startup_time');
+        const activeSince = Date.now() - 120000;
+
+        return {
+            session_count: sessions.length,
+            active_sessions: sessions.filter(session => !session.ended && session.last_received_at >= activeSince).length,
+            payload_count: sessions.reduce((sum, session) => sum + session.payload_count, 0),
+            avg_startup_time: average(startupTimes),
+            p50_startup_time: percentile(startupTimes, 50),
+            p95_startup_time: percentile(startupTimes, 95),
+            avg_rebuffer_ratio: average(values('rebuffer_ratio')),
+            sessions_with_rebuffer: values('rebuffer_count').filter(count => count > 0).length,
+            avg_bitrate: average(values('average_bitrate')),
+            avg_dropped_frame_ratio: average(values('dropped_frame_ratio')),
+            avg_error_percentage: average(values('error_percentage')),
+            total_data_loaded: values('total_data_loaded').reduce((sum, value) => sum + value, 0)
+        };
+    }
+}
@@ -0,0 +1,125 @@
+/**
+ * SchemaValidator - Minimal JSON Schema validator for the collector (no dependencies).
+ * Supports the keywords used by schema/metrics-payload.schema.json: $ref (local), oneOf,
+ * type, enum, required, properties, additionalProperties, items, minimum, minLength, maxItems.
+ */
+export default class SchemaValidator {
+    constructor(schema) {
+        this.schema = schema;
+        this.maxErrors = 20;
+    }
+
+    /**
+     * Validate data against the root schema or a local definition
+     * @param {*} data - Parsed JSON
+     * @param {string} ref - Optional local reference, e.g. '#/$defs/single'
+     * @returns {Object} { valid, errors: [{ path, message }] }
+     */
+    validate(data, ref = null) {
+        const errors = [];
+        const schema = ref ? this.resolveRef(ref) : this.schema;
+        this.validateNode(data, schema, '$', errors);
+        return { valid: errors.length === 0, errors: errors.slice(0, this.maxErrors) };
+    }
+
+    /**
+     * Resolve a local JSON pointer ('#/$defs/name')
+     */
+    resolveRef(ref) {
+        if (!ref.startsWith('#/')) {
+            throw new Error(`Only local $ref is supported: ${ref}`);
+        }
+
+        return ref.slice(2).split('/').reduce((node, key) => {
+            if (!node || !(key in node)) {
+                throw new Error(`Unresolvable $ref: ${ref}`);
+            }
+            return node[key];
+        }, this.schema);
+    }
+
+    /**
+     * JSON Schema type of a value
+     */
+    typeOf(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+
+    /**
+     * Whether a value matches one JSON Schema type name
+     */
+    matchesType(value, type) {
+        if (type === 'integer') return Number.isInteger(value);
+        if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+        return this.typeOf(value) === type;
+    }
+
+    validateNode(value, schema, path, errors) {
+        if (errors.length >= this.maxErrors || schema === true || !schema) return;
+
+        if (schema.$ref) {
+            this.validateNode(value, this.resolveRef(schema.$ref), path, errors);
+        }
+
+        if (schema.oneOf) {
+            const matches = schema.oneOf.filter(option => {
+                const optionErrors = [];
+                this.validateNode(value, option, path, optionErrors);
+                return optionErrors.length === 0;
+            });
+            if (matches.length !== 1) {
+                errors.push({ path, message: `must match exactly one schema in oneOf (matched ${matches.length})` });
+            }
+        }
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => this.matchesType(value, type))) {
+                errors.push({ path, message: `must be ${types.join(' or ')}, got ${this.typeOf(value)}` });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => option === value)) {
+            errors.push({ path, message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}` });
+        }
+
+        if (typeof value === 'number' && typeof schema.minimum === 'number' && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+
+        if (typeof value === 'string' && typeof schema.minLength === 'number' && value.length < schema.minLength) {
+            errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+        }
+
+        if (Array.isArray(value)) {
+            if (typeof schema.maxItems === 'number' && value.length > schema.maxItems) {
+                errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => this.validateNode(item, schema.items, `${path}[${index}]`, errors));
+            }
+        }
+
+        if (this.typeOf(value) === 'object') {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    errors.push({ path, message: `missing required property '${key}'` });
+                }
+            });
+
+            const properties = schema.properties || {};
+            Object.keys(value).forEach(key => {
+                if (key in properties) {
+                    this.validateNode(value[key], properties[key], `${path}.${key}`, errors);
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path, message: `unexpected property '${key}'` });
+                } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                    this.validateNode(value[key], schema.additionalProperties, `${path}.${key}`, errors);
+                }
+            });
+        }
+    }
+}
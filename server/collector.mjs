@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * Reference metrics collector (no dependencies, Node 18+)
+ *
+ *   node server/collector.mjs [--port 8787] [--host 127.0.0.1] [--data ./collector-data]
+ *
+ * Environment variables COLLECTOR_PORT, COLLECTOR_HOST and COLLECTOR_DATA_DIR work as well.
+ */
+import CollectorServer from './CollectorServer.mjs';
+
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (!match) continue;
+        args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+    }
+    return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const collector = new CollectorServer({
+    host: args.host || process.env.COLLECTOR_HOST || '127.0.0.1',
+    port: Number(args.port || process.env.COLLECTOR_PORT || 8787),
+    data_dir: args.data || process.env.COLLECTOR_DATA_DIR || './collector-data'
+});
+
+try {
+    await collector.start();
+} catch (error) {
+    console.error('Failed to start collector:', error.message);
+    process.exit(1);
+}
+
+const shutdown = async () => {
+    await collector.stop();
+    process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
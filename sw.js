@@ -1,7 +1,8 @@
 // Service Worker for HLS Stream Monitor
 // Provides offline caching and performance improvements
 
-const CACHE_NAME = 'hls-monitor-v1';
+// Bump when app modules change so returning users do not mix cached and new modules
+const CACHE_NAME = 'hls-monitor-v2';
 const STATIC_ASSETS = [
     '/',
     '/index.html',
@@ -57,6 +58,23 @@ self.addEventListener('fetch', event => {
         return;
     }
 
+    // App modules network-first: a cached js/ module next to a newer app.js breaks on missing methods
+    const url = new URL(event.request.url);
+    if (url.origin === self.location.origin && (event.request.destination === 'script' || /\.m?js$/.test(url.pathname))) {
+        event.respondWith(
+            fetch(event.request)
+                .then(response => {
+                    if (response && response.status === 200 && response.type === 'basic') {
+                        const responseToCache = response.clone();
+                        caches.open(CACHE_NAME).then(cache => cache.put(event.request, responseToCache));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(event.request).then(cached => cached || Promise.reject(new Error('Script unavailable offline'))))
+        );
+        return;
+    }
+
     event.respondWith(
         caches.match(event.request)
             .then(response => {
@@ -104,15 +122,100 @@ self.addEventListener('sync', event => {
     }
 });
 
-// Sync analytics data when back online
-function syncAnalytics() {
-    return new Promise((resolve) => {
-        // Placeholder for analytics sync logic
-        console.log('Service Worker: Syncing analytics data');
-        resolve();
+// Offline metrics queue - shared with the page (js/core/MetricsSyncQueue.js), keep schema and retry rules in sync
+const SYNC_DB_NAME = 'hls-monitor-sync';
+const SYNC_DB_VERSION = 1;
+const SYNC_STORE = 'queue';
+const SYNC_BASE_DELAY_MS = 5000;
+const SYNC_MAX_DELAY_MS = 3600000;
+const SYNC_MAX_ATTEMPTS = 10;
+
+function openSyncDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(SYNC_DB_NAME, SYNC_DB_VERSION);
+        request.onupgradeneeded = event => {
+            const db = event.target.result;
+            if (!db.objectStoreNames.contains(SYNC_STORE)) {
+                const store = db.createObjectStore(SYNC_STORE, { keyPath: 'id', autoIncrement: true });
+                store.createIndex('next_attempt_at', 'next_attempt_at', { unique: false });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function syncStoreRequest(db, mode, callback) {
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(SYNC_STORE, mode);
+        const request = callback(tx.objectStore(SYNC_STORE));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
     });
 }
 
+function isRetryableStatus(status) {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+// Sync analytics data when back online
+async function syncAnalytics() {
+    console.log('Service Worker: Syncing analytics data');
+
+    const db = await openSyncDB();
+    const now = Date.now();
+    const items = (await syncStoreRequest(db, 'readonly', store => store.getAll())) || [];
+    const due = items.filter(item => item.status === 'pending' && item.next_attempt_at <= now);
+    let sent = 0;
+    let networkFailure = false;
+
+    for (const item of due) {
+        let errorMessage;
+        let retryable = true;
+
+        try {
+            const response = await fetch(item.endpoint, { method: 'POST', headers: item.headers, body: item.body });
+            if (response.ok) {
+                await syncStoreRequest(db, 'readwrite', store => store.delete(item.id));
+                sent++;
+                continue;
+            }
+            errorMessage = `Server responded with status: ${response.status}`;
+            retryable = isRetryableStatus(response.status);
+        } catch (error) {
+            errorMessage = error.message;
+            networkFailure = true;
+        }
+
+        // Exponential backoff per item
+        const attempts = item.attempts + 1;
+        await syncStoreRequest(db, 'readwrite', store => store.put({
+            ...item,
+            attempts,
+            last_error: errorMessage,
+            next_attempt_at: Date.now() + Math.min(SYNC_BASE_DELAY_MS * Math.pow(2, attempts), SYNC_MAX_DELAY_MS),
+            status: retryable && attempts < SYNC_MAX_ATTEMPTS ? 'pending' : 'failed'
+        }));
+    }
+
+    db.close();
+    console.log(`Service Worker: Analytics sync sent ${sent} of ${due.length} queued payloads`);
+
+    // Let open pages refresh the queue status and schedule the next retry
+    const clientList = await self.clients.matchAll({ includeUncontrolled: true });
+    clientList.forEach(client => client.postMessage({
+        type: 'ANALYTICS_SYNC_STATUS',
+        sent,
+        attempted: due.length,
+        timestamp: Date.now()
+    }));
+
+    // Still offline: reject so the browser reschedules the sync event
+    if (networkFailure) {
+        throw new Error('Analytics sync failed - network unavailable');
+    }
+}
+
 // Handle messages from main thread
 self.addEventListener('message', event => {
     if (event.data && event.data.type === 'SKIP_WAITING') {